@@ -2,163 +2,42 @@
 
 import { install, fake, seed } from 'zod-schema-faker';
 import { z } from 'zod';
-import axios from 'axios';
-import chalk from 'chalk';
-import fs from 'fs';
-import path from 'path';
-import 'dotenv/config';
+
+import './load-credentials.js';
+import BaseApiTester, { runStandalone, standaloneOptions } from './base-api-tester.js';
+import { startCalendarMockServer } from './calendar-mock-server.js';
+import { googleOAuthAuth } from './token-refresh.js';
 
 // Install zod-schema-faker
 install();
 seed(42);
 
-const TOKEN = process.env.GOOGLE_ACCESS_TOKEN;
 const BASE_URL = 'https://www.googleapis.com/calendar/v3';
 
-class AdvancedCalendarAPITester {
-  constructor() {
-    this.results = {
-      passed: 0,
-      failed: 0,
-      errors: []
-    };
-    this.testEventId = null;
-    this.testCalendarId = 'primary'; // Use primary calendar
-    this.createdEventIds = [];
-    this.startTime = new Date();
-    
-    // Setup logging
-    this.setupLogging();
-  }
-
-  setupLogging() {
-    // Create logs directory if it doesn't exist
-    const logsDir = path.join(process.cwd(), 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-
-    // Create timestamped log files
-    const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-');
-    this.logFiles = {
-      main: path.join(logsDir, `calendar-test-${timestamp}.log`),
-      api: path.join(logsDir, `calendar-api-calls-${timestamp}.log`),
-      results: path.join(logsDir, `calendar-results-${timestamp}.json`)
-    };
-
-    // Initialize log files
-    this.writeToFile(this.logFiles.main, `🚀 Google Calendar API Test Started: ${this.startTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.api, `API Calls Log - Started: ${this.startTime.toISOString()}\n`);
-    
-    console.log(chalk.blue(`📝 Logging to files:`));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
-    console.log('');
-  }
-
-  writeToFile(filepath, content) {
-    try {
-      fs.appendFileSync(filepath, content);
-    } catch (error) {
-      console.error(chalk.red(`Failed to write to log file: ${error.message}`));
-    }
-  }
-
-  log(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    const colors = {
-      info: chalk.blue,
-      success: chalk.green,
-      error: chalk.red,
-      warning: chalk.yellow,
-      test: chalk.cyan
-    };
-    
-    // Console output with colors
-    const coloredOutput = `${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${message}`;
-    console.log(coloredOutput);
-    
-    // File output without colors
-    const fileOutput = `${timestamp} [${type.toUpperCase()}] ${message}\n`;
-    this.writeToFile(this.logFiles.main, fileOutput);
-  }
-
-  logAPICall(method, url, requestData, response, duration) {
-    const timestamp = new Date().toISOString();
-    const apiLogEntry = {
-      timestamp,
-      method,
-      url,
-      requestData,
-      response: {
-        status: response.status,
-        success: response.success,
-        message: response.message,
-        dataSize: response.data ? JSON.stringify(response.data).length : 0
-      },
-      duration
-    };
-
-    // Write detailed API log
-    const apiLogLine = `${timestamp} ${method} ${url} - Status: ${response.status} - Duration: ${duration}ms\n`;
-    this.writeToFile(this.logFiles.api, apiLogLine);
-    
-    // Store detailed JSON for analysis
-    this.writeToFile(this.logFiles.api, `${JSON.stringify(apiLogEntry, null, 2)}\n---\n`);
-  }
-
-  logTestResult(test, success, error = null) {
-    if (success) {
-      this.results.passed++;
-      this.log(`✅ ${test}`, 'success');
-    } else {
-      this.results.failed++;
-      this.results.errors.push({ test, error: error?.message || 'Unknown error', timestamp: new Date().toISOString() });
-      this.log(`❌ ${test} - ${error?.message || 'Failed'}`, 'error');
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const startTime = Date.now();
-    const method = options.method || 'GET';
-    
-    const defaultOptions = {
+class AdvancedCalendarAPITester extends BaseApiTester {
+  constructor(options = {}) {
+    super({
+      name: 'calendar',
+      title: 'Google Calendar API',
+      banner: '🚀 ADVANCED GOOGLE CALENDAR API TESTER',
+      summaryTitle: '📊 ADVANCED CALENDAR TESTS SUMMARY',
+      baseUrl: BASE_URL,
+      auth: googleOAuthAuth(),
+      mockServer: () => startCalendarMockServer(),
       headers: {
-        'Authorization': `Bearer ${TOKEN}`,
         'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...options.headers
+        'Accept': 'application/json'
       },
-      timeout: 15000,
+      operationsTested: [
+        'Calendar Management: List, Get metadata, Settings',
+        'Event Management: List, Create, Get, Update, Delete',
+        'Advanced Features: Recurring events, Reminders',
+        'Search: Event search queries',
+        'Cleanup: Delete test events'
+      ],
       ...options
-    };
-
-    try {
-      this.log(`🔄 ${method} ${url}`, 'test');
-      const response = await axios(url, defaultOptions);
-      const duration = Date.now() - startTime;
-      
-      const result = { success: true, data: response.data, status: response.status };
-      
-      // Log API call details
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      const result = {
-        success: false,
-        status: error.response?.status,
-        message: error.response?.data?.error?.message || error.message,
-        details: error.response?.data
-      };
-      
-      // Log failed API call
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    }
+    });
+    this.testCalendarId = 'primary'; // Use primary calendar
   }
 
   // ============ CALENDAR OPERATIONS ============
@@ -166,7 +45,7 @@ class AdvancedCalendarAPITester {
   async testListCalendars() {
     this.log('📅 Testing List Calendars...', 'info');
     
-    const url = `${BASE_URL}/users/me/calendarList`;
+    const url = `${this.baseUrl}/users/me/calendarList`;
     const result = await this.makeRequest(url);
     
     if (result.success && result.data.items) {
@@ -188,7 +67,7 @@ class AdvancedCalendarAPITester {
   async testGetCalendarMetadata() {
     this.log('📋 Testing Get Calendar Metadata...', 'info');
     
-    const url = `${BASE_URL}/calendars/${this.testCalendarId}`;
+    const url = `${this.baseUrl}/calendars/${this.testCalendarId}`;
     const result = await this.makeRequest(url);
 
     if (result.success) {
@@ -217,8 +96,17 @@ class AdvancedCalendarAPITester {
     const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
     const oneWeekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
     
-    const url = `${BASE_URL}/calendars/${this.testCalendarId}/events?timeMin=${oneWeekAgo.toISOString()}&timeMax=${oneWeekFromNow.toISOString()}&maxResults=10&singleEvents=true&orderBy=startTime`;
+    const url = `${this.baseUrl}/calendars/${this.testCalendarId}/events?timeMin=${oneWeekAgo.toISOString()}&timeMax=${oneWeekFromNow.toISOString()}&maxResults=10&singleEvents=true&orderBy=startTime`;
     const result = await this.makeRequest(url);
+
+    // singleEvents=true expands recurring events, so only instances inside the window come back
+    const misplaced = (result.data?.items || []).filter(event => event.recurrence
+      || Date.parse(event.end?.dateTime || event.end?.date) <= oneWeekAgo.getTime()
+      || Date.parse(event.start?.dateTime || event.start?.date) >= oneWeekFromNow.getTime());
+    if (result.success && misplaced.length > 0) {
+      this.logTestResult('List Events', false, new Error(`${misplaced.length} events are recurring masters or outside the requested window`));
+      return [];
+    }
     
     if (result.success && result.data.items) {
       this.logTestResult(`List Events (${result.data.items.length} events found)`, true);
@@ -266,15 +154,22 @@ class AdvancedCalendarAPITester {
       status: 'confirmed'
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/calendars/${this.testCalendarId}/events`, {
+    const result = await this.makeRequest(`${this.baseUrl}/calendars/${this.testCalendarId}/events`, {
       method: 'POST',
       data: eventData
     });
 
+    // The API returns times to the second
+    const expectedStart = Math.floor(startTime.getTime() / 1000) * 1000;
+    if (result.success && (result.data.summary !== eventData.summary || Date.parse(result.data.start?.dateTime) !== expectedStart)) {
+      this.logTestResult('Create Event', false, new Error(`Created "${result.data.summary}" at ${result.data.start?.dateTime}, expected ${startTime.toISOString()}`));
+      return null;
+    }
+
     if (result.success) {
-      this.testEventId = result.data.id;
-      this.createdEventIds.push(this.testEventId);
-      this.logTestResult(`Create Event (ID: ${this.testEventId})`, true);
+      const eventId = this.context.capture('eventId', result.data.id);
+      this.context.append('createdEventIds', eventId);
+      this.logTestResult(`Create Event (ID: ${eventId})`, true);
       this.log(`Created event: ${result.data.summary} at ${result.data.start.dateTime}`, 'info');
       return result.data;
     } else {
@@ -284,16 +179,18 @@ class AdvancedCalendarAPITester {
   }
 
   async testGetEventDetails() {
-    if (!this.testEventId) {
-      this.logTestResult('Get Event Details', false, new Error('No test event available'));
-      return;
-    }
+    const eventId = this.context.get('eventId');
 
     this.log('📄 Testing Get Event Details...', 'info');
     
-    const url = `${BASE_URL}/calendars/${this.testCalendarId}/events/${this.testEventId}`;
+    const url = `${this.baseUrl}/calendars/${this.testCalendarId}/events/${eventId}`;
     const result = await this.makeRequest(url);
 
+    if (result.success && result.data.id !== eventId) {
+      this.logTestResult('Get Event Details', false, new Error(`Expected event ${eventId}, got ${result.data.id}`));
+      return;
+    }
+
     if (result.success) {
       this.logTestResult(`Get Event Details (${result.data.summary})`, true);
       
@@ -314,10 +211,7 @@ class AdvancedCalendarAPITester {
   }
 
   async testUpdateEvent() {
-    if (!this.testEventId) {
-      this.logTestResult('Update Event', false, new Error('No test event available'));
-      return;
-    }
+    const eventId = this.context.get('eventId');
 
     this.log('✏️ Testing Update Event...', 'info');
     
@@ -328,12 +222,18 @@ class AdvancedCalendarAPITester {
       colorId: '2' // Green color
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/calendars/${this.testCalendarId}/events/${this.testEventId}`, {
+    const result = await this.makeRequest(`${this.baseUrl}/calendars/${this.testCalendarId}/events/${eventId}`, {
       method: 'PATCH',
       data: updates
     });
 
+    if (result.success && (result.data.summary !== updates.summary || result.data.location !== updates.location)) {
+      this.logTestResult('Update Event', false, new Error(`Event still reads "${result.data.summary}" at ${result.data.location}`));
+      return;
+    }
+
     if (result.success) {
+      this.context.capture('eventSummary', result.data.summary);
       this.logTestResult(`Update Event (New title: ${result.data.summary})`, true);
       this.log(`Update applied: ${JSON.stringify(updates, null, 2)}`, 'info');
       return result.data;
@@ -371,22 +271,55 @@ class AdvancedCalendarAPITester {
       }
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/calendars/${this.testCalendarId}/events`, {
+    const result = await this.makeRequest(`${this.baseUrl}/calendars/${this.testCalendarId}/events`, {
       method: 'POST',
       data: recurringEventData
     });
 
     if (result.success) {
-      this.createdEventIds.push(result.data.id);
-      this.logTestResult(`Create Recurring Event (ID: ${result.data.id})`, true);
+      this.context.append('createdEventIds', result.data.id);
+      const instances = await this.checkWeeklyInstances(result.data.id, startTime, 3, recurringEventData.start.timeZone);
+      if (instances.error) {
+        this.logTestResult('Create Recurring Event', false, new Error(instances.error));
+        return;
+      }
+
+      this.logTestResult(`Create Recurring Event (ID: ${result.data.id}, ${instances.items.length} instances)`, true);
       this.log(`Created recurring event: ${result.data.summary}`, 'info');
       this.log(`Recurrence: ${result.data.recurrence?.[0] || 'N/A'}`, 'info');
+      instances.items.forEach(instance => this.log(`   Instance ${instance.id}: ${instance.start.dateTime}`, 'test'));
       return result.data;
     } else {
       this.logTestResult('Create Recurring Event', false, new Error(`${result.status}: ${result.message}`));
     }
   }
 
+  // Instances must come back one week apart at the same wall-clock time, even across DST
+  async checkWeeklyInstances(eventId, firstStart, expectedCount, timeZone) {
+    const result = await this.makeRequest(`${this.baseUrl}/calendars/${this.testCalendarId}/events/${eventId}/instances`);
+    if (!result.success) {
+      return { error: `Instances: ${result.status}: ${result.message}` };
+    }
+
+    const items = result.data.items || [];
+    if (items.length !== expectedCount) {
+      return { error: `Expected ${expectedCount} instances, got ${items.length}` };
+    }
+
+    const wallClock = date => date.toLocaleTimeString('en-US', { timeZone, hour12: false });
+    for (const [index, instance] of items.entries()) {
+      const start = new Date(instance.start?.dateTime);
+      const expectedDay = new Date(firstStart.getTime() + index * 7 * 24 * 60 * 60 * 1000);
+      if (instance.recurringEventId !== eventId) {
+        return { error: `Instance ${instance.id} has recurringEventId ${instance.recurringEventId}` };
+      }
+      if (wallClock(start) !== wallClock(firstStart) || Math.abs(start - expectedDay) > 60 * 60 * 1000) {
+        return { error: `Instance ${index + 1} starts at ${instance.start?.dateTime}, expected ${wallClock(firstStart)} a week after the previous one` };
+      }
+    }
+    return { items };
+  }
+
   // ============ SEARCH OPERATIONS ============
 
   async testSearchEvents() {
@@ -399,21 +332,39 @@ class AdvancedCalendarAPITester {
     ];
 
     let totalResults = 0;
+    const failedQueries = [];
     for (const query of searchQueries) {
-      const url = `${BASE_URL}/calendars/${this.testCalendarId}/events?q=${encodeURIComponent(query)}&maxResults=5`;
+      const url = `${this.baseUrl}/calendars/${this.testCalendarId}/events?q=${encodeURIComponent(query)}&maxResults=5`;
       const result = await this.makeRequest(url);
       
       if (result.success) {
         const count = result.data.items?.length || 0;
         totalResults += count;
         this.log(`   Query: "${query}" → ${count} results`, 'test');
+      } else {
+        failedQueries.push(`"${query}" (${result.status}: ${result.message})`);
       }
     }
 
-    if (totalResults >= 0) {
+    // The event updated earlier has a unique title, so searching for it must find it
+    const eventId = this.context.get('eventId');
+    const eventSummary = this.context.get('eventSummary');
+    if (eventId && eventSummary) {
+      const url = `${this.baseUrl}/calendars/${this.testCalendarId}/events?q=${encodeURIComponent(eventSummary)}`;
+      const result = await this.makeRequest(url);
+      if (!result.success) {
+        failedQueries.push(`"${eventSummary}" (${result.status}: ${result.message})`);
+      } else if (!result.data.items?.some(event => event.id === eventId)) {
+        failedQueries.push(`"${eventSummary}" (event ${eventId} not found)`);
+      } else {
+        this.log(`   Query: "${eventSummary}" → found ${eventId}`, 'test');
+      }
+    }
+
+    if (failedQueries.length === 0) {
       this.logTestResult(`Search Events (${searchQueries.length} queries, ${totalResults} total results)`, true);
     } else {
-      this.logTestResult('Search Events', false, new Error('Search failed'));
+      this.logTestResult('Search Events', false, new Error(`Search failed for ${failedQueries.join(', ')}`));
     }
   }
 
@@ -422,7 +373,7 @@ class AdvancedCalendarAPITester {
   async testGetCalendarSettings() {
     this.log('⚙️ Testing Get Calendar Settings...', 'info');
     
-    const url = `${BASE_URL}/users/me/settings`;
+    const url = `${this.baseUrl}/users/me/settings`;
     const result = await this.makeRequest(url);
 
     if (result.success && result.data.items) {
@@ -445,9 +396,9 @@ class AdvancedCalendarAPITester {
   async cleanup() {
     this.log('🧹 Cleaning up test events...', 'info');
     
-    for (const eventId of this.createdEventIds) {
+    for (const eventId of this.context.list('createdEventIds')) {
       try {
-        await this.makeRequest(`${BASE_URL}/calendars/${this.testCalendarId}/events/${eventId}`, {
+        await this.makeRequest(`${this.baseUrl}/calendars/${this.testCalendarId}/events/${eventId}`, {
           method: 'DELETE'
         });
         this.log(`   Deleted event: ${eventId}`, 'test');
@@ -457,128 +408,41 @@ class AdvancedCalendarAPITester {
     }
   }
 
-  // ============ SAVE RESULTS ============
-
-  saveResults() {
-    const endTime = new Date();
-    const duration = endTime - this.startTime;
-    
-    const finalResults = {
-      testRun: {
-        startTime: this.startTime.toISOString(),
-        endTime: endTime.toISOString(),
-        duration: `${Math.round(duration / 1000)}s`,
-        durationMs: duration
-      },
-      summary: {
-        totalTests: this.results.passed + this.results.failed,
-        passed: this.results.passed,
-        failed: this.results.failed,
-        successRate: `${Math.round((this.results.passed / (this.results.passed + this.results.failed)) * 100)}%`
-      },
-      errors: this.results.errors,
-      testData: {
-        calendarId: this.testCalendarId,
-        createdEventIds: this.createdEventIds,
-        testEventId: this.testEventId
-      },
-      environment: {
-        tokenAvailable: !!TOKEN,
-        nodeVersion: process.version,
-        timestamp: endTime.toISOString()
-      }
-    };
-
-    // Save results as JSON
-    this.writeToFile(this.logFiles.results, JSON.stringify(finalResults, null, 2));
-    
-    // Add summary to main log
-    this.writeToFile(this.logFiles.main, `\n🏁 Test completed: ${endTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.main, `Duration: ${Math.round(duration / 1000)}s\n`);
-    this.writeToFile(this.logFiles.main, `Results: ${this.results.passed} passed, ${this.results.failed} failed\n`);
-  }
-
-  // ============ MAIN TEST RUNNER ============
+  // ============ TEST CASES ============
 
-  async runAdvancedTests() {
-    console.log(chalk.cyan.bold('🚀 ADVANCED GOOGLE CALENDAR API TESTER'));
-    console.log(chalk.cyan('============================================'));
-    console.log(chalk.yellow(`🔑 Auth Token: ${TOKEN ? 'Available' : 'Missing'}`));
-    console.log('');
-
-    if (!TOKEN || TOKEN === 'your_access_token_here') {
-      console.log(chalk.red('❌ No valid access token found'));
-      process.exit(1);
-    }
-
-    try {
+  testCases() {
+    return [
       // Calendar Operations
-      await this.testListCalendars();
-      await this.testGetCalendarMetadata();
+      { name: 'List Calendars', run: () => this.testListCalendars() },
+      { name: 'Get Calendar Metadata', run: () => this.testGetCalendarMetadata() },
 
       // Event Operations
-      await this.testListEvents();
-      await this.testCreateEvent();
-      await this.testGetEventDetails();
-      await this.testUpdateEvent();
-      await this.testCreateRecurringEvent();
+      { name: 'List Events', run: () => this.testListEvents() },
+      { name: 'Create Event', captures: 'eventId', run: () => this.testCreateEvent() },
+      { name: 'Get Event Details', requires: 'eventId', run: () => this.testGetEventDetails() },
+      { name: 'Update Event', requires: 'eventId', run: () => this.testUpdateEvent() },
+      { name: 'Create Recurring Event', run: () => this.testCreateRecurringEvent() },
 
       // Search Operations
-      await this.testSearchEvents();
+      { name: 'Search Events', run: () => this.testSearchEvents() },
 
       // Settings
-      await this.testGetCalendarSettings();
-
-      // Cleanup
-      await this.cleanup();
-
-    } catch (error) {
-      this.log(`Fatal error: ${error.message}`, 'error');
-    }
-
-    this.saveResults();
-    this.printSummary();
+      { name: 'Get Calendar Settings', run: () => this.testGetCalendarSettings() }
+    ];
   }
 
-  printSummary() {
-    console.log('');
-    console.log(chalk.cyan.bold('📊 ADVANCED CALENDAR TESTS SUMMARY'));
-    console.log(chalk.cyan('============================================'));
-    
-    if (this.results.failed === 0) {
-      console.log(chalk.green.bold('🎉 ALL ADVANCED TESTS PASSED!'));
-      console.log(chalk.green(`✅ ${this.results.passed} operations successful`));
-    } else {
-      console.log(chalk.yellow(`⚠️  ${this.results.passed} passed, ${this.results.failed} failed`));
-      
-      if (this.results.errors.length > 0) {
-        console.log('');
-        console.log(chalk.red('❌ Failed operations:'));
-        this.results.errors.forEach(error => {
-          console.log(chalk.red(`  └─ ${error.test}: ${error.error}`));
-        });
-      }
-    }
-
-    console.log('');
-    console.log(chalk.blue('🔧 Operations tested:'));
-    console.log('• Calendar Management: List, Get metadata, Settings');
-    console.log('• Event Management: List, Create, Get, Update, Delete');
-    console.log('• Advanced Features: Recurring events, Reminders');
-    console.log('• Search: Event search queries');
-    console.log('• Cleanup: Delete test events');
-    
-    console.log('');
-    console.log(chalk.blue('📝 Log files saved:'));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
+  getTestData() {
+    return {
+      calendarId: this.testCalendarId,
+      createdEventIds: this.context.list('createdEventIds'),
+      testEventId: this.context.get('eventId')
+    };
   }
 }
 
-// Run the advanced tests
-const tester = new AdvancedCalendarAPITester();
-tester.runAdvancedTests().catch(error => {
-  console.error(chalk.red('Fatal error:'), error);
-  process.exit(1);
-}); 
\ No newline at end of file
+// Run the advanced tests (--mode=record|replay uses cassettes/, see cassette.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runStandalone(new AdvancedCalendarAPITester(standaloneOptions()));
+}
+
+export default AdvancedCalendarAPITester;
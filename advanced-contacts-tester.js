@@ -2,163 +2,40 @@
 
 import { install, fake, seed } from 'zod-schema-faker';
 import { z } from 'zod';
-import axios from 'axios';
-import chalk from 'chalk';
-import fs from 'fs';
-import path from 'path';
-import 'dotenv/config';
+
+import './load-credentials.js';
+import BaseApiTester, { runStandalone, standaloneOptions } from './base-api-tester.js';
+import { startContactsMockServer } from './contacts-mock-server.js';
+import { googleOAuthAuth } from './token-refresh.js';
 
 // Install zod-schema-faker
 install();
 seed(42);
 
-const TOKEN = process.env.GOOGLE_ACCESS_TOKEN;
 const BASE_URL = 'https://people.googleapis.com/v1';
 
-class AdvancedContactsAPITester {
-  constructor() {
-    this.results = {
-      passed: 0,
-      failed: 0,
-      errors: []
-    };
-    this.testContactId = null;
-    this.testContactGroupId = null;
-    this.createdContacts = [];
-    this.startTime = new Date();
-    
-    // Setup logging
-    this.setupLogging();
-  }
-
-  setupLogging() {
-    // Create logs directory if it doesn't exist
-    const logsDir = path.join(process.cwd(), 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-
-    // Create timestamped log files
-    const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-');
-    this.logFiles = {
-      main: path.join(logsDir, `contacts-test-${timestamp}.log`),
-      api: path.join(logsDir, `contacts-api-calls-${timestamp}.log`),
-      results: path.join(logsDir, `contacts-results-${timestamp}.json`)
-    };
-
-    // Initialize log files
-    this.writeToFile(this.logFiles.main, `👥 Google Contacts API Test Started: ${this.startTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.api, `API Calls Log - Started: ${this.startTime.toISOString()}\n`);
-    
-    console.log(chalk.blue(`📝 Logging to files:`));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
-    console.log('');
-  }
-
-  writeToFile(filepath, content) {
-    try {
-      fs.appendFileSync(filepath, content);
-    } catch (error) {
-      console.error(chalk.red(`Failed to write to log file: ${error.message}`));
-    }
-  }
-
-  log(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    const colors = {
-      info: chalk.blue,
-      success: chalk.green,
-      error: chalk.red,
-      warning: chalk.yellow,
-      test: chalk.cyan
-    };
-    
-    // Console output with colors
-    const coloredOutput = `${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${message}`;
-    console.log(coloredOutput);
-    
-    // File output without colors
-    const fileOutput = `${timestamp} [${type.toUpperCase()}] ${message}\n`;
-    this.writeToFile(this.logFiles.main, fileOutput);
-  }
-
-  logAPICall(method, url, requestData, response, duration) {
-    const timestamp = new Date().toISOString();
-    const apiLogEntry = {
-      timestamp,
-      method,
-      url,
-      requestData,
-      response: {
-        status: response.status,
-        success: response.success,
-        message: response.message,
-        dataSize: response.data ? JSON.stringify(response.data).length : 0
-      },
-      duration
-    };
-
-    // Write detailed API log
-    const apiLogLine = `${timestamp} ${method} ${url} - Status: ${response.status} - Duration: ${duration}ms\n`;
-    this.writeToFile(this.logFiles.api, apiLogLine);
-    
-    // Store detailed JSON for analysis
-    this.writeToFile(this.logFiles.api, `${JSON.stringify(apiLogEntry, null, 2)}\n---\n`);
-  }
-
-  logTestResult(test, success, error = null) {
-    if (success) {
-      this.results.passed++;
-      this.log(`✅ ${test}`, 'success');
-    } else {
-      this.results.failed++;
-      this.results.errors.push({ test, error: error?.message || 'Unknown error', timestamp: new Date().toISOString() });
-      this.log(`❌ ${test} - ${error?.message || 'Failed'}`, 'error');
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const startTime = Date.now();
-    const method = options.method || 'GET';
-    
-    const defaultOptions = {
+class AdvancedContactsAPITester extends BaseApiTester {
+  constructor(options = {}) {
+    super({
+      name: 'contacts',
+      title: 'Google Contacts API',
+      banner: '👥 ADVANCED GOOGLE CONTACTS API TESTER',
+      summaryTitle: '📊 ADVANCED CONTACTS TESTS SUMMARY',
+      baseUrl: BASE_URL,
+      auth: googleOAuthAuth(),
+      mockServer: () => startContactsMockServer(),
       headers: {
-        'Authorization': `Bearer ${TOKEN}`,
         'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...options.headers
+        'Accept': 'application/json'
       },
-      timeout: 15000,
+      operationsTested: [
+        'Contact Management: List, Create, Get, Update, Search',
+        'Contact Groups: List, Create, Update, Add members',
+        'Batch Operations: Batch create contacts',
+        'Cleanup: Delete test contacts and groups'
+      ],
       ...options
-    };
-
-    try {
-      this.log(`🔄 ${method} ${url}`, 'test');
-      const response = await axios(url, defaultOptions);
-      const duration = Date.now() - startTime;
-      
-      const result = { success: true, data: response.data, status: response.status };
-      
-      // Log API call details
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      const result = {
-        success: false,
-        status: error.response?.status,
-        message: error.response?.data?.error?.message || error.message,
-        details: error.response?.data
-      };
-      
-      // Log failed API call
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    }
+    });
   }
 
   // ============ CONTACT OPERATIONS ============
@@ -167,7 +44,7 @@ class AdvancedContactsAPITester {
     this.log('📋 Testing List Contacts...', 'info');
     
     const personFields = 'names,emailAddresses,phoneNumbers,organizations,metadata';
-    const url = `${BASE_URL}/people/me/connections?personFields=${personFields}&pageSize=20`;
+    const url = `${this.baseUrl}/people/me/connections?personFields=${personFields}&pageSize=20`;
     const result = await this.makeRequest(url);
     
     if (result.success) {
@@ -221,22 +98,28 @@ class AdvancedContactsAPITester {
     };
 
     const personFields = 'names,emailAddresses,phoneNumbers,organizations,biographies,metadata';
-    const url = `${BASE_URL}/people:createContact?personFields=${personFields}`;
+    const url = `${this.baseUrl}/people:createContact?personFields=${personFields}`;
     
     const result = await this.makeRequest(url, {
       method: 'POST',
       data: contactData
     });
 
+    const createdName = result.data?.names?.[0];
+    if (result.success && (createdName?.familyName !== contactData.names[0].familyName || result.data.emailAddresses?.[0]?.value !== contactData.emailAddresses[0].value)) {
+      this.logTestResult('Create Contact', false, new Error(`Created ${createdName?.displayName} <${result.data.emailAddresses?.[0]?.value}>, expected ${contactData.emailAddresses[0].value}`));
+      return null;
+    }
+
     if (result.success) {
-      this.testContactId = result.data.resourceName;
-      this.createdContacts.push(this.testContactId);
+      const contactId = this.context.capture('contactId', result.data.resourceName);
+      this.context.append('createdContacts', contactId);
       
       const name = result.data.names?.[0]?.displayName || 'Unknown';
       this.logTestResult(`Create Contact (${name})`, true);
       
       this.log(`Contact created:`, 'info');
-      this.log(`   Resource Name: ${this.testContactId}`, 'test');
+      this.log(`   Resource Name: ${contactId}`, 'test');
       this.log(`   Display Name: ${name}`, 'test');
       this.log(`   Email: ${result.data.emailAddresses?.[0]?.value}`, 'test');
       this.log(`   Phone: ${result.data.phoneNumbers?.[0]?.value}`, 'test');
@@ -249,17 +132,19 @@ class AdvancedContactsAPITester {
   }
 
   async testGetContact() {
-    if (!this.testContactId) {
-      this.logTestResult('Get Contact', false, new Error('No test contact available'));
-      return;
-    }
+    const contactId = this.context.get('contactId');
 
     this.log('📄 Testing Get Contact...', 'info');
     
     const personFields = 'names,emailAddresses,phoneNumbers,organizations,biographies,metadata,addresses';
-    const url = `${BASE_URL}/${this.testContactId}?personFields=${personFields}`;
+    const url = `${this.baseUrl}/${contactId}?personFields=${personFields}`;
     const result = await this.makeRequest(url);
 
+    if (result.success && result.data.resourceName !== contactId) {
+      this.logTestResult('Get Contact', false, new Error(`Expected contact ${contactId}, got ${result.data.resourceName}`));
+      return;
+    }
+
     if (result.success) {
       const name = result.data.names?.[0]?.displayName || 'Unknown';
       this.logTestResult(`Get Contact (${name})`, true);
@@ -288,16 +173,13 @@ class AdvancedContactsAPITester {
   }
 
   async testUpdateContact() {
-    if (!this.testContactId) {
-      this.logTestResult('Update Contact', false, new Error('No test contact available'));
-      return;
-    }
+    const contactId = this.context.get('contactId');
 
     this.log('✏️ Testing Update Contact...', 'info');
     
     // First get the current contact to get the etag
     const personFields = 'names,emailAddresses,phoneNumbers,organizations,biographies,metadata';
-    const getCurrentUrl = `${BASE_URL}/${this.testContactId}?personFields=${personFields}`;
+    const getCurrentUrl = `${this.baseUrl}/${contactId}?personFields=${personFields}`;
     const currentResult = await this.makeRequest(getCurrentUrl);
     
     if (!currentResult.success) {
@@ -313,7 +195,7 @@ class AdvancedContactsAPITester {
     }
     
     const updateData = {
-      resourceName: this.testContactId,
+      resourceName: contactId,
       etag: etag,  // Required for updates
       names: [{
         givenName: 'Updated Test',
@@ -331,14 +213,31 @@ class AdvancedContactsAPITester {
     };
 
     const updateMask = 'names,emailAddresses,organizations';
-    const url = `${BASE_URL}/${this.testContactId}:updateContact?personFields=${personFields}&updatePersonFields=${updateMask}`;
+    const url = `${this.baseUrl}/${contactId}:updateContact?personFields=${personFields}&updatePersonFields=${updateMask}`;
     
     const result = await this.makeRequest(url, {
       method: 'PATCH',
       data: updateData
     });
 
+    const updatedEmail = result.data?.emailAddresses?.[0]?.value;
+    if (result.success && (result.data.names?.[0]?.givenName !== 'Updated Test' || updatedEmail !== updateData.emailAddresses[0].value
+      || result.data.organizations?.[0]?.name !== 'Updated Test Company')) {
+      this.logTestResult('Update Contact', false, new Error(`Contact still reads ${result.data.names?.[0]?.displayName} <${updatedEmail}>`));
+      return;
+    }
+
+    // The etag changed with the update, so replaying the old one must be rejected
     if (result.success) {
+      const stale = await this.makeRequest(url, { method: 'PATCH', data: updateData });
+      if (stale.success) {
+        this.logTestResult('Update Contact', false, new Error('Update with a stale etag was accepted'));
+        return;
+      }
+    }
+
+    if (result.success) {
+      this.context.capture('contactEmail', updatedEmail);
       const newName = result.data.names?.[0]?.displayName || 'Unknown';
       this.logTestResult(`Update Contact (${newName})`, true);
       
@@ -363,10 +262,14 @@ class AdvancedContactsAPITester {
       'Company'
     ];
 
+    // Search results come from a cache; an empty query refreshes it, as the API docs recommend
+    const personFields = 'names,emailAddresses,organizations';
+    await this.makeRequest(`${this.baseUrl}/people:searchContacts?query=&readMask=${personFields}`);
+
     let totalResults = 0;
+    const failedQueries = [];
     for (const query of searchQueries) {
-      const personFields = 'names,emailAddresses,organizations';
-      const url = `${BASE_URL}/people:searchContacts?query=${encodeURIComponent(query)}&pageSize=10&readMask=${personFields}`;
+      const url = `${this.baseUrl}/people:searchContacts?query=${encodeURIComponent(query)}&pageSize=10&readMask=${personFields}`;
       const result = await this.makeRequest(url);
       
       if (result.success) {
@@ -381,13 +284,30 @@ class AdvancedContactsAPITester {
             this.log(`     ${index + 1}. ${name}`, 'test');
           });
         }
+      } else {
+        failedQueries.push(`"${query}" (${result.status}: ${result.message})`);
       }
     }
 
-    if (totalResults >= 0) {
+    // The contact updated earlier has a unique email address, so searching for it must find it
+    const contactId = this.context.get('contactId');
+    const contactEmail = this.context.get('contactEmail');
+    if (contactId && contactEmail) {
+      const url = `${this.baseUrl}/people:searchContacts?query=${encodeURIComponent(contactEmail)}&readMask=${personFields}`;
+      const result = await this.makeRequest(url);
+      if (!result.success) {
+        failedQueries.push(`"${contactEmail}" (${result.status}: ${result.message})`);
+      } else if (!result.data.results?.some(item => item.person?.resourceName === contactId)) {
+        failedQueries.push(`"${contactEmail}" (contact ${contactId} not found)`);
+      } else {
+        this.log(`   Query: "${contactEmail}" → found ${contactId}`, 'test');
+      }
+    }
+
+    if (failedQueries.length === 0) {
       this.logTestResult(`Search Contacts (${searchQueries.length} queries, ${totalResults} total results)`, true);
     } else {
-      this.logTestResult('Search Contacts', false, new Error('Search failed'));
+      this.logTestResult('Search Contacts', false, new Error(`Search failed for ${failedQueries.join(', ')}`));
     }
   }
 
@@ -396,7 +316,7 @@ class AdvancedContactsAPITester {
   async testListContactGroups() {
     this.log('📁 Testing List Contact Groups...', 'info');
     
-    const url = `${BASE_URL}/contactGroups?pageSize=20`;
+    const url = `${this.baseUrl}/contactGroups?pageSize=20`;
     const result = await this.makeRequest(url);
     
     if (result.success) {
@@ -425,19 +345,24 @@ class AdvancedContactsAPITester {
       }
     };
 
-    const url = `${BASE_URL}/contactGroups`;
+    const url = `${this.baseUrl}/contactGroups`;
     const result = await this.makeRequest(url, {
       method: 'POST',
       data: groupData
     });
 
+    if (result.success && result.data.name !== groupData.contactGroup.name) {
+      this.logTestResult('Create Contact Group', false, new Error(`Created group "${result.data.name}", expected "${groupData.contactGroup.name}"`));
+      return;
+    }
+
     if (result.success) {
-      this.testContactGroupId = result.data.resourceName;
+      const contactGroupId = this.context.capture('contactGroupId', result.data.resourceName);
       this.logTestResult(`Create Contact Group (${result.data.name})`, true);
       
       this.log(`Contact group created:`, 'info');
       this.log(`   Name: ${result.data.name}`, 'test');
-      this.log(`   Resource Name: ${this.testContactGroupId}`, 'test');
+      this.log(`   Resource Name: ${contactGroupId}`, 'test');
       this.log(`   Group Type: ${result.data.groupType}`, 'test');
       
       return result.data;
@@ -447,15 +372,12 @@ class AdvancedContactsAPITester {
   }
 
   async testUpdateContactGroup() {
-    if (!this.testContactGroupId) {
-      this.logTestResult('Update Contact Group', false, new Error('No test contact group available'));
-      return;
-    }
+    const contactGroupId = this.context.get('contactGroupId');
 
     this.log('✏️ Testing Update Contact Group...', 'info');
     
     // First get the current contact group to get the etag/fingerprint
-    const getCurrentUrl = `${BASE_URL}/${this.testContactGroupId}`;
+    const getCurrentUrl = `${this.baseUrl}/${contactGroupId}`;
     const currentResult = await this.makeRequest(getCurrentUrl);
     
     if (!currentResult.success) {
@@ -472,18 +394,23 @@ class AdvancedContactsAPITester {
     
     const updateData = {
       contactGroup: {
-        resourceName: this.testContactGroupId,
+        resourceName: contactGroupId,
         etag: etag,  // Required for updates
         name: `Updated Test Group ${Date.now()}`
       }
     };
 
-    const url = `${BASE_URL}/${this.testContactGroupId}`;
+    const url = `${this.baseUrl}/${contactGroupId}`;
     const result = await this.makeRequest(url, {
       method: 'PUT',
       data: updateData
     });
 
+    if (result.success && (result.data.name !== updateData.contactGroup.name || result.data.etag === etag)) {
+      this.logTestResult('Update Contact Group', false, new Error(`Group still reads "${result.data.name}"`));
+      return;
+    }
+
     if (result.success) {
       this.logTestResult(`Update Contact Group (${result.data.name})`, true);
       
@@ -496,6 +423,41 @@ class AdvancedContactsAPITester {
     }
   }
 
+  async testAddContactToGroup() {
+    const contactId = this.context.get('contactId');
+    const contactGroupId = this.context.get('contactGroupId');
+
+    this.log('➕ Testing Add Contact To Group...', 'info');
+
+    const result = await this.makeRequest(`${this.baseUrl}/${contactGroupId}/members:modify`, {
+      method: 'POST',
+      data: { resourceNamesToAdd: [contactId] }
+    });
+
+    if (!result.success) {
+      this.logTestResult('Add Contact To Group', false, new Error(`${result.status}: ${result.message}`));
+      return;
+    }
+    if (result.data.notFoundResourceNames?.length) {
+      this.logTestResult('Add Contact To Group', false, new Error(`Contact not found: ${result.data.notFoundResourceNames.join(', ')}`));
+      return;
+    }
+
+    // The group should now list the contact as a member
+    const group = await this.makeRequest(`${this.baseUrl}/${contactGroupId}?maxMembers=50`);
+    if (group.success && !group.data.memberResourceNames?.includes(contactId)) {
+      this.logTestResult('Add Contact To Group', false, new Error(`${contactId} is not listed in ${contactGroupId}`));
+      return;
+    }
+
+    if (group.success) {
+      this.logTestResult(`Add Contact To Group (${group.data.memberCount} members)`, true);
+      return group.data;
+    } else {
+      this.logTestResult('Add Contact To Group', false, new Error(`${group.status}: ${group.message}`));
+    }
+  }
+
   // ============ BATCH OPERATIONS ============
 
   async testBatchCreateContacts() {
@@ -531,12 +493,17 @@ class AdvancedContactsAPITester {
       readMask: 'names,emailAddresses,metadata'
     };
 
-    const url = `${BASE_URL}/people:batchCreateContacts`;
+    const url = `${this.baseUrl}/people:batchCreateContacts`;
     const result = await this.makeRequest(url, {
       method: 'POST',
       data: batchData
     });
 
+    if (result.success && result.data.createdPeople?.length !== batchData.contacts.length) {
+      this.logTestResult('Batch Create Contacts', false, new Error(`Expected ${batchData.contacts.length} created contacts, got ${result.data.createdPeople?.length || 0}`));
+      return;
+    }
+
     if (result.success) {
       const createdContacts = result.data.createdPeople || [];
       this.logTestResult(`Batch Create Contacts (${createdContacts.length} contacts created)`, true);
@@ -544,7 +511,7 @@ class AdvancedContactsAPITester {
       // Store created contact IDs for cleanup
       createdContacts.forEach(contact => {
         if (contact.person?.resourceName) {
-          this.createdContacts.push(contact.person.resourceName);
+          this.context.append('createdContacts', contact.person.resourceName);
         }
       });
       
@@ -566,9 +533,9 @@ class AdvancedContactsAPITester {
     this.log('🧹 Cleaning up test contacts and groups...', 'info');
     
     // Delete test contacts
-    for (const contactId of this.createdContacts) {
+    for (const contactId of this.context.list('createdContacts')) {
       try {
-        const url = `${BASE_URL}/${contactId}:deleteContact`;
+        const url = `${this.baseUrl}/${contactId}:deleteContact`;
         await this.makeRequest(url, {
           method: 'DELETE'
         });
@@ -579,138 +546,54 @@ class AdvancedContactsAPITester {
     }
 
     // Delete test contact group
-    if (this.testContactGroupId) {
+    const contactGroupId = this.context.get('contactGroupId');
+    if (contactGroupId) {
       try {
-        const url = `${BASE_URL}/${this.testContactGroupId}`;
+        const url = `${this.baseUrl}/${contactGroupId}`;
         await this.makeRequest(url, {
           method: 'DELETE'
         });
-        this.log(`   Deleted contact group: ${this.testContactGroupId}`, 'test');
+        this.log(`   Deleted contact group: ${contactGroupId}`, 'test');
       } catch (error) {
-        this.log(`   Failed to delete contact group: ${this.testContactGroupId}`, 'warning');
+        this.log(`   Failed to delete contact group: ${contactGroupId}`, 'warning');
       }
     }
   }
 
-  // ============ SAVE RESULTS ============
+  // ============ TEST CASES ============
 
-  saveResults() {
-    const endTime = new Date();
-    const duration = endTime - this.startTime;
-    
-    const finalResults = {
-      testRun: {
-        startTime: this.startTime.toISOString(),
-        endTime: endTime.toISOString(),
-        duration: `${Math.round(duration / 1000)}s`,
-        durationMs: duration
-      },
-      summary: {
-        totalTests: this.results.passed + this.results.failed,
-        passed: this.results.passed,
-        failed: this.results.failed,
-        successRate: `${Math.round((this.results.passed / (this.results.passed + this.results.failed)) * 100)}%`
-      },
-      errors: this.results.errors,
-      testData: {
-        createdContactId: this.testContactId,
-        createdContactGroupId: this.testContactGroupId,
-        totalCreatedContacts: this.createdContacts.length
-      },
-      environment: {
-        tokenAvailable: !!TOKEN,
-        nodeVersion: process.version,
-        timestamp: endTime.toISOString()
-      }
-    };
-
-    // Save results as JSON
-    this.writeToFile(this.logFiles.results, JSON.stringify(finalResults, null, 2));
-    
-    // Add summary to main log
-    this.writeToFile(this.logFiles.main, `\n🏁 Test completed: ${endTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.main, `Duration: ${Math.round(duration / 1000)}s\n`);
-    this.writeToFile(this.logFiles.main, `Results: ${this.results.passed} passed, ${this.results.failed} failed\n`);
-  }
-
-  // ============ MAIN TEST RUNNER ============
-
-  async runAdvancedTests() {
-    console.log(chalk.cyan.bold('👥 ADVANCED GOOGLE CONTACTS API TESTER'));
-    console.log(chalk.cyan('============================================='));
-    console.log(chalk.yellow(`🔑 Auth Token: ${TOKEN ? 'Available' : 'Missing'}`));
-    console.log('');
-
-    if (!TOKEN || TOKEN === 'your_access_token_here') {
-      console.log(chalk.red('❌ No valid access token found'));
-      process.exit(1);
-    }
-
-    try {
+  testCases() {
+    return [
       // Basic Contact Operations
-      await this.testListContacts();
-      await this.testCreateContact();
-      await this.testGetContact();
-      await this.testUpdateContact();
-      await this.testSearchContacts();
+      { name: 'List Contacts', run: () => this.testListContacts() },
+      { name: 'Create Contact', captures: 'contactId', run: () => this.testCreateContact() },
+      { name: 'Get Contact', requires: 'contactId', run: () => this.testGetContact() },
+      { name: 'Update Contact', requires: 'contactId', run: () => this.testUpdateContact() },
+      { name: 'Search Contacts', run: () => this.testSearchContacts() },
 
       // Contact Group Operations
-      await this.testListContactGroups();
-      await this.testCreateContactGroup();
-      await this.testUpdateContactGroup();
+      { name: 'List Contact Groups', run: () => this.testListContactGroups() },
+      { name: 'Create Contact Group', captures: 'contactGroupId', run: () => this.testCreateContactGroup() },
+      { name: 'Update Contact Group', requires: 'contactGroupId', run: () => this.testUpdateContactGroup() },
+      { name: 'Add Contact To Group', requires: ['contactId', 'contactGroupId'], run: () => this.testAddContactToGroup() },
 
       // Batch Operations
-      await this.testBatchCreateContacts();
-
-      // Cleanup
-      await this.cleanup();
-
-    } catch (error) {
-      this.log(`Fatal error: ${error.message}`, 'error');
-    }
-
-    this.saveResults();
-    this.printSummary();
+      { name: 'Batch Create Contacts', run: () => this.testBatchCreateContacts() }
+    ];
   }
 
-  printSummary() {
-    console.log('');
-    console.log(chalk.cyan.bold('📊 ADVANCED CONTACTS TESTS SUMMARY'));
-    console.log(chalk.cyan('============================================='));
-    
-    if (this.results.failed === 0) {
-      console.log(chalk.green.bold('🎉 ALL ADVANCED TESTS PASSED!'));
-      console.log(chalk.green(`✅ ${this.results.passed} operations successful`));
-    } else {
-      console.log(chalk.yellow(`⚠️  ${this.results.passed} passed, ${this.results.failed} failed`));
-      
-      if (this.results.errors.length > 0) {
-        console.log('');
-        console.log(chalk.red('❌ Failed operations:'));
-        this.results.errors.forEach(error => {
-          console.log(chalk.red(`  └─ ${error.test}: ${error.error}`));
-        });
-      }
-    }
-
-    console.log('');
-    console.log(chalk.blue('🔧 Operations tested:'));
-    console.log('• Contact Management: List, Create, Get, Update, Search');
-    console.log('• Contact Groups: List, Create, Update');
-    console.log('• Batch Operations: Batch create contacts');
-    console.log('• Cleanup: Delete test contacts and groups');
-    
-    console.log('');
-    console.log(chalk.blue('📝 Log files saved:'));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
+  getTestData() {
+    return {
+      createdContactId: this.context.get('contactId'),
+      createdContactGroupId: this.context.get('contactGroupId'),
+      totalCreatedContacts: this.context.list('createdContacts').length
+    };
   }
 }
 
-// Run the advanced tests
-const tester = new AdvancedContactsAPITester();
-tester.runAdvancedTests().catch(error => {
-  console.error(chalk.red('Fatal error:'), error);
-  process.exit(1);
-}); 
\ No newline at end of file
+// Run the advanced tests (--mode=record|replay uses cassettes/, see cassette.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runStandalone(new AdvancedContactsAPITester(standaloneOptions()));
+}
+
+export default AdvancedContactsAPITester;
@@ -2,161 +2,45 @@
 
 import { install, fake, seed } from 'zod-schema-faker';
 import { z } from 'zod';
-import axios from 'axios';
-import chalk from 'chalk';
-import fs from 'fs';
 import path from 'path';
-import 'dotenv/config';
+import { fileURLToPath } from 'url';
+
+import './load-credentials.js';
+import BaseApiTester, { runStandalone, standaloneOptions } from './base-api-tester.js';
+import { startDriveMockServer } from './drive-mock-server.js';
+import { googleOAuthAuth } from './token-refresh.js';
 
 // Install zod-schema-faker
 install();
 seed(42);
 
-const TOKEN = process.env.GOOGLE_ACCESS_TOKEN;
 const BASE_URL = 'https://www.googleapis.com/drive/v3';
-
-class AdvancedDriveAPITester {
-  constructor() {
-    this.results = {
-      passed: 0,
-      failed: 0,
-      errors: []
-    };
-    this.testFileId = null;
-    this.startTime = new Date();
-    
-    // Setup logging
-    this.setupLogging();
-  }
-
-  setupLogging() {
-    // Create logs directory if it doesn't exist
-    const logsDir = path.join(process.cwd(), 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-
-    // Create timestamped log files
-    const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-');
-    this.logFiles = {
-      main: path.join(logsDir, `drive-test-${timestamp}.log`),
-      api: path.join(logsDir, `drive-api-calls-${timestamp}.log`),
-      results: path.join(logsDir, `drive-results-${timestamp}.json`)
-    };
-
-    // Initialize log files
-    this.writeToFile(this.logFiles.main, `🚀 Google Drive API Test Started: ${this.startTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.api, `API Calls Log - Started: ${this.startTime.toISOString()}\n`);
-    
-    console.log(chalk.blue(`📝 Logging to files:`));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
-    console.log('');
-  }
-
-  writeToFile(filepath, content) {
-    try {
-      fs.appendFileSync(filepath, content);
-    } catch (error) {
-      console.error(chalk.red(`Failed to write to log file: ${error.message}`));
-    }
-  }
-
-  log(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    const colors = {
-      info: chalk.blue,
-      success: chalk.green,
-      error: chalk.red,
-      warning: chalk.yellow,
-      test: chalk.cyan
-    };
-    
-    // Console output with colors
-    const coloredOutput = `${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${message}`;
-    console.log(coloredOutput);
-    
-    // File output without colors
-    const fileOutput = `${timestamp} [${type.toUpperCase()}] ${message}\n`;
-    this.writeToFile(this.logFiles.main, fileOutput);
-  }
-
-  logAPICall(method, url, requestData, response, duration) {
-    const timestamp = new Date().toISOString();
-    const apiLogEntry = {
-      timestamp,
-      method,
-      url,
-      requestData,
-      response: {
-        status: response.status,
-        success: response.success,
-        message: response.message,
-        dataSize: response.data ? JSON.stringify(response.data).length : 0
-      },
-      duration
-    };
-
-    // Write detailed API log
-    const apiLogLine = `${timestamp} ${method} ${url} - Status: ${response.status} - Duration: ${duration}ms\n`;
-    this.writeToFile(this.logFiles.api, apiLogLine);
-    
-    // Store detailed JSON for analysis
-    this.writeToFile(this.logFiles.api, `${JSON.stringify(apiLogEntry, null, 2)}\n---\n`);
-  }
-
-  logTestResult(test, success, error = null) {
-    if (success) {
-      this.results.passed++;
-      this.log(`✅ ${test}`, 'success');
-    } else {
-      this.results.failed++;
-      this.results.errors.push({ test, error: error?.message || 'Unknown error', timestamp: new Date().toISOString() });
-      this.log(`❌ ${test} - ${error?.message || 'Failed'}`, 'error');
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const startTime = Date.now();
-    const method = options.method || 'GET';
-    
-    const defaultOptions = {
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SPEC = path.join(ROOT_DIR, 'specs/google-drive-v3.yaml');
+
+class AdvancedDriveAPITester extends BaseApiTester {
+  constructor(options = {}) {
+    super({
+      name: 'drive',
+      title: 'Google Drive API',
+      banner: '🚀 ADVANCED GOOGLE DRIVE API TESTER',
+      baseUrl: BASE_URL,
+      auth: googleOAuthAuth(),
       headers: {
-        'Authorization': `Bearer ${TOKEN}`,
         'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...options.headers
+        'Accept': 'application/json'
       },
-      timeout: 15000,
+      defaultSpec: DEFAULT_SPEC,
+      mockServer: () => startDriveMockServer(),
+      operationsTested: [
+        'File Management: List, Create, Get, Update, Copy',
+        'Permissions: List, Create (sharing)',
+        'Search: Multiple query types',
+        'Folders: Create, Move files',
+        'Cleanup: Delete test files'
+      ],
       ...options
-    };
-
-    try {
-      this.log(`🔄 ${method} ${url}`, 'test');
-      const response = await axios(url, defaultOptions);
-      const duration = Date.now() - startTime;
-      
-      const result = { success: true, data: response.data, status: response.status };
-      
-      // Log API call details
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      const result = {
-        success: false,
-        status: error.response?.status,
-        message: error.response?.data?.error?.message || error.message,
-        details: error.response?.data
-      };
-      
-      // Log failed API call
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    }
+    });
   }
 
   // ============ FILE OPERATIONS ============
@@ -164,7 +48,7 @@ class AdvancedDriveAPITester {
   async testListFiles() {
     this.log('📋 Testing List Files...', 'info');
     
-    const url = `${BASE_URL}/files?pageSize=10&fields=files(id,name,mimeType,size,createdTime,modifiedTime,parents)`;
+    const url = `${this.baseUrl}/files?pageSize=10&fields=files(id,name,mimeType,size,createdTime,modifiedTime,parents)`;
     const result = await this.makeRequest(url);
     
     if (result.success && result.data.files) {
@@ -191,14 +75,19 @@ class AdvancedDriveAPITester {
       parents: [] // Will be placed in My Drive root
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/files`, {
+    const result = await this.makeRequest(`${this.baseUrl}/files`, {
       method: 'POST',
       data: fileMetadata
     });
 
+    if (result.success && result.data.name !== fileMetadata.name) {
+      this.logTestResult('Create File', false, new Error(`Expected name "${fileMetadata.name}", got "${result.data.name}"`));
+      return null;
+    }
+
     if (result.success) {
-      this.testFileId = result.data.id;
-      this.logTestResult(`Create File (ID: ${this.testFileId})`, true);
+      const fileId = this.context.capture('fileId', result.data.id);
+      this.logTestResult(`Create File (ID: ${fileId})`, true);
       this.log(`Created file details: Name: ${result.data.name}, ID: ${result.data.id}`, 'info');
       return result.data;
     } else {
@@ -208,16 +97,18 @@ class AdvancedDriveAPITester {
   }
 
   async testGetFileMetadata() {
-    if (!this.testFileId) {
-      this.logTestResult('Get File Metadata', false, new Error('No test file available'));
-      return;
-    }
+    const fileId = this.context.get('fileId');
 
     this.log('📄 Testing Get File Metadata...', 'info');
     
-    const url = `${BASE_URL}/files/${this.testFileId}?fields=id,name,mimeType,size,createdTime,modifiedTime,parents,permissions`;
+    const url = `${this.baseUrl}/files/${fileId}?fields=id,name,mimeType,size,createdTime,modifiedTime,parents,permissions`;
     const result = await this.makeRequest(url);
 
+    if (result.success && result.data.id !== fileId) {
+      this.logTestResult('Get File Metadata', false, new Error(`Expected file ${fileId}, got ${result.data.id}`));
+      return;
+    }
+
     if (result.success) {
       this.logTestResult(`Get File Metadata (${result.data.name})`, true);
       
@@ -237,10 +128,7 @@ class AdvancedDriveAPITester {
   }
 
   async testUpdateFileMetadata() {
-    if (!this.testFileId) {
-      this.logTestResult('Update File Metadata', false, new Error('No test file available'));
-      return;
-    }
+    const fileId = this.context.get('fileId');
 
     this.log('✏️ Testing Update File Metadata...', 'info');
     
@@ -249,11 +137,16 @@ class AdvancedDriveAPITester {
       description: 'This file was updated by the API tester'
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/files/${this.testFileId}`, {
+    const result = await this.makeRequest(`${this.baseUrl}/files/${fileId}`, {
       method: 'PATCH',
       data: updates
     });
 
+    if (result.success && result.data.name !== updates.name) {
+      this.logTestResult('Update File Metadata', false, new Error(`Expected name "${updates.name}", got "${result.data.name}"`));
+      return;
+    }
+
     if (result.success) {
       this.logTestResult(`Update File Metadata (New name: ${result.data.name})`, true);
       this.log(`Update applied: ${JSON.stringify(updates, null, 2)}`, 'info');
@@ -264,10 +157,7 @@ class AdvancedDriveAPITester {
   }
 
   async testCopyFile() {
-    if (!this.testFileId) {
-      this.logTestResult('Copy File', false, new Error('No test file available'));
-      return;
-    }
+    const fileId = this.context.get('fileId');
 
     this.log('📄 Testing Copy File...', 'info');
     
@@ -275,15 +165,20 @@ class AdvancedDriveAPITester {
       name: `Copy of Test File ${Date.now()}.txt`
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/files/${this.testFileId}/copy`, {
+    const result = await this.makeRequest(`${this.baseUrl}/files/${fileId}/copy`, {
       method: 'POST',
       data: copyMetadata
     });
 
+    if (result.success && (result.data.id === fileId || result.data.name !== copyMetadata.name)) {
+      this.logTestResult('Copy File', false, new Error(`Copy returned ${result.data.id} named "${result.data.name}"`));
+      return;
+    }
+
     if (result.success) {
       this.logTestResult(`Copy File (New ID: ${result.data.id})`, true);
-      this.copiedFileId = result.data.id;
-      this.log(`Original: ${this.testFileId} → Copy: ${result.data.id}`, 'info');
+      this.context.capture('copiedFileId', result.data.id);
+      this.log(`Original: ${fileId} → Copy: ${result.data.id}`, 'info');
       return result.data;
     } else {
       this.logTestResult('Copy File', false, new Error(`${result.status}: ${result.message}`));
@@ -293,14 +188,11 @@ class AdvancedDriveAPITester {
   // ============ PERMISSION OPERATIONS ============
 
   async testListPermissions() {
-    if (!this.testFileId) {
-      this.logTestResult('List Permissions', false, new Error('No test file available'));
-      return;
-    }
+    const fileId = this.context.get('fileId');
 
     this.log('🔐 Testing List Permissions...', 'info');
     
-    const url = `${BASE_URL}/files/${this.testFileId}/permissions`;
+    const url = `${this.baseUrl}/files/${fileId}/permissions`;
     const result = await this.makeRequest(url);
 
     if (result.success) {
@@ -319,10 +211,7 @@ class AdvancedDriveAPITester {
   }
 
   async testCreatePermission() {
-    if (!this.testFileId) {
-      this.logTestResult('Create Permission', false, new Error('No test file available'));
-      return;
-    }
+    const fileId = this.context.get('fileId');
 
     this.log('🔓 Testing Create Permission (Public Read)...', 'info');
     
@@ -331,14 +220,14 @@ class AdvancedDriveAPITester {
       type: 'anyone'
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/files/${this.testFileId}/permissions`, {
+    const result = await this.makeRequest(`${this.baseUrl}/files/${fileId}/permissions`, {
       method: 'POST',
       data: permission
     });
 
     if (result.success) {
       this.logTestResult(`Create Permission (${permission.role} for ${permission.type})`, true);
-      this.permissionId = result.data.id;
+      this.context.capture('permissionId', result.data.id);
       this.log(`Permission created: ID ${result.data.id}`, 'info');
       return result.data;
     } else {
@@ -355,25 +244,28 @@ class AdvancedDriveAPITester {
       "name contains 'Test'",
       "mimeType = 'text/plain'",
       "createdTime > '2024-01-01T00:00:00'",
-      "parents in 'root'"
+      "'root' in parents"
     ];
 
     let totalResults = 0;
+    const failedQueries = [];
     for (const query of searchQueries) {
-      const url = `${BASE_URL}/files?q=${encodeURIComponent(query)}&pageSize=5`;
+      const url = `${this.baseUrl}/files?q=${encodeURIComponent(query)}&pageSize=5`;
       const result = await this.makeRequest(url);
       
       if (result.success) {
         const count = result.data.files?.length || 0;
         totalResults += count;
         this.log(`   Query: "${query}" → ${count} results`, 'test');
+      } else {
+        failedQueries.push(`"${query}" (${result.status}: ${result.message})`);
       }
     }
 
-    if (totalResults >= 0) {
+    if (failedQueries.length === 0) {
       this.logTestResult(`Search Files (${searchQueries.length} queries, ${totalResults} total results)`, true);
     } else {
-      this.logTestResult('Search Files', false, new Error('Search failed'));
+      this.logTestResult('Search Files', false, new Error(`Search failed for ${failedQueries.join(', ')}`));
     }
   }
 
@@ -387,14 +279,14 @@ class AdvancedDriveAPITester {
       mimeType: 'application/vnd.google-apps.folder'
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/files`, {
+    const result = await this.makeRequest(`${this.baseUrl}/files`, {
       method: 'POST',
       data: folderMetadata
     });
 
     if (result.success) {
-      this.testFolderId = result.data.id;
-      this.logTestResult(`Create Folder (ID: ${this.testFolderId})`, true);
+      const folderId = this.context.capture('folderId', result.data.id);
+      this.logTestResult(`Create Folder (ID: ${folderId})`, true);
       this.log(`Folder created: ${result.data.name}`, 'info');
       return result.data;
     } else {
@@ -403,21 +295,24 @@ class AdvancedDriveAPITester {
   }
 
   async testMoveFileToFolder() {
-    if (!this.testFileId || !this.testFolderId) {
-      this.logTestResult('Move File to Folder', false, new Error('No test file or folder available'));
-      return;
-    }
+    const fileId = this.context.get('fileId');
+    const folderId = this.context.get('folderId');
 
     this.log('📦 Testing Move File to Folder...', 'info');
     
-    const result = await this.makeRequest(`${BASE_URL}/files/${this.testFileId}?addParents=${this.testFolderId}&removeParents=root`, {
+    const result = await this.makeRequest(`${this.baseUrl}/files/${fileId}?addParents=${folderId}&removeParents=root&fields=id,parents`, {
       method: 'PATCH',
       data: {}
     });
 
+    if (result.success && !result.data.parents?.includes(folderId)) {
+      this.logTestResult('Move File to Folder', false, new Error(`File parents are ${JSON.stringify(result.data.parents)}`));
+      return;
+    }
+
     if (result.success) {
       this.logTestResult(`Move File to Folder`, true);
-      this.log(`File ${this.testFileId} moved to folder ${this.testFolderId}`, 'info');
+      this.log(`File ${fileId} moved to folder ${folderId}`, 'info');
       return result.data;
     } else {
       this.logTestResult('Move File to Folder', false, new Error(`${result.status}: ${result.message}`));
@@ -429,15 +324,13 @@ class AdvancedDriveAPITester {
   async cleanup() {
     this.log('🧹 Cleaning up test files...', 'info');
     
-    const filesToDelete = [
-      this.testFileId,
-      this.copiedFileId,
-      this.testFolderId
-    ].filter(Boolean);
+    const filesToDelete = ['fileId', 'copiedFileId', 'folderId']
+      .map(name => this.context.get(name))
+      .filter(Boolean);
 
     for (const fileId of filesToDelete) {
       try {
-        await this.makeRequest(`${BASE_URL}/files/${fileId}`, {
+        await this.makeRequest(`${this.baseUrl}/files/${fileId}`, {
           method: 'DELETE'
         });
         this.log(`   Deleted file: ${fileId}`, 'test');
@@ -447,129 +340,46 @@ class AdvancedDriveAPITester {
     }
   }
 
-  // ============ SAVE RESULTS ============
+  // ============ TEST CASES ============
 
-  saveResults() {
-    const endTime = new Date();
-    const duration = endTime - this.startTime;
-    
-    const finalResults = {
-      testRun: {
-        startTime: this.startTime.toISOString(),
-        endTime: endTime.toISOString(),
-        duration: `${Math.round(duration / 1000)}s`,
-        durationMs: duration
-      },
-      summary: {
-        totalTests: this.results.passed + this.results.failed,
-        passed: this.results.passed,
-        failed: this.results.failed,
-        successRate: `${Math.round((this.results.passed / (this.results.passed + this.results.failed)) * 100)}%`
-      },
-      errors: this.results.errors,
-      testFiles: {
-        createdFileId: this.testFileId,
-        copiedFileId: this.copiedFileId,
-        folderId: this.testFolderId
-      },
-      environment: {
-        tokenAvailable: !!TOKEN,
-        nodeVersion: process.version,
-        timestamp: endTime.toISOString()
-      }
-    };
-
-    // Save results as JSON
-    this.writeToFile(this.logFiles.results, JSON.stringify(finalResults, null, 2));
-    
-    // Add summary to main log
-    this.writeToFile(this.logFiles.main, `\n🏁 Test completed: ${endTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.main, `Duration: ${Math.round(duration / 1000)}s\n`);
-    this.writeToFile(this.logFiles.main, `Results: ${this.results.passed} passed, ${this.results.failed} failed\n`);
-  }
-
-  // ============ MAIN TEST RUNNER ============
-
-  async runAdvancedTests() {
-    console.log(chalk.cyan.bold('🚀 ADVANCED GOOGLE DRIVE API TESTER'));
-    console.log(chalk.cyan('==========================================='));
-    console.log(chalk.yellow(`🔑 Auth Token: ${TOKEN ? 'Available' : 'Missing'}`));
-    console.log('');
-
-    if (!TOKEN || TOKEN === 'your_access_token_here') {
-      console.log(chalk.red('❌ No valid access token found'));
-      process.exit(1);
-    }
-
-    try {
+  testCases() {
+    return [
       // Basic Operations
-      await this.testListFiles();
-      await this.testCreateFile();
-      await this.testGetFileMetadata();
-      await this.testUpdateFileMetadata();
-      await this.testCopyFile();
+      { name: 'List Files', run: () => this.testListFiles() },
+      { name: 'Create File', captures: 'fileId', run: () => this.testCreateFile() },
+      { name: 'Get File Metadata', requires: 'fileId', run: () => this.testGetFileMetadata() },
+      { name: 'Update File Metadata', requires: 'fileId', run: () => this.testUpdateFileMetadata() },
+      { name: 'Copy File', requires: 'fileId', captures: 'copiedFileId', run: () => this.testCopyFile() },
 
       // Permission Operations
-      await this.testListPermissions();
-      await this.testCreatePermission();
+      { name: 'List Permissions', requires: 'fileId', run: () => this.testListPermissions() },
+      { name: 'Create Permission', requires: 'fileId', captures: 'permissionId', run: () => this.testCreatePermission() },
 
       // Search Operations
-      await this.testSearchFiles();
+      { name: 'Search Files', run: () => this.testSearchFiles() },
 
       // Folder Operations
-      await this.testCreateFolder();
-      await this.testMoveFileToFolder();
-
-      // Cleanup
-      await this.cleanup();
-
-    } catch (error) {
-      this.log(`Fatal error: ${error.message}`, 'error');
-    }
-
-    this.saveResults();
-    this.printSummary();
+      { name: 'Create Folder', captures: 'folderId', run: () => this.testCreateFolder() },
+      { name: 'Move File to Folder', requires: ['fileId', 'folderId'], run: () => this.testMoveFileToFolder() }
+    ];
   }
 
-  printSummary() {
-    console.log('');
-    console.log(chalk.cyan.bold('📊 ADVANCED TESTS SUMMARY'));
-    console.log(chalk.cyan('==========================================='));
-    
-    if (this.results.failed === 0) {
-      console.log(chalk.green.bold('🎉 ALL ADVANCED TESTS PASSED!'));
-      console.log(chalk.green(`✅ ${this.results.passed} operations successful`));
-    } else {
-      console.log(chalk.yellow(`⚠️  ${this.results.passed} passed, ${this.results.failed} failed`));
-      
-      if (this.results.errors.length > 0) {
-        console.log('');
-        console.log(chalk.red('❌ Failed operations:'));
-        this.results.errors.forEach(error => {
-          console.log(chalk.red(`  └─ ${error.test}: ${error.error}`));
-        });
-      }
-    }
-
-    console.log('');
-    console.log(chalk.blue('🔧 Operations tested:'));
-    console.log('• File Management: List, Create, Get, Update, Copy');
-    console.log('• Permissions: List, Create (sharing)');
-    console.log('• Search: Multiple query types');
-    console.log('• Folders: Create, Move files');
-    console.log('• Cleanup: Delete test files');
-    
-    console.log('');
-    console.log(chalk.blue('📝 Log files saved:'));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
+  getTestData() {
+    return {
+      createdFileId: this.context.get('fileId'),
+      copiedFileId: this.context.get('copiedFileId'),
+      folderId: this.context.get('folderId')
+    };
   }
 }
 
-// Run the advanced tests
-const tester = new AdvancedDriveAPITester();
-tester.runAdvancedTests().catch(error => {
-  console.error(chalk.red('Fatal error:'), error);
-  process.exit(1);
-}); 
\ No newline at end of file
+// Run the advanced tests (--spec[=file] reports operation coverage against the spec)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const specFlag = process.argv.slice(2).find(arg => arg.startsWith('--spec'));
+  runStandalone(new AdvancedDriveAPITester({
+    ...standaloneOptions(),
+    spec: specFlag ? (specFlag.split('=')[1] || DEFAULT_SPEC) : null
+  }));
+}
+
+export default AdvancedDriveAPITester;
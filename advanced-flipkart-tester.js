@@ -2,11 +2,11 @@
 
 import { install, fake, seed } from 'zod-schema-faker';
 import { z } from 'zod';
-import axios from 'axios';
 import chalk from 'chalk';
-import fs from 'fs';
-import path from 'path';
-import 'dotenv/config';
+
+import './load-credentials.js';
+import { HeaderAuth } from './auth-strategies.js';
+import BaseApiTester, { runStandalone, standaloneOptions } from './base-api-tester.js';
 
 // Install zod-schema-faker
 install();
@@ -16,152 +16,35 @@ const AFFILIATE_ID = process.env.FLIPKART_AFFILIATE_ID;
 const AFFILIATE_TOKEN = process.env.FLIPKART_AFFILIATE_TOKEN;
 const BASE_URL = 'https://affiliate-api.flipkart.net/affiliate';
 
-class AdvancedFlipkartAPITester {
-  constructor() {
-    this.results = {
-      passed: 0,
-      failed: 0,
-      errors: []
-    };
-    this.trackingId = AFFILIATE_ID; // Using same as affiliate ID for simplicity
-    this.testedProducts = [];
-    this.discoveredCategories = [];
-    this.discoveredOffers = [];
-    this.startTime = new Date();
-    
-    // Setup logging
-    this.setupLogging();
-  }
-
-  setupLogging() {
-    // Create logs directory if it doesn't exist
-    const logsDir = path.join(process.cwd(), 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-
-    // Create timestamped log files
-    const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-');
-    this.logFiles = {
-      main: path.join(logsDir, `flipkart-test-${timestamp}.log`),
-      api: path.join(logsDir, `flipkart-api-calls-${timestamp}.log`),
-      results: path.join(logsDir, `flipkart-results-${timestamp}.json`)
-    };
-
-    // Initialize log files
-    this.writeToFile(this.logFiles.main, `🚀 Flipkart Affiliate API Test Started: ${this.startTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.api, `API Calls Log - Started: ${this.startTime.toISOString()}\n`);
-    
-    console.log(chalk.blue(`📝 Logging to files:`));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
-    console.log('');
-  }
-
-  writeToFile(filepath, content) {
-    try {
-      fs.appendFileSync(filepath, content);
-    } catch (error) {
-      console.error(chalk.red(`Failed to write to log file: ${error.message}`));
-    }
-  }
-
-  log(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    const colors = {
-      info: chalk.blue,
-      success: chalk.green,
-      error: chalk.red,
-      warning: chalk.yellow,
-      test: chalk.cyan
-    };
-    
-    // Console output with colors
-    const coloredOutput = `${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${message}`;
-    console.log(coloredOutput);
-    
-    // File output without colors
-    const fileOutput = `${timestamp} [${type.toUpperCase()}] ${message}\n`;
-    this.writeToFile(this.logFiles.main, fileOutput);
-  }
-
-  logAPICall(method, url, requestData, response, duration) {
-    const timestamp = new Date().toISOString();
-    const apiLogEntry = {
-      timestamp,
-      method,
-      url,
-      requestData,
-      response: {
-        status: response.status,
-        success: response.success,
-        message: response.message,
-        dataSize: response.data ? JSON.stringify(response.data).length : 0
-      },
-      duration
-    };
-
-    // Write detailed API log
-    const apiLogLine = `${timestamp} ${method} ${url} - Status: ${response.status} - Duration: ${duration}ms\n`;
-    this.writeToFile(this.logFiles.api, apiLogLine);
-    
-    // Store detailed JSON for analysis
-    this.writeToFile(this.logFiles.api, `${JSON.stringify(apiLogEntry, null, 2)}\n---\n`);
-  }
-
-  logTestResult(test, success, error = null) {
-    if (success) {
-      this.results.passed++;
-      this.log(`✅ ${test}`, 'success');
-    } else {
-      this.results.failed++;
-      this.results.errors.push({ test, error: error?.message || 'Unknown error', timestamp: new Date().toISOString() });
-      this.log(`❌ ${test} - ${error?.message || 'Failed'}`, 'error');
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const startTime = Date.now();
-    const method = options.method || 'GET';
-    
-    const defaultOptions = {
+class AdvancedFlipkartAPITester extends BaseApiTester {
+  constructor(options = {}) {
+    super({
+      name: 'flipkart',
+      title: 'Flipkart Affiliate API',
+      banner: '🚀 ADVANCED FLIPKART AFFILIATE API TESTER',
+      summaryTitle: '📊 ADVANCED FLIPKART TESTS SUMMARY',
+      baseUrl: BASE_URL,
+      auth: new HeaderAuth({
+        'Fk-Affiliate-Id': { label: 'Affiliate ID', value: AFFILIATE_ID, env: 'FLIPKART_AFFILIATE_ID' },
+        'Fk-Affiliate-Token': { label: 'Affiliate Token', value: AFFILIATE_TOKEN, env: 'FLIPKART_AFFILIATE_TOKEN' }
+      }, { name: 'Flipkart affiliate' }),
       headers: {
-        'Fk-Affiliate-Id': AFFILIATE_ID,
-        'Fk-Affiliate-Token': AFFILIATE_TOKEN,
         'Accept': 'application/json',
-        'User-Agent': 'Flipkart-API-Tester/1.0',
-        ...options.headers
+        'User-Agent': 'Flipkart-API-Tester/1.0'
       },
-      timeout: 15000,
+      operationsTested: [
+        'Product Feed: Category listing, Product feeds',
+        'Search: Keyword search, Product ID lookup',
+        'Offers: All offers, Deals of the day',
+        'Reports: Orders, App installs',
+        'Analysis: Data insights and statistics'
+      ],
       ...options
-    };
-
-    try {
-      this.log(`🔄 ${method} ${url}`, 'test');
-      const response = await axios(url, defaultOptions);
-      const duration = Date.now() - startTime;
-      
-      const result = { success: true, data: response.data, status: response.status };
-      
-      // Log API call details
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      const result = {
-        success: false,
-        status: error.response?.status,
-        message: error.response?.data?.error?.message || error.message,
-        details: error.response?.data
-      };
-      
-      // Log failed API call
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    }
+    });
+    this.trackingId = AFFILIATE_ID; // Using same as affiliate ID for simplicity
+    this.testedProducts = [];
+    this.discoveredCategories = [];
+    this.discoveredOffers = [];
   }
 
   // ============ PRODUCT FEED OPERATIONS ============
@@ -175,6 +58,7 @@ class AdvancedFlipkartAPITester {
     if (result.success && result.data.apiGroups?.affiliate?.apiListings) {
       const categories = Object.keys(result.data.apiGroups.affiliate.apiListings);
       this.discoveredCategories = categories;
+      this.context.capture('category', categories[0]);
       
       this.logTestResult(`Product Feed Listing (${categories.length} categories found)`, true);
       
@@ -196,15 +80,10 @@ class AdvancedFlipkartAPITester {
   }
 
   async testCategoryProductFeed() {
-    if (this.discoveredCategories.length === 0) {
-      this.logTestResult('Category Product Feed', false, new Error('No categories available'));
-      return;
-    }
-
     this.log('📦 Testing Category Product Feed...', 'info');
     
     // Test with first available category
-    const category = this.discoveredCategories[0];
+    const category = this.context.get('category');
     
     // Note: In real implementation, you'd need to extract the actual feed URL from the listing response
     // For demo purposes, using the v1.0 endpoint structure
@@ -505,144 +384,59 @@ class AdvancedFlipkartAPITester {
     }
   }
 
-  // ============ SAVE RESULTS ============
-
-  saveResults() {
-    const endTime = new Date();
-    const duration = endTime - this.startTime;
-    
-    const finalResults = {
-      testRun: {
-        startTime: this.startTime.toISOString(),
-        endTime: endTime.toISOString(),
-        duration: `${Math.round(duration / 1000)}s`,
-        durationMs: duration
-      },
-      summary: {
-        totalTests: this.results.passed + this.results.failed,
-        passed: this.results.passed,
-        failed: this.results.failed,
-        successRate: `${Math.round((this.results.passed / (this.results.passed + this.results.failed)) * 100)}%`
-      },
-      errors: this.results.errors,
-      discoveredData: {
-        categories: this.discoveredCategories.length,
-        offers: this.discoveredOffers.length,
-        products: this.testedProducts.length,
-        sampleCategories: this.discoveredCategories.slice(0, 5),
-        sampleOffers: this.discoveredOffers.map(offer => ({
-          title: offer.title,
-          category: offer.category,
-          availability: offer.availability
-        }))
-      },
-      environment: {
-        affiliateIdAvailable: !!AFFILIATE_ID,
-        affiliateTokenAvailable: !!AFFILIATE_TOKEN,
-        nodeVersion: process.version,
-        timestamp: endTime.toISOString()
-      }
-    };
-
-    // Save results as JSON
-    this.writeToFile(this.logFiles.results, JSON.stringify(finalResults, null, 2));
-    
-    // Add summary to main log
-    this.writeToFile(this.logFiles.main, `\n🏁 Test completed: ${endTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.main, `Duration: ${Math.round(duration / 1000)}s\n`);
-    this.writeToFile(this.logFiles.main, `Results: ${this.results.passed} passed, ${this.results.failed} failed\n`);
-  }
-
-  // ============ MAIN TEST RUNNER ============
-
-  async runAdvancedTests() {
-    console.log(chalk.cyan.bold('🚀 ADVANCED FLIPKART AFFILIATE API TESTER'));
-    console.log(chalk.cyan('============================================='));
-    console.log(chalk.yellow(`🔑 Affiliate ID: ${AFFILIATE_ID ? 'Available' : 'Missing'}`));
-    console.log(chalk.yellow(`🔑 Affiliate Token: ${AFFILIATE_TOKEN ? 'Available' : 'Missing'}`));
-    console.log('');
-
-    if (!AFFILIATE_ID || !AFFILIATE_TOKEN) {
-      console.log(chalk.red('❌ Missing Flipkart affiliate credentials'));
-      console.log(chalk.yellow('Add to .env file:'));
-      console.log(chalk.gray('FLIPKART_AFFILIATE_ID=your_affiliate_id'));
-      console.log(chalk.gray('FLIPKART_AFFILIATE_TOKEN=your_affiliate_token'));
-      process.exit(1);
-    }
+  // ============ TEST CASES ============
 
-    try {
+  testCases() {
+    return [
       // Product Feed Operations
-      await this.testProductFeedListing();
-      await this.testCategoryProductFeed();
+      { name: 'Product Feed Listing', captures: 'category', run: () => this.testProductFeedListing() },
+      { name: 'Category Product Feed', requires: 'category', run: () => this.testCategoryProductFeed() },
 
       // Search Operations
-      await this.testProductSearch();
-      await this.testProductByID();
+      { name: 'Product Search', run: () => this.testProductSearch() },
+      { name: 'Product By ID', run: () => this.testProductByID() },
 
       // Offers Operations
-      await this.testAllOffers();
-      await this.testDealsOfTheDay();
+      { name: 'All Offers', run: () => this.testAllOffers() },
+      { name: 'Deals of the Day', run: () => this.testDealsOfTheDay() },
 
       // Reports Operations
-      await this.testOrdersReport();
-      await this.testAppInstallReport();
+      { name: 'Orders Report', run: () => this.testOrdersReport() },
+      { name: 'App Install Report', run: () => this.testAppInstallReport() },
 
       // Data Analysis
-      await this.performDataAnalysis();
-
-    } catch (error) {
-      this.log(`Fatal error: ${error.message}`, 'error');
-    }
+      { name: 'Data Analysis', run: () => this.performDataAnalysis() }
+    ];
+  }
 
-    this.saveResults();
-    this.printSummary();
+  getTestData() {
+    return {
+      categories: this.discoveredCategories.length,
+      offers: this.discoveredOffers.length,
+      products: this.testedProducts.length,
+      sampleCategories: this.discoveredCategories.slice(0, 5),
+      sampleOffers: this.discoveredOffers.map(offer => ({
+        title: offer.title,
+        category: offer.category,
+        availability: offer.availability
+      }))
+    };
   }
 
-  printSummary() {
-    console.log('');
-    console.log(chalk.cyan.bold('📊 ADVANCED FLIPKART TESTS SUMMARY'));
-    console.log(chalk.cyan('============================================='));
-    
-    if (this.results.failed === 0) {
-      console.log(chalk.green.bold('🎉 ALL ADVANCED TESTS PASSED!'));
-      console.log(chalk.green(`✅ ${this.results.passed} operations successful`));
-    } else {
-      console.log(chalk.yellow(`⚠️  ${this.results.passed} passed, ${this.results.failed} failed`));
-      
-      if (this.results.errors.length > 0) {
-        console.log('');
-        console.log(chalk.red('❌ Failed operations:'));
-        this.results.errors.forEach(error => {
-          console.log(chalk.red(`  └─ ${error.test}: ${error.error}`));
-        });
-      }
-    }
+  printDetails() {
+    super.printDetails();
 
-    console.log('');
-    console.log(chalk.blue('🔧 Operations tested:'));
-    console.log('• Product Feed: Category listing, Product feeds');
-    console.log('• Search: Keyword search, Product ID lookup');
-    console.log('• Offers: All offers, Deals of the day');
-    console.log('• Reports: Orders, App installs');
-    console.log('• Analysis: Data insights and statistics');
-    
     console.log('');
     console.log(chalk.blue('📈 Data discovered:'));
     console.log(`• Categories: ${this.discoveredCategories.length}`);
     console.log(`• Offers: ${this.discoveredOffers.length}`);
     console.log(`• Products: ${this.testedProducts.length}`);
-    
-    console.log('');
-    console.log(chalk.blue('📝 Log files saved:'));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
   }
 }
 
-// Run the advanced tests
-const tester = new AdvancedFlipkartAPITester();
-tester.runAdvancedTests().catch(error => {
-  console.error(chalk.red('Fatal error:'), error);
-  process.exit(1);
-});
\ No newline at end of file
+// Run the advanced tests (--mode=record|replay uses cassettes/, see cassette.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runStandalone(new AdvancedFlipkartAPITester(standaloneOptions()));
+}
+
+export default AdvancedFlipkartAPITester;
@@ -2,162 +2,43 @@
 
 import { install, fake, seed } from 'zod-schema-faker';
 import { z } from 'zod';
-import axios from 'axios';
-import chalk from 'chalk';
-import fs from 'fs';
-import path from 'path';
-import 'dotenv/config';
+
+import './load-credentials.js';
+import BaseApiTester, { runStandalone, standaloneOptions } from './base-api-tester.js';
+import { startGmailMockServer } from './gmail-mock-server.js';
+import { googleOAuthAuth } from './token-refresh.js';
 
 // Install zod-schema-faker
 install();
 seed(42);
 
-const TOKEN = process.env.GOOGLE_ACCESS_TOKEN;
 const BASE_URL = 'https://gmail.googleapis.com/gmail/v1';
 
-class AdvancedGmailAPITester {
-  constructor() {
-    this.results = {
-      passed: 0,
-      failed: 0,
-      errors: []
-    };
-    this.userId = 'me';
-    this.testMessageIds = [];
-    this.startTime = new Date();
-    
-    // Setup logging
-    this.setupLogging();
-  }
-
-  setupLogging() {
-    // Create logs directory if it doesn't exist
-    const logsDir = path.join(process.cwd(), 'logs');
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-
-    // Create timestamped log files
-    const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-');
-    this.logFiles = {
-      main: path.join(logsDir, `gmail-test-${timestamp}.log`),
-      api: path.join(logsDir, `gmail-api-calls-${timestamp}.log`),
-      results: path.join(logsDir, `gmail-results-${timestamp}.json`)
-    };
-
-    // Initialize log files
-    this.writeToFile(this.logFiles.main, `🚀 Google Gmail API Test Started: ${this.startTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.api, `API Calls Log - Started: ${this.startTime.toISOString()}\n`);
-    
-    console.log(chalk.blue(`📝 Logging to files:`));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
-    console.log('');
-  }
-
-  writeToFile(filepath, content) {
-    try {
-      fs.appendFileSync(filepath, content);
-    } catch (error) {
-      console.error(chalk.red(`Failed to write to log file: ${error.message}`));
-    }
-  }
-
-  log(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    const colors = {
-      info: chalk.blue,
-      success: chalk.green,
-      error: chalk.red,
-      warning: chalk.yellow,
-      test: chalk.cyan
-    };
-    
-    // Console output with colors
-    const coloredOutput = `${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${message}`;
-    console.log(coloredOutput);
-    
-    // File output without colors
-    const fileOutput = `${timestamp} [${type.toUpperCase()}] ${message}\n`;
-    this.writeToFile(this.logFiles.main, fileOutput);
-  }
-
-  logAPICall(method, url, requestData, response, duration) {
-    const timestamp = new Date().toISOString();
-    const apiLogEntry = {
-      timestamp,
-      method,
-      url,
-      requestData,
-      response: {
-        status: response.status,
-        success: response.success,
-        message: response.message,
-        dataSize: response.data ? JSON.stringify(response.data).length : 0
-      },
-      duration
-    };
-
-    // Write detailed API log
-    const apiLogLine = `${timestamp} ${method} ${url} - Status: ${response.status} - Duration: ${duration}ms\n`;
-    this.writeToFile(this.logFiles.api, apiLogLine);
-    
-    // Store detailed JSON for analysis
-    this.writeToFile(this.logFiles.api, `${JSON.stringify(apiLogEntry, null, 2)}\n---\n`);
-  }
-
-  logTestResult(test, success, error = null) {
-    if (success) {
-      this.results.passed++;
-      this.log(`✅ ${test}`, 'success');
-    } else {
-      this.results.failed++;
-      this.results.errors.push({ test, error: error?.message || 'Unknown error', timestamp: new Date().toISOString() });
-      this.log(`❌ ${test} - ${error?.message || 'Failed'}`, 'error');
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const startTime = Date.now();
-    const method = options.method || 'GET';
-    
-    const defaultOptions = {
+class AdvancedGmailAPITester extends BaseApiTester {
+  constructor(options = {}) {
+    super({
+      name: 'gmail',
+      title: 'Google Gmail API',
+      banner: '🚀 ADVANCED GOOGLE GMAIL API TESTER',
+      summaryTitle: '📊 ADVANCED GMAIL TESTS SUMMARY',
+      baseUrl: BASE_URL,
+      auth: googleOAuthAuth(),
+      mockServer: () => startGmailMockServer(),
       headers: {
-        'Authorization': `Bearer ${TOKEN}`,
         'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...options.headers
+        'Accept': 'application/json'
       },
-      timeout: 15000,
+      operationsTested: [
+        'Profile: Get Gmail account info',
+        'Labels: List, Create, Delete custom labels',
+        'Messages: List, Get details, Send, Modify labels',
+        'Search: Multiple search queries',
+        'Threads: List conversation threads',
+        'Cleanup: Remove test modifications'
+      ],
       ...options
-    };
-
-    try {
-      this.log(`🔄 ${method} ${url}`, 'test');
-      const response = await axios(url, defaultOptions);
-      const duration = Date.now() - startTime;
-      
-      const result = { success: true, data: response.data, status: response.status };
-      
-      // Log API call details
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      const result = {
-        success: false,
-        status: error.response?.status,
-        message: error.response?.data?.error?.message || error.message,
-        details: error.response?.data
-      };
-      
-      // Log failed API call
-      this.logAPICall(method, url, options.data, result, duration);
-      
-      return result;
-    }
+    });
+    this.userId = 'me';
   }
 
   // ============ PROFILE & BASIC INFO ============
@@ -165,9 +46,14 @@ class AdvancedGmailAPITester {
   async testGetProfile() {
     this.log('👤 Testing Get Gmail Profile...', 'info');
     
-    const url = `${BASE_URL}/users/${this.userId}/profile`;
+    const url = `${this.baseUrl}/users/${this.userId}/profile`;
     const result = await this.makeRequest(url);
     
+    if (result.success && !result.data.emailAddress) {
+      this.logTestResult('Get Gmail Profile', false, new Error('Profile has no emailAddress'));
+      return null;
+    }
+
     if (result.success) {
       this.logTestResult(`Get Gmail Profile`, true);
       
@@ -191,7 +77,7 @@ class AdvancedGmailAPITester {
   async testListLabels() {
     this.log('🏷️ Testing List Labels...', 'info');
     
-    const url = `${BASE_URL}/users/${this.userId}/labels`;
+    const url = `${this.baseUrl}/users/${this.userId}/labels`;
     const result = await this.makeRequest(url);
     
     if (result.success && result.data.labels) {
@@ -219,14 +105,19 @@ class AdvancedGmailAPITester {
       labelListVisibility: 'labelShow'
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/users/${this.userId}/labels`, {
+    const result = await this.makeRequest(`${this.baseUrl}/users/${this.userId}/labels`, {
       method: 'POST',
       data: labelData
     });
 
+    if (result.success && result.data.name !== labelData.name) {
+      this.logTestResult('Create Label', false, new Error(`Expected name "${labelData.name}", got "${result.data.name}"`));
+      return null;
+    }
+
     if (result.success) {
-      this.createdLabelId = result.data.id;
-      this.logTestResult(`Create Label (ID: ${this.createdLabelId})`, true);
+      const labelId = this.context.capture('labelId', result.data.id);
+      this.logTestResult(`Create Label (ID: ${labelId})`, true);
       this.log(`Created label: ${result.data.name}`, 'info');
       return result.data;
     } else {
@@ -240,14 +131,15 @@ class AdvancedGmailAPITester {
   async testListMessages() {
     this.log('📧 Testing List Messages...', 'info');
     
-    const url = `${BASE_URL}/users/${this.userId}/messages?maxResults=10`;
+    const url = `${this.baseUrl}/users/${this.userId}/messages?maxResults=10`;
     const result = await this.makeRequest(url);
     
     if (result.success && result.data.messages) {
       this.logTestResult(`List Messages (${result.data.messages.length} messages found)`, true);
       
       // Store message IDs for further testing
-      this.testMessageIds = result.data.messages.slice(0, 3).map(msg => msg.id);
+      this.context.capture('messageIds', result.data.messages.slice(0, 3).map(msg => msg.id));
+      this.context.capture('messageId', result.data.messages[0]?.id);
       
       this.log(`Recent messages:`, 'info');
       result.data.messages.slice(0, 5).forEach((message, index) => {
@@ -262,17 +154,17 @@ class AdvancedGmailAPITester {
   }
 
   async testGetMessageDetails() {
-    if (this.testMessageIds.length === 0) {
-      this.logTestResult('Get Message Details', false, new Error('No messages available'));
-      return;
-    }
-
     this.log('📄 Testing Get Message Details...', 'info');
     
-    const messageId = this.testMessageIds[0];
-    const url = `${BASE_URL}/users/${this.userId}/messages/${messageId}`;
+    const messageId = this.context.get('messageId');
+    const url = `${this.baseUrl}/users/${this.userId}/messages/${messageId}`;
     const result = await this.makeRequest(url);
 
+    if (result.success && (result.data.id !== messageId || !result.data.payload?.headers)) {
+      this.logTestResult('Get Message Details', false, new Error(`Message ${result.data.id} has no payload headers or the wrong id`));
+      return;
+    }
+
     if (result.success) {
       this.logTestResult(`Get Message Details`, true);
       
@@ -301,9 +193,10 @@ class AdvancedGmailAPITester {
     this.log('📤 Testing Send Email...', 'info');
     
     // Create a simple email message
+    const subject = 'API Test Email - ' + new Date().toISOString();
     const emailContent = [
       'To: rajashekarbanoth.2001@gmail.com',
-      'Subject: API Test Email - ' + new Date().toISOString(),
+      'Subject: ' + subject,
       'Content-Type: text/plain; charset=utf-8',
       '',
       'This is a test email sent via Gmail API.',
@@ -319,16 +212,31 @@ class AdvancedGmailAPITester {
       .replace(/\//g, '_')
       .replace(/=+$/, '');
 
-    const result = await this.makeRequest(`${BASE_URL}/users/${this.userId}/messages/send`, {
+    const result = await this.makeRequest(`${this.baseUrl}/users/${this.userId}/messages/send`, {
       method: 'POST',
       data: {
         raw: encodedEmail
       }
     });
 
+    if (result.success && !result.data.labelIds?.includes('SENT')) {
+      this.logTestResult('Send Email', false, new Error(`Sent message has labels ${result.data.labelIds?.join(', ') || 'none'}, expected SENT`));
+      return null;
+    }
+
     if (result.success) {
-      this.sentMessageId = result.data.id;
-      this.logTestResult(`Send Email (ID: ${this.sentMessageId})`, true);
+      // The stored message must have been parsed from the raw RFC 822 text
+      const sent = await this.makeRequest(
+        `${this.baseUrl}/users/${this.userId}/messages/${result.data.id}?format=metadata&metadataHeaders=Subject`
+      );
+      const sentSubject = sent.data?.payload?.headers?.find(h => h.name === 'Subject')?.value;
+      if (sentSubject !== subject) {
+        this.logTestResult('Send Email', false, new Error(`Sent message subject is "${sentSubject}", expected "${subject}"`));
+        return null;
+      }
+
+      const sentMessageId = this.context.capture('sentMessageId', result.data.id);
+      this.logTestResult(`Send Email (ID: ${sentMessageId})`, true);
       this.log(`Sent email ID: ${result.data.id}`, 'info');
       return result.data;
     } else {
@@ -350,21 +258,24 @@ class AdvancedGmailAPITester {
     ];
 
     let totalResults = 0;
+    const failedQueries = [];
     for (const query of searchQueries) {
-      const url = `${BASE_URL}/users/${this.userId}/messages?q=${encodeURIComponent(query)}&maxResults=5`;
+      const url = `${this.baseUrl}/users/${this.userId}/messages?q=${encodeURIComponent(query)}&maxResults=5`;
       const result = await this.makeRequest(url);
       
       if (result.success) {
         const count = result.data.messages?.length || 0;
         totalResults += count;
         this.log(`   Query: "${query}" → ${count} results`, 'test');
+      } else {
+        failedQueries.push(`"${query}" (${result.status}: ${result.message})`);
       }
     }
 
-    if (totalResults >= 0) {
+    if (failedQueries.length === 0) {
       this.logTestResult(`Search Messages (${searchQueries.length} queries, ${totalResults} total results)`, true);
     } else {
-      this.logTestResult('Search Messages', false, new Error('Search failed'));
+      this.logTestResult('Search Messages', false, new Error(`Search failed for ${failedQueries.join(', ')}`));
     }
   }
 
@@ -373,7 +284,7 @@ class AdvancedGmailAPITester {
   async testListThreads() {
     this.log('🧵 Testing List Threads...', 'info');
     
-    const url = `${BASE_URL}/users/${this.userId}/threads?maxResults=5`;
+    const url = `${this.baseUrl}/users/${this.userId}/threads?maxResults=5`;
     const result = await this.makeRequest(url);
     
     if (result.success && result.data.threads) {
@@ -394,24 +305,24 @@ class AdvancedGmailAPITester {
   // ============ MESSAGE MODIFICATION ============
 
   async testModifyMessageLabels() {
-    if (this.testMessageIds.length === 0) {
-      this.logTestResult('Modify Message Labels', false, new Error('No messages available'));
-      return;
-    }
-
     this.log('🏷️ Testing Modify Message Labels...', 'info');
     
-    const messageId = this.testMessageIds[0];
+    const messageId = this.context.get('messageId');
     const modifyData = {
       addLabelIds: ['STARRED'],
       removeLabelIds: []
     };
 
-    const result = await this.makeRequest(`${BASE_URL}/users/${this.userId}/messages/${messageId}/modify`, {
+    const result = await this.makeRequest(`${this.baseUrl}/users/${this.userId}/messages/${messageId}/modify`, {
       method: 'POST',
       data: modifyData
     });
 
+    if (result.success && !result.data.labelIds?.includes('STARRED')) {
+      this.logTestResult('Modify Message Labels', false, new Error(`Message labels are ${result.data.labelIds?.join(', ') || 'none'} after adding STARRED`));
+      return;
+    }
+
     if (result.success) {
       this.logTestResult(`Modify Message Labels (Added STARRED)`, true);
       this.log(`Modified message labels for: ${messageId}`, 'info');
@@ -427,10 +338,10 @@ class AdvancedGmailAPITester {
     this.log('🧹 Cleaning up...', 'info');
     
     // Remove star from test message
-    if (this.testMessageIds.length > 0) {
+    const messageId = this.context.get('messageId');
+    if (messageId) {
       try {
-        const messageId = this.testMessageIds[0];
-        await this.makeRequest(`${BASE_URL}/users/${this.userId}/messages/${messageId}/modify`, {
+        await this.makeRequest(`${this.baseUrl}/users/${this.userId}/messages/${messageId}/modify`, {
           method: 'POST',
           data: {
             addLabelIds: [],
@@ -444,151 +355,65 @@ class AdvancedGmailAPITester {
     }
 
     // Delete custom label
-    if (this.createdLabelId) {
+    const labelId = this.context.get('labelId');
+    if (labelId) {
       try {
-        await this.makeRequest(`${BASE_URL}/users/${this.userId}/labels/${this.createdLabelId}`, {
+        await this.makeRequest(`${this.baseUrl}/users/${this.userId}/labels/${labelId}`, {
           method: 'DELETE'
         });
-        this.log(`   Deleted label: ${this.createdLabelId}`, 'test');
+        this.log(`   Deleted label: ${labelId}`, 'test');
       } catch (error) {
-        this.log(`   Failed to delete label: ${this.createdLabelId}`, 'warning');
+        this.log(`   Failed to delete label: ${labelId}`, 'warning');
       }
     }
 
     // Note: We don't delete the sent email as it's a real email
-    if (this.sentMessageId) {
-      this.log(`   Note: Sent email ${this.sentMessageId} remains in your account`, 'test');
+    const sentMessageId = this.context.get('sentMessageId');
+    if (sentMessageId) {
+      this.log(`   Note: Sent email ${sentMessageId} remains in your account`, 'test');
     }
   }
 
-  // ============ SAVE RESULTS ============
-
-  saveResults() {
-    const endTime = new Date();
-    const duration = endTime - this.startTime;
-    
-    const finalResults = {
-      testRun: {
-        startTime: this.startTime.toISOString(),
-        endTime: endTime.toISOString(),
-        duration: `${Math.round(duration / 1000)}s`,
-        durationMs: duration
-      },
-      summary: {
-        totalTests: this.results.passed + this.results.failed,
-        passed: this.results.passed,
-        failed: this.results.failed,
-        successRate: `${Math.round((this.results.passed / (this.results.passed + this.results.failed)) * 100)}%`
-      },
-      errors: this.results.errors,
-      testData: {
-        userId: this.userId,
-        testMessageIds: this.testMessageIds,
-        sentMessageId: this.sentMessageId,
-        createdLabelId: this.createdLabelId
-      },
-      environment: {
-        tokenAvailable: !!TOKEN,
-        nodeVersion: process.version,
-        timestamp: endTime.toISOString()
-      }
-    };
+  // ============ TEST CASES ============
 
-    // Save results as JSON
-    this.writeToFile(this.logFiles.results, JSON.stringify(finalResults, null, 2));
-    
-    // Add summary to main log
-    this.writeToFile(this.logFiles.main, `\n🏁 Test completed: ${endTime.toISOString()}\n`);
-    this.writeToFile(this.logFiles.main, `Duration: ${Math.round(duration / 1000)}s\n`);
-    this.writeToFile(this.logFiles.main, `Results: ${this.results.passed} passed, ${this.results.failed} failed\n`);
-  }
-
-  // ============ MAIN TEST RUNNER ============
-
-  async runAdvancedTests() {
-    console.log(chalk.cyan.bold('🚀 ADVANCED GOOGLE GMAIL API TESTER'));
-    console.log(chalk.cyan('========================================='));
-    console.log(chalk.yellow(`🔑 Auth Token: ${TOKEN ? 'Available' : 'Missing'}`));
-    console.log('');
-
-    if (!TOKEN || TOKEN === 'your_access_token_here') {
-      console.log(chalk.red('❌ No valid access token found'));
-      process.exit(1);
-    }
-
-    try {
+  testCases() {
+    return [
       // Profile & Basic Info
-      await this.testGetProfile();
+      { name: 'Get Profile', run: () => this.testGetProfile() },
 
       // Labels Operations
-      await this.testListLabels();
-      await this.testCreateLabel();
+      { name: 'List Labels', run: () => this.testListLabels() },
+      { name: 'Create Label', captures: 'labelId', run: () => this.testCreateLabel() },
 
       // Message Operations
-      await this.testListMessages();
-      await this.testGetMessageDetails();
-      await this.testSendTestEmail();
+      { name: 'List Messages', captures: 'messageId', run: () => this.testListMessages() },
+      { name: 'Get Message Details', requires: 'messageId', run: () => this.testGetMessageDetails() },
+      { name: 'Send Test Email', captures: 'sentMessageId', run: () => this.testSendTestEmail() },
 
       // Search Operations
-      await this.testSearchMessages();
+      { name: 'Search Messages', run: () => this.testSearchMessages() },
 
       // Thread Operations
-      await this.testListThreads();
+      { name: 'List Threads', run: () => this.testListThreads() },
 
       // Message Modifications
-      await this.testModifyMessageLabels();
-
-      // Cleanup
-      await this.cleanup();
-
-    } catch (error) {
-      this.log(`Fatal error: ${error.message}`, 'error');
-    }
-
-    this.saveResults();
-    this.printSummary();
+      { name: 'Modify Message Labels', requires: 'messageId', run: () => this.testModifyMessageLabels() }
+    ];
   }
 
-  printSummary() {
-    console.log('');
-    console.log(chalk.cyan.bold('📊 ADVANCED GMAIL TESTS SUMMARY'));
-    console.log(chalk.cyan('========================================='));
-    
-    if (this.results.failed === 0) {
-      console.log(chalk.green.bold('🎉 ALL ADVANCED TESTS PASSED!'));
-      console.log(chalk.green(`✅ ${this.results.passed} operations successful`));
-    } else {
-      console.log(chalk.yellow(`⚠️  ${this.results.passed} passed, ${this.results.failed} failed`));
-      
-      if (this.results.errors.length > 0) {
-        console.log('');
-        console.log(chalk.red('❌ Failed operations:'));
-        this.results.errors.forEach(error => {
-          console.log(chalk.red(`  └─ ${error.test}: ${error.error}`));
-        });
-      }
-    }
-
-    console.log('');
-    console.log(chalk.blue('🔧 Operations tested:'));
-    console.log('• Profile: Get Gmail account info');
-    console.log('• Labels: List, Create, Delete custom labels');
-    console.log('• Messages: List, Get details, Send, Modify labels');
-    console.log('• Search: Multiple search queries');
-    console.log('• Threads: List conversation threads');
-    console.log('• Cleanup: Remove test modifications');
-    
-    console.log('');
-    console.log(chalk.blue('📝 Log files saved:'));
-    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
-    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
-    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
+  getTestData() {
+    return {
+      userId: this.userId,
+      testMessageIds: this.context.list('messageIds'),
+      sentMessageId: this.context.get('sentMessageId'),
+      createdLabelId: this.context.get('labelId')
+    };
   }
 }
 
-// Run the advanced tests
-const tester = new AdvancedGmailAPITester();
-tester.runAdvancedTests().catch(error => {
-  console.error(chalk.red('Fatal error:'), error);
-  process.exit(1);
-}); 
\ No newline at end of file
+// Run the advanced tests (--mode=record|replay uses cassettes/, see cassette.js)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runStandalone(new AdvancedGmailAPITester(standaloneOptions()));
+}
+
+export default AdvancedGmailAPITester;
@@ -0,0 +1,281 @@
+// Pluggable auth for BaseApiTester: each strategy decorates the outgoing axios config
+// and describes its own credential status for the run banner and results file.
+// secrets() lists the raw credential values so recordings can scrub them.
+
+const PLACEHOLDER_TOKEN = 'your_access_token_here';
+
+// ============ NO AUTH ============
+
+export class NoAuth {
+  constructor(options = {}) {
+    this.type = 'none';
+    this.note = options.note || 'Not required';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  describe() {
+    return [`🔓 Authentication: ${this.note}`];
+  }
+
+  missingHelp() {
+    return { message: '', hints: [] };
+  }
+
+  apply(config) {
+    return config;
+  }
+
+  secrets() {
+    return [];
+  }
+
+  status() {
+    return { authRequired: false };
+  }
+}
+
+// ============ BEARER TOKEN ============
+
+export class BearerAuth {
+  constructor(token, options = {}) {
+    this.type = 'bearer';
+    this.token = token;
+    this.label = options.label || 'Auth Token';
+    this.hints = options.hints || [];
+  }
+
+  isConfigured() {
+    return !!this.token && this.token !== PLACEHOLDER_TOKEN;
+  }
+
+  describe() {
+    return [`🔑 ${this.label}: ${this.token ? 'Available' : 'Missing'}`];
+  }
+
+  missingHelp() {
+    return { message: 'No valid access token found', hints: this.hints };
+  }
+
+  apply(config) {
+    config.headers = { ...config.headers, Authorization: `Bearer ${this.token}` };
+    return config;
+  }
+
+  secrets() {
+    return [this.token].filter(Boolean);
+  }
+
+  status() {
+    return { tokenAvailable: !!this.token };
+  }
+}
+
+// ============ OAUTH BEARER TOKEN ============
+
+// A bearer token that can be renewed with a refresh token when the API rejects it.
+// options.refresh(refreshToken) resolves to the token endpoint's response
+// ({ access_token, refresh_token? }); options.save(tokens) then persists the applied tokens
+export class OAuthBearerAuth extends BearerAuth {
+  constructor(token, options = {}) {
+    super(token, options);
+    this.type = 'oauth';
+    this.refreshToken = options.refreshToken;
+    this.refresher = options.refresh || null;
+    this.saver = options.save || null;
+    this.refreshes = 0;
+    this.pastTokens = [];
+    this.pending = null;
+  }
+
+  isConfigured() {
+    return super.isConfigured() || this.canRefresh();
+  }
+
+  canRefresh() {
+    return !!this.refresher && !!this.refreshToken && !/^your_/.test(this.refreshToken);
+  }
+
+  describe() {
+    return [
+      ...super.describe(),
+      `🔄 Refresh Token: ${this.canRefresh() ? 'Available (expired tokens are refreshed automatically)' : 'Missing'}`
+    ];
+  }
+
+  // Called with the config of a request the API answered with 401. Resolves to true when the
+  // request is worth sending again: the token was refreshed, possibly by a concurrent request.
+  // A request whose Authorization header was never ours (e.g. replaced by a hook) is left alone
+  async refreshFor(config) {
+    const sent = config.headers?.Authorization;
+    if (sent === `Bearer ${this.token}`) {
+      await this.refresh();
+      return true;
+    }
+    return this.pastTokens.some(token => sent === `Bearer ${token}`);
+  }
+
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.refresher(this.refreshToken)
+        .then(tokens => {
+          if (this.token) {
+            this.pastTokens.push(this.token);
+          }
+          this.token = tokens.access_token;
+          this.refreshToken = tokens.refresh_token || this.refreshToken;
+          this.refreshes += 1;
+          this.saver?.(tokens);
+          return tokens;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  secrets() {
+    return [this.token, this.refreshToken, ...this.pastTokens].filter(Boolean);
+  }
+
+  status() {
+    return { ...super.status(), refreshTokenAvailable: this.canRefresh(), tokenRefreshes: this.refreshes };
+  }
+}
+
+// ============ HTTP BASIC ============
+
+export class BasicAuth {
+  constructor(username, password, options = {}) {
+    this.type = 'basic';
+    this.username = username;
+    this.password = password;
+    this.label = options.label || 'Credentials';
+    this.hints = options.hints || [];
+  }
+
+  isConfigured() {
+    return !!this.username && !!this.password;
+  }
+
+  describe() {
+    return [`🔑 ${this.label}: ${this.isConfigured() ? 'Available' : 'Missing'}`];
+  }
+
+  missingHelp() {
+    return { message: `Missing ${this.label}`, hints: this.hints };
+  }
+
+  apply(config) {
+    config.auth = { username: this.username, password: this.password };
+    return config;
+  }
+
+  secrets() {
+    return [this.password, this.username && this.password
+      ? Buffer.from(`${this.username}:${this.password}`).toString('base64')
+      : null].filter(Boolean);
+  }
+
+  status() {
+    return { credentialsAvailable: this.isConfigured() };
+  }
+}
+
+// ============ STATIC HEADERS ============
+
+// credentials: { 'Header-Name': { label, value, env } }
+export class HeaderAuth {
+  constructor(credentials, options = {}) {
+    this.type = 'headers';
+    this.credentials = credentials;
+    this.name = options.name || 'API';
+  }
+
+  isConfigured() {
+    return Object.values(this.credentials).every(credential => !!credential.value);
+  }
+
+  describe() {
+    return Object.values(this.credentials)
+      .map(credential => `🔑 ${credential.label}: ${credential.value ? 'Available' : 'Missing'}`);
+  }
+
+  missingHelp() {
+    return {
+      message: `Missing ${this.name} credentials`,
+      hints: Object.values(this.credentials)
+        .filter(credential => credential.env)
+        .map(credential => `${credential.env}=your_${credential.env.toLowerCase().replace(/^[a-z]+_/, '')}`)
+    };
+  }
+
+  apply(config) {
+    const headers = Object.fromEntries(
+      Object.entries(this.credentials).map(([header, credential]) => [header, credential.value])
+    );
+    config.headers = { ...config.headers, ...headers };
+    return config;
+  }
+
+  secrets() {
+    return Object.values(this.credentials).map(credential => credential.value).filter(Boolean);
+  }
+
+  status() {
+    return Object.fromEntries(
+      Object.values(this.credentials).map(credential => [`${camelCase(credential.label)}Available`, !!credential.value])
+    );
+  }
+}
+
+// ============ QUERY PARAMETER ============
+
+export class QueryParamAuth {
+  constructor(param, value, options = {}) {
+    this.type = 'query';
+    this.param = param;
+    this.value = value;
+    this.label = options.label || 'API Key';
+    this.env = options.env || null;
+  }
+
+  isConfigured() {
+    return !!this.value;
+  }
+
+  describe() {
+    return [`🔑 ${this.label}: ${this.value ? 'Available' : 'Missing'}`];
+  }
+
+  missingHelp() {
+    return {
+      message: `Missing ${this.label}`,
+      hints: this.env ? [`${this.env}=your_${this.param}`] : []
+    };
+  }
+
+  apply(config) {
+    config.params = { ...config.params, [this.param]: this.value };
+    return config;
+  }
+
+  secrets() {
+    return [this.value].filter(Boolean);
+  }
+
+  status() {
+    return { [`${camelCase(this.label)}Available`]: !!this.value };
+  }
+}
+
+// "Affiliate ID" → affiliateId
+function camelCase(label) {
+  return label
+    .split(/\s+/)
+    .map((word, index) => index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+}
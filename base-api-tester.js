@@ -0,0 +1,840 @@
+import axios from 'axios';
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+import { NoAuth } from './auth-strategies.js';
+import Cassette, { cassettePathFor } from './cassette.js';
+import { ERROR_CODES } from './config.js';
+import ContractChecker, { checkContentType, VIOLATION_TYPES } from './contract-checker.js';
+import CoverageTracker, { coveragePathFor } from './coverage-report.js';
+import FaultInjector, { loadFaultRules } from './fault-injector.js';
+import { htmlReportPathFor, saveHtmlReport } from './html-report.js';
+import JUnitReporter, { junitPathFor } from './junit-reporter.js';
+import { loadSpec } from './openapi-loader.js';
+import { redact, redactionEnabled, redactionPaths, redactText, registerSecrets } from './redact.js';
+import RetryPolicy from './retry-policy.js';
+import StepContext from './step-context.js';
+
+// Shared plumbing for the advanced per-API testers: logging, requests, results and summary.
+// Subclasses supply testCases() plus optional cleanup(), getTestData() and summary sections.
+class BaseApiTester {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.title = options.title || options.name;
+    this.banner = options.banner || `🚀 ADVANCED ${this.title.toUpperCase()} TESTER`;
+    this.summaryTitle = options.summaryTitle || '📊 ADVANCED TESTS SUMMARY';
+    this.baseUrl = options.baseUrl;
+    this.auth = options.auth || new NoAuth();
+    this.defaultHeaders = options.headers || { 'Accept': 'application/json' };
+    this.timeout = options.timeout || 15000;
+    // Idempotent requests are retried on 5xx and dropped connections, any request on rate limiting
+    this.retryPolicy = new RetryPolicy({ ...options.retry, ...(options.retries != null && { retries: options.retries }) });
+    this.operationsTested = options.operationsTested || [];
+    this.defaultSpec = options.defaultSpec || null;
+
+    // Run controls (see cli.js). record/replay route HTTP traffic through a cassette file
+    this.mode = options.mode || 'live';
+    this.grep = options.grep ? new RegExp(options.grep, 'i') : null;
+    this.bail = !!options.bail;
+    // Known flaky tests (see quarantine.js): still run, but flagged and not bailed on
+    this.quarantine = options.quarantine || null;
+    this.cassetteFile = options.cassette || cassettePathFor(this.name);
+    this.cassetteOptions = {
+      match: typeof options.match === 'string' ? options.match.split(',').map(field => field.trim()) : options.match,
+      strict: !!options.strict,
+      // Load tests replay the same few recordings over and over
+      reuse: !!options.reuseCassette,
+      secrets: this.auth.secrets?.() || []
+    };
+    // Everything logged is masked (see redact.js); a malformed REDACT_PATHS fails here rather than mid-run
+    registerSecrets(this.cassetteOptions.secrets);
+    redactionPaths();
+    this.cassette = null;
+    // mock: async () => ({ url, auth, close }) starting a local emulator (e.g. drive-mock-server.js)
+    this.mockServerFactory = options.mockServer || null;
+    this.mockServer = null;
+
+    this.results = {
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      quarantined: 0,
+      errors: [],
+      tests: []
+    };
+    this.startTime = new Date();
+    this.lastResultAt = Date.now();
+    // Every recorded result is also a JUnit testcase, with the API calls made for it as output
+    this.junit = new JUnitReporter();
+
+    // Values passed between steps; test cases declare `captures` and `requires` (see step-context.js)
+    this.context = new StepContext();
+
+    this.hooks = {
+      beforeRequest: [],
+      afterResponse: []
+    };
+
+    // Per-route faults from --faults=<file>, plus any a test case adds with withFaults().
+    // Replayed responses never reach the network, so nothing is injected in replay mode
+    const faultRules = typeof options.faults === 'string' ? loadFaultRules(options.faults) : options.faults || [];
+    this.faults = new FaultInjector(faultRules, typeof options.faults === 'string' ? options.faults : 'faults');
+    this.addHook('beforeRequest', (config, { method, url }) => {
+      const rule = this.mode === 'replay' ? null : this.faults.match(method, url);
+      if (rule) {
+        this.log(`💥 Injecting ${rule.fault} (${rule.route})`, 'warning');
+        return { ...config, adapter: this.faults.adapterFor(rule) };
+      }
+    });
+
+    // With a spec loaded, exercised operations are computed from the actual requests;
+    // contract mode additionally checks every response against it (the tester's own spec by default)
+    const specSource = options.spec || (options.contract ? this.defaultSpec : null);
+    const spec = specSource ? (typeof specSource === 'string' ? loadSpec(specSource) : specSource) : null;
+    this.coverage = spec ? new CoverageTracker(spec, { baseUrl: this.baseUrl }) : null;
+    this.contractChecker = spec && options.contract ? new ContractChecker(spec, { baseUrl: this.baseUrl }) : null;
+
+    if (this.coverage) {
+      this.addHook('afterResponse', (result, context) => {
+        this.coverage.record(context.method, context.url, context.response?.status);
+      });
+    }
+    if (this.contractChecker || options.expectJson) {
+      this.addHook('afterResponse', (result, context) => this.checkResponseContract(result, context));
+    }
+
+    // Setup logging; load runs (see load-tester.js) write their own report and no log files
+    this.logFiles = {};
+    if (options.logToFiles !== false) {
+      this.setupLogging();
+    }
+  }
+
+  // ============ LOGGING ============
+
+  setupLogging() {
+    // Create logs directory if it doesn't exist
+    const logsDir = path.join(process.cwd(), 'logs');
+    if (!fs.existsSync(logsDir)) {
+      fs.mkdirSync(logsDir, { recursive: true });
+    }
+
+    // Create timestamped log files
+    const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-');
+    this.logFiles = {
+      main: path.join(logsDir, `${this.name}-test-${timestamp}.log`),
+      api: path.join(logsDir, `${this.name}-api-calls-${timestamp}.log`),
+      results: path.join(logsDir, `${this.name}-results-${timestamp}.json`),
+      junit: junitPathFor(this.name, this.startTime, logsDir),
+      html: htmlReportPathFor(this.name, this.startTime, logsDir)
+    };
+    if (this.coverage) {
+      this.logFiles.coverage = coveragePathFor(this.logFiles.results);
+    }
+    if (this.contractChecker) {
+      this.logFiles.contract = path.join(logsDir, `${this.name}-contract-${timestamp}.json`);
+    }
+
+    // Initialize log files
+    this.writeToFile(this.logFiles.main, `🚀 ${this.title} Test Started: ${this.startTime.toISOString()}\n`);
+    this.writeToFile(this.logFiles.api, `API Calls Log - Started: ${this.startTime.toISOString()}\n`);
+
+    console.log(chalk.blue(`📝 Logging to files:`));
+    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
+    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
+    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
+    if (!redactionEnabled()) {
+      console.log(chalk.yellow('⚠️  --no-redact: credentials are written to the console and logs unmasked'));
+    }
+    console.log('');
+  }
+
+  // Everything written to disk or the console goes through redact.js
+  writeToFile(filepath, content) {
+    if (!filepath) {
+      return;
+    }
+    try {
+      fs.appendFileSync(filepath, redactText(content));
+    } catch (error) {
+      console.error(chalk.red(`Failed to write to log file: ${error.message}`));
+    }
+  }
+
+  log(text, type = 'info') {
+    const message = redactText(text);
+    const timestamp = new Date().toISOString();
+    const colors = {
+      info: chalk.blue,
+      success: chalk.green,
+      error: chalk.red,
+      warning: chalk.yellow,
+      test: chalk.cyan
+    };
+
+    // Console output with colors
+    const coloredOutput = `${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${message}`;
+    console.log(coloredOutput);
+
+    // File output without colors
+    const fileOutput = `${timestamp} [${type.toUpperCase()}] ${message}\n`;
+    this.writeToFile(this.logFiles.main, fileOutput);
+  }
+
+  logAPICall(method, url, requestData, response, duration, retry = {}) {
+    const timestamp = new Date().toISOString();
+    const apiLogEntry = {
+      timestamp,
+      method,
+      url,
+      requestData,
+      response: {
+        status: response.status,
+        success: response.success,
+        message: response.message,
+        dataSize: response.data ? JSON.stringify(response.data).length : 0
+      },
+      duration,
+      ...retry
+    };
+
+    // Write detailed API log
+    const attempt = retry.attempt > 1 || retry.retryInMs !== undefined ? ` - Attempt ${retry.attempt}` : '';
+    const retryNote = retry.retryInMs !== undefined ? ` (retrying in ${retry.retryInMs}ms: ${retry.retryReason})` : '';
+    const apiLogLine = `${timestamp} ${method} ${url} - Status: ${response.status} - Duration: ${duration}ms${attempt}${retryNote}\n`;
+    this.writeToFile(this.logFiles.api, apiLogLine);
+
+    // Store detailed JSON for analysis
+    this.writeToFile(this.logFiles.api, `${JSON.stringify(redact(apiLogEntry), null, 2)}\n---\n`);
+
+    this.junit.captureCall({
+      method,
+      url,
+      requestData,
+      status: response.status,
+      durationMs: duration,
+      response: response.data ?? response.details,
+      error: [response.success ? null : response.message, retry.retryReason && `retrying: ${retry.retryReason}`]
+        .filter(Boolean).join('; ')
+    });
+  }
+
+  // ============ RESULT MODEL ============
+
+  // issues: the Zod issues behind a failure, shown in the HTML report
+  recordTest(test, status, error = null, issues = null) {
+    const now = Date.now();
+    const entry = {
+      name: test,
+      status,
+      durationMs: now - this.lastResultAt,
+      timestamp: new Date(now).toISOString()
+    };
+    if (error) {
+      entry.error = error;
+    }
+    this.results.tests.push(entry);
+    this.junit.record(this.name, test, status, { message: error, issues, durationMs: entry.durationMs });
+    this.lastResultAt = now;
+    return entry;
+  }
+
+  logTestResult(test, success, error = null) {
+    if (success) {
+      this.results.passed++;
+      this.recordTest(test, 'passed');
+      this.log(`✅ ${test}`, 'success');
+    } else if (this.quarantine?.has(this.name, test)) {
+      this.results.failed++;
+      this.results.quarantined++;
+      this.recordTest(test, 'failed', error?.message || 'Unknown error', error?.issues).quarantined = true;
+      this.results.errors.push({ test, error: error?.message || 'Unknown error', quarantined: true, timestamp: new Date().toISOString() });
+      this.log(`🧪 ${test} - ${error?.message || 'Failed'} (quarantined)`, 'warning');
+    } else {
+      this.results.failed++;
+      this.recordTest(test, 'failed', error?.message || 'Unknown error', error?.issues);
+      this.results.errors.push({ test, error: error?.message || 'Unknown error', timestamp: new Date().toISOString() });
+      this.log(`❌ ${test} - ${error?.message || 'Failed'}`, 'error');
+    }
+  }
+
+  logSkipped(test, reason) {
+    this.results.skipped++;
+    this.recordTest(test, 'skipped', reason);
+    this.log(`⏭️ ${test} - Skipped (${reason})`, 'warning');
+  }
+
+  // ============ REQUESTS ============
+
+  // beforeRequest(config, context) may return a replacement config;
+  // afterResponse(result, context) may return a replacement result
+  addHook(type, hook) {
+    if (!this.hooks[type]) {
+      throw new Error(`Unknown hook "${type}" (expected ${Object.keys(this.hooks).join(', ')})`);
+    }
+    this.hooks[type].push(hook);
+    return this;
+  }
+
+  errorMessage(error) {
+    const body = error.response?.data;
+    return body?.error?.message || (typeof body?.error === 'string' ? body.error : null) || error.message;
+  }
+
+  // options.retry: false or { retries, baseDelay, ... } overrides the tester's policy for this
+  // request; options.idempotent marks a POST/PATCH as safe to repeat after a 5xx
+  async makeRequest(url, options = {}) {
+    const startTime = Date.now();
+    const { retry, idempotent, ...requestOptions } = options;
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    const policy = this.retryPolicy.forRequest(retry);
+    const retryDelaysMs = [];
+    let refreshed = false;
+
+    for (let attempt = 1; ; attempt++) {
+      const attemptStart = Date.now();
+      const outcome = await this.sendRequest(method, url, requestOptions);
+
+      // An expired OAuth token is refreshed once per request and the request sent again;
+      // that doesn't count against the retries
+      if (!refreshed && (await this.refreshExpiredToken(method, url, outcome))) {
+        refreshed = true;
+        this.logAPICall(method, url, requestOptions.data, outcome.result, Date.now() - attemptStart, {
+          attempt,
+          retryInMs: 0,
+          retryReason: 'access token refreshed'
+        });
+        continue;
+      }
+
+      // Recorded here rather than in sendRequest so a 401 fixed by a refresh stays out of the
+      // cassette: replays never refresh
+      if (this.mode === 'record' && this.cassette) {
+        this.cassette.record({ method, url, params: outcome.config.params, data: outcome.config.data }, outcome.response, outcome.failure);
+      }
+
+      const retryAttempt = refreshed ? attempt - 1 : attempt;
+      const next = policy.nextRetry({ attempt: retryAttempt, method, idempotent, ...outcome });
+
+      // Every attempt is logged, including the ones that are retried
+      this.logAPICall(method, url, requestOptions.data, outcome.result, Date.now() - attemptStart, {
+        attempt,
+        ...(next && { retryInMs: next.delay, retryReason: next.reason })
+      });
+
+      if (next) {
+        this.log(`🔁 ${method} ${url}: ${next.reason}; retry ${retryAttempt}/${policy.retries} in ${next.delay}ms`, 'warning');
+        retryDelaysMs.push(next.delay);
+        // Replayed responses are already recorded, so there is nothing to wait for
+        await sleep(this.mode === 'replay' ? 0 : next.delay);
+        continue;
+      }
+
+      // retryDelaysMs: the backoff picked before each retry, which replays don't actually wait
+      let result = { ...outcome.result, attempts: attempt, retryDelaysMs };
+      const duration = Date.now() - startTime;
+      for (const hook of this.hooks.afterResponse) {
+        result = (await hook(result, { method, url, config: outcome.config, response: outcome.response, duration })) || result;
+      }
+      return result;
+    }
+  }
+
+  // True when a 401 was answered by refreshing the auth's OAuth token (see token-refresh.js).
+  // A failed refresh is logged and the 401 stands
+  async refreshExpiredToken(method, url, { config, response }) {
+    if (response?.status !== ERROR_CODES.UNAUTHORIZED || this.mode === 'replay' || !this.auth.canRefresh?.()) {
+      return false;
+    }
+
+    try {
+      if (!(await this.auth.refreshFor(config))) {
+        return false;
+      }
+    } catch (error) {
+      this.log(`🔑 ${method} ${url}: access token rejected and refresh failed: ${error.message}`, 'error');
+      return false;
+    }
+    this.cassette?.addSecrets(this.auth.secrets());
+    registerSecrets(this.auth.secrets());
+    this.log(`🔑 Access token expired; refreshed it and sending ${method} ${url} again`, 'warning');
+    return true;
+  }
+
+  // A single attempt: { config, result, response, failure }. options.quiet skips the log line,
+  // for load tests (see load-tester.js)
+  async sendRequest(method, url, options) {
+    const { quiet, ...requestOptions } = options;
+    let config = this.auth.apply({
+      timeout: this.timeout,
+      ...requestOptions,
+      headers: {
+        ...this.defaultHeaders,
+        ...requestOptions.headers
+      }
+    });
+    for (const hook of this.hooks.beforeRequest) {
+      config = (await hook(config, { method, url })) || config;
+    }
+
+    // axios' timeout only limits socket inactivity, so a body that keeps trickling in would
+    // never time out; the deadline bounds the whole request
+    const deadline = new AbortController();
+    const timer = config.timeout > 0 ? setTimeout(() => deadline.abort(), config.timeout) : null;
+
+    let result;
+    let response;
+    let failure = null;
+    try {
+      if (!quiet) {
+        this.log(`🔄 ${method} ${url}`, 'test');
+      }
+      response = this.mode === 'replay'
+        ? this.replayRequest(method, url, config)
+        : await axios(url, { signal: deadline.signal, ...config });
+      result = {
+        success: true,
+        data: response.data,
+        status: response.status,
+        contentType: response.headers['content-type'] || ''
+      };
+    } catch (error) {
+      failure = deadline.signal.aborted && !error.response
+        ? Object.assign(new Error(`timeout of ${config.timeout}ms exceeded`), { code: 'ECONNABORTED' })
+        : error;
+      response = error.response;
+      result = {
+        success: false,
+        status: error.response?.status,
+        message: this.errorMessage(failure),
+        details: error.response?.data
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // axios hands back a body it couldn't parse as a plain string
+    if (result.success && /json/i.test(result.contentType) && typeof result.data === 'string' && result.data.trim() !== '') {
+      result = {
+        success: false,
+        status: result.status,
+        message: `Malformed JSON in response body (${result.data.length} bytes)`,
+        details: { contentType: result.contentType, responseSize: result.data.length }
+      };
+    }
+
+    return { config, result, response, failure };
+  }
+
+  // Runs fn with extra fault rules active, e.g. withFaults([{ route: 'GET */symbols', fault: 'rate-limit' }], ...)
+  async withFaults(rules, fn) {
+    const added = this.faults.add(rules, this.name);
+    try {
+      return await fn();
+    } finally {
+      this.faults.remove(added);
+    }
+  }
+
+  // Only a content-type mismatch fails the request; other violations are reported at the end
+  checkResponseContract(result, { method, url, response }) {
+    if (!response) {
+      return result;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    let problem;
+
+    if (this.contractChecker) {
+      const { violations } = this.contractChecker.check({
+        method,
+        url,
+        status: response.status,
+        contentType,
+        data: response.data
+      });
+      violations.forEach(violation => {
+        this.log(`📜 Contract: [${violation.type}] ${violation.message}`, 'warning');
+      });
+      problem = violations.find(violation => violation.type === VIOLATION_TYPES.CONTENT_TYPE_MISMATCH)?.message;
+    } else {
+      // Without a spec only JSON is acceptable
+      problem = checkContentType(contentType);
+    }
+
+    if (!problem || !result.success) {
+      return result;
+    }
+    return {
+      success: false,
+      status: response.status,
+      message: problem,
+      details: { contentType, responseSize: response.data?.length }
+    };
+  }
+
+  // ============ MOCK SERVER ============
+
+  async startMockServer() {
+    if (!this.mockServerFactory) {
+      console.log(chalk.red(`❌ ${this.title} has no mock server; use --mode=live, record or replay`));
+      return false;
+    }
+    this.mockServer = await this.mockServerFactory();
+    this.baseUrl = this.mockServer.url;
+    if (this.mockServer.auth) {
+      this.auth = this.mockServer.auth;
+      registerSecrets(this.auth.secrets?.() || []);
+    }
+    return true;
+  }
+
+  async stopMockServer() {
+    await this.mockServer?.close();
+    this.mockServer = null;
+  }
+
+  // ============ RECORD / REPLAY ============
+
+  prepareCassette() {
+    if (this.mode === 'record') {
+      this.cassette = new Cassette(this.cassetteFile, this.cassetteOptions);
+      console.log(chalk.magenta(`📼 Recording HTTP interactions to ${path.relative(process.cwd(), this.cassetteFile)}`));
+    } else if (this.mode === 'replay') {
+      try {
+        this.cassette = Cassette.load(this.cassetteFile, this.cassetteOptions);
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        return false;
+      }
+      console.log(chalk.magenta(`📼 Replaying ${this.cassette.interactions.length} interactions from ${path.relative(process.cwd(), this.cassetteFile)}`));
+    }
+    return true;
+  }
+
+  // Mirrors axios: 2xx resolves, anything else throws with error.response set
+  replayRequest(method, url, config) {
+    const recorded = this.cassette.play({ method, url, params: config.params, data: config.data });
+    if (!recorded) {
+      throw new Error(`No recorded interaction for ${method} ${url} in ${path.basename(this.cassetteFile)}`);
+    }
+    if (recorded.status === null) {
+      const error = new Error(recorded.error);
+      error.code = recorded.code;
+      throw error;
+    }
+
+    const response = { status: recorded.status, headers: recorded.headers || {}, data: recorded.data };
+    if (recorded.status < 200 || recorded.status >= 300) {
+      const error = new Error(`Request failed with status code ${recorded.status}`);
+      error.response = response;
+      throw error;
+    }
+    return response;
+  }
+
+  finishCassette() {
+    if (this.mode === 'record') {
+      this.cassette.save({ api: this.name, title: this.title });
+      this.log(`📼 Saved ${this.cassette.interactions.length} interactions to ${this.cassetteFile}`, 'info');
+    } else if (this.mode === 'replay' && this.cassette.unusedCount() > 0) {
+      this.log(`📼 ${this.cassette.unusedCount()} recorded interactions were not replayed`, 'warning');
+    }
+  }
+
+  // ============ TEST CASES ============
+
+  // [{ name, run, captures?, requires? }] in execution order; a case whose `requires` values
+  // were never captured is skipped rather than run
+  testCases() {
+    return [];
+  }
+
+  selectedTestCases() {
+    const testCases = this.testCases();
+    if (!this.grep) {
+      return testCases;
+    }
+
+    const selected = testCases.filter(testCase => this.grep.test(testCase.name));
+    this.log(`🔎 --grep ${this.grep.source}: ${selected.length}/${testCases.length} test cases selected`, 'info');
+    return selected;
+  }
+
+  async cleanup() {}
+
+  // Runs after the test cases and cleanup, before results are saved
+  async afterTests() {}
+
+  getTestData() {
+    return {};
+  }
+
+  // ============ SAVE RESULTS ============
+
+  getFinalResults() {
+    const endTime = new Date();
+    const duration = endTime - this.startTime;
+    const totalTests = this.results.passed + this.results.failed;
+
+    return {
+      testRun: {
+        api: this.name,
+        mode: this.mode,
+        startTime: this.startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        duration: `${Math.round(duration / 1000)}s`,
+        durationMs: duration
+      },
+      summary: {
+        totalTests,
+        passed: this.results.passed,
+        failed: this.results.failed,
+        skipped: this.results.skipped,
+        quarantined: this.results.quarantined,
+        successRate: totalTests > 0 ? `${Math.round((this.results.passed / totalTests) * 100)}%` : 'N/A'
+      },
+      tests: this.results.tests,
+      errors: this.results.errors,
+      testData: this.getTestData(),
+      ...(this.faults.rules.length > 0 && { faults: this.faults.summary() }),
+      environment: {
+        authType: this.auth.type,
+        ...this.auth.status(),
+        baseUrl: this.baseUrl,
+        nodeVersion: process.version,
+        timestamp: endTime.toISOString()
+      }
+    };
+  }
+
+  saveResults() {
+    const finalResults = this.getFinalResults();
+
+    // Save results as JSON
+    this.writeToFile(this.logFiles.results, JSON.stringify(redact(finalResults), null, 2));
+    this.junit.suite(this.name, { title: this.title, mode: this.mode, baseUrl: this.baseUrl });
+    this.junit.save(this.logFiles.junit);
+    saveHtmlReport(this.junit, this.logFiles.html, { title: `${this.title} Test Report`, mode: this.mode });
+    this.coverage?.saveReport(this.logFiles.coverage);
+    this.contractChecker?.saveReport(this.logFiles.contract);
+
+    // Add summary to main log
+    this.writeToFile(this.logFiles.main, `\n🏁 Test completed: ${finalResults.testRun.endTime}\n`);
+    this.writeToFile(this.logFiles.main, `Duration: ${finalResults.testRun.duration}\n`);
+    this.writeToFile(this.logFiles.main,
+      `Results: ${this.results.passed} passed, ${this.results.failed} failed, ${this.results.skipped} skipped\n`);
+    return finalResults;
+  }
+
+  // ============ MAIN TEST RUNNER ============
+
+  printHeader() {
+    console.log(chalk.cyan.bold(this.banner));
+    console.log(chalk.cyan('==========================================='));
+    if (this.mockServer) {
+      console.log(chalk.magenta(`🧪 Mock server: ${this.mockServer.url}`));
+    }
+    this.auth.describe().forEach(line => console.log(chalk.yellow(line)));
+    this.headerLines().forEach(line => console.log(line));
+    console.log('');
+  }
+
+  // Extra, already-coloured banner lines
+  headerLines() {
+    return [];
+  }
+
+  checkCredentials() {
+    // Replayed responses were recorded with real credentials and mock servers bring their own
+    if (this.mode === 'replay' || this.mode === 'mock' || this.auth.isConfigured()) {
+      return true;
+    }
+
+    const { message, hints } = this.auth.missingHelp();
+    console.log(chalk.red(`❌ ${message}`));
+    if (hints.length > 0) {
+      console.log(chalk.yellow('Add to .env file:'));
+      hints.forEach(hint => console.log(chalk.gray(hint)));
+    }
+    return false;
+  }
+
+  // Resolves to the saved results, or null when credentials are missing
+  async runAdvancedTests() {
+    if (this.mode === 'mock' && !(await this.startMockServer())) {
+      return null;
+    }
+    this.printHeader();
+
+    if (!this.checkCredentials() || !this.prepareCassette()) {
+      await this.stopMockServer();
+      return null;
+    }
+
+    try {
+      const testCases = this.selectedTestCases();
+      this.context.declare(this.testCases());
+
+      for (const testCase of testCases) {
+        const failedBefore = this.results.failed - this.results.quarantined;
+        this.lastResultAt = Date.now();
+        this.context.begin(testCase.name);
+
+        const missing = this.context.unmet(testCase.requires);
+        if (missing.length > 0) {
+          const { reason, detail } = this.context.explain(missing);
+          this.logSkipped(testCase.name, reason);
+          this.log(`   ${detail}`, 'test');
+          continue;
+        }
+
+        await testCase.run();
+
+        if (this.bail && this.results.failed - this.results.quarantined > failedBefore) {
+          this.log(`⛔ Bailing out: "${testCase.name}" failed`, 'warning');
+          break;
+        }
+      }
+    } catch (error) {
+      this.log(`Fatal error: ${error.message}`, 'error');
+    }
+
+    try {
+      await this.cleanup();
+      await this.afterTests();
+    } catch (error) {
+      this.log(`Cleanup error: ${error.message}`, 'error');
+    }
+    this.finishCassette();
+    await this.stopMockServer();
+    await this.faults.close();
+
+    const finalResults = this.saveResults();
+    this.printSummary();
+    return finalResults;
+  }
+
+  // ============ SUMMARY ============
+
+  printSummary() {
+    console.log('');
+    console.log(chalk.cyan.bold(this.summaryTitle));
+    console.log(chalk.cyan('==========================================='));
+
+    this.printOutcome();
+    this.printDetails();
+    this.printReports();
+    this.printLogFiles();
+  }
+
+  printOutcome() {
+    if (this.results.failed === 0) {
+      console.log(chalk.green.bold('🎉 ALL ADVANCED TESTS PASSED!'));
+      console.log(chalk.green(`✅ ${this.results.passed} operations successful`));
+    } else {
+      console.log(chalk.yellow(`⚠️  ${this.results.passed} passed, ${this.results.failed} failed`));
+
+      if (this.results.errors.length > 0) {
+        console.log('');
+        console.log(chalk.red('❌ Failed operations:'));
+        this.results.errors.forEach(error => {
+          console.log(chalk.red(`  └─ ${error.test}: ${redactText(error.error)}${error.quarantined ? ' (quarantined)' : ''}`));
+        });
+      }
+    }
+
+    if (this.results.skipped > 0) {
+      console.log(chalk.yellow(`⏭️  ${this.results.skipped} skipped`));
+    }
+  }
+
+  // Hand-written list of what the tester covers; replaced by the coverage table when a spec is loaded
+  printDetails() {
+    if (this.coverage || this.operationsTested.length === 0) {
+      return;
+    }
+
+    console.log('');
+    console.log(chalk.blue('🔧 Operations tested:'));
+    this.operationsTested.forEach(line => console.log(`• ${line}`));
+    if (this.defaultSpec) {
+      console.log(chalk.gray(`  (run with --spec to compute coverage from ${this.defaultSpec})`));
+    }
+  }
+
+  printReports() {
+    this.contractChecker?.printReport();
+    this.coverage?.printTable();
+    this.printFaults();
+  }
+
+  printFaults() {
+    if (this.faults.injectedCount === 0) {
+      return;
+    }
+
+    console.log('');
+    console.log(chalk.magenta(`💥 Injected faults (${this.faults.injectedCount}):`));
+    this.faults.summary().filter(rule => rule.injected > 0).forEach(rule => {
+      console.log(chalk.magenta(`  └─ ${rule.fault} on ${rule.route}: ${rule.injected}/${rule.matched} matching requests`));
+    });
+  }
+
+  printLogFiles() {
+    console.log('');
+    console.log(chalk.blue('📝 Log files saved:'));
+    console.log(chalk.gray(`   Main log: ${this.logFiles.main}`));
+    console.log(chalk.gray(`   API calls: ${this.logFiles.api}`));
+    console.log(chalk.gray(`   Results: ${this.logFiles.results}`));
+    console.log(chalk.gray(`   JUnit: ${this.logFiles.junit}`));
+    console.log(chalk.gray(`   HTML report: ${this.logFiles.html}`));
+    if (this.contractChecker) {
+      console.log(chalk.gray(`   Contract: ${this.logFiles.contract}`));
+    }
+    if (this.coverage) {
+      console.log(chalk.gray(`   Coverage: ${this.logFiles.coverage}`));
+    }
+    if (this.mode === 'record') {
+      console.log(chalk.gray(`   Cassette: ${this.cassetteFile}`));
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Standalone entry point shared by the tester scripts: missing credentials exit 1
+// --mode, --cassette, --match, --strict, --grep, --bail, --faults and --retries for `node advanced-x-tester.js ...`
+// (--no-redact is read by redact.js itself)
+export function standaloneOptions(argv = process.argv.slice(2)) {
+  const value = name => argv.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+  return {
+    mode: value('mode') || 'live',
+    cassette: value('cassette'),
+    match: value('match'),
+    strict: argv.includes('--strict'),
+    grep: value('grep'),
+    bail: argv.includes('--bail'),
+    faults: value('faults'),
+    retries: value('retries') === undefined ? undefined : Number(value('retries'))
+  };
+}
+
+export function runStandalone(tester) {
+  return tester.runAdvancedTests()
+    .then(results => {
+      if (!results) {
+        process.exit(1);
+      }
+      return results;
+    })
+    .catch(error => {
+      console.error(chalk.red('Fatal error:'), error);
+      process.exit(1);
+    });
+}
+
+export default BaseApiTester;
@@ -0,0 +1,757 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+import express from 'express';
+
+import {
+  GoogleApiError, apiHandler, requireBearerToken, addFallbackHandlers,
+  encodePageToken, decodePageToken, listenMockServer
+} from './mock-server-utils.js';
+import {
+  RecurrenceError, expandRecurrence, isValidTimeZone, toWall, fromWall, formatDateTime, formatDate
+} from './rrule.js';
+
+// Stateful in-memory Google Calendar v3 emulator for mock mode. Stores calendars and events,
+// expands RRULE/RDATE/EXDATE recurrences (rrule.js) into instances for events.instances and
+// singleEvents=true, and honours timeMin/timeMax/q filtering and time zones. Instances can be
+// patched or cancelled individually, like recurring event exceptions in the real API.
+//
+//   node calendar-mock-server.js --port=4012
+//   node advanced-calendar-tester.js --mode=mock   (starts its own instance on a free port)
+
+export const MOCK_TOKEN = 'mock-calendar-access-token';
+export const MOCK_EMAIL = 'mock.user@example.com';
+export const MOCK_TIME_ZONE = 'America/New_York';
+
+const BASE_PATH = '/calendar/v3';
+const DAY = 24 * 60 * 60 * 1000;
+const HOLIDAY_CALENDAR_ID = 'en.usa#holiday@group.v.calendar.google.com';
+const MAX_INSTANCES = 2500;
+const WRITABLE_FIELDS = [
+  'summary', 'description', 'location', 'colorId', 'status', 'reminders', 'attendees', 'transparency',
+  'visibility', 'extendedProperties', 'guestsCanModify', 'guestsCanInviteOthers', 'guestsCanSeeOtherGuests', 'source'
+];
+const STATUSES = ['confirmed', 'tentative', 'cancelled'];
+const SETTINGS = {
+  timezone: MOCK_TIME_ZONE,
+  locale: 'en',
+  weekStart: '0',
+  format24HourTime: 'false',
+  dateFieldOrder: 'MDY',
+  defaultEventLength: '60',
+  hideWeekends: 'false',
+  showDeclinedEvents: 'true'
+};
+
+// ============ ERRORS ============
+
+const notFound = () => new GoogleApiError(404, 'notFound', 'Not Found');
+const invalid = message => new GoogleApiError(400, 'invalid', message);
+
+// ============ TIMES ============
+
+const RFC3339 = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/i;
+
+function startOfDay(wall) {
+  return wall - (wall % DAY + DAY) % DAY;
+}
+
+// timeMin/timeMax must carry an offset
+function parseBound(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const match = String(value).match(RFC3339);
+  if (!match || !match[7] || Number.isNaN(Date.parse(value))) {
+    throw new GoogleApiError(400, 'badRequest', `Bad Request: invalid ${name}`);
+  }
+  return Date.parse(value);
+}
+
+// One side of an event's start/end, as given by the client
+function parseEventTime(value, field, calendarZone, recurring) {
+  if (!value || typeof value !== 'object') {
+    throw invalid(`Missing ${field} time.`);
+  }
+  if (value.date && value.dateTime) {
+    throw invalid(`Invalid ${field} time.`);
+  }
+  if (value.timeZone !== undefined && !isValidTimeZone(value.timeZone)) {
+    throw invalid(`Invalid time zone definition for ${field} time.`);
+  }
+
+  if (value.date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value.date) || Number.isNaN(Date.parse(value.date))) {
+      throw invalid(`Invalid ${field} time.`);
+    }
+    const wall = Date.parse(`${value.date}T00:00:00Z`);
+    return { allDay: true, wall, instant: fromWall(wall, calendarZone), timeZone: null };
+  }
+
+  const match = typeof value.dateTime === 'string' && value.dateTime.match(RFC3339);
+  if (!match) {
+    throw invalid(`Invalid ${field} time.`);
+  }
+  // Recurring events need a zone to expand in; plain ones need an offset or a zone
+  if ((recurring || !match[7]) && !value.timeZone) {
+    throw invalid(`Missing time zone definition for ${field} time.`);
+  }
+  const [, year, month, day, hour, minute, second = 0] = match.map(Number);
+  const instant = match[7]
+    ? Date.parse(value.dateTime)
+    : fromWall(Date.UTC(year, month - 1, day, hour, minute, second), value.timeZone);
+  return { allDay: false, instant, timeZone: value.timeZone || null };
+}
+
+function parseEventTimes(body, calendarZone) {
+  const recurring = Array.isArray(body.recurrence) && body.recurrence.length > 0;
+  const start = parseEventTime(body.start, 'start', calendarZone, recurring);
+  const end = parseEventTime(body.end, 'end', calendarZone, recurring);
+  if (start.allDay !== end.allDay) {
+    throw invalid('Invalid end time.');
+  }
+  if (end.instant <= start.instant) {
+    throw invalid('The specified time range is empty.');
+  }
+  return {
+    allDay: start.allDay,
+    startInstant: start.instant,
+    endInstant: end.instant,
+    startWall: start.wall,
+    endWall: end.wall,
+    startZone: start.timeZone,
+    endZone: end.timeZone
+  };
+}
+
+function timeResource(times, side, outputZone) {
+  if (times.allDay) {
+    return { date: formatDate(times[`${side}Wall`]) };
+  }
+  const zone = times[`${side}Zone`];
+  return { dateTime: formatDateTime(times[`${side}Instant`], outputZone), ...(zone && { timeZone: zone }) };
+}
+
+// Instance ids end in the original start: _20240115T143000Z, or _20240115 for all-day events
+function instanceSuffix(occurrence, allDay) {
+  return allDay
+    ? formatDate(occurrence.wall).replace(/-/g, '')
+    : new Date(occurrence.instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ============ STATE ============
+
+// Event ids use base32hex characters, like the real API
+function newId(length = 26) {
+  return Array.from(crypto.randomBytes(length), byte => '0123456789abcdefghijklmnopqrstuv'[byte % 32]).join('');
+}
+
+let etagCounter = 0;
+function newEtag() {
+  etagCounter += 1;
+  return `"${Date.now()}${String(etagCounter).padStart(3, '0')}"`;
+}
+
+export class CalendarState {
+  constructor(options = {}) {
+    this.owner = options.emailAddress || MOCK_EMAIL;
+    this.calendars = new Map();
+    this.settings = { ...SETTINGS, ...(options.timeZone && { timezone: options.timeZone }) };
+
+    this.addCalendar({ id: this.owner, summary: this.owner, timeZone: this.settings.timezone, primary: true });
+    this.addCalendar({ id: HOLIDAY_CALENDAR_ID, summary: 'Holidays in United States', timeZone: MOCK_TIME_ZONE, accessRole: 'reader' });
+    (options.seed || defaultSeed(this)).forEach(({ calendarId, event }) => this.insertEvent(calendarId, event, { force: true }));
+  }
+
+  // ============ CALENDARS ============
+
+  addCalendar({ id, summary, description, location, timeZone, primary = false, accessRole = 'owner' }) {
+    const calendar = {
+      id, summary, description, location, timeZone, primary, accessRole,
+      owner: accessRole === 'owner' ? this.owner : id,
+      etag: newEtag(),
+      events: new Map()
+    };
+    this.calendars.set(id, calendar);
+    return calendar;
+  }
+
+  getCalendar(calendarId) {
+    const calendar = this.calendars.get(calendarId === 'primary' ? this.owner : calendarId);
+    if (!calendar) {
+      throw notFound();
+    }
+    return calendar;
+  }
+
+  requireWriter(calendar) {
+    if (!['owner', 'writer'].includes(calendar.accessRole)) {
+      throw new GoogleApiError(403, 'requiredAccessLevel', 'You need to have writer access to this calendar.');
+    }
+  }
+
+  createCalendar(body) {
+    if (!body.summary) {
+      throw invalid('Missing summary.');
+    }
+    if (body.timeZone !== undefined && !isValidTimeZone(body.timeZone)) {
+      throw invalid('Invalid time zone.');
+    }
+    return this.addCalendar({
+      id: `${newId()}@group.calendar.google.com`,
+      summary: body.summary,
+      description: body.description,
+      location: body.location,
+      timeZone: body.timeZone || this.settings.timezone
+    });
+  }
+
+  updateCalendar(calendarId, body) {
+    const calendar = this.getCalendar(calendarId);
+    this.requireWriter(calendar);
+    if (body.timeZone !== undefined && !isValidTimeZone(body.timeZone)) {
+      throw invalid('Invalid time zone.');
+    }
+    ['summary', 'description', 'location', 'timeZone'].forEach(field => {
+      if (body[field] !== undefined) {
+        calendar[field] = body[field];
+      }
+    });
+    calendar.etag = newEtag();
+    return calendar;
+  }
+
+  deleteCalendar(calendarId) {
+    const calendar = this.getCalendar(calendarId);
+    if (calendar.primary) {
+      throw invalid('Cannot delete primary calendar.');
+    }
+    this.requireWriter(calendar);
+    this.calendars.delete(calendar.id);
+  }
+
+  // ============ EVENTS ============
+
+  validateEvent(body, calendar) {
+    if (body.status !== undefined && !STATUSES.includes(body.status)) {
+      throw invalid(`Invalid value for: status ${body.status}`);
+    }
+    if (body.colorId !== undefined && !/^(?:[1-9]|1[01])$/.test(String(body.colorId))) {
+      throw invalid('Invalid color id.');
+    }
+    if (body.recurrence !== undefined && !Array.isArray(body.recurrence)) {
+      throw invalid('Invalid recurrence rule.');
+    }
+    const times = parseEventTimes(body, calendar.timeZone);
+    if (body.recurrence?.length > 0) {
+      try {
+        this.occurrences({ recurrence: body.recurrence, times }, calendar, { limit: 1 });
+      } catch (error) {
+        if (error instanceof RecurrenceError) {
+          throw invalid(`Invalid recurrence rule. ${error.message}`);
+        }
+        throw error;
+      }
+    }
+    return times;
+  }
+
+  insertEvent(calendarId, body, { force = false } = {}) {
+    const calendar = this.getCalendar(calendarId);
+    if (!force) {
+      this.requireWriter(calendar);
+    }
+    if (body.id !== undefined) {
+      if (!/^[a-v0-9]{5,1024}$/.test(body.id)) {
+        throw invalid('Invalid resource id value.');
+      }
+      if (calendar.events.has(body.id)) {
+        throw new GoogleApiError(409, 'duplicate', 'The requested identifier already exists.');
+      }
+    }
+
+    const times = this.validateEvent(body, calendar);
+    const now = new Date().toISOString();
+    const event = {
+      id: body.id || newId(),
+      fields: pick(body, WRITABLE_FIELDS),
+      times,
+      recurrence: body.recurrence?.length > 0 ? [...body.recurrence] : null,
+      exceptions: new Map(),
+      created: now,
+      updated: now,
+      sequence: 0,
+      etag: newEtag()
+    };
+    event.fields.status = event.fields.status || 'confirmed';
+    calendar.events.set(event.id, event);
+    return event;
+  }
+
+  // A stored event, or a (possibly modified) instance of a recurring one by its instance id
+  findEvent(calendar, eventId) {
+    const event = calendar.events.get(eventId);
+    if (event) {
+      return { event, instance: null };
+    }
+    const match = eventId.match(/^(.+)_(\d{8}(?:T\d{6}Z)?)$/);
+    const master = match && calendar.events.get(match[1]);
+    if (!master?.recurrence || master.fields.status === 'cancelled') {
+      throw notFound();
+    }
+    const instance = this.instances(master, calendar, { includeCancelled: true })
+      .find(candidate => candidate.suffix === match[2]);
+    if (!instance) {
+      throw notFound();
+    }
+    return { event: master, instance };
+  }
+
+  updateEvent(calendarId, eventId, body, { replace = false } = {}) {
+    const calendar = this.getCalendar(calendarId);
+    this.requireWriter(calendar);
+    const { event, instance } = this.findEvent(calendar, eventId);
+    const now = new Date().toISOString();
+
+    if (instance) {
+      const exception = event.exceptions.get(instance.suffix) || { fields: {} };
+      const merged = { ...instance.fields, ...pick(body, WRITABLE_FIELDS) };
+      const times = body.start || body.end
+        ? parseEventTimes({ start: body.start || timeInput(instance.times, 'start'), end: body.end || timeInput(instance.times, 'end') }, calendar.timeZone)
+        : exception.times;
+      event.exceptions.set(instance.suffix, { fields: merged, ...(times && { times }), updated: now });
+      event.etag = newEtag();
+      return this.instances(event, calendar, { includeCancelled: true }).find(candidate => candidate.suffix === instance.suffix);
+    }
+
+    if (event.fields.status === 'cancelled' && body.status !== 'confirmed') {
+      throw new GoogleApiError(410, 'deleted', 'Resource has been deleted');
+    }
+    const next = replace
+      ? { ...body }
+      : {
+        ...event.fields,
+        start: timeInput(event.times, 'start'),
+        end: timeInput(event.times, 'end'),
+        ...(event.recurrence && { recurrence: event.recurrence }),
+        ...body
+      };
+    event.times = this.validateEvent(next, calendar);
+    event.fields = { ...pick(next, WRITABLE_FIELDS), status: next.status || 'confirmed' };
+    event.recurrence = next.recurrence?.length > 0 ? [...next.recurrence] : null;
+    event.updated = now;
+    event.sequence += 1;
+    event.etag = newEtag();
+    return event;
+  }
+
+  // Deleted events stay visible with showDeleted=true; deleting twice is 410 Gone
+  deleteEvent(calendarId, eventId) {
+    const calendar = this.getCalendar(calendarId);
+    this.requireWriter(calendar);
+    const { event, instance } = this.findEvent(calendar, eventId);
+    const current = instance || event;
+    if (current.fields.status === 'cancelled') {
+      throw new GoogleApiError(410, 'deleted', 'Resource has been deleted');
+    }
+    if (instance) {
+      const exception = event.exceptions.get(instance.suffix) || { fields: { ...instance.fields } };
+      exception.fields = { ...exception.fields, status: 'cancelled' };
+      event.exceptions.set(instance.suffix, exception);
+    } else {
+      event.fields.status = 'cancelled';
+    }
+    event.updated = new Date().toISOString();
+    event.etag = newEtag();
+  }
+
+  // ============ RECURRENCE ============
+
+  occurrences(event, calendar, { rangeEnd, limit = MAX_INSTANCES } = {}) {
+    const { times } = event;
+    const timeZone = times.allDay ? 'UTC' : times.startZone || calendar.timeZone;
+    const start = times.allDay ? times.startWall : toWall(times.startInstant, timeZone);
+    // All-day occurrences are compared as UTC dates, so leave a day of slack at the end
+    const end = rangeEnd !== undefined && times.allDay ? rangeEnd + DAY : rangeEnd;
+    return expandRecurrence(event.recurrence, start, { timeZone, allDay: times.allDay, rangeEnd: end, limit });
+  }
+
+  // Instances of a recurring event with exceptions applied
+  instances(event, calendar, { rangeEnd, includeCancelled = false } = {}) {
+    const { times } = event;
+    return this.occurrences(event, calendar, { rangeEnd }).map(occurrence => {
+      const suffix = instanceSuffix(occurrence, times.allDay);
+      const exception = event.exceptions.get(suffix);
+      const originalTimes = times.allDay
+        ? {
+          ...times,
+          startWall: occurrence.wall,
+          endWall: occurrence.wall + (times.endWall - times.startWall),
+          startInstant: fromWall(occurrence.wall, calendar.timeZone),
+          endInstant: fromWall(occurrence.wall + (times.endWall - times.startWall), calendar.timeZone)
+        }
+        : { ...times, startInstant: occurrence.instant, endInstant: occurrence.instant + (times.endInstant - times.startInstant) };
+      return {
+        id: `${event.id}_${suffix}`,
+        suffix,
+        master: event,
+        fields: exception ? exception.fields : event.fields,
+        times: exception?.times || originalTimes,
+        originalTimes,
+        updated: exception?.updated || event.updated
+      };
+    }).filter(instance => includeCancelled || instance.fields.status !== 'cancelled');
+  }
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+}
+
+// The start/end input that reproduces parsed times, for merging partial updates
+function timeInput(times, side) {
+  if (times.allDay) {
+    return { date: formatDate(times[`${side}Wall`]) };
+  }
+  return { dateTime: new Date(times[`${side}Instant`]).toISOString(), ...(times[`${side}Zone`] && { timeZone: times[`${side}Zone`] }) };
+}
+
+// ============ RESOURCES ============
+
+function calendarResource(calendar) {
+  return {
+    kind: 'calendar#calendar',
+    etag: calendar.etag,
+    id: calendar.id,
+    summary: calendar.summary,
+    ...(calendar.description && { description: calendar.description }),
+    ...(calendar.location && { location: calendar.location }),
+    timeZone: calendar.timeZone,
+    conferenceProperties: { allowedConferenceSolutionTypes: ['hangoutsMeet'] }
+  };
+}
+
+function calendarListEntry(calendar) {
+  return {
+    ...calendarResource(calendar),
+    kind: 'calendar#calendarListEntry',
+    colorId: calendar.primary ? '14' : '8',
+    backgroundColor: calendar.primary ? '#9fe1e7' : '#16a765',
+    foregroundColor: '#000000',
+    selected: true,
+    accessRole: calendar.accessRole,
+    defaultReminders: defaultReminders(calendar),
+    ...(calendar.primary && { primary: true })
+  };
+}
+
+function defaultReminders(calendar) {
+  return calendar.accessRole === 'owner' ? [{ method: 'popup', minutes: 10 }] : [];
+}
+
+// A stored event or an instance from CalendarState.instances
+function eventResource(item, calendar, outputZone) {
+  const master = item.master || item;
+  return {
+    kind: 'calendar#event',
+    etag: item.master ? master.etag : item.etag,
+    id: item.id,
+    status: item.fields.status,
+    htmlLink: `https://www.google.com/calendar/event?eid=${Buffer.from(`${item.id} ${calendar.id}`).toString('base64url')}`,
+    created: master.created,
+    updated: item.updated,
+    ...pick(item.fields, WRITABLE_FIELDS.filter(field => field !== 'status')),
+    creator: { email: calendar.owner, ...(calendar.accessRole === 'owner' && { self: true }) },
+    organizer: {
+      email: calendar.id,
+      ...(!calendar.primary && { displayName: calendar.summary }),
+      ...(calendar.accessRole === 'owner' && { self: true })
+    },
+    start: timeResource(item.times, 'start', outputZone),
+    end: timeResource(item.times, 'end', outputZone),
+    ...(!item.master && master.recurrence && { recurrence: master.recurrence }),
+    ...(item.master && {
+      recurringEventId: master.id,
+      originalStartTime: timeResource(item.originalTimes, 'start', outputZone)
+    }),
+    iCalUID: `${master.id}@google.com`,
+    sequence: master.sequence,
+    reminders: item.fields.reminders || { useDefault: true },
+    eventType: 'default'
+  };
+}
+
+// ============ SEED DATA ============
+
+// Relative to today in the calendar's zone, so "this week" always has events
+function defaultSeed(state) {
+  const zone = state.settings.timezone;
+  const today = startOfDay(toWall(Date.now(), zone));
+  const localDateTime = wall => new Date(wall).toISOString().slice(0, 19);
+  const weeksAgo = today - 28 * DAY;
+  const monday = weeksAgo - ((new Date(weeksAgo).getUTCDay() + 6) % 7) * DAY;
+  const at = (day, hours, minutes = 0) => day + (hours * 60 + minutes) * 60 * 1000;
+
+  return [
+    {
+      calendarId: state.owner,
+      event: {
+        summary: 'Team standup',
+        description: 'Daily sync for the API team',
+        start: { dateTime: localDateTime(at(monday, 9, 30)), timeZone: zone },
+        end: { dateTime: localDateTime(at(monday, 9, 45)), timeZone: zone },
+        recurrence: ['RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR']
+      }
+    },
+    {
+      calendarId: state.owner,
+      event: {
+        summary: 'Project review',
+        description: 'Quarterly review of API test coverage',
+        location: 'Room 4',
+        start: { dateTime: localDateTime(at(today + 2 * DAY, 14)), timeZone: zone },
+        end: { dateTime: localDateTime(at(today + 2 * DAY, 15)), timeZone: zone }
+      }
+    },
+    {
+      calendarId: state.owner,
+      event: {
+        summary: 'Company offsite',
+        start: { date: formatDate(today + 10 * DAY) },
+        end: { date: formatDate(today + 12 * DAY) },
+        transparency: 'transparent'
+      }
+    },
+    {
+      calendarId: HOLIDAY_CALENDAR_ID,
+      event: { summary: "New Year's Day", start: { date: '2020-01-01' }, end: { date: '2020-01-02' }, recurrence: ['RRULE:FREQ=YEARLY'] }
+    },
+    {
+      calendarId: HOLIDAY_CALENDAR_ID,
+      event: { summary: 'Independence Day', start: { date: '2020-07-04' }, end: { date: '2020-07-05' }, recurrence: ['RRULE:FREQ=YEARLY'] }
+    }
+  ];
+}
+
+// ============ HTTP APP ============
+
+function maxResults(value, fallback, limit) {
+  const size = value === undefined ? fallback : Number(value);
+  if (!Number.isInteger(size) || size < 1) {
+    throw invalid(`Invalid value for: maxResults ${value}`);
+  }
+  return Math.min(size, limit);
+}
+
+// Every word must appear in the summary, description, location or an attendee
+function matchesText(item, q) {
+  if (!q) {
+    return true;
+  }
+  const { summary, description, location, attendees = [] } = item.fields;
+  const text = [summary, description, location, ...attendees.flatMap(attendee => [attendee.email, attendee.displayName])]
+    .filter(Boolean).join(' ').toLowerCase();
+  return q.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+export function createCalendarMockApp(options = {}) {
+  const state = options.state || new CalendarState(options);
+  const token = options.token || MOCK_TOKEN;
+  const app = express();
+  const router = express.Router();
+
+  app.use(express.json());
+  app.use(requireBearerToken(token));
+
+  const outputZone = (req, calendar) => {
+    if (req.query.timeZone !== undefined && !isValidTimeZone(req.query.timeZone)) {
+      throw invalid('Invalid time zone.');
+    }
+    return req.query.timeZone || calendar.timeZone;
+  };
+
+  // The instances (or events) in [timeMin, timeMax), filtered and paged like events.list
+  const listItems = (req, calendar, items) => {
+    const timeMin = parseBound(req.query.timeMin, 'timeMin');
+    const timeMax = parseBound(req.query.timeMax, 'timeMax');
+    if (timeMin !== undefined && timeMax !== undefined && timeMin >= timeMax) {
+      throw invalid('The specified time range is empty.');
+    }
+    const showDeleted = req.query.showDeleted === 'true';
+    const inWindow = item => (timeMin === undefined || item.times.endInstant > timeMin)
+      && (timeMax === undefined || item.times.startInstant < timeMax);
+
+    const matches = items({ timeMin, timeMax })
+      .filter(item => showDeleted || item.fields.status !== 'cancelled')
+      .filter(item => (item.windowMatch ? item.windowMatch(inWindow) : inWindow(item)))
+      .filter(item => matchesText(item, req.query.q))
+      .sort(req.query.orderBy === 'updated'
+        ? (a, b) => a.updated.localeCompare(b.updated)
+        : (a, b) => a.times.startInstant - b.times.startInstant || a.id.localeCompare(b.id));
+
+    const key = JSON.stringify(['timeMin', 'timeMax', 'q', 'singleEvents', 'orderBy', 'showDeleted'].map(name => req.query[name] ?? null));
+    const size = maxResults(req.query.maxResults, 250, 2500);
+    const offset = req.query.pageToken ? decodePageToken(req.query.pageToken, key) : 0;
+    const zone = outputZone(req, calendar);
+
+    return {
+      kind: 'calendar#events',
+      etag: calendar.etag,
+      summary: calendar.summary,
+      updated: new Date().toISOString(),
+      timeZone: calendar.timeZone,
+      accessRole: calendar.accessRole,
+      defaultReminders: defaultReminders(calendar),
+      items: matches.slice(offset, offset + size).map(item => eventResource(item, calendar, zone)),
+      ...(offset + size < matches.length && { nextPageToken: encodePageToken(offset + size, key) })
+    };
+  };
+
+  // ============ CALENDARS ============
+
+  router.get('/users/me/calendarList', apiHandler((req, res) => {
+    res.json({
+      kind: 'calendar#calendarList',
+      etag: newEtag(),
+      items: [...state.calendars.values()].map(calendarListEntry)
+    });
+  }));
+
+  router.get('/users/me/calendarList/:calendarId', apiHandler((req, res) => {
+    res.json(calendarListEntry(state.getCalendar(req.params.calendarId)));
+  }));
+
+  router.post('/calendars', apiHandler((req, res) => {
+    res.json(calendarResource(state.createCalendar(req.body || {})));
+  }));
+
+  router.get('/calendars/:calendarId', apiHandler((req, res) => {
+    res.json(calendarResource(state.getCalendar(req.params.calendarId)));
+  }));
+
+  router.patch('/calendars/:calendarId', apiHandler((req, res) => {
+    res.json(calendarResource(state.updateCalendar(req.params.calendarId, req.body || {})));
+  }));
+
+  router.delete('/calendars/:calendarId', apiHandler((req, res) => {
+    state.deleteCalendar(req.params.calendarId);
+    res.status(204).end();
+  }));
+
+  // ============ EVENTS ============
+
+  router.get('/calendars/:calendarId/events', apiHandler((req, res) => {
+    const calendar = state.getCalendar(req.params.calendarId);
+    const singleEvents = req.query.singleEvents === 'true';
+    if (req.query.orderBy === 'startTime' && !singleEvents) {
+      throw invalid('The requested ordering is not available for the particular query.');
+    }
+    if (req.query.orderBy !== undefined && !['startTime', 'updated'].includes(req.query.orderBy)) {
+      throw invalid(`Invalid value for: orderBy ${req.query.orderBy}`);
+    }
+
+    res.json(listItems(req, calendar, ({ timeMin, timeMax }) => [...calendar.events.values()].flatMap(event => {
+      if (!event.recurrence || event.fields.status === 'cancelled') {
+        return [event];
+      }
+      if (singleEvents) {
+        return state.instances(event, calendar, { rangeEnd: timeMax, includeCancelled: true });
+      }
+      if (timeMin === undefined && timeMax === undefined) {
+        return [event];
+      }
+      // A recurring event is listed when any of its instances falls in the window
+      return [{
+        ...event,
+        windowMatch: inWindow => state.instances(event, calendar, { rangeEnd: timeMax }).some(inWindow)
+      }];
+    })));
+  }));
+
+  router.post('/calendars/:calendarId/events', apiHandler((req, res) => {
+    const calendar = state.getCalendar(req.params.calendarId);
+    res.json(eventResource(state.insertEvent(req.params.calendarId, req.body || {}), calendar, outputZone(req, calendar)));
+  }));
+
+  router.get('/calendars/:calendarId/events/:eventId', apiHandler((req, res) => {
+    const calendar = state.getCalendar(req.params.calendarId);
+    const { event, instance } = state.findEvent(calendar, req.params.eventId);
+    res.json(eventResource(instance || event, calendar, outputZone(req, calendar)));
+  }));
+
+  router.patch('/calendars/:calendarId/events/:eventId', apiHandler((req, res) => {
+    const calendar = state.getCalendar(req.params.calendarId);
+    const updated = state.updateEvent(req.params.calendarId, req.params.eventId, req.body || {});
+    res.json(eventResource(updated, calendar, outputZone(req, calendar)));
+  }));
+
+  router.put('/calendars/:calendarId/events/:eventId', apiHandler((req, res) => {
+    const calendar = state.getCalendar(req.params.calendarId);
+    const updated = state.updateEvent(req.params.calendarId, req.params.eventId, req.body || {}, { replace: true });
+    res.json(eventResource(updated, calendar, outputZone(req, calendar)));
+  }));
+
+  router.delete('/calendars/:calendarId/events/:eventId', apiHandler((req, res) => {
+    state.deleteEvent(req.params.calendarId, req.params.eventId);
+    res.status(204).end();
+  }));
+
+  router.get('/calendars/:calendarId/events/:eventId/instances', apiHandler((req, res) => {
+    const calendar = state.getCalendar(req.params.calendarId);
+    const event = calendar.events.get(req.params.eventId);
+    if (!event) {
+      throw notFound();
+    }
+    const originalStart = parseBound(req.query.originalStart, 'originalStart');
+    res.json(listItems(req, calendar, ({ timeMax }) => {
+      if (!event.recurrence) {
+        return [event];
+      }
+      return state.instances(event, calendar, { rangeEnd: timeMax, includeCancelled: true })
+        .filter(instance => originalStart === undefined || instance.originalTimes.startInstant === originalStart);
+    }));
+  }));
+
+  // ============ SETTINGS ============
+
+  const settingResource = id => ({ kind: 'calendar#setting', etag: `"${id}"`, id, value: state.settings[id] });
+
+  router.get('/users/me/settings', apiHandler((req, res) => {
+    res.json({ kind: 'calendar#settings', etag: newEtag(), items: Object.keys(state.settings).map(settingResource) });
+  }));
+
+  router.get('/users/me/settings/:setting', apiHandler((req, res) => {
+    if (!(req.params.setting in state.settings)) {
+      throw notFound();
+    }
+    res.json(settingResource(req.params.setting));
+  }));
+
+  app.use(BASE_PATH, router);
+  addFallbackHandlers(app);
+
+  return { app, state };
+}
+
+export function startCalendarMockServer(options = {}) {
+  const { app, state } = createCalendarMockApp(options);
+  return listenMockServer(app, { ...options, basePath: BASE_PATH, token: options.token || MOCK_TOKEN, state });
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const portArg = process.argv.slice(2).find(arg => arg.startsWith('--port='));
+  const port = portArg ? Number(portArg.split('=')[1]) : 4012;
+
+  startCalendarMockServer({ port }).then(({ url, state }) => {
+    console.log(chalk.green(`✅ Calendar mock server listening at ${url}`));
+    console.log(chalk.gray(`   Primary calendar: ${state.owner} (${state.settings.timezone})`));
+    console.log(chalk.gray(`   Authorization: Bearer ${MOCK_TOKEN}`));
+    console.log(chalk.gray('   Press Ctrl+C to stop'));
+  }).catch(error => {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  });
+}
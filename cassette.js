@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+
+import { scrub } from './redact.js';
+
+// Record/replay of HTTP interactions made through BaseApiTester.makeRequest.
+//   record: every request/response pair is saved to cassettes/<tester>.json with secrets scrubbed
+//           (see redact.js; --no-redact doesn't apply)
+//   replay: responses are served from the cassette instead of the network
+//
+// Replay always matches on method and URL (scheme, host and path), plus `query` and/or
+// `body` when listed in `match`. Identical requests are served in recorded order. Unless
+// `strict` is set, a request that differs only in query/body (timestamps, generated names)
+// falls back to the next unused recording for the same method and URL. With `reuse` (load tests)
+// a request that has used up its recordings is served them again.
+
+export const CASSETTE_DIR = 'cassettes';
+export const MATCH_FIELDS = ['method', 'url', 'query', 'body'];
+
+const CASSETTE_VERSION = 1;
+// Retry-After is kept so replayed 429/503s pick the same backoff (see retry-policy.js)
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+export function cassettePathFor(name, dir = CASSETTE_DIR) {
+  return path.join(process.cwd(), dir, `${name}.json`);
+}
+
+function recordedHeaders(headers = {}) {
+  return Object.fromEntries(RECORDED_HEADERS
+    .filter(name => name === 'content-type' || headers[name] !== undefined)
+    .map(name => [name, String(headers[name] ?? '')]));
+}
+
+// ============ REQUEST KEYS ============
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+// Query parameters may be inline in the URL or passed as axios params; both end up in `query`
+export function normalizeRequest({ method, url, params, data }, secrets = []) {
+  const parsed = new URL(url);
+  const query = {};
+  parsed.searchParams.forEach((value, key) => { query[key] = value; });
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== undefined) {
+      query[key] = String(value);
+    }
+  });
+
+  return scrub({
+    method: (method || 'GET').toUpperCase(),
+    url: `${parsed.origin}${parsed.pathname}`,
+    query: sortKeys(query),
+    body: data === undefined ? null : sortKeys(data)
+  }, secrets);
+}
+
+function sameField(a, b, field) {
+  return JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null);
+}
+
+// ============ CASSETTE ============
+
+class Cassette {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.match = options.match || ['method', 'url', 'query'];
+    this.strict = !!options.strict;
+    this.reuse = !!options.reuse;
+    this.secrets = [];
+    this.addSecrets(options.secrets || []);
+    this.interactions = [];
+    this.used = new Set();
+
+    const unknown = this.match.filter(field => !MATCH_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown cassette match fields: ${unknown.join(', ')} (expected ${MATCH_FIELDS.join(', ')})`);
+    }
+  }
+
+  static load(file, options = {}) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Cassette not found: ${file} (record it first with --mode=record)`);
+    }
+    const cassette = new Cassette(file, options);
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (content.version !== CASSETTE_VERSION || !Array.isArray(content.interactions)) {
+      throw new Error(`${file} is not a version ${CASSETTE_VERSION} cassette`);
+    }
+    cassette.interactions = content.interactions;
+    return cassette;
+  }
+
+  // e.g. a refreshed access token, so later interactions are scrubbed of it too
+  addSecrets(secrets) {
+    const added = secrets.filter(secret => typeof secret === 'string' && secret.length >= 4 && !this.secrets.includes(secret));
+    this.secrets.push(...added);
+  }
+
+  // Network errors (no response) are recorded too, so timeouts replay as timeouts
+  record(request, response, error = null) {
+    this.interactions.push({
+      request: normalizeRequest(request, this.secrets),
+      response: scrub(response
+        ? {
+          status: response.status,
+          headers: recordedHeaders(response.headers),
+          data: response.data ?? null
+        }
+        : { status: null, error: error?.message || 'No response', code: error?.code || null }, this.secrets)
+    });
+  }
+
+  // The recorded response for a request, or null when nothing matches
+  play(request) {
+    const key = normalizeRequest(request, this.secrets);
+    const recorded = this.interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(({ interaction }) => sameField(interaction.request, key, 'method') && sameField(interaction.request, key, 'url'));
+    const pick = candidates => candidates.find(({ interaction }) => this.match.every(field => sameField(interaction.request, key, field)))
+      || (this.strict ? null : candidates[0]);
+
+    const found = pick(recorded.filter(({ index }) => !this.used.has(index))) || (this.reuse ? pick(recorded) : null);
+    if (!found) {
+      return null;
+    }
+
+    this.used.add(found.index);
+    return found.interaction.response;
+  }
+
+  unusedCount() {
+    return this.interactions.length - this.used.size;
+  }
+
+  save(meta = {}) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({
+      version: CASSETTE_VERSION,
+      ...meta,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2));
+    return this.file;
+  }
+}
+
+export default Cassette;
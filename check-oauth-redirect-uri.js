@@ -2,10 +2,11 @@
 
 import axios from 'axios';
 import chalk from 'chalk';
-import fs from 'fs';
+
+import { credentialText } from './credential-vault.js';
 
 // Load credentials
-const envContent = fs.readFileSync('env.ids', 'utf8');
+const envContent = credentialText('zendesk', 'env.ids');
 const clientId = envContent.match(/ZENDESK_CLIENT_ID=([^\n]+)/)[1].trim();
 const clientSecret = envContent.match(/ZENDESK_SECRET=([^\n]+)/)[1].trim();
 const subdomain = envContent.match(/ZENDESK_SUBDOMAIN\s*=\s*([^\n]+)/)[1].trim();
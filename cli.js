@@ -0,0 +1,609 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+
+import { TEST_CONFIG } from './config.js';
+import CredentialVault, { VaultError } from './credential-vault.js';
+import { registerCaseSuites } from './declarative-runner.js';
+import { loadFaultRules } from './fault-injector.js';
+import RunHistory from './history.js';
+import { saveHtmlReport } from './html-report.js';
+import JUnitReporter from './junit-reporter.js';
+import { loadVaultIntoEnv } from './load-credentials.js';
+import { loadSpec } from './openapi-loader.js';
+import LoadTester, { loadReportPathFor, parseDuration, parseThresholds, resolveOperation } from './load-tester.js';
+import { loadPlugins } from './plugin-registry.js';
+import Quarantine from './quarantine.js';
+import { redactionPaths } from './redact.js';
+import { getTester, listTesters, MODES } from './tester-registry.js';
+
+const USAGE = `Usage:
+  node cli.js list [--profile=<name>]
+  node cli.js run [--api=drive,gmail] [--grep=<pattern>] [--mode=${MODES.join('|')}] [--bail]
+                  [--cassette=<file>] [--match=method,url,query,body] [--strict] [--faults=<file>]
+                  [--retries=<n>] [--profile=<name>] [--no-redact] [--junit=<file>]
+                  [--html=<file>] [--repeat=<n>] [--spec=<file>] [--base-url=<url>]
+                  [--contract[=<spec>]]
+  node cli.js history [--api=1forge] [--grep=<pattern>] [--mode=<mode>] [--since=<date>] [--runs=<n>]
+                      [--json] [--check]
+  node cli.js load --api=<id> --operation=<id|"METHOD /path"> [--params=name=value,...] [--body=<json>]
+                   [--concurrency=<n>] [--rate=<n>] [--duration=30s] [--threshold=p99<800,errors<1%]
+                   [--mode=mock|live|replay] [--spec=<file>] [--cassette=<file>] [--faults=<file>]
+
+Options:
+  --api       Comma-separated tester ids (default: all registered testers except the
+              spec-driven openapi tester, which needs --spec)
+  --grep      Only run test cases whose name matches the pattern (case-insensitive)
+  --mode      ${MODES.join(', ')} (default: TEST_MODE or live)
+  --bail      Stop at the first failing test case
+  --spec      Report operation coverage against a spec; needs exactly one --api
+              (for --api=openapi, the spec whose operations are tested)
+  --base-url  Server for --api=openapi (default: the spec's first server)
+  --contract  Check every response against the spec: the tester's own (drive, 1forge), --spec,
+              or --contract=<spec> (single tester only). Content-type mismatches fail the request,
+              other violations are reported after the run (logs/<api>-contract-<timestamp>.json)
+  --cassette  Cassette file for record/replay (single tester only, default: cassettes/<api>.json)
+  --match     Fields a replayed request must match (default: method,url,query)
+  --strict    In replay, fail requests with no exact match instead of using the next
+              recording for the same method and URL
+  --faults    YAML/JSON list of per-route faults to inject (see fault-injector.js)
+  --retries   Retries per request on rate limiting, 5xx and dropped connections
+              (default: TEST_CONFIG.maxRetries, 0 disables)
+  --profile   Credential vault profile to read credentials from
+              (default: CREDENTIAL_PROFILE or default; see credential-vault.js)
+  --no-redact Write tokens, API keys and secrets to the console and logs unmasked
+              (for local debugging; cassettes are always scrubbed, see redact.js)
+  --junit     Also write one JUnit XML report for the whole run, a testsuite per tester
+              (each tester always writes logs/<api>-junit-<timestamp>.xml)
+  --html      Also write one self-contained HTML report for the whole run, with a pass/fail
+              matrix per tester (each tester always writes logs/<api>-report-<timestamp>.html)
+  --repeat    Run each tester n times, e.g. to measure flakiness. After the run, tests whose
+              flakiness score reaches TEST_CONFIG.flaky.threshold are quarantined in
+              quarantine.json: they still run, but their failures don't fail the run
+
+History options:
+  --since     Only runs started on or after this date (e.g. 2025-07-30)
+  --runs      Runs shown per API in the trend table (default: 10; all runs count towards stats)
+  --json      Print the report as JSON instead of tables
+  --check     Exit 1 when the latest run of any API regressed against the run before it
+              (new failures, lower pass rate or a jump in mean latency)
+
+Load options:
+  --operation   Spec operation id (e.g. files.list) or method and path (e.g. "GET /symbols");
+                the spec is --spec or the tester's own
+  --params      Path and query parameter values, e.g. fileId=abc,fields=id
+  --concurrency Parallel workers (default: TEST_CONFIG.load.concurrency)
+  --rate        Requests per second across all workers (default: as fast as they go)
+  --duration    How long to send requests, e.g. 30s, 2m (default: TEST_CONFIG.load.durationMs)
+  --threshold   Pass/fail criteria on min, mean, p50, p90, p99, max (ms), errors (%) and rps;
+                a missed threshold exits 1. Every load test writes logs/<api>-load-<timestamp>.json
+
+Exit codes: 0 all passed (or only quarantined tests failed), 1 failures or missing credentials,
+            2 usage error`;
+
+const EXIT = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2
+};
+
+// Flags that never take a value, so `--bail run` keeps "run" as the command
+const BOOLEAN_FLAGS = new Set(['bail', 'strict', 'json', 'check', 'help', 'no-redact', 'contract']);
+
+// Accepts both --key=value and --key value; bare --flag is true. Flags in BOOLEAN_FLAGS only
+// take a value as --key=value (--contract=<spec>)
+export function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      args[key] = inlineValue;
+    } else if (!BOOLEAN_FLAGS.has(key) && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+class UsageError extends Error {}
+
+// --grep as a pattern string (or null), checked here rather than when a tester compiles it
+function grepPattern(args) {
+  if (args.grep === undefined) {
+    return null;
+  }
+  if (args.grep === true) {
+    throw new UsageError('--grep needs a pattern');
+  }
+  try {
+    new RegExp(args.grep, 'i');
+  } catch (error) {
+    throw new UsageError(`Invalid --grep pattern: ${error.message}`);
+  }
+  return String(args.grep);
+}
+
+// ============ COMMANDS ============
+
+function listCommand(plugins) {
+  const testers = listTesters();
+  const idWidth = Math.max(2, ...testers.map(tester => tester.id.length)) + 2;
+  const titleWidth = Math.max(5, ...testers.map(tester => tester.title.length)) + 2;
+  const modesWidth = Math.max(5, ...testers.map(tester => tester.modes.join(',').length)) + 2;
+
+  console.log(chalk.cyan.bold('🧪 REGISTERED TESTERS'));
+  console.log(chalk.cyan('==========================================='));
+  console.log(chalk.gray(`${'ID'.padEnd(idWidth)}${'TITLE'.padEnd(titleWidth)}${'MODES'.padEnd(modesWidth)}CREDENTIALS`));
+
+  testers.forEach(tester => {
+    const missing = tester.env.filter(name => !process.env[name]);
+    const credentials = tester.env.length === 0
+      ? chalk.gray('not required')
+      : missing.length === 0 ? chalk.green('available') : chalk.yellow(`missing ${missing.join(', ')}`);
+    console.log(`${tester.id.padEnd(idWidth)}${tester.title.padEnd(titleWidth)}${tester.modes.join(',').padEnd(modesWidth)}${credentials}`);
+    if (tester.description) {
+      console.log(chalk.gray(`${''.padEnd(idWidth)}${tester.description}`));
+    }
+    if (tester.source) {
+      console.log(chalk.gray(`${''.padEnd(idWidth)}source: ${tester.source}`));
+    }
+  });
+
+  plugins.failed.forEach(({ source, error }) => {
+    console.log(chalk.red(`❌ ${source} failed to load: ${error}`));
+  });
+
+  return EXIT.OK;
+}
+
+function resolveTesters(apiOption) {
+  if (!apiOption || apiOption === true) {
+    return listTesters().filter(tester => !tester.specDriven);
+  }
+
+  return String(apiOption).split(',').map(id => id.trim()).filter(Boolean).map(id => {
+    const tester = getTester(id);
+    if (!tester) {
+      throw new UsageError(`Unknown API "${id}" (registered: ${listTesters().map(entry => entry.id).join(', ')})`);
+    }
+    return tester;
+  });
+}
+
+// Spec-driven testers (openapi-tester.js) need --spec; --base-url only applies to them
+function checkSpecOptions(args, testers) {
+  const specDriven = testers.filter(tester => tester.specDriven);
+  if (specDriven.length > 0 && typeof args.spec !== 'string') {
+    throw new UsageError(`${specDriven.map(tester => tester.id).join(', ')} needs --spec=<file>`);
+  }
+  if (args['base-url'] !== undefined && (typeof args['base-url'] !== 'string' || specDriven.length !== testers.length)) {
+    throw new UsageError('--base-url=<url> only applies to spec-driven testers (--api=openapi)');
+  }
+  if (typeof args.spec === 'string') {
+    try {
+      loadSpec(args.spec);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+}
+
+// --contract checks responses against --spec or the tester's own spec; --contract=<spec> names one.
+// Returns that spec, or null
+function checkContractOption(args, testers) {
+  if (typeof args.contract !== 'string') {
+    return null;
+  }
+  if (testers.length !== 1) {
+    throw new UsageError('--contract=<spec> needs exactly one --api');
+  }
+  if (typeof args.spec === 'string' && args.spec !== args.contract) {
+    throw new UsageError('--contract=<spec> and --spec=<file> name different specs');
+  }
+  try {
+    loadSpec(args.contract);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return args.contract;
+}
+
+async function runCommand(args) {
+  const mode = args.mode === undefined ? (process.env.TEST_MODE || 'live') : String(args.mode);
+  if (!MODES.includes(mode)) {
+    throw new UsageError(`Unknown mode "${mode}" (expected ${MODES.join(', ')})`);
+  }
+
+  const testers = resolveTesters(args.api);
+  const grep = grepPattern(args);
+  if (args.spec && testers.length !== 1) {
+    throw new UsageError('--spec needs exactly one --api');
+  }
+  checkSpecOptions(args, testers);
+  const contractSpec = checkContractOption(args, testers);
+  if (args.cassette && testers.length !== 1) {
+    throw new UsageError('--cassette needs exactly one --api');
+  }
+  const repeat = args.repeat === undefined ? 1 : Number(args.repeat);
+  if (!(Number.isInteger(repeat) && repeat > 0)) {
+    throw new UsageError(`--repeat must be a positive integer (got ${args.repeat})`);
+  }
+  const retries = args.retries === undefined ? undefined : Number(args.retries);
+  if (retries !== undefined && !(Number.isInteger(retries) && retries >= 0)) {
+    throw new UsageError(`--retries must be a non-negative integer (got ${args.retries})`);
+  }
+  try {
+    redactionPaths();
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (typeof args.faults === 'string') {
+    try {
+      loadFaultRules(args.faults);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+
+  ['junit', 'html'].forEach(option => {
+    if (args[option] === true) {
+      throw new UsageError(`--${option} needs a file name`);
+    }
+  });
+  // One recording of the whole run backs both the JUnit and the HTML report
+  const junit = typeof args.junit === 'string' || typeof args.html === 'string' ? new JUnitReporter() : null;
+
+  const quarantine = new Quarantine();
+  const outcomes = [];
+  let bailed = false;
+  for (const definition of testers) {
+    if (bailed) {
+      break;
+    }
+    if (!definition.modes.includes(mode)) {
+      console.log(chalk.yellow(`⏭️  ${definition.id}: mode "${mode}" not supported (supports ${definition.modes.join(', ')})`));
+      outcomes.push({ id: definition.id, status: 'unsupported' });
+      continue;
+    }
+
+    const { default: Tester } = await definition.load();
+    for (let round = 1; round <= repeat && !bailed; round++) {
+      if (repeat > 1) {
+        console.log(chalk.magenta(`🔁 ${definition.id}: run ${round}/${repeat}`));
+      }
+      const tester = new Tester({
+        ...definition.options,
+        mode,
+        grep,
+        bail: !!args.bail,
+        spec: contractSpec || (typeof args.spec === 'string' ? args.spec : null),
+        contract: args.contract !== undefined,
+        ...(definition.specDriven && typeof args['base-url'] === 'string' && { baseUrl: args['base-url'] }),
+        cassette: typeof args.cassette === 'string' ? args.cassette : null,
+        match: typeof args.match === 'string' ? args.match : null,
+        strict: !!args.strict,
+        faults: typeof args.faults === 'string' ? args.faults : null,
+        retries,
+        quarantine
+      });
+      if (args.contract !== undefined && !tester.contractChecker && round === 1) {
+        console.log(chalk.yellow(`⚠️  ${definition.id}: no spec to check the contract against (pass --contract=<spec>)`));
+      }
+
+      const results = await tester.runAdvancedTests();
+      const outcome = results
+        ? { id: definition.id, api: tester.name, round, summary: results.summary, tests: results.tests, resultsFile: tester.logFiles.results }
+        : { id: definition.id, round, status: 'aborted' };
+      if (results) {
+        outcome.status = outcomeStatus(outcome, quarantine);
+      }
+      outcomes.push(outcome);
+      if (results) {
+        junit?.merge(tester.junit);
+      } else {
+        junit?.record(definition.id, 'setup', 'error', { message: 'Missing credentials or cassette' });
+      }
+      console.log('');
+
+      if (args.bail && outcome.status !== 'passed' && outcome.status !== 'quarantined') {
+        console.log(chalk.yellow(`⛔ --bail: not running remaining testers after ${definition.id}`));
+        bailed = true;
+      }
+    }
+  }
+
+  // The history now includes these runs, so the quarantine can change before the exit code is decided
+  updateQuarantine(quarantine, outcomes, mode);
+  outcomes.filter(outcome => outcome.tests).forEach(outcome => {
+    outcome.status = outcomeStatus(outcome, quarantine);
+  });
+
+  printRunSummary(outcomes, mode, repeat);
+  if (typeof args.junit === 'string') {
+    console.log(chalk.gray(`📄 JUnit report: ${junit.save(args.junit)}`));
+  }
+  if (typeof args.html === 'string') {
+    console.log(chalk.gray(`📄 HTML report: ${saveHtmlReport(junit, args.html, { title: 'API Test Run', mode })}`));
+  }
+
+  if (outcomes.every(outcome => outcome.status === 'unsupported')) {
+    return EXIT.USAGE;
+  }
+  // Quarantined failures are reported above but don't fail the run
+  return outcomes.some(outcome => outcome.status === 'failed' || outcome.status === 'aborted') ? EXIT.FAILED : EXIT.OK;
+}
+
+// Indexes new results files from logs/ into logs/history.json, then reports on all indexed runs
+function historyCommand(args) {
+  const runs = args.runs === undefined ? 10 : Number(args.runs);
+  if (!(Number.isInteger(runs) && runs > 0)) {
+    throw new UsageError(`--runs must be a positive integer (got ${args.runs})`);
+  }
+  if (args.since !== undefined && Number.isNaN(new Date(args.since).getTime())) {
+    throw new UsageError(`--since must be a date (got ${args.since})`);
+  }
+  const grep = grepPattern(args);
+
+  const history = new RunHistory();
+  const { added, failed } = history.index();
+  history.save();
+  failed.forEach(({ file, error }) => console.error(chalk.yellow(`⚠️  ${file} skipped: ${error}`)));
+
+  const report = history.getReport({
+    api: typeof args.api === 'string' ? args.api.split(',').map(id => id.trim()).filter(Boolean) : null,
+    mode: typeof args.mode === 'string' ? args.mode : null,
+    since: typeof args.since === 'string' ? args.since : null,
+    grep,
+    runs
+  });
+
+  report.quarantine = new Quarantine().list();
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(chalk.gray(`🗂️  ${Object.keys(history.runs).length} runs indexed in ${history.file} (${added.length} new)`));
+    history.printReport(report);
+    if (report.quarantine.length > 0) {
+      console.log('');
+      console.log(chalk.yellow.bold(`🧪 QUARANTINED (${report.quarantine.length})`));
+      report.quarantine.forEach(entry => {
+        console.log(chalk.yellow(`  └─ ${entry.api} › ${entry.test}: flakiness ${entry.score?.toFixed(2) ?? '-'}, since ${entry.since}`));
+      });
+    }
+  }
+
+  return args.check && report.apis.some(entry => entry.regressions?.regressed) ? EXIT.FAILED : EXIT.OK;
+}
+
+// passed, failed, or quarantined when every failure is a quarantined test
+function outcomeStatus(outcome, quarantine) {
+  const failures = outcome.tests.filter(test => test.status === 'failed');
+  if (failures.length === 0) {
+    return 'passed';
+  }
+  return failures.every(test => quarantine.has(outcome.api, test.name)) ? 'quarantined' : 'failed';
+}
+
+function updateQuarantine(quarantine, outcomes, mode) {
+  const apis = [...new Set(outcomes.filter(outcome => outcome.api).map(outcome => outcome.api))];
+  if (apis.length === 0) {
+    return;
+  }
+  const history = new RunHistory();
+  history.index();
+  history.save();
+
+  const { added, released } = quarantine.update(history.getReport({ api: apis, mode }), mode);
+  added.forEach(({ api, test, score }) => {
+    console.log(chalk.yellow(`🧪 Quarantined ${api} › ${test} (flakiness ${score.toFixed(2)})`));
+  });
+  released.forEach(({ api, test }) => {
+    console.log(chalk.green(`✅ Released from quarantine: ${api} › ${test} (stable for ${TEST_CONFIG.flaky.stableRuns} runs)`));
+  });
+  if (added.length > 0 || released.length > 0) {
+    console.log(chalk.gray(`   ${quarantine.save()}`));
+    console.log('');
+  }
+}
+
+// "fileId=abc,fields=id" -> { fileId: 'abc', fields: 'id' }
+function parseParams(text) {
+  return Object.fromEntries(String(text).split(',').filter(Boolean).map(pair => {
+    const [name, value] = pair.split(/=(.*)/s);
+    if (!name || value === undefined) {
+      throw new UsageError(`--params expects name=value pairs (got "${pair}")`);
+    }
+    return [name.trim(), value];
+  }));
+}
+
+// One operation of a registered tester under load; exits 1 when a threshold is missed
+async function loadCommand(args) {
+  const mode = args.mode === undefined ? (process.env.TEST_MODE || 'live') : String(args.mode);
+  if (!['mock', 'live', 'replay'].includes(mode)) {
+    throw new UsageError(`Load tests run in mock, live or replay mode (got "${mode}")`);
+  }
+  if (typeof args.api !== 'string' || args.api.includes(',')) {
+    throw new UsageError('load needs exactly one --api');
+  }
+  const [definition] = resolveTesters(args.api);
+  if (!definition.modes.includes(mode)) {
+    throw new UsageError(`${definition.id} doesn't support mode "${mode}" (supports ${definition.modes.join(', ')})`);
+  }
+  if (typeof args.operation !== 'string') {
+    throw new UsageError('--operation needs an operation id or "METHOD /path"');
+  }
+  checkSpecOptions(args, [definition]);
+
+  const concurrency = args.concurrency === undefined ? TEST_CONFIG.load.concurrency : Number(args.concurrency);
+  if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new UsageError(`--concurrency must be a positive integer (got ${args.concurrency})`);
+  }
+  const rate = args.rate === undefined ? TEST_CONFIG.load.rate : Number(args.rate);
+  if (rate !== null && !(rate > 0)) {
+    throw new UsageError(`--rate must be a positive number (got ${args.rate})`);
+  }
+  let durationMs;
+  let thresholds;
+  let data;
+  try {
+    durationMs = args.duration === undefined ? TEST_CONFIG.load.durationMs : parseDuration(args.duration);
+    thresholds = typeof args.threshold === 'string' ? parseThresholds(args.threshold) : [];
+    data = typeof args.body === 'string' ? JSON.parse(args.body) : undefined;
+    redactionPaths();
+    if (typeof args.faults === 'string') {
+      loadFaultRules(args.faults);
+    }
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const params = typeof args.params === 'string' ? parseParams(args.params) : {};
+
+  const { default: Tester } = await definition.load();
+  const tester = new Tester({
+    ...definition.options,
+    mode,
+    ...(definition.specDriven && { spec: args.spec }),
+    ...(definition.specDriven && typeof args['base-url'] === 'string' && { baseUrl: args['base-url'] }),
+    cassette: typeof args.cassette === 'string' ? args.cassette : null,
+    faults: typeof args.faults === 'string' ? args.faults : null,
+    reuseCassette: true,
+    retries: 0,
+    logToFiles: false
+  });
+  let operation;
+  try {
+    operation = resolveOperation(typeof args.spec === 'string' ? args.spec : tester.defaultSpec, args.operation, params);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (mode === 'mock' && !(await tester.startMockServer())) {
+    return EXIT.FAILED;
+  }
+  try {
+    if (!tester.checkCredentials() || !tester.prepareCassette()) {
+      return EXIT.FAILED;
+    }
+    const request = { label: operation.label, method: operation.method, url: operation.url(tester.baseUrl), data };
+    const loadTester = new LoadTester(tester, request, { concurrency, rate, durationMs, thresholds });
+    console.log(chalk.magenta(`⚡ ${definition.id} ${request.label}: ${concurrency} workers for ${durationMs / 1000}s` +
+      `${rate ? ` at ${rate} req/s` : ''} (mode: ${mode})`));
+
+    const report = await loadTester.run();
+    loadTester.printReport(report);
+    console.log('');
+    console.log(chalk.gray(`📄 Load report: ${loadTester.saveReport(loadReportPathFor(tester.name, loadTester.startTime), report)}`));
+    return report.passed ? EXIT.OK : EXIT.FAILED;
+  } finally {
+    await tester.stopMockServer();
+  }
+}
+
+function printRunSummary(outcomes, mode, repeat = 1) {
+  console.log(chalk.cyan.bold(`📊 RUN SUMMARY (mode: ${mode})`));
+  console.log(chalk.cyan('==========================================='));
+
+  const labels = {
+    passed: chalk.green('✅ PASS'),
+    failed: chalk.red('❌ FAIL'),
+    quarantined: chalk.yellow('⚠️  PASS (only quarantined tests failed)'),
+    aborted: chalk.red('❌ ABORTED (missing credentials or cassette)'),
+    unsupported: chalk.gray('⏭️  SKIPPED (mode not supported)')
+  };
+
+  outcomes.forEach(outcome => {
+    const counts = outcome.summary
+      ? ` (${outcome.summary.passed} passed, ${outcome.summary.failed} failed, ${outcome.summary.skipped} skipped)`
+      : '';
+    const id = repeat > 1 && outcome.round ? `${outcome.id} #${outcome.round}` : outcome.id;
+    console.log(`${id.padEnd(10)} ${labels[outcome.status]}${counts}`);
+    if (outcome.status === 'quarantined') {
+      outcome.tests.filter(test => test.status === 'failed').forEach(test => {
+        console.log(chalk.yellow(`           🧪 ${test.name}`));
+      });
+    }
+    if (outcome.resultsFile) {
+      console.log(chalk.gray(`           ${outcome.resultsFile}`));
+    }
+  });
+}
+
+// Testers read credentials when they are built, so switching before loading them is enough
+function useProfile(profile) {
+  if (typeof profile !== 'string' || profile === '') {
+    throw new UsageError('--profile needs a name');
+  }
+  try {
+    const known = CredentialVault.exists() ? CredentialVault.open().list().map(entry => entry.profile) : [];
+    if (!known.includes(profile)) {
+      throw new UsageError(`No credentials for profile "${profile}" in the vault (profiles: ${[...new Set(known)].join(', ') || 'none'})`);
+    }
+    const loaded = loadVaultIntoEnv(profile);
+    process.env.CREDENTIAL_PROFILE = profile;
+    console.log(chalk.magenta(`🔐 Credential profile "${profile}": ${loaded.length} credentials loaded`));
+  } catch (error) {
+    throw error instanceof VaultError ? new UsageError(error.message) : error;
+  }
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0];
+
+  if (!command || args.help) {
+    console.log(USAGE);
+    return args.help ? EXIT.OK : EXIT.USAGE;
+  }
+
+  if (args.profile !== undefined) {
+    useProfile(args.profile);
+  }
+
+  // Plugins and declarative suites (cases/*.yaml) register themselves alongside the built-in testers
+  const plugins = await loadPlugins();
+  plugins.failed.push(...registerCaseSuites().failed);
+  if (command !== 'list') {
+    plugins.failed.forEach(({ source, error }) => {
+      console.log(chalk.yellow(`⚠️  ${source} failed to load: ${error}`));
+    });
+  }
+
+  switch (command) {
+    case 'list':
+      return listCommand(plugins);
+    case 'run':
+      return runCommand(args);
+    case 'history':
+      return historyCommand(args);
+    case 'load':
+      return loadCommand(args);
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      if (error instanceof UsageError) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.error(USAGE);
+        process.exit(EXIT.USAGE);
+      }
+      console.error(chalk.red('Fatal error:'), error);
+      process.exit(EXIT.FAILED);
+    });
+}
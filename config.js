@@ -1,4 +1,4 @@
-import 'dotenv/config';
+import './load-credentials.js';
 
 export const API_CONFIG = {
   // Google API Base URLs
@@ -102,9 +102,29 @@ export const SCOPES = {
 // Test configuration
 export const TEST_CONFIG = {
   // Test data limits
-  maxRetries: 3,
+  maxRetries: 3, // per request in BaseApiTester.makeRequest, see retry-policy.js
   timeout: 10000, // 10 seconds
   
+  // Extra JSONPaths masked in logs and saved responses, on top of REDACT_PATHS (see redact.js)
+  redaction: {
+    paths: []
+  },
+
+  // Flaky test quarantine (see quarantine.js)
+  flaky: {
+    window: 20, // runs the flakiness score looks back over
+    minRuns: 5, // before a test gets a score
+    threshold: 0.2, // score at which a test is quarantined
+    stableRuns: 10 // passes in a row before it is released
+  },
+
+  // Load test defaults for `cli.js load` (see load-tester.js)
+  load: {
+    concurrency: 5,
+    durationMs: 10000,
+    rate: null // requests per second across all workers; null sends as fast as they can
+  },
+
   // Mock data generation settings
   mockDataCount: {
     files: 5,
@@ -0,0 +1,713 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+import express from 'express';
+
+import {
+  GoogleApiError, apiHandler, requireBearerToken, addFallbackHandlers,
+  encodePageToken, decodePageToken, listenMockServer
+} from './mock-server-utils.js';
+
+// Stateful in-memory People API v1 emulator for mock mode. Implements contacts (create, get,
+// updateContact with etag checks, deleteContact, batch create/update/delete/get), the
+// personFields / readMask / updatePersonFields masks, searchContacts with its warm-up cache,
+// and contact groups with membership.
+//
+//   node contacts-mock-server.js --port=4013
+//   node advanced-contacts-tester.js --mode=mock   (starts its own instance on a free port)
+
+export const MOCK_TOKEN = 'mock-contacts-access-token';
+
+const BASE_PATH = '/v1';
+const FIELDS_DOC = 'Valid paths are documented at https://developers.google.com/people/api/rest/v1/people/get.';
+
+// Fields a contact can be written with; the rest are computed or read-only
+const UPDATABLE_FIELDS = [
+  'addresses', 'biographies', 'birthdays', 'calendarUrls', 'clientData', 'emailAddresses', 'events',
+  'externalIds', 'genders', 'imClients', 'interests', 'locales', 'locations', 'memberships', 'miscKeywords',
+  'names', 'nicknames', 'occupations', 'organizations', 'phoneNumbers', 'relations', 'sipAddresses', 'urls',
+  'userDefined'
+];
+const PERSON_FIELDS = [...UPDATABLE_FIELDS, 'ageRanges', 'coverPhotos', 'metadata', 'photos', 'skills'].sort();
+const SINGLETON_FIELDS = ['names', 'biographies', 'birthdays', 'genders'];
+// searchContacts only looks at these
+const SEARCH_FIELDS = ['names', 'nicknames', 'emailAddresses', 'phoneNumbers', 'organizations'];
+
+const GROUP_FIELDS = ['clientData', 'groupType', 'memberCount', 'metadata', 'name'];
+const DEFAULT_GROUP_FIELDS = 'metadata,groupType,memberCount,name';
+const SYSTEM_GROUPS = {
+  myContacts: 'My Contacts',
+  starred: 'Starred',
+  friends: 'Friends',
+  family: 'Family',
+  coworkers: 'Coworkers',
+  chatBuddies: 'Chat contacts',
+  all: 'All contacts',
+  blocked: 'Blocked'
+};
+// The only system groups whose members can be changed
+const MODIFIABLE_SYSTEM_GROUPS = ['myContacts', 'starred'];
+
+const SORT_ORDERS = ['LAST_MODIFIED_ASCENDING', 'LAST_MODIFIED_DESCENDING', 'FIRST_NAME_ASCENDING', 'LAST_NAME_ASCENDING'];
+
+// ============ ERRORS ============
+
+const notFound = () => new GoogleApiError(404, 'notFound', 'Requested entity was not found.');
+const invalid = (message, location = null) => new GoogleApiError(400, 'badRequest', message, location);
+const staleEtag = noun => new GoogleApiError(400, 'failedPrecondition',
+  `Request ${noun}.etag is different than the current ${noun}.etag. Clear local cache and get the latest ${noun}.`);
+
+// ============ FIELD MASKS ============
+
+// "names,person.emailAddresses" -> ['names', 'emailAddresses']; required unless a fallback is given
+export function parseFieldMask(value, name, { valid = PERSON_FIELDS, fallback = null } = {}) {
+  if (value === undefined || value === '') {
+    if (fallback !== null) {
+      return fallback;
+    }
+    throw invalid(`${name} mask is required. Please specify one or more valid paths. ${FIELDS_DOC}`, name);
+  }
+  const paths = String(value).split(',').map(path => path.trim().replace(/^person\./, '')).filter(Boolean);
+  paths.forEach(path => {
+    if (!valid.includes(path)) {
+      throw invalid(`Invalid ${name} mask path: "${path}". ${FIELDS_DOC}`, name);
+    }
+  });
+  return [...new Set(paths)];
+}
+
+// ============ STATE ============
+
+function newPersonId() {
+  return `c${crypto.randomBytes(8).readBigUInt64BE() % 10n ** 19n}`;
+}
+
+function newGroupId() {
+  return crypto.randomBytes(8).toString('hex').slice(0, 15);
+}
+
+function newEtag() {
+  return `%${crypto.randomBytes(18).toString('base64')}`;
+}
+
+// Input values without the output-only metadata the API adds to each entry
+function stripFieldMetadata(items) {
+  return items.map(({ metadata, ...item }) => item);
+}
+
+function searchTokens(person) {
+  const values = [];
+  SEARCH_FIELDS.forEach(field => (person.fields[field] || []).forEach(item => {
+    values.push(...[item.value, item.givenName, item.middleName, item.familyName, item.unstructuredName,
+      item.name, item.title, item.department].filter(Boolean));
+    if (field === 'phoneNumbers' && item.value) {
+      values.push(item.value.replace(/\D/g, ''));
+    }
+  }));
+  values.push(...(person.fields.names || []).map(displayName));
+  return values.flatMap(value => [value, ...value.split(/[\s,@]+/)]).map(token => token.toLowerCase()).filter(Boolean);
+}
+
+export class ContactsState {
+  constructor(options = {}) {
+    this.people = new Map();
+    this.groups = new Map();
+    Object.entries(SYSTEM_GROUPS).forEach(([id, formattedName]) => {
+      this.groups.set(id, { id, name: id, formattedName, groupType: 'SYSTEM_CONTACT_GROUP', etag: newEtag(), updateTime: new Date().toISOString() });
+    });
+
+    const seed = options.seed || defaultSeed();
+    (seed.groups || []).forEach(name => this.createGroup({ name }));
+    (seed.people || []).forEach(({ groups = [], ...fields }) => {
+      const person = this.createPerson(fields);
+      groups.forEach(name => this.addMember(this.groupByName(name).id, person.id));
+    });
+    this.warmUpSearch();
+  }
+
+  touch(item) {
+    item.etag = newEtag();
+    item.updateTime = new Date().toISOString();
+  }
+
+  // ============ CONTACTS ============
+
+  getPerson(resourceName) {
+    const match = /^people\/(c\d+)$/.exec(resourceName);
+    if (!match) {
+      throw invalid(`Resource name "${resourceName}" is not a valid contact person resource.`, 'resourceName');
+    }
+    const person = this.people.get(match[1]);
+    if (!person) {
+      throw notFound();
+    }
+    return person;
+  }
+
+  validatePerson(body, paths) {
+    paths.forEach(field => {
+      const value = body[field];
+      if (field === 'memberships' || value === undefined) {
+        return;
+      }
+      if (!Array.isArray(value)) {
+        throw invalid(`Invalid value at 'person.${field}': expected a list`);
+      }
+      if (SINGLETON_FIELDS.includes(field) && value.length > 1) {
+        throw invalid(`Invalid person.${field}: a contact can have at most one value.`);
+      }
+    });
+    (body.emailAddresses || []).forEach(email => {
+      if (!email.value) {
+        throw invalid('Invalid person.emailAddresses: value is required.');
+      }
+    });
+  }
+
+  // contactGroupResourceName (or contactGroupId) of each membership entry
+  membershipGroupIds(memberships = []) {
+    return memberships.map(entry => {
+      const membership = entry.contactGroupMembership || {};
+      const id = membership.contactGroupResourceName?.replace(/^contactGroups\//, '') || membership.contactGroupId;
+      const group = this.groups.get(id);
+      if (!group) {
+        throw invalid(`Invalid person.memberships: contact group "${id}" does not exist.`);
+      }
+      if (group.groupType === 'SYSTEM_CONTACT_GROUP' && !MODIFIABLE_SYSTEM_GROUPS.includes(id)) {
+        throw invalid(`Invalid person.memberships: cannot add contacts to the system group "${id}".`);
+      }
+      return id;
+    });
+  }
+
+  createPerson(body = {}) {
+    const fields = UPDATABLE_FIELDS.filter(field => field !== 'memberships' && body[field] !== undefined);
+    this.validatePerson(body, fields);
+    const groupIds = this.membershipGroupIds(body.memberships);
+    const person = {
+      id: newPersonId(),
+      fields: Object.fromEntries(fields.map(field => [field, stripFieldMetadata(body[field])])),
+      groups: new Set(['myContacts', ...groupIds])
+    };
+    this.touch(person);
+    this.people.set(person.id, person);
+    return person;
+  }
+
+  // The etag may be sent at the top level or on the CONTACT source
+  checkPersonEtag(person, body) {
+    const etag = body.etag || body.metadata?.sources?.find(source => source.type === 'CONTACT')?.etag;
+    if (!etag) {
+      throw invalid('Request must set person.etag or person.metadata.sources.etag for the source that is being updated.');
+    }
+    if (etag !== person.etag) {
+      throw staleEtag('person');
+    }
+  }
+
+  // Each path in the mask is replaced wholesale; a path missing from the body clears the field
+  updatePerson(resourceName, body, paths) {
+    const person = this.getPerson(resourceName);
+    this.checkPersonEtag(person, body);
+    this.validatePerson(body, paths);
+    const groupIds = paths.includes('memberships') ? this.membershipGroupIds(body.memberships) : null;
+
+    paths.filter(field => field !== 'memberships').forEach(field => {
+      if (body[field]?.length) {
+        person.fields[field] = stripFieldMetadata(body[field]);
+      } else {
+        delete person.fields[field];
+      }
+    });
+    if (groupIds) {
+      person.groups = new Set(groupIds);
+    }
+    this.touch(person);
+    return person;
+  }
+
+  deletePerson(resourceName) {
+    this.people.delete(this.getPerson(resourceName).id);
+  }
+
+  listPeople(sortOrder = 'LAST_MODIFIED_ASCENDING') {
+    const people = [...this.people.values()];
+    const key = {
+      FIRST_NAME_ASCENDING: person => (person.fields.names?.[0]?.givenName || '').toLowerCase(),
+      LAST_NAME_ASCENDING: person => (person.fields.names?.[0]?.familyName || '').toLowerCase()
+    }[sortOrder];
+    if (key) {
+      return people.sort((a, b) => key(a).localeCompare(key(b)));
+    }
+    people.sort((a, b) => a.updateTime.localeCompare(b.updateTime));
+    return sortOrder === 'LAST_MODIFIED_DESCENDING' ? people.reverse() : people;
+  }
+
+  // ============ SEARCH ============
+
+  // searchContacts reads a cache that only an empty-query warm-up request refreshes, so
+  // changes made since the last warm-up are not visible yet (as with the real API)
+  warmUpSearch() {
+    this.searchCache = [...this.people.values()].map(person => ({ id: person.id, tokens: searchTokens(person) }));
+  }
+
+  search(query, limit) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return this.searchCache
+      .filter(entry => words.every(word => entry.tokens.some(token => token.startsWith(word))))
+      .map(entry => this.people.get(entry.id))
+      .filter(Boolean)
+      .slice(0, limit);
+  }
+
+  // ============ CONTACT GROUPS ============
+
+  getGroup(resourceName) {
+    const group = this.groups.get(resourceName.replace(/^contactGroups\//, ''));
+    if (!group) {
+      throw notFound();
+    }
+    return group;
+  }
+
+  groupByName(name) {
+    return [...this.groups.values()].find(group => group.name === name);
+  }
+
+  validateGroupName(name, existingId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw invalid('Contact group name must not be empty.', 'contactGroup.name');
+    }
+    const existing = this.groupByName(trimmed);
+    if (existing && existing.id !== existingId) {
+      throw new GoogleApiError(409, 'alreadyExists', 'Contact group with the same name already exists.');
+    }
+    return trimmed;
+  }
+
+  createGroup({ name, clientData } = {}) {
+    const trimmed = this.validateGroupName(name);
+    const group = { id: newGroupId(), name: trimmed, formattedName: trimmed, groupType: 'USER_CONTACT_GROUP', ...(clientData && { clientData }) };
+    this.touch(group);
+    this.groups.set(group.id, group);
+    return group;
+  }
+
+  requireUserGroup(group, action) {
+    if (group.groupType === 'SYSTEM_CONTACT_GROUP') {
+      throw invalid(`Cannot ${action} system contact group "${group.id}".`);
+    }
+  }
+
+  updateGroup(resourceName, body = {}, paths = ['name']) {
+    const group = this.getGroup(resourceName);
+    this.requireUserGroup(group, 'update');
+    if (body.etag && body.etag !== group.etag) {
+      throw staleEtag('contactGroup');
+    }
+    if (paths.includes('name')) {
+      group.name = this.validateGroupName(body.name, group.id);
+      group.formattedName = group.name;
+    }
+    if (paths.includes('clientData')) {
+      group.clientData = body.clientData;
+    }
+    this.touch(group);
+    return group;
+  }
+
+  // With deleteContacts=true the group's members are deleted too
+  deleteGroup(resourceName, deleteContacts = false) {
+    const group = this.getGroup(resourceName);
+    this.requireUserGroup(group, 'delete');
+    this.members(group.id).forEach(person => {
+      if (deleteContacts) {
+        this.people.delete(person.id);
+      } else {
+        person.groups.delete(group.id);
+      }
+    });
+    this.groups.delete(group.id);
+  }
+
+  members(groupId) {
+    return [...this.people.values()].filter(person => groupId === 'all' || person.groups.has(groupId));
+  }
+
+  addMember(groupId, personId) {
+    this.people.get(personId).groups.add(groupId);
+  }
+
+  // A contact has to stay in My Contacts or at least one user group
+  modifyMembers(resourceName, { resourceNamesToAdd = [], resourceNamesToRemove = [] } = {}) {
+    const group = this.getGroup(resourceName);
+    if (group.groupType === 'SYSTEM_CONTACT_GROUP' && !MODIFIABLE_SYSTEM_GROUPS.includes(group.id)) {
+      throw invalid(`Cannot modify members of system contact group "${group.id}".`);
+    }
+    if (resourceNamesToAdd.length + resourceNamesToRemove.length > 1000) {
+      throw invalid('Too many resource names: at most 1000 can be modified per request.');
+    }
+
+    const notFoundResourceNames = [];
+    const lastGroup = [];
+    const changed = new Set();
+    const lookup = name => {
+      const person = this.people.get(name.replace(/^people\//, ''));
+      if (!person) {
+        notFoundResourceNames.push(name);
+      }
+      return person;
+    };
+
+    resourceNamesToAdd.map(lookup).filter(person => person && !person.groups.has(group.id)).forEach(person => {
+      person.groups.add(group.id);
+      changed.add(person);
+    });
+    resourceNamesToRemove.forEach(name => {
+      const person = lookup(name);
+      if (!person || !person.groups.has(group.id)) {
+        return;
+      }
+      const remaining = [...person.groups].filter(id => id !== group.id && id !== 'starred');
+      if (group.id !== 'starred' && remaining.length === 0) {
+        lastGroup.push(name);
+        return;
+      }
+      person.groups.delete(group.id);
+      changed.add(person);
+    });
+    if (changed.size > 0) {
+      changed.forEach(person => this.touch(person));
+      this.touch(group);
+    }
+
+    return {
+      ...(notFoundResourceNames.length > 0 && { notFoundResourceNames }),
+      ...(lastGroup.length > 0 && { canNotRemoveLastContactGroupResourceNames: lastGroup })
+    };
+  }
+}
+
+// ============ RESOURCES ============
+
+const FORMATTED_TYPES = { home: 'Home', work: 'Work', mobile: 'Mobile', other: 'Other', homeFax: 'Home Fax', workFax: 'Work Fax', main: 'Main' };
+
+function displayName(name) {
+  const parts = [name.honorificPrefix, name.givenName, name.middleName, name.familyName, name.honorificSuffix].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : name.unstructuredName || '';
+}
+
+// Output-only values the API computes for each field entry
+function decorateEntry(field, item, source, index) {
+  const entry = { metadata: { ...(index === 0 && { primary: true }), source }, ...item };
+  if (field === 'names') {
+    const lastFirst = [[item.familyName, item.honorificSuffix].filter(Boolean).join(' '), [item.honorificPrefix, item.givenName, item.middleName].filter(Boolean).join(' ')]
+      .filter(Boolean).join(', ');
+    Object.assign(entry, { displayName: displayName(item), displayNameLastFirst: lastFirst || displayName(item), unstructuredName: item.unstructuredName || displayName(item) });
+  }
+  if (item.type && field !== 'biographies') {
+    entry.formattedType = FORMATTED_TYPES[item.type] || item.type;
+  }
+  return entry;
+}
+
+function personResource(person, paths) {
+  const source = { type: 'CONTACT', id: person.id.slice(1) };
+  const resource = { resourceName: `people/${person.id}`, etag: person.etag };
+  paths.forEach(field => {
+    if (field === 'metadata') {
+      resource.metadata = { sources: [{ ...source, etag: person.etag, updateTime: person.updateTime }], objectType: 'PERSON' };
+    } else if (field === 'memberships') {
+      resource.memberships = [...person.groups].map(groupId => ({
+        metadata: { source },
+        contactGroupMembership: { contactGroupId: groupId, contactGroupResourceName: `contactGroups/${groupId}` }
+      }));
+    } else if (person.fields[field]?.length) {
+      resource[field] = person.fields[field].map((item, index) => decorateEntry(field, item, source, index));
+    }
+  });
+  return resource;
+}
+
+function groupResource(group, state, paths, maxMembers = 0) {
+  const members = state.members(group.id);
+  const resource = { resourceName: `contactGroups/${group.id}`, etag: group.etag };
+  if (paths.includes('metadata')) {
+    resource.metadata = { updateTime: group.updateTime };
+  }
+  if (paths.includes('groupType')) {
+    resource.groupType = group.groupType;
+  }
+  if (paths.includes('name')) {
+    Object.assign(resource, { name: group.name, formattedName: group.formattedName });
+  }
+  if (paths.includes('clientData') && group.clientData) {
+    resource.clientData = group.clientData;
+  }
+  if (paths.includes('memberCount') && members.length > 0) {
+    resource.memberCount = members.length;
+  }
+  if (maxMembers > 0 && members.length > 0) {
+    resource.memberResourceNames = members.slice(0, maxMembers).map(person => `people/${person.id}`);
+  }
+  return resource;
+}
+
+// ============ SEED DATA ============
+
+function defaultSeed() {
+  return {
+    groups: ['Book Club'],
+    people: [
+      {
+        names: [{ givenName: 'Ada', familyName: 'Lovelace' }],
+        emailAddresses: [{ value: 'ada.lovelace@example.com', type: 'work' }],
+        phoneNumbers: [{ value: '+44 20 7946 0018', type: 'mobile' }],
+        organizations: [{ name: 'Analytical Engines Ltd', title: 'Mathematician' }],
+        groups: ['Book Club', 'starred']
+      },
+      {
+        names: [{ givenName: 'Grace', familyName: 'Hopper' }],
+        emailAddresses: [{ value: 'grace.hopper@example.org', type: 'work' }],
+        organizations: [{ name: 'US Navy', title: 'Rear Admiral' }],
+        groups: ['Book Club']
+      },
+      {
+        names: [{ givenName: 'Alan', familyName: 'Turing' }],
+        emailAddresses: [{ value: 'alan@example.net', type: 'home' }],
+        phoneNumbers: [{ value: '+44 161 496 0912', type: 'home' }],
+        biographies: [{ value: 'Seeded contact without a group.', contentType: 'TEXT_PLAIN' }]
+      }
+    ]
+  };
+}
+
+// ============ HTTP APP ============
+
+function queryList(value) {
+  return value === undefined ? [] : [].concat(value);
+}
+
+function pageSize(value, fallback, max) {
+  const size = value === undefined ? fallback : Number(value);
+  if (!Number.isInteger(size) || size < 0) {
+    throw invalid(`Invalid pageSize: ${value}`, 'pageSize');
+  }
+  return Math.min(size || fallback, max);
+}
+
+function paginate(items, req, key, fallback, max) {
+  const size = pageSize(req.query.pageSize, fallback, max);
+  const offset = req.query.pageToken ? decodePageToken(req.query.pageToken, key) : 0;
+  return {
+    page: items.slice(offset, offset + size),
+    ...(offset + size < items.length && { nextPageToken: encodePageToken(offset + size, key) })
+  };
+}
+
+function batchLimit(items, max, noun) {
+  if (items.length === 0 || items.length > max) {
+    throw invalid(`Between 1 and ${max} ${noun} are allowed per request.`);
+  }
+}
+
+export function createContactsMockApp(options = {}) {
+  const state = options.state || new ContactsState(options);
+  const token = options.token || MOCK_TOKEN;
+  const app = express();
+  const router = express.Router();
+
+  app.use(express.json({ limit: '10mb' }));
+  app.use(requireBearerToken(token));
+
+  const personFields = (req, name = 'personFields') => parseFieldMask(req.query[name], name);
+  const groupFields = value => parseFieldMask(value, 'groupFields', { valid: GROUP_FIELDS, fallback: DEFAULT_GROUP_FIELDS.split(',') });
+
+  // ============ CONTACTS ============
+
+  router.get('/people/me/connections', apiHandler((req, res) => {
+    const fields = personFields(req);
+    const sortOrder = req.query.sortOrder || 'LAST_MODIFIED_ASCENDING';
+    if (!SORT_ORDERS.includes(sortOrder)) {
+      throw invalid(`Invalid value at 'sort_order' (${sortOrder})`, 'sortOrder');
+    }
+    const people = state.listPeople(sortOrder);
+    const { page, nextPageToken } = paginate(people, req, JSON.stringify([fields, sortOrder]), 100, 1000);
+    res.json({
+      ...(page.length > 0 && { connections: page.map(person => personResource(person, fields)) }),
+      ...(nextPageToken && { nextPageToken }),
+      totalPeople: people.length,
+      totalItems: people.length
+    });
+  }));
+
+  router.post('/people\\:createContact', apiHandler((req, res) => {
+    const fields = parseFieldMask(req.query.personFields, 'personFields', { fallback: PERSON_FIELDS });
+    res.json(personResource(state.createPerson(req.body || {}), fields));
+  }));
+
+  router.get('/people\\:searchContacts', apiHandler((req, res) => {
+    const fields = personFields(req, 'readMask');
+    const query = req.query.query;
+    if (query === undefined) {
+      throw invalid('query is required.', 'query');
+    }
+    if (query.trim() === '') {
+      state.warmUpSearch();
+      return res.json({});
+    }
+    const results = state.search(query, pageSize(req.query.pageSize, 10, 30));
+    res.json(results.length > 0 ? { results: results.map(person => ({ person: personResource(person, fields) })) } : {});
+  }));
+
+  router.get('/people\\:batchGet', apiHandler((req, res) => {
+    const fields = personFields(req);
+    const resourceNames = queryList(req.query.resourceNames);
+    batchLimit(resourceNames, 200, 'resource names');
+    res.json({
+      responses: resourceNames.map(requestedResourceName => {
+        try {
+          return { httpStatusCode: 200, requestedResourceName, person: personResource(state.getPerson(requestedResourceName), fields), status: {} };
+        } catch (error) {
+          return { httpStatusCode: error.code, requestedResourceName, status: { code: error.code === 404 ? 5 : 3, message: error.message } };
+        }
+      })
+    });
+  }));
+
+  router.post('/people\\:batchCreateContacts', apiHandler((req, res) => {
+    const { contacts = [], readMask } = req.body || {};
+    const fields = parseFieldMask(readMask, 'readMask');
+    batchLimit(contacts, 200, 'contacts');
+    // Validate every contact first so a bad one doesn't leave the batch half created
+    contacts.forEach(contact => {
+      state.validatePerson(contact.contactPerson || {}, UPDATABLE_FIELDS);
+      state.membershipGroupIds(contact.contactPerson?.memberships);
+    });
+    const created = contacts.map(contact => state.createPerson(contact.contactPerson || {}));
+    res.json({ createdPeople: created.map(person => ({ httpStatusCode: 200, person: personResource(person, fields), status: {} })) });
+  }));
+
+  // All contacts are checked before any is changed, so a stale etag fails the whole batch
+  router.post('/people\\:batchUpdateContacts', apiHandler((req, res) => {
+    const { contacts = {}, updateMask, readMask } = req.body || {};
+    const paths = parseFieldMask(updateMask, 'updateMask', { valid: UPDATABLE_FIELDS });
+    const fields = parseFieldMask(readMask, 'readMask');
+    const entries = Object.entries(contacts);
+    batchLimit(entries, 200, 'contacts');
+    entries.forEach(([resourceName, body]) => state.checkPersonEtag(state.getPerson(resourceName), body));
+    const updateResult = Object.fromEntries(entries.map(([resourceName, body]) => [
+      resourceName,
+      { httpStatusCode: 200, person: personResource(state.updatePerson(resourceName, body, paths), fields), status: {} }
+    ]));
+    res.json({ updateResult });
+  }));
+
+  router.post('/people\\:batchDeleteContacts', apiHandler((req, res) => {
+    const resourceNames = (req.body || {}).resourceNames || [];
+    batchLimit(resourceNames, 500, 'resource names');
+    resourceNames.forEach(resourceName => state.getPerson(resourceName));
+    resourceNames.forEach(resourceName => state.deletePerson(resourceName));
+    res.json({});
+  }));
+
+  router.get('/people/:personId', apiHandler((req, res) => {
+    res.json(personResource(state.getPerson(`people/${req.params.personId}`), personFields(req)));
+  }));
+
+  router.patch('/people/:personId\\:updateContact', apiHandler((req, res) => {
+    const paths = parseFieldMask(req.query.updatePersonFields, 'updatePersonFields', { valid: UPDATABLE_FIELDS });
+    const fields = parseFieldMask(req.query.personFields, 'personFields', { fallback: PERSON_FIELDS });
+    res.json(personResource(state.updatePerson(`people/${req.params.personId}`, req.body || {}, paths), fields));
+  }));
+
+  router.delete('/people/:personId\\:deleteContact', apiHandler((req, res) => {
+    state.deletePerson(`people/${req.params.personId}`);
+    res.json({});
+  }));
+
+  // ============ CONTACT GROUPS ============
+
+  router.get('/contactGroups', apiHandler((req, res) => {
+    const fields = groupFields(req.query.groupFields);
+    const groups = [...state.groups.values()];
+    const { page, nextPageToken } = paginate(groups, req, JSON.stringify(fields), 30, 1000);
+    res.json({
+      contactGroups: page.map(group => groupResource(group, state, fields)),
+      ...(nextPageToken && { nextPageToken }),
+      totalItems: groups.length
+    });
+  }));
+
+  router.post('/contactGroups', apiHandler((req, res) => {
+    const { contactGroup, readGroupFields } = req.body || {};
+    const fields = groupFields(readGroupFields);
+    res.json(groupResource(state.createGroup(contactGroup), state, fields));
+  }));
+
+  router.get('/contactGroups\\:batchGet', apiHandler((req, res) => {
+    const fields = groupFields(req.query.groupFields);
+    const resourceNames = queryList(req.query.resourceNames);
+    batchLimit(resourceNames, 200, 'resource names');
+    const maxMembers = Number(req.query.maxMembers) || 0;
+    res.json({
+      responses: resourceNames.map(requestedResourceName => {
+        try {
+          return { requestedResourceName, contactGroup: groupResource(state.getGroup(requestedResourceName), state, fields, maxMembers), status: {} };
+        } catch (error) {
+          return { requestedResourceName, status: { code: 5, message: error.message } };
+        }
+      })
+    });
+  }));
+
+  router.get('/contactGroups/:groupId', apiHandler((req, res) => {
+    const group = state.getGroup(req.params.groupId);
+    res.json(groupResource(group, state, groupFields(req.query.groupFields), Number(req.query.maxMembers) || 0));
+  }));
+
+  router.put('/contactGroups/:groupId', apiHandler((req, res) => {
+    const { contactGroup = {}, updateGroupFields, readGroupFields } = req.body || {};
+    const paths = parseFieldMask(updateGroupFields, 'updateGroupFields', { valid: ['name', 'clientData'], fallback: ['name'] });
+    const group = state.updateGroup(req.params.groupId, contactGroup, paths);
+    res.json(groupResource(group, state, groupFields(readGroupFields)));
+  }));
+
+  router.delete('/contactGroups/:groupId', apiHandler((req, res) => {
+    state.deleteGroup(req.params.groupId, req.query.deleteContacts === 'true');
+    res.json({});
+  }));
+
+  router.post('/contactGroups/:groupId/members\\:modify', apiHandler((req, res) => {
+    res.json(state.modifyMembers(req.params.groupId, req.body || {}));
+  }));
+
+  app.use(BASE_PATH, router);
+  addFallbackHandlers(app);
+
+  return { app, state };
+}
+
+export function startContactsMockServer(options = {}) {
+  const { app, state } = createContactsMockApp(options);
+  return listenMockServer(app, { ...options, basePath: BASE_PATH, token: options.token || MOCK_TOKEN, state });
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const portArg = process.argv.slice(2).find(arg => arg.startsWith('--port='));
+  const port = portArg ? Number(portArg.split('=')[1]) : 4013;
+
+  startContactsMockServer({ port }).then(({ url, state }) => {
+    console.log(chalk.green(`✅ Contacts mock server listening at ${url}`));
+    console.log(chalk.gray(`   ${state.people.size} seeded contacts, ${state.groups.size} contact groups`));
+    console.log(chalk.gray(`   Authorization: Bearer ${MOCK_TOKEN}`));
+    console.log(chalk.gray('   Press Ctrl+C to stop'));
+  }).catch(error => {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  });
+}
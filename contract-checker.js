@@ -0,0 +1,226 @@
+import chalk from 'chalk';
+import fs from 'fs';
+
+import { loadSpec, OperationMatcher } from './openapi-loader.js';
+import { createConverter } from './openapi-to-zod.js';
+import { redact } from './redact.js';
+
+export const VIOLATION_TYPES = {
+  UNDECLARED_OPERATION: 'undeclared-operation',
+  UNDECLARED_STATUS: 'undeclared-status',
+  CONTENT_TYPE_MISMATCH: 'content-type-mismatch',
+  SCHEMA_VIOLATION: 'schema-violation'
+};
+
+const HTML_INSTEAD_OF_JSON = 'API returned HTML instead of JSON - endpoint may not exist or API has changed';
+
+// ============ RULE HELPERS ============
+
+function mediaType(contentType = '') {
+  return contentType.split(';')[0].trim().toLowerCase();
+}
+
+function isJsonMediaType(type) {
+  return type === 'application/json' || type.endsWith('+json');
+}
+
+function mediaTypeMatches(actual, declared) {
+  const [declaredType, declaredSubtype] = declared.split('/');
+  const [actualType, actualSubtype] = actual.split('/');
+
+  if (declared === '*/*' || declared === actual) return true;
+  if (declaredSubtype === '*') return declaredType === actualType;
+  // application/problem+json satisfies application/json
+  return declaredType === actualType && isJsonMediaType(actual) && isJsonMediaType(declared) && declaredSubtype === 'json';
+}
+
+// Returns a violation message, or null when the actual content type is one of the declared ones
+export function checkContentType(actualContentType, declaredTypes = ['application/json']) {
+  if (declaredTypes.length === 0) {
+    return null;
+  }
+
+  const actual = mediaType(actualContentType);
+  const declared = declaredTypes.map(mediaType);
+
+  if (!actual) {
+    return `Response has no content-type (spec declares ${declared.join(', ')})`;
+  }
+  if (declared.some(type => mediaTypeMatches(actual, type))) {
+    return null;
+  }
+  if (actual === 'text/html' && declared.some(isJsonMediaType)) {
+    return HTML_INSTEAD_OF_JSON;
+  }
+  return `Unexpected content-type "${actual}" (spec declares ${declared.join(', ')})`;
+}
+
+export function findDeclaredResponse(operation, status) {
+  const code = String(status);
+  return operation.responses[code] ||
+    operation.responses[`${code[0]}XX`] ||
+    operation.responses[`${code[0]}xx`] ||
+    operation.responses.default ||
+    null;
+}
+
+export function formatZodIssues(error) {
+  return error.issues.map(issue => `${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`);
+}
+
+// ============ CONTRACT CHECKER ============
+
+class ContractChecker {
+  constructor(spec, options = {}) {
+    this.spec = typeof spec === 'string' ? loadSpec(spec) : spec;
+    this.baseUrl = options.baseUrl || this.spec.baseUrl;
+    this.converter = createConverter(this.spec);
+    this.validators = new Map();
+    this.records = new Map();
+    this.unmatched = [];
+
+    this.matcher = new OperationMatcher(this.spec.operations, this.baseUrl);
+  }
+
+  // ============ OPERATION MATCHING ============
+
+  findOperation(method, url) {
+    return this.matcher.find(method, url);
+  }
+
+  relativePath(url) {
+    return this.matcher.relativePath(url);
+  }
+
+  getValidator(schema) {
+    if (!this.validators.has(schema)) {
+      this.validators.set(schema, this.converter.toZod(schema));
+    }
+    return this.validators.get(schema);
+  }
+
+  // ============ CHECKS ============
+
+  check({ method = 'GET', url, status, contentType = '', data }) {
+    const operation = this.findOperation(method, url);
+
+    if (!operation) {
+      const violation = {
+        type: VIOLATION_TYPES.UNDECLARED_OPERATION,
+        message: `${method.toUpperCase()} ${this.relativePath(url)} is not declared in the spec`
+      };
+      this.unmatched.push({ method: method.toUpperCase(), url, status, violations: [violation] });
+      return { operation: null, violations: [violation] };
+    }
+
+    const violations = this.checkResponse(operation, { status, contentType, data });
+
+    const record = this.records.get(operation.id) || { operation, checked: 0, statuses: {}, violations: [] };
+    record.checked++;
+    record.statuses[status] = (record.statuses[status] || 0) + 1;
+    record.violations.push(...violations.map(violation => ({ ...violation, status, url })));
+    this.records.set(operation.id, record);
+
+    return { operation, violations };
+  }
+
+  checkResponse(operation, { status, contentType, data }) {
+    const declaredResponse = findDeclaredResponse(operation, status);
+
+    if (!declaredResponse) {
+      return [{
+        type: VIOLATION_TYPES.UNDECLARED_STATUS,
+        message: `Status ${status} is not declared (spec declares ${Object.keys(operation.responses).join(', ') || 'nothing'})`
+      }];
+    }
+
+    const violations = [];
+    const declaredTypes = Object.keys(declaredResponse.content);
+    const contentTypeProblem = checkContentType(contentType, declaredTypes);
+
+    if (contentTypeProblem) {
+      violations.push({ type: VIOLATION_TYPES.CONTENT_TYPE_MISMATCH, message: contentTypeProblem });
+      return violations;
+    }
+
+    // Validate the body against the schema declared for the media type that actually came back
+    const actualType = mediaType(contentType);
+    const media = Object.entries(declaredResponse.content)
+      .find(([type]) => mediaTypeMatches(actualType, mediaType(type)))?.[1];
+
+    if (media?.schema && isJsonMediaType(actualType)) {
+      const result = this.getValidator(media.schema).safeParse(data);
+      if (!result.success) {
+        formatZodIssues(result.error).forEach(issue => {
+          violations.push({ type: VIOLATION_TYPES.SCHEMA_VIOLATION, message: issue });
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  // ============ REPORTING ============
+
+  getReport() {
+    const operations = [...this.records.values()].map(record => ({
+      operationId: record.operation.id,
+      method: record.operation.method,
+      path: record.operation.path,
+      checked: record.checked,
+      statuses: record.statuses,
+      conforms: record.violations.length === 0,
+      violations: record.violations
+    }));
+
+    const violationCount = operations.reduce((sum, operation) => sum + operation.violations.length, 0) +
+      this.unmatched.length;
+
+    return {
+      spec: { file: this.spec.file, title: this.spec.title },
+      summary: {
+        operationsChecked: operations.length,
+        responsesChecked: operations.reduce((sum, operation) => sum + operation.checked, 0) + this.unmatched.length,
+        conforming: operations.filter(operation => operation.conforms).length,
+        violations: violationCount
+      },
+      operations,
+      unmatched: this.unmatched
+    };
+  }
+
+  printReport() {
+    const report = this.getReport();
+
+    console.log('');
+    console.log(chalk.cyan.bold('📜 CONTRACT CONFORMANCE REPORT'));
+    console.log(chalk.cyan('==========================================='));
+    console.log(chalk.gray(`Spec: ${report.spec.title} (${report.spec.file})`));
+
+    report.operations.forEach(operation => {
+      const label = `${operation.method} ${operation.path}`;
+      if (operation.conforms) {
+        console.log(chalk.green(`✅ ${label} (${operation.checked} responses)`));
+        return;
+      }
+      console.log(chalk.red(`❌ ${label} (${operation.violations.length} violations in ${operation.checked} responses)`));
+      operation.violations.forEach(violation => {
+        console.log(chalk.red(`  └─ [${violation.type}] ${violation.status}: ${violation.message}`));
+      });
+    });
+
+    report.unmatched.forEach(entry => {
+      console.log(chalk.yellow(`⚠️  ${entry.violations[0].message}`));
+    });
+
+    console.log('');
+    console.log(`${report.summary.conforming}/${report.summary.operationsChecked} operations conform, ${report.summary.violations} violations`);
+    return report;
+  }
+
+  saveReport(filepath) {
+    fs.writeFileSync(filepath, JSON.stringify(redact(this.getReport()), null, 2));
+  }
+}
+
+export default ContractChecker;
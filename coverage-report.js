@@ -0,0 +1,126 @@
+import chalk from 'chalk';
+import fs from 'fs';
+
+import { loadSpec, OperationMatcher } from './openapi-loader.js';
+
+// Tracks which spec operations (method + path + status codes) a run actually exercised
+class CoverageTracker {
+  constructor(spec, options = {}) {
+    this.spec = typeof spec === 'string' ? loadSpec(spec) : spec;
+    this.matcher = new OperationMatcher(this.spec.operations, options.baseUrl || this.spec.baseUrl);
+    this.hits = new Map(this.spec.operations.map(operation => [operation.id, { requests: 0, statuses: {} }]));
+    this.unmatched = [];
+  }
+
+  record(method, url, status) {
+    const operation = this.matcher.find(method, url);
+    if (!operation) {
+      this.unmatched.push({ method: method.toUpperCase(), path: this.matcher.relativePath(url), status });
+      return null;
+    }
+
+    const hit = this.hits.get(operation.id);
+    hit.requests++;
+    // Network errors have no status but still exercised the operation
+    const key = status === undefined ? 'no-response' : String(status);
+    hit.statuses[key] = (hit.statuses[key] || 0) + 1;
+    return operation;
+  }
+
+  // ============ REPORT ============
+
+  getReport() {
+    const operations = this.spec.operations.map(operation => {
+      const hit = this.hits.get(operation.id);
+      const declaredStatuses = Object.keys(operation.responses);
+      const exercisedStatuses = Object.keys(hit.statuses);
+
+      // A declared 2XX or default is covered by any concrete status it would match; a request
+      // that got no response (network failure) covers nothing
+      const matches = (declared, status) => status === declared || (/^[1-5]XX$/i.test(declared) && status[0] === declared[0]);
+      const explicit = status => declaredStatuses.some(declared => declared !== 'default' && matches(declared, status));
+      const isCovered = declared => exercisedStatuses.some(status =>
+        declared === 'default' ? /^\d{3}$/.test(status) && !explicit(status) : matches(declared, status)
+      );
+
+      return {
+        operationId: operation.id,
+        method: operation.method,
+        path: operation.path,
+        exercised: hit.requests > 0,
+        requests: hit.requests,
+        declaredStatuses,
+        exercisedStatuses,
+        coveredStatuses: declaredStatuses.filter(isCovered),
+        missingStatuses: declaredStatuses.filter(declared => !isCovered(declared)),
+        undeclaredStatuses: exercisedStatuses.filter(status =>
+          status !== 'no-response' && !explicit(status) && !declaredStatuses.includes('default')
+        )
+      };
+    });
+
+    const exercised = operations.filter(operation => operation.exercised).length;
+    const declaredStatusCount = operations.reduce((sum, operation) => sum + operation.declaredStatuses.length, 0);
+    const coveredStatusCount = operations.reduce((sum, operation) => sum + operation.coveredStatuses.length, 0);
+
+    return {
+      spec: { file: this.spec.file, title: this.spec.title },
+      generatedAt: new Date().toISOString(),
+      summary: {
+        operations: operations.length,
+        exercised,
+        notExercised: operations.length - exercised,
+        operationCoverage: operations.length > 0 ? `${Math.round((exercised / operations.length) * 100)}%` : 'N/A',
+        declaredStatuses: declaredStatusCount,
+        coveredStatuses: coveredStatusCount,
+        statusCoverage: declaredStatusCount > 0 ? `${Math.round((coveredStatusCount / declaredStatusCount) * 100)}%` : 'N/A'
+      },
+      operations,
+      unmatchedRequests: this.unmatched
+    };
+  }
+
+  printTable() {
+    const report = this.getReport();
+    const pathWidth = Math.max(4, ...report.operations.map(operation => operation.path.length)) + 2;
+
+    console.log('');
+    console.log(chalk.cyan.bold('🧭 OPERATION COVERAGE'));
+    console.log(chalk.cyan('==========================================='));
+    console.log(chalk.gray(`${'METHOD'.padEnd(8)}${'PATH'.padEnd(pathWidth)}${'REQS'.padEnd(6)}${'COVERED'.padEnd(18)}MISSING`));
+
+    report.operations.forEach(operation => {
+      const row = `${operation.method.padEnd(8)}${operation.path.padEnd(pathWidth)}${String(operation.requests).padEnd(6)}` +
+        `${(operation.coveredStatuses.join(',') || '-').padEnd(18)}${operation.missingStatuses.join(',') || '-'}`;
+      console.log(operation.exercised ? (operation.missingStatuses.length === 0 ? chalk.green(row) : row) : chalk.red(row));
+
+      if (operation.undeclaredStatuses.length > 0) {
+        console.log(chalk.yellow(`  └─ undeclared statuses seen: ${operation.undeclaredStatuses.join(', ')}`));
+      }
+    });
+
+    if (report.unmatchedRequests.length > 0) {
+      console.log('');
+      console.log(chalk.yellow(`⚠️  ${report.unmatchedRequests.length} requests did not match any spec operation:`));
+      report.unmatchedRequests.forEach(request => {
+        console.log(chalk.yellow(`  └─ ${request.method} ${request.path} → ${request.status ?? 'no response'}`));
+      });
+    }
+
+    console.log('');
+    console.log(`Operations exercised: ${report.summary.exercised}/${report.summary.operations} (${report.summary.operationCoverage})`);
+    console.log(`Status codes covered: ${report.summary.coveredStatuses}/${report.summary.declaredStatuses} (${report.summary.statusCoverage})`);
+    return report;
+  }
+
+  saveReport(filepath) {
+    fs.writeFileSync(filepath, JSON.stringify(this.getReport(), null, 2));
+  }
+}
+
+// logs/drive-results-<ts>.json → logs/drive-coverage-<ts>.json
+export function coveragePathFor(resultsFile) {
+  return resultsFile.replace(/-results-/, '-coverage-');
+}
+
+export default CoverageTracker;
@@ -0,0 +1,533 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { removeEnvKeys } from './env-file.js';
+
+// Encrypted credential store, so tokens and client secrets don't sit in plaintext in .env,
+// env.ids or zendesk-oauth-tokens.json. Values are grouped by provider (google, zendesk, ...)
+// and profile (default, staging, ...) and keep their environment variable names:
+//
+//   { google: { default: { values: { GOOGLE_ACCESS_TOKEN: 'ya29...', ... }, updatedAt } } }
+//
+// The file is AES-256-GCM encrypted with a key derived (scrypt) from CREDENTIAL_VAULT_PASSPHRASE,
+// or else from a random key file (CREDENTIAL_VAULT_KEY_FILE, default ~/.config/api-tester/vault.key)
+// that is created on first use. Keep the key file out of the project so copying the project
+// never copies both. load-credentials.js puts the active profile into process.env for the testers.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const VAULT_PATH = path.join(__dirname, '.credentials.vault');
+export const DEFAULT_KEY_FILE = path.join(os.homedir(), '.config', 'api-tester', 'vault.key');
+export const DEFAULT_PROFILE = 'default';
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Secrets the plaintext files are known to hold; `import` moves these into the vault
+export const PROVIDERS = {
+  google: ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_ACCESS_TOKEN', 'GOOGLE_REFRESH_TOKEN'],
+  zendesk: ['ZENDESK_API_TOKEN', 'ZENDESK_ACCESS_TOKEN', 'ZENDESK_REFRESH_TOKEN', 'ZENDESK_CLIENT_ID', 'ZENDESK_SECRET'],
+  forge: ['FORGE_API_KEY'],
+  trello: ['TRELLO_API_KEY', 'TRELLO_TOKEN'],
+  flipkart: ['FLIPKART_AFFILIATE_TOKEN'],
+  youtube: ['YOUTUBE_API_KEY'],
+  onepassword: ['ONEPASSWORD_JWT_TOKEN', 'ONEPASSWORD_JWT_SECRET']
+};
+
+export class VaultError extends Error {}
+
+// ============ KEYS ============
+
+// { passphrase } or { keyFile }, from CREDENTIAL_VAULT_PASSPHRASE / CREDENTIAL_VAULT_KEY_FILE
+export function keySourceFromEnv(env = process.env) {
+  if (env.CREDENTIAL_VAULT_PASSPHRASE) {
+    return { passphrase: env.CREDENTIAL_VAULT_PASSPHRASE };
+  }
+  return { keyFile: env.CREDENTIAL_VAULT_KEY_FILE || DEFAULT_KEY_FILE };
+}
+
+function describeKeySource(source) {
+  return source.passphrase !== undefined ? 'passphrase' : `key file ${source.keyFile}`;
+}
+
+// A new key file is only created when a vault is being written, never when reading one
+function keyMaterial(source, { create = false } = {}) {
+  if (source.passphrase !== undefined) {
+    if (!source.passphrase) {
+      throw new VaultError('The vault passphrase is empty');
+    }
+    return Buffer.from(source.passphrase, 'utf8');
+  }
+
+  if (!fs.existsSync(source.keyFile)) {
+    if (!create) {
+      throw new VaultError(`Vault key file not found: ${source.keyFile} (set CREDENTIAL_VAULT_KEY_FILE or CREDENTIAL_VAULT_PASSPHRASE)`);
+    }
+    writeKeyFile(source.keyFile);
+  }
+  const key = fs.readFileSync(source.keyFile, 'utf8').trim();
+  if (key.length < 32) {
+    throw new VaultError(`Vault key file ${source.keyFile} is too short`);
+  }
+  return Buffer.from(key, 'utf8');
+}
+
+function writeKeyFile(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, `${crypto.randomBytes(32).toString('base64')}\n`, { mode: 0o600, flag: 'wx' });
+}
+
+function deriveKey(material, salt, params) {
+  return crypto.scryptSync(material, salt, 32, { ...params, maxmem: 128 * params.N * params.r * 2 });
+}
+
+// ============ ENCRYPTION ============
+
+export function encrypt(data, source) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(keyMaterial(source, { create: true }), salt, SCRYPT_PARAMS);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+  return {
+    version: VAULT_VERSION,
+    keySource: source.passphrase !== undefined ? 'passphrase' : 'key-file',
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+    cipher: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: ciphertext.toString('base64')
+  };
+}
+
+function isEnvelope(envelope) {
+  return envelope?.version === VAULT_VERSION && envelope.cipher === CIPHER && envelope.kdf?.name === 'scrypt'
+    && ['iv', 'tag', 'data'].every(field => typeof envelope[field] === 'string');
+}
+
+export function decrypt(envelope, source) {
+  if (!isEnvelope(envelope)) {
+    throw new VaultError(`Not a version ${VAULT_VERSION} credential vault`);
+  }
+  const { salt, N, r, p } = envelope.kdf;
+  const key = deriveKey(keyMaterial(source), Buffer.from(salt, 'base64'), { N, r, p });
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  try {
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new VaultError(`Cannot unlock the credential vault with the ${describeKeySource(source)} (the vault expects a ${envelope.keySource})`);
+  }
+}
+
+// ============ VAULT ============
+
+class CredentialVault {
+  constructor(file = process.env.CREDENTIAL_VAULT_FILE || VAULT_PATH, keySource = keySourceFromEnv()) {
+    this.file = file;
+    this.keySource = keySource;
+    this.entries = {};
+  }
+
+  static exists(file = process.env.CREDENTIAL_VAULT_FILE || VAULT_PATH) {
+    return fs.existsSync(file);
+  }
+
+  // A missing file is an empty vault; it is created on save()
+  static open(file, keySource) {
+    return new CredentialVault(file, keySource).load();
+  }
+
+  load() {
+    if (fs.existsSync(this.file)) {
+      let envelope;
+      try {
+        envelope = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      } catch (error) {
+        throw new VaultError(`${this.file} is not a credential vault: ${error.message}`);
+      }
+      if (!isEnvelope(envelope)) {
+        throw new VaultError(`${this.file} is not a version ${VAULT_VERSION} credential vault`);
+      }
+      this.entries = decrypt(envelope, this.keySource);
+    }
+    return this;
+  }
+
+  // Written to a temporary file first so an interrupted save never leaves half a vault
+  save() {
+    const envelope = encrypt(this.entries, this.keySource);
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, `${JSON.stringify(envelope, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, this.file);
+    return this;
+  }
+
+  // { KEY: value } for a provider's profile, or null
+  get(provider, profile = DEFAULT_PROFILE) {
+    const entry = this.entries[provider]?.[profile];
+    return entry ? { ...entry.values } : null;
+  }
+
+  // Merges values into the profile; null or undefined values are skipped
+  set(provider, values, profile = DEFAULT_PROFILE) {
+    validateName('provider', provider);
+    validateName('profile', profile);
+    const defined = Object.entries(values).filter(([, value]) => value !== undefined && value !== null);
+    defined.forEach(([key]) => validateKey(key));
+
+    const profiles = this.entries[provider] || (this.entries[provider] = {});
+    const entry = profiles[profile] || { values: {} };
+    profiles[profile] = {
+      values: { ...entry.values, ...Object.fromEntries(defined.map(([key, value]) => [key, String(value)])) },
+      updatedAt: new Date().toISOString()
+    };
+    return this;
+  }
+
+  // Removes one key, or the whole profile when no key is given; returns whether anything went
+  delete(provider, key = null, profile = DEFAULT_PROFILE) {
+    const profiles = this.entries[provider];
+    if (!profiles?.[profile]) {
+      return false;
+    }
+    if (key) {
+      if (!(key in profiles[profile].values)) {
+        return false;
+      }
+      delete profiles[profile].values[key];
+      profiles[profile].updatedAt = new Date().toISOString();
+    }
+    if (!key || Object.keys(profiles[profile].values).length === 0) {
+      delete profiles[profile];
+    }
+    if (Object.keys(profiles).length === 0) {
+      delete this.entries[provider];
+    }
+    return true;
+  }
+
+  // Names only, never values
+  list() {
+    return Object.entries(this.entries).flatMap(([provider, profiles]) =>
+      Object.entries(profiles).map(([profile, entry]) => ({
+        provider,
+        profile,
+        keys: Object.keys(entry.values),
+        updatedAt: entry.updatedAt
+      })));
+  }
+
+  // Every value of a profile across providers, as environment variables
+  environment(profile = DEFAULT_PROFILE) {
+    return Object.assign({}, ...Object.keys(this.entries).map(provider => this.get(provider, profile) || {}));
+  }
+
+  // Re-encrypts under a new passphrase or key file, with a fresh salt
+  rotate(newKeySource) {
+    this.keySource = newKeySource;
+    return this.save();
+  }
+}
+
+function validateName(kind, name) {
+  if (!/^[a-z0-9][a-z0-9_.-]*$/i.test(name || '')) {
+    throw new VaultError(`Invalid ${kind} name "${name}" (letters, digits, ".", "_" and "-")`);
+  }
+}
+
+function validateKey(key) {
+  if (!/^[A-Z_][A-Z0-9_]*$/.test(key)) {
+    throw new VaultError(`Invalid credential name "${key}" (use environment variable names like GOOGLE_ACCESS_TOKEN)`);
+  }
+}
+
+// ============ HELPERS ============
+
+export function activeProfile(env = process.env) {
+  return env.CREDENTIAL_PROFILE || DEFAULT_PROFILE;
+}
+
+// Stores freshly issued tokens (OAuth callbacks, token refresh) and updates process.env.
+// The vault is created, with a new key file if needed, the first time anything is saved;
+// stale plaintext copies of the same keys are removed from .env
+export function saveCredentials(provider, values, profile = activeProfile()) {
+  const defined = Object.entries(values).filter(([, value]) => value !== undefined && value !== null);
+  const vault = CredentialVault.open();
+  vault.set(provider, values, profile).save();
+  defined.forEach(([key, value]) => { process.env[key] = String(value); });
+  removeEnvKeys(defined.map(([key]) => key));
+  return vault;
+}
+
+// `KEY=value` lines for scripts that parse env.ids-style text: the provider's vault profile,
+// or the legacy plaintext file while nothing has been imported yet
+export function credentialText(provider, legacyFile) {
+  const values = CredentialVault.exists() ? CredentialVault.open().get(provider, activeProfile()) : null;
+  if (values) {
+    return Object.entries(values).map(([key, value]) => `${key}=${value}`).join('\n');
+  }
+  if (legacyFile && fs.existsSync(legacyFile)) {
+    return fs.readFileSync(legacyFile, 'utf8');
+  }
+  throw new VaultError(`No ${provider} credentials in the vault (node credential-vault.js set ${provider} KEY=value)`);
+}
+
+function providerFor(key) {
+  return Object.keys(PROVIDERS).find(provider => PROVIDERS[provider].includes(key)) || null;
+}
+
+function mask(value) {
+  return value.length <= 8 ? '********' : `${value.slice(0, 4)}…${value.slice(-2)} (${value.length} chars)`;
+}
+
+// ============ IMPORT ============
+
+// Moves known secrets out of .env, env.ids and zendesk-oauth-tokens.json into the vault.
+// Unless keep is set, the plaintext copies are removed afterwards
+function importPlaintext(vault, { profile, keep, dir = __dirname }) {
+  const imported = [];
+  const envFile = path.join(dir, '.env');
+  const idsFile = path.join(dir, 'env.ids');
+  const tokensFile = path.join(dir, 'zendesk-oauth-tokens.json');
+
+  if (fs.existsSync(envFile)) {
+    const values = dotenv.parse(fs.readFileSync(envFile, 'utf8'));
+    const secrets = Object.entries(values).filter(([key, value]) => providerFor(key) && !/^your_/.test(value));
+    secrets.forEach(([key, value]) => vault.set(providerFor(key), { [key]: value }, profile));
+    if (secrets.length > 0) {
+      imported.push({ file: envFile, keys: secrets.map(([key]) => key) });
+    }
+  }
+
+  // env.ids is all Zendesk OAuth client settings, subdomain included
+  if (fs.existsSync(idsFile)) {
+    const values = dotenv.parse(fs.readFileSync(idsFile, 'utf8'));
+    vault.set('zendesk', values, profile);
+    imported.push({ file: idsFile, keys: Object.keys(values) });
+  }
+
+  if (fs.existsSync(tokensFile)) {
+    let tokens;
+    try {
+      tokens = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+    } catch (error) {
+      throw new VaultError(`${tokensFile} is not a valid tokens file: ${error.message}`);
+    }
+    const values = Object.fromEntries(Object.entries({
+      ZENDESK_ACCESS_TOKEN: tokens.accessToken,
+      ZENDESK_REFRESH_TOKEN: tokens.refreshToken
+    }).filter(([, value]) => value));
+    vault.set('zendesk', values, profile);
+    imported.push({ file: tokensFile, keys: Object.keys(values) });
+  }
+
+  if (imported.length === 0) {
+    return imported;
+  }
+  vault.save();
+
+  if (!keep) {
+    for (const { file, keys } of imported) {
+      if (file === envFile) {
+        removeEnvKeys(keys, envFile);
+      } else {
+        fs.rmSync(file);
+      }
+    }
+  }
+  return imported;
+}
+
+// ============ CLI ============
+
+const USAGE = `Usage:
+  node credential-vault.js list
+  node credential-vault.js get <provider> [KEY] [--profile=<name>] [--reveal]
+  node credential-vault.js set <provider> KEY=value [KEY ...] [--profile=<name>]
+  node credential-vault.js delete <provider> [KEY] [--profile=<name>]
+  node credential-vault.js rotate [--key-file=<path>]
+  node credential-vault.js import [--profile=<name>] [--keep]
+
+  get with a KEY prints the bare value, for scripts. A bare KEY in set reads its value from stdin
+  (one line per key), which keeps it out of the shell history.
+  rotate re-encrypts the vault under CREDENTIAL_VAULT_NEW_PASSPHRASE when it is set, and
+  otherwise under a newly generated key file (--key-file, default: the current key file).
+  import moves secrets from .env, env.ids and zendesk-oauth-tokens.json into the vault and
+  removes them from those files (--keep leaves the files alone).
+
+Environment:
+  CREDENTIAL_VAULT_PASSPHRASE  Passphrase the vault key is derived from
+  CREDENTIAL_VAULT_KEY_FILE    Key file used when there is no passphrase (default: ${DEFAULT_KEY_FILE})
+  CREDENTIAL_VAULT_FILE        Vault location (default: .credentials.vault)
+  CREDENTIAL_PROFILE           Profile the testers read (default: ${DEFAULT_PROFILE})`;
+
+function parseCliArgs(argv) {
+  const args = { _: [] };
+  argv.forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split(/=(.*)/s);
+      args[key] = value === undefined ? true : value;
+    } else {
+      args._.push(arg);
+    }
+  });
+  return args;
+}
+
+function readStdinLines() {
+  try {
+    return fs.readFileSync(0, 'utf8').split('\n').map(line => line.replace(/\r$/, ''));
+  } catch {
+    return [];
+  }
+}
+
+function runCommand(argv) {
+  const args = parseCliArgs(argv);
+  const [command, provider, ...rest] = args._;
+  const profile = typeof args.profile === 'string' ? args.profile : activeProfile();
+
+  switch (command) {
+    case 'list': {
+      const vault = CredentialVault.open();
+      const entries = vault.list();
+      console.log(chalk.cyan(`🔐 ${vault.file} (${describeKeySource(vault.keySource)})`));
+      if (entries.length === 0) {
+        console.log(chalk.gray('   empty'));
+      }
+      entries.forEach(entry => {
+        console.log(`${chalk.bold(entry.provider)}/${entry.profile} ${chalk.gray(`updated ${entry.updatedAt}`)}`);
+        entry.keys.forEach(key => console.log(chalk.gray(`   ${key}`)));
+      });
+      return 0;
+    }
+
+    case 'get': {
+      const values = provider && CredentialVault.open().get(provider, profile);
+      if (!values) {
+        throw new VaultError(`No credentials for ${provider}/${profile}`);
+      }
+      const [key] = rest;
+      if (key) {
+        if (values[key] === undefined) {
+          throw new VaultError(`${provider}/${profile} has no ${key}`);
+        }
+        process.stdout.write(`${values[key]}\n`);
+        return 0;
+      }
+      Object.entries(values).forEach(([name, value]) => {
+        console.log(`${name}=${args.reveal ? value : mask(value)}`);
+      });
+      return 0;
+    }
+
+    case 'set': {
+      if (!provider || rest.length === 0) {
+        throw new VaultError('set needs a provider and at least one KEY=value');
+      }
+      const stdin = rest.some(item => !item.includes('=')) ? readStdinLines() : [];
+      const values = Object.fromEntries(rest.map(item => {
+        const [key, value] = item.split(/=(.*)/s);
+        return [key, value === undefined ? stdin.shift() : value];
+      }));
+      const missing = Object.keys(values).filter(key => !values[key]);
+      if (missing.length > 0) {
+        throw new VaultError(`No value for ${missing.join(', ')}`);
+      }
+      const vault = CredentialVault.open();
+      vault.set(provider, values, profile).save();
+      console.log(chalk.green(`✅ Saved ${Object.keys(values).join(', ')} to ${provider}/${profile}`));
+      return 0;
+    }
+
+    case 'delete': {
+      const vault = CredentialVault.open();
+      const [key] = rest;
+      if (!provider || !vault.delete(provider, key || null, profile)) {
+        throw new VaultError(`Nothing to delete for ${[provider, profile, key].filter(Boolean).join('/')}`);
+      }
+      vault.save();
+      console.log(chalk.green(`✅ Deleted ${key || 'all credentials'} from ${provider}/${profile}`));
+      return 0;
+    }
+
+    case 'rotate': {
+      if (!CredentialVault.exists()) {
+        throw new VaultError('There is no vault to rotate yet');
+      }
+      return rotateKey(CredentialVault.open(), args);
+    }
+
+    case 'import': {
+      const vault = CredentialVault.open();
+      const imported = importPlaintext(vault, { profile, keep: !!args.keep });
+      if (imported.length === 0) {
+        console.log(chalk.yellow('Nothing to import'));
+        return 0;
+      }
+      imported.forEach(({ file, keys }) => {
+        console.log(chalk.green(`✅ ${path.basename(file)}: ${keys.join(', ')}${args.keep ? '' : ' (removed from the file)'}`));
+      });
+      console.log(chalk.gray(`   Vault: ${vault.file}, profile ${profile}`));
+      return 0;
+    }
+
+    default:
+      console.log(USAGE);
+      return command ? 2 : 0;
+  }
+}
+
+// The old key stays valid until the vault is safely written under the new one
+function rotateKey(vault, args) {
+  const previous = vault.keySource;
+
+  if (process.env.CREDENTIAL_VAULT_NEW_PASSPHRASE) {
+    vault.rotate({ passphrase: process.env.CREDENTIAL_VAULT_NEW_PASSPHRASE });
+    console.log(chalk.green('✅ Vault re-encrypted with the new passphrase'));
+    console.log(chalk.yellow('   Set CREDENTIAL_VAULT_PASSPHRASE to the new passphrase from now on'));
+    return 0;
+  }
+
+  const keyFile = typeof args['key-file'] === 'string' ? path.resolve(args['key-file']) : (previous.keyFile || DEFAULT_KEY_FILE);
+  const staged = `${keyFile}.new`;
+  fs.rmSync(staged, { force: true });
+  writeKeyFile(staged);
+  vault.rotate({ keyFile: staged });
+  fs.renameSync(staged, keyFile);
+  vault.keySource = { keyFile };
+
+  console.log(chalk.green(`✅ Vault re-encrypted with a new key in ${keyFile}`));
+  if (previous.passphrase !== undefined) {
+    console.log(chalk.yellow('   Unset CREDENTIAL_VAULT_PASSPHRASE so the key file is used'));
+  }
+  if (keyFile !== (process.env.CREDENTIAL_VAULT_KEY_FILE || DEFAULT_KEY_FILE)) {
+    console.log(chalk.yellow(`   Set CREDENTIAL_VAULT_KEY_FILE=${keyFile}`));
+  }
+  return 0;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    process.exitCode = runCommand(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof VaultError)) {
+      throw error;
+    }
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+export default CredentialVault;
@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import fs from 'fs';
+import yaml from 'js-yaml';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import './load-credentials.js';
+import { BasicAuth, BearerAuth, HeaderAuth, NoAuth, QueryParamAuth } from './auth-strategies.js';
+import BaseApiTester, { runStandalone, standaloneOptions } from './base-api-tester.js';
+import { parsePath, query } from './jsonpath.js';
+import * as schemas from './schemas.js';
+import StepContext from './step-context.js';
+import { registerTester } from './tester-registry.js';
+
+// Runs test cases written as YAML/JSON instead of test methods. A suite looks like:
+//
+//   name: drive-smoke
+//   title: Google Drive API (declarative)
+//   baseUrl: https://www.googleapis.com/drive/v3
+//   auth: { type: bearer, token: "{{env.GOOGLE_ACCESS_TOKEN}}" }
+//   cases:
+//     - name: Create File
+//       request: { method: POST, path: /files, body: { name: "Test {{$timestamp}}.txt" } }
+//       expect:
+//         status: 200
+//         schema: DriveFileSchema            # export name from schemas.js
+//         assert:
+//           - { path: $.name, matches: "^Test" }
+//       capture:
+//         fileId: $.id                       # usable as {{fileId}} in later cases; cases using it
+//                                            # are skipped ("dependency failed") if it wasn't captured
+//   cleanup:
+//     - { name: Delete File, request: { method: DELETE, path: "/files/{{fileId}}" } }
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const CASES_DIR = path.join(ROOT_DIR, 'cases');
+
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+// ============ SUITE LOADING ============
+
+export function loadSuite(file) {
+  const suite = yaml.load(fs.readFileSync(file, 'utf8'));
+  const problems = [];
+
+  if (!suite || typeof suite !== 'object') {
+    throw new Error(`${file}: expected a YAML/JSON object`);
+  }
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(suite.name || '')) {
+    problems.push('name must be lowercase letters, digits and dashes');
+  }
+  if (!suite.baseUrl) {
+    problems.push('baseUrl is required');
+  }
+  if (!Array.isArray(suite.cases) || suite.cases.length === 0) {
+    problems.push('cases must be a non-empty list');
+  }
+  (suite.cases || []).concat(suite.cleanup || []).forEach((testCase, index) => {
+    if (!testCase?.name || !testCase.request) {
+      problems.push(`case #${index + 1} needs a name and a request`);
+    }
+    if (testCase?.expect?.schema && !schemas[testCase.expect.schema]) {
+      problems.push(`case "${testCase.name}" uses unknown schema ${testCase.expect.schema}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`${file}: ${problems.join('; ')}`);
+  }
+  return { title: suite.name, variables: {}, cleanup: [], ...suite, file };
+}
+
+// ============ VARIABLES ============
+
+function lookup(expression, variables) {
+  if (expression === '$timestamp') {
+    return Date.now();
+  }
+  if (expression === '$isoNow') {
+    return new Date().toISOString();
+  }
+  if (expression.startsWith('env.')) {
+    return process.env[expression.slice(4)];
+  }
+  return variables[expression];
+}
+
+// "{{fileId}}" keeps the captured value's type; placeholders inside longer strings are stringified
+export function interpolate(value, variables, unresolved = []) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+    if (whole) {
+      const resolved = lookup(whole[1], variables);
+      if (resolved === undefined) {
+        unresolved.push(whole[1]);
+      }
+      return resolved;
+    }
+    return value.replace(PLACEHOLDER, (match, expression) => {
+      const resolved = lookup(expression, variables);
+      if (resolved === undefined) {
+        unresolved.push(expression);
+        return match;
+      }
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, variables, unresolved));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, variables, unresolved)]));
+  }
+  return value;
+}
+
+// Captured variables a case refers to, i.e. placeholders other than env.* and $builtins
+function referencedVariables(value) {
+  return [...new Set([...JSON.stringify(value ?? '').matchAll(PLACEHOLDER)]
+    .map(match => match[1])
+    .filter(expression => !expression.startsWith('env.') && !expression.startsWith('$')))];
+}
+
+function envNames(value) {
+  return [...JSON.stringify(value ?? '').matchAll(/\{\{\s*env\.([A-Z0-9_]+)\s*\}\}/g)].map(match => match[1]);
+}
+
+// ============ AUTH ============
+
+export function buildAuth(auth = { type: 'none' }) {
+  const resolved = interpolate(auth, {});
+  switch (auth.type) {
+    case 'bearer':
+      return new BearerAuth(resolved.token, { label: resolved.label });
+    case 'basic':
+      return new BasicAuth(resolved.username, resolved.password, { label: resolved.label });
+    case 'header':
+      return new HeaderAuth(Object.fromEntries(Object.entries(auth.headers || {}).map(([header, value]) => [
+        header,
+        { label: header, value: resolved.headers[header], env: envNames(value)[0] }
+      ])));
+    case 'query':
+      return new QueryParamAuth(resolved.param, resolved.value, { label: resolved.label, env: envNames(auth.value)[0] });
+    case 'none':
+    case undefined:
+      return new NoAuth({ note: resolved.note });
+    default:
+      throw new Error(`Unknown auth type "${auth.type}" (expected bearer, basic, header, query or none)`);
+  }
+}
+
+// ============ ASSERTIONS ============
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function describe(value) {
+  return JSON.stringify(value) ?? 'undefined';
+}
+
+// Paths with [*], .., or slices are checked as the list of everything they match
+function isMultiMatch(jsonPath) {
+  return parsePath(jsonPath).some(token => ['wildcard', 'descendant', 'slice'].includes(token.type));
+}
+
+// Returns a failure message, or null when the assertion holds
+export function checkAssertion(data, assertion) {
+  const matches = query(data, assertion.path);
+  const multiMatch = isMultiMatch(assertion.path);
+  const value = multiMatch ? matches : matches[0];
+  const where = assertion.path;
+
+  if (assertion.exists !== undefined) {
+    if (assertion.exists !== matches.length > 0) {
+      return `${where} ${assertion.exists ? 'does not exist' : 'should not exist'}`;
+    }
+    if (!assertion.exists) {
+      return null;
+    }
+  } else if (matches.length === 0 && !multiMatch) {
+    return `${where} does not exist`;
+  }
+
+  // A bad pattern fails this step only, instead of throwing out of the whole suite
+  if (assertion.matches !== undefined) {
+    try {
+      new RegExp(assertion.matches);
+    } catch {
+      return `${where}: invalid pattern /${assertion.matches}/`;
+    }
+  }
+
+  const length = value?.length;
+  const checks = [
+    ['equals', expected => JSON.stringify(value) === JSON.stringify(expected), expected => `expected ${describe(expected)}, got ${describe(value)}`],
+    ['notEquals', expected => JSON.stringify(value) !== JSON.stringify(expected), expected => `should not equal ${describe(expected)}`],
+    ['type', expected => typeOf(value) === expected, expected => `expected type ${expected}, got ${typeOf(value)}`],
+    ['matches', expected => new RegExp(expected).test(String(value)), expected => `${describe(value)} does not match /${expected}/`],
+    ['contains', expected => (Array.isArray(value) ? value : String(value)).includes(expected), expected => `${describe(value)} does not contain ${describe(expected)}`],
+    ['oneOf', expected => expected.includes(value), expected => `${describe(value)} is not one of ${describe(expected)}`],
+    ['minLength', expected => length >= expected, expected => `length ${length} is below ${expected}`],
+    ['maxLength', expected => length <= expected, expected => `length ${length} is above ${expected}`],
+    ['gt', expected => value > expected, expected => `${describe(value)} is not > ${expected}`],
+    ['gte', expected => value >= expected, expected => `${describe(value)} is not >= ${expected}`],
+    ['lt', expected => value < expected, expected => `${describe(value)} is not < ${expected}`],
+    ['lte', expected => value <= expected, expected => `${describe(value)} is not <= ${expected}`]
+  ];
+
+  for (const [operator, holds, message] of checks) {
+    if (assertion[operator] !== undefined && !holds(assertion[operator])) {
+      return `${where}: ${message(assertion[operator])}`;
+    }
+  }
+  return null;
+}
+
+function statusMatches(expected, status) {
+  if (expected === undefined) {
+    return status >= 200 && status < 300;
+  }
+  return [].concat(expected).map(Number).includes(status);
+}
+
+// ============ DECLARATIVE TESTER ============
+
+export function createDeclarativeTester(suite) {
+  return class DeclarativeApiTester extends BaseApiTester {
+    constructor(options = {}) {
+      super({
+        name: suite.name,
+        title: suite.title,
+        banner: `🚀 ${suite.title.toUpperCase()} (DECLARATIVE)`,
+        summaryTitle: `📊 ${suite.title.toUpperCase()} SUMMARY`,
+        baseUrl: interpolate(suite.baseUrl, {}),
+        auth: buildAuth(suite.auth),
+        headers: suite.headers,
+        timeout: suite.timeout,
+        operationsTested: suite.cases.map(testCase => testCase.name),
+        defaultSpec: suite.spec,
+        expectJson: suite.expectJson,
+        ...options
+      });
+      this.suite = suite;
+      this.context = new StepContext(suite.variables);
+    }
+
+    testCases() {
+      return this.suite.cases.map(testCase => ({
+        name: testCase.name,
+        requires: referencedVariables([testCase.request, testCase.expect]),
+        captures: Object.keys(testCase.capture || {}),
+        run: () => this.runCase(testCase)
+      }));
+    }
+
+    async cleanup() {
+      for (const testCase of this.suite.cleanup) {
+        const unresolved = [];
+        const request = interpolate(testCase.request, this.context.values, unresolved);
+        if (unresolved.length > 0) {
+          continue;
+        }
+        const result = await this.send(request);
+        this.log(`   ${testCase.name}: ${result.status ?? 'no response'}`, result.success ? 'test' : 'warning');
+      }
+    }
+
+    send(request) {
+      return this.makeRequest(request.url || `${this.baseUrl}${request.path || ''}`, {
+        method: request.method || 'GET',
+        params: request.query,
+        headers: request.headers,
+        data: request.body
+      });
+    }
+
+    async runCase(testCase) {
+      this.log(`🧪 Testing ${testCase.name}...`, 'info');
+
+      const unresolved = [];
+      const request = interpolate(testCase.request, this.context.values, unresolved);
+      if (unresolved.length > 0) {
+        this.logTestResult(testCase.name, false, new Error(`Unresolved variables: ${[...new Set(unresolved)].join(', ')}`));
+        return;
+      }
+
+      const result = await this.send(request);
+      const expect = interpolate(testCase.expect || {}, this.context.values);
+
+      if (!statusMatches(expect.status, result.status)) {
+        const expected = expect.status === undefined ? '2xx' : [].concat(expect.status).join('/');
+        this.logTestResult(testCase.name, false, new Error(`${result.status}: expected ${expected}${result.message ? ` (${result.message})` : ''}`));
+        return;
+      }
+
+      // Error statuses can be expected too, in which case their body is what gets checked
+      const body = result.success ? result.data : result.details;
+
+      if (expect.schema) {
+        const validation = schemas[expect.schema].safeParse(body);
+        if (!validation.success) {
+          const issue = validation.error.issues[0];
+          const error = new Error(`${expect.schema} validation failed at ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+          // All of them, for the HTML report
+          error.issues = validation.error.issues;
+          this.logTestResult(testCase.name, false, error);
+          return;
+        }
+      }
+
+      for (const assertion of expect.assert || []) {
+        const failure = checkAssertion(body, assertion);
+        if (failure) {
+          this.logTestResult(testCase.name, false, new Error(failure));
+          return;
+        }
+      }
+
+      Object.entries(testCase.capture || {}).forEach(([name, jsonPath]) => {
+        const matches = query(body, jsonPath);
+        const value = isMultiMatch(jsonPath) ? matches : matches[0];
+        if (matches.length === 0) {
+          this.log(`   ⚠️ Capture ${name}: ${jsonPath} matched nothing`, 'warning');
+          return;
+        }
+        this.context.capture(name, value);
+        this.log(`   📌 ${name} = ${describe(value)}`, 'test');
+      });
+
+      this.logTestResult(testCase.name, true);
+    }
+
+    getTestData() {
+      return { suite: path.relative(ROOT_DIR, this.suite.file), variables: this.context.values };
+    }
+  };
+}
+
+// ============ DISCOVERY ============
+
+// Registers every cases/*.yaml|yml|json suite with the unified CLI; broken suites are reported
+export function registerCaseSuites(dir = CASES_DIR) {
+  const registered = [];
+  const failed = [];
+  if (!fs.existsSync(dir)) {
+    return { registered, failed };
+  }
+
+  fs.readdirSync(dir)
+    .filter(file => /\.(ya?ml|json)$/.test(file))
+    .sort()
+    .forEach(file => {
+      const source = path.relative(ROOT_DIR, path.join(dir, file));
+      try {
+        const suite = loadSuite(path.join(dir, file));
+        registerTester({
+          id: suite.name,
+          title: suite.title,
+          description: suite.description || `${suite.cases.length} declarative cases`,
+          env: [...new Set(envNames(suite.auth).concat(envNames(suite.baseUrl)))],
+          source,
+          load: async () => ({ default: createDeclarativeTester(suite) })
+        });
+        registered.push(suite);
+      } catch (error) {
+        failed.push({ source, error: error.message });
+      }
+    });
+
+  return { registered, failed };
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+  if (!file) {
+    console.log(chalk.yellow('Usage: node declarative-runner.js <cases/suite.yaml> [--grep=<pattern>] [--bail] [--spec[=file]] [--mode=record|replay]'));
+    process.exit(2);
+  }
+
+  try {
+    const suite = loadSuite(file);
+    const Tester = createDeclarativeTester(suite);
+    const spec = args.includes('--spec') ? suite.spec : option('spec');
+    runStandalone(new Tester({ ...standaloneOptions(args), spec }))
+      .then(results => process.exit(results.summary.failed > 0 ? 1 : 0));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(2);
+  }
+}
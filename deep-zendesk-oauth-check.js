@@ -2,7 +2,8 @@
 
 import axios from 'axios';
 import chalk from 'chalk';
-import fs from 'fs';
+
+import { credentialText } from './credential-vault.js';
 
 class DeepZendeskOAuthChecker {
   constructor() {
@@ -11,7 +12,7 @@ class DeepZendeskOAuthChecker {
 
   loadCredentials() {
     try {
-      const envContent = fs.readFileSync('env.ids', 'utf8');
+      const envContent = credentialText('zendesk', 'env.ids');
       
       const secretMatch = envContent.match(/ZENDESK_SECRET=([^\n]+)/);
       const apiTokenMatch = envContent.match(/ZENDESK_API_TOKEN=([^\n]+)/);
@@ -30,7 +31,7 @@ class DeepZendeskOAuthChecker {
         console.log(chalk.gray(`   Client Secret: ${this.clientSecret.substring(0, 8)}...`));
         console.log(chalk.gray(`   API Token: ${this.apiToken.substring(0, 8)}...`));
       } else {
-        throw new Error('Missing required credentials in env.ids');
+        throw new Error('Missing required Zendesk credentials in the credential vault (or env.ids)');
       }
     } catch (error) {
       console.error(chalk.red('❌ Error loading Zendesk credentials:'), error.message);
@@ -284,7 +285,7 @@ class DeepZendeskOAuthChecker {
     console.log(chalk.bold.blue('\n💡 Recommendations:'));
     if (oauthClients.length > 0) {
       console.log(chalk.blue('1. Use one of the existing OAuth clients above'));
-      console.log(chalk.blue('2. Update your env.ids with the correct Client ID'));
+      console.log(chalk.blue('2. Update the Client ID in the credential vault (node credential-vault.js set zendesk ZENDESK_CLIENT_ID=...)'));
     } else {
       console.log(chalk.blue('1. Create a new OAuth client in Zendesk Admin Center'));
       console.log(chalk.blue('2. Set Redirect URI to: http://localhost:3000/callback'));
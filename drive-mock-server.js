@@ -0,0 +1,605 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+import express from 'express';
+
+import {
+  GoogleApiError, apiHandler, requireBearerToken, addFallbackHandlers,
+  encodePageToken, decodePageToken, listenMockServer
+} from './mock-server-utils.js';
+
+// Stateful in-memory Google Drive v3 emulator for mock mode. Covers the metadata endpoints
+// the advanced tester uses: files.list/create/get/update/copy/delete, the `q` search
+// language, folder parents, permissions, partial responses (`fields`) and page tokens.
+//
+//   node drive-mock-server.js --port=4010
+//   node advanced-drive-tester.js --mode=mock   (starts its own instance on a free port)
+
+export const MOCK_TOKEN = 'mock-drive-access-token';
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+const BASE_PATH = '/drive/v3';
+const ROOT_ID = 'root';
+const OWNER = {
+  kind: 'drive#user',
+  displayName: 'Mock Drive User',
+  emailAddress: 'mock.user@example.com',
+  permissionId: '00000000000000000001',
+  me: true
+};
+
+// Drive infers the type of metadata-only uploads from the file extension
+const EXTENSION_MIME_TYPES = {
+  txt: 'text/plain',
+  csv: 'text/csv',
+  html: 'text/html',
+  json: 'application/json',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg'
+};
+
+const ROLES = ['owner', 'organizer', 'fileOrganizer', 'writer', 'commenter', 'reader'];
+const PERMISSION_TYPES = ['user', 'group', 'domain', 'anyone'];
+const DEFAULT_FILE_FIELDS = 'kind,id,name,mimeType';
+
+// ============ ERRORS ============
+
+const notFound = fileId => new GoogleApiError(404, 'notFound', `File not found: ${fileId}.`, 'fileId');
+const invalid = (message, location) => new GoogleApiError(400, 'invalid', message, location);
+
+// ============ SEARCH QUERY LANGUAGE ============
+
+// https://developers.google.com/drive/api/guides/search-files
+const TOKEN_PATTERN = /\s*(?:('(?:\\.|[^'\\])*')|(!=|<=|>=|=|<|>)|([()])|([A-Za-z_][\w.]*))/y;
+const STRING_FIELDS = ['name', 'mimeType', 'fullText'];
+const TIME_FIELDS = ['createdTime', 'modifiedTime'];
+const BOOLEAN_FIELDS = ['starred', 'trashed'];
+const COLLECTION_FIELDS = ['parents', 'owners'];
+
+function tokenize(query) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < query.length) {
+    if (/^\s*$/.test(query.slice(TOKEN_PATTERN.lastIndex))) {
+      break;
+    }
+    const match = TOKEN_PATTERN.exec(query);
+    if (!match) {
+      throw invalid('Invalid Value', 'q');
+    }
+    const [, string, operator, paren, word] = match;
+    if (string !== undefined) {
+      tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (operator) {
+      tokens.push({ type: 'operator', value: operator });
+    } else if (paren) {
+      tokens.push({ type: paren });
+    } else {
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+  return tokens;
+}
+
+// "name contains 'Test'" matches names with a word starting with "Test" (Drive does prefix matching)
+function nameContains(name, value) {
+  const needle = value.toLowerCase();
+  const haystack = (name || '').toLowerCase();
+  return haystack.startsWith(needle) || haystack.split(/[^\p{L}\p{N}]+/u).some(word => word.startsWith(needle));
+}
+
+// Drive reads times without an offset as UTC
+function parseTime(value) {
+  const time = Date.parse(/(Z|[+-]\d\d:?\d\d)$/.test(value) ? value : `${value}Z`);
+  if (Number.isNaN(time)) {
+    throw invalid('Invalid Value', 'q');
+  }
+  return time;
+}
+
+function compare(left, operator, right) {
+  switch (operator) {
+    case '=': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: throw invalid('Invalid Value', 'q');
+  }
+}
+
+function parseTerm(tokens) {
+  const first = tokens.shift();
+  if (!first) {
+    throw invalid('Invalid Value', 'q');
+  }
+
+  // 'folderId' in parents / 'me' in owners
+  if (first.type === 'string') {
+    const keyword = tokens.shift();
+    const field = tokens.shift();
+    if (keyword?.value !== 'in' || !COLLECTION_FIELDS.includes(field?.value)) {
+      throw invalid('Invalid Value', 'q');
+    }
+    const value = first.value;
+    return field.value === 'parents'
+      ? file => (file.parents || []).includes(value)
+      : file => value === 'me' || file.owners.some(owner => owner.emailAddress === value);
+  }
+
+  if (first.type !== 'word') {
+    throw invalid('Invalid Value', 'q');
+  }
+  const field = first.value;
+  const operator = tokens.shift();
+  const operand = tokens.shift();
+  const op = operator?.type === 'operator' ? operator.value : operator?.value;
+
+  if (STRING_FIELDS.includes(field) && operand?.type === 'string') {
+    if (op === 'contains') {
+      if (field === 'fullText') {
+        const needle = operand.value.toLowerCase();
+        return file => `${file.name} ${file.description || ''}`.toLowerCase().includes(needle);
+      }
+      return field === 'name'
+        ? file => nameContains(file.name, operand.value)
+        : file => (file[field] || '').includes(operand.value);
+    }
+    if ((op === '=' || op === '!=') && field !== 'fullText') {
+      return file => compare(file[field], op, operand.value);
+    }
+  }
+  if (TIME_FIELDS.includes(field) && operand?.type === 'string' && operator?.type === 'operator') {
+    const time = parseTime(operand.value);
+    return file => compare(Date.parse(file[field]), op, time);
+  }
+  if (BOOLEAN_FIELDS.includes(field) && (op === '=' || op === '!=') && ['true', 'false'].includes(operand?.value)) {
+    const expected = operand.value === 'true';
+    return file => compare(!!file[field], op, expected);
+  }
+
+  // e.g. the old "parents in 'root'" form, which the real API also rejects
+  throw invalid('Invalid Value', 'q');
+}
+
+function parseUnary(tokens) {
+  if (tokens[0]?.type === 'word' && tokens[0].value === 'not') {
+    tokens.shift();
+    const predicate = parseUnary(tokens);
+    return file => !predicate(file);
+  }
+  if (tokens[0]?.type === '(') {
+    tokens.shift();
+    const predicate = parseOr(tokens);
+    if (tokens.shift()?.type !== ')') {
+      throw invalid('Invalid Value', 'q');
+    }
+    return predicate;
+  }
+  return parseTerm(tokens);
+}
+
+function parseAnd(tokens) {
+  let predicate = parseUnary(tokens);
+  while (tokens[0]?.type === 'word' && tokens[0].value === 'and') {
+    tokens.shift();
+    const left = predicate;
+    const right = parseUnary(tokens);
+    predicate = file => left(file) && right(file);
+  }
+  return predicate;
+}
+
+function parseOr(tokens) {
+  let predicate = parseAnd(tokens);
+  while (tokens[0]?.type === 'word' && tokens[0].value === 'or') {
+    tokens.shift();
+    const left = predicate;
+    const right = parseAnd(tokens);
+    predicate = file => left(file) || right(file);
+  }
+  return predicate;
+}
+
+export function parseDriveQuery(query) {
+  if (!query || !query.trim()) {
+    return () => true;
+  }
+  const tokens = tokenize(query);
+  const predicate = parseOr(tokens);
+  if (tokens.length > 0) {
+    throw invalid('Invalid Value', 'q');
+  }
+  return predicate;
+}
+
+// ============ PARTIAL RESPONSES ============
+
+// "kind,files(id,name),nextPageToken" → { kind: true, files: { id: true, name: true }, nextPageToken: true }
+export function parseFields(fields) {
+  let position = 0;
+
+  function parseList() {
+    const selection = {};
+    while (position < fields.length && fields[position] !== ')') {
+      const name = fields.slice(position).match(/^\s*([\w*]+(?:\/[\w*]+)*)\s*/)?.[1];
+      if (!name) {
+        throw invalid(`Invalid field selection ${fields}`, 'fields');
+      }
+      position += fields.slice(position).match(/^\s*[\w*/]+\s*/)[0].length;
+
+      let value = true;
+      if (fields[position] === '(') {
+        position++;
+        value = parseList();
+        if (fields[position++] !== ')') {
+          throw invalid(`Invalid field selection ${fields}`, 'fields');
+        }
+      }
+
+      // a/b is shorthand for a(b)
+      const path = name.split('/');
+      let target = selection;
+      path.slice(0, -1).forEach(part => {
+        target[part] = typeof target[part] === 'object' ? target[part] : {};
+        target = target[part];
+      });
+      target[path[path.length - 1]] = value;
+
+      if (fields[position] === ',') {
+        position++;
+      }
+    }
+    return selection;
+  }
+
+  const selection = parseList();
+  if (position < fields.length) {
+    throw invalid(`Invalid field selection ${fields}`, 'fields');
+  }
+  return selection;
+}
+
+function selectFields(value, selection) {
+  if (selection === true || selection['*'] === true || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => selectFields(item, selection));
+  }
+  return Object.fromEntries(Object.entries(selection)
+    .filter(([key]) => value[key] !== undefined)
+    .map(([key, nested]) => [key, selectFields(value[key], nested)]));
+}
+
+// ============ STATE ============
+
+function newId(length = 33) {
+  return `1${crypto.randomBytes(length).toString('base64url').slice(0, length - 1)}`;
+}
+
+export class DriveState {
+  constructor(options = {}) {
+    this.files = new Map();
+    this.permissions = new Map();
+    (options.seed || DEFAULT_SEED).forEach(file => this.createFile(file));
+  }
+
+  createFile(metadata) {
+    const now = new Date().toISOString();
+    const extension = (metadata.name || '').split('.').pop().toLowerCase();
+    const mimeType = metadata.mimeType || EXTENSION_MIME_TYPES[extension] || 'application/octet-stream';
+    const parents = metadata.parents && metadata.parents.length > 0 ? metadata.parents : [ROOT_ID];
+    if (parents.length > 1) {
+      throw new GoogleApiError(403, 'cannotAddParent', 'Increasing the number of parents is not allowed.');
+    }
+    parents.forEach(parentId => this.requireFolder(parentId));
+
+    const id = newId();
+    const file = {
+      kind: 'drive#file',
+      id,
+      name: metadata.name || 'Untitled',
+      mimeType,
+      ...(metadata.description !== undefined && { description: metadata.description }),
+      parents,
+      starred: !!metadata.starred,
+      trashed: false,
+      createdTime: now,
+      modifiedTime: now,
+      ...(mimeType !== FOLDER_MIME_TYPE && { size: '0' }),
+      version: '1',
+      owners: [{ ...OWNER }],
+      webViewLink: mimeType === FOLDER_MIME_TYPE
+        ? `https://drive.google.com/drive/folders/${id}`
+        : `https://drive.google.com/file/d/${id}/view?usp=drivesdk`
+    };
+    this.files.set(id, file);
+    this.permissions.set(id, [{
+      kind: 'drive#permission',
+      id: OWNER.permissionId,
+      type: 'user',
+      role: 'owner',
+      emailAddress: OWNER.emailAddress,
+      displayName: OWNER.displayName
+    }]);
+    return file;
+  }
+
+  getFile(fileId) {
+    const file = this.files.get(fileId);
+    if (!file) {
+      throw notFound(fileId);
+    }
+    return file;
+  }
+
+  requireFolder(folderId) {
+    if (folderId === ROOT_ID) {
+      return;
+    }
+    const folder = this.getFile(folderId);
+    if (folder.mimeType !== FOLDER_MIME_TYPE) {
+      throw new GoogleApiError(403, 'teamDrivesParentLimit', `The parent ${folderId} is not a folder.`);
+    }
+  }
+
+  updateFile(fileId, updates, { addParents = [], removeParents = [] } = {}) {
+    const file = this.getFile(fileId);
+    if (updates.parents !== undefined) {
+      throw new GoogleApiError(403, 'fieldNotWritable',
+        'The resource body includes fields which are not directly writable. Use addParents and removeParents instead.');
+    }
+
+    addParents.forEach(parentId => this.requireFolder(parentId));
+    removeParents.forEach(parentId => {
+      if (!file.parents.includes(parentId)) {
+        throw invalid(`The parent ${parentId} is not a parent of ${fileId}.`, 'removeParents');
+      }
+    });
+    const parents = [...new Set(file.parents.filter(parentId => !removeParents.includes(parentId)).concat(addParents))];
+    if (parents.length > 1) {
+      throw new GoogleApiError(403, 'cannotAddParent', 'Increasing the number of parents is not allowed.');
+    }
+
+    ['name', 'description', 'starred', 'trashed'].forEach(field => {
+      if (updates[field] !== undefined) {
+        file[field] = updates[field];
+      }
+    });
+    file.parents = parents.length > 0 ? parents : [ROOT_ID];
+    file.modifiedTime = new Date().toISOString();
+    file.version = String(Number(file.version) + 1);
+    return file;
+  }
+
+  copyFile(fileId, overrides = {}) {
+    const source = this.getFile(fileId);
+    if (source.mimeType === FOLDER_MIME_TYPE) {
+      throw new GoogleApiError(403, 'fileNotCopyable', 'This file cannot be copied by the user.');
+    }
+    return this.createFile({
+      name: overrides.name || `Copy of ${source.name}`,
+      mimeType: source.mimeType,
+      description: overrides.description ?? source.description,
+      parents: overrides.parents || source.parents
+    });
+  }
+
+  // Deleting a folder deletes everything in it, like the real API
+  deleteFile(fileId) {
+    this.getFile(fileId);
+    [...this.files.values()]
+      .filter(file => file.parents.includes(fileId))
+      .forEach(child => this.deleteFile(child.id));
+    this.files.delete(fileId);
+    this.permissions.delete(fileId);
+  }
+
+  listPermissions(fileId) {
+    this.getFile(fileId);
+    return this.permissions.get(fileId);
+  }
+
+  createPermission(fileId, body) {
+    const permissions = this.listPermissions(fileId);
+    if (!ROLES.includes(body.role)) {
+      throw invalid(`The permission role field value is invalid: ${body.role}`, 'permission.role');
+    }
+    if (!PERMISSION_TYPES.includes(body.type)) {
+      throw invalid(`The permission type field value is invalid: ${body.type}`, 'permission.type');
+    }
+    if (['user', 'group'].includes(body.type) && !body.emailAddress) {
+      throw invalid('The permission emailAddress field is required for this type.', 'permission.emailAddress');
+    }
+    if (body.type === 'domain' && !body.domain) {
+      throw invalid('The permission domain field is required for this type.', 'permission.domain');
+    }
+    if (body.role === 'owner') {
+      throw new GoogleApiError(403, 'forbidden', 'Ownership transfer is not supported by the mock server.');
+    }
+
+    const permission = {
+      kind: 'drive#permission',
+      id: body.type === 'anyone' ? 'anyoneWithLink' : String(crypto.randomInt(1e9, 1e10)),
+      type: body.type,
+      role: body.role,
+      ...(body.emailAddress && { emailAddress: body.emailAddress }),
+      ...(body.domain && { domain: body.domain }),
+      ...(['anyone', 'domain'].includes(body.type) && { allowFileDiscovery: !!body.allowFileDiscovery })
+    };
+    const existing = permissions.findIndex(entry => entry.id === permission.id);
+    if (existing >= 0) {
+      permissions[existing] = permission;
+    } else {
+      permissions.push(permission);
+    }
+    return permission;
+  }
+
+  deletePermission(fileId, permissionId) {
+    const permissions = this.listPermissions(fileId);
+    const index = permissions.findIndex(permission => permission.id === permissionId);
+    if (index === -1) {
+      throw new GoogleApiError(404, 'notFound', `Permission not found: ${permissionId}.`, 'permissionId');
+    }
+    if (permissions[index].role === 'owner') {
+      throw new GoogleApiError(403, 'cannotRemoveOwner', 'The owner of a file cannot be removed.');
+    }
+    permissions.splice(index, 1);
+  }
+
+  // File resource as returned by the API, including its current permissions
+  resource(file) {
+    return { ...file, permissions: this.permissions.get(file.id) };
+  }
+}
+
+const DEFAULT_SEED = [
+  { name: 'Getting started', mimeType: 'application/pdf' },
+  { name: 'Meeting notes.txt', mimeType: 'text/plain', description: 'Weekly sync notes' }
+];
+
+// ============ ORDERING ============
+
+function sortFiles(files, orderBy) {
+  if (!orderBy) {
+    return files;
+  }
+  const keys = orderBy.split(',').map(part => {
+    const [field, direction] = part.trim().split(/\s+/);
+    if (!['name', 'createdTime', 'modifiedTime', 'folder', 'starred'].includes(field)) {
+      throw invalid(`Invalid sort field: ${field}`, 'orderBy');
+    }
+    return { field, descending: direction === 'desc' };
+  });
+  const valueOf = (file, field) => field === 'folder' ? (file.mimeType === FOLDER_MIME_TYPE ? 0 : 1) : file[field];
+
+  return [...files].sort((a, b) => {
+    for (const { field, descending } of keys) {
+      const left = valueOf(a, field);
+      const right = valueOf(b, field);
+      if (left !== right) {
+        return (left < right ? -1 : 1) * (descending ? -1 : 1);
+      }
+    }
+    return 0;
+  });
+}
+
+// ============ HTTP APP ============
+
+function commaList(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+export function createDriveMockApp(options = {}) {
+  const state = options.state || new DriveState(options);
+  const token = options.token || MOCK_TOKEN;
+  const app = express();
+  const router = express.Router();
+
+  app.use(express.json());
+
+  app.use(requireBearerToken(token));
+
+  const respond = (req, res, body, defaultFields) => {
+    const fields = req.query.fields || defaultFields;
+    res.json(fields ? selectFields(body, parseFields(fields)) : body);
+  };
+
+  router.get('/files', apiHandler((req, res) => {
+    const pageSize = req.query.pageSize === undefined ? 100 : Number(req.query.pageSize);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 1000) {
+      throw invalid(`Invalid value '${req.query.pageSize}'. Values must be within the range: [1, 1000]`, 'pageSize');
+    }
+
+    const query = req.query.q || '';
+    const matches = sortFiles([...state.files.values()].filter(parseDriveQuery(query)), req.query.orderBy);
+    const offset = req.query.pageToken ? decodePageToken(req.query.pageToken, query) : 0;
+    const page = matches.slice(offset, offset + pageSize);
+
+    respond(req, res, {
+      kind: 'drive#fileList',
+      incompleteSearch: false,
+      files: page.map(file => state.resource(file)),
+      ...(offset + pageSize < matches.length && { nextPageToken: encodePageToken(offset + pageSize, query) })
+    }, `kind,incompleteSearch,nextPageToken,files(${DEFAULT_FILE_FIELDS})`);
+  }));
+
+  router.post('/files', apiHandler((req, res) => {
+    respond(req, res, state.resource(state.createFile(req.body || {})), DEFAULT_FILE_FIELDS);
+  }));
+
+  router.get('/files/:fileId', apiHandler((req, res) => {
+    respond(req, res, state.resource(state.getFile(req.params.fileId)), DEFAULT_FILE_FIELDS);
+  }));
+
+  router.patch('/files/:fileId', apiHandler((req, res) => {
+    const file = state.updateFile(req.params.fileId, req.body || {}, {
+      addParents: commaList(req.query.addParents),
+      removeParents: commaList(req.query.removeParents)
+    });
+    respond(req, res, state.resource(file), DEFAULT_FILE_FIELDS);
+  }));
+
+  router.post('/files/:fileId/copy', apiHandler((req, res) => {
+    respond(req, res, state.resource(state.copyFile(req.params.fileId, req.body || {})), DEFAULT_FILE_FIELDS);
+  }));
+
+  router.delete('/files/:fileId', apiHandler((req, res) => {
+    state.deleteFile(req.params.fileId);
+    res.status(204).end();
+  }));
+
+  router.get('/files/:fileId/permissions', apiHandler((req, res) => {
+    respond(req, res, { kind: 'drive#permissionList', permissions: state.listPermissions(req.params.fileId) });
+  }));
+
+  router.post('/files/:fileId/permissions', apiHandler((req, res) => {
+    respond(req, res, state.createPermission(req.params.fileId, req.body || {}), 'kind,id,type,role');
+  }));
+
+  router.get('/files/:fileId/permissions/:permissionId', apiHandler((req, res) => {
+    const permission = state.listPermissions(req.params.fileId).find(entry => entry.id === req.params.permissionId);
+    if (!permission) {
+      throw new GoogleApiError(404, 'notFound', `Permission not found: ${req.params.permissionId}.`, 'permissionId');
+    }
+    respond(req, res, permission, 'kind,id,type,role');
+  }));
+
+  router.delete('/files/:fileId/permissions/:permissionId', apiHandler((req, res) => {
+    state.deletePermission(req.params.fileId, req.params.permissionId);
+    res.status(204).end();
+  }));
+
+  app.use(BASE_PATH, router);
+
+  addFallbackHandlers(app);
+
+  return { app, state };
+}
+
+export function startDriveMockServer(options = {}) {
+  const { app, state } = createDriveMockApp(options);
+  return listenMockServer(app, { ...options, basePath: BASE_PATH, token: options.token || MOCK_TOKEN, state });
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const portArg = process.argv.slice(2).find(arg => arg.startsWith('--port='));
+  const port = portArg ? Number(portArg.split('=')[1]) : 4010;
+
+  startDriveMockServer({ port }).then(({ url }) => {
+    console.log(chalk.green(`✅ Drive mock server listening at ${url}`));
+    console.log(chalk.gray(`   Authorization: Bearer ${MOCK_TOKEN}`));
+    console.log(chalk.gray('   Press Ctrl+C to stop'));
+  }).catch(error => {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  });
+}
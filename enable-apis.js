@@ -2,7 +2,8 @@
 
 import chalk from 'chalk';
 import axios from 'axios';
-import 'dotenv/config';
+
+import './load-credentials.js';
 
 const PROJECT_ID = '258308457067'; // From the error message
 const TOKEN = process.env.GOOGLE_ACCESS_TOKEN;
@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ENV_PATH = path.join(__dirname, '.env');
+
+// Sets KEY=value lines in .env, replacing existing ones and appending new ones. Undefined
+// values are left alone. The running process sees the new values too.
+export function updateEnvFile(values, envPath = ENV_PATH) {
+  let envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const regex = new RegExp(`^${key}=.*$`, 'm');
+    if (envContent.match(regex)) {
+      envContent = envContent.replace(regex, () => `${key}=${value}`);
+    } else {
+      envContent = `${envContent.trimEnd()}\n${key}=${value}`;
+    }
+    process.env[key] = String(value);
+  }
+
+  fs.writeFileSync(envPath, envContent.trim() + '\n');
+}
+
+// Drops KEY=... lines, e.g. secrets that moved to the credential vault; returns the removed keys
+export function removeEnvKeys(keys, envPath = ENV_PATH) {
+  if (!fs.existsSync(envPath) || keys.length === 0) {
+    return [];
+  }
+  const lines = fs.readFileSync(envPath, 'utf8').split('\n');
+  const removed = [];
+  const kept = lines.filter(line => {
+    const key = keys.find(name => new RegExp(`^${name}\\s*=`).test(line));
+    if (key) {
+      removed.push(key);
+    }
+    return !key;
+  });
+  if (removed.length > 0) {
+    fs.writeFileSync(envPath, kept.join('\n'));
+  }
+  return removed;
+}
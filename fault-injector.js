@@ -0,0 +1,250 @@
+import axios from 'axios';
+import fs from 'fs';
+import http from 'http';
+import yaml from 'js-yaml';
+
+// Fault injection for requests made through BaseApiTester.makeRequest. A matching request is
+// answered by a throwaway local server instead of (or after) the real API, so axios sees
+// genuine resets, stalled bodies and bad payloads rather than simulated errors.
+//
+//   faults:                                   # --faults=<file.yaml|json>
+//     - route: "GET */symbols"                # method (or *) and URL glob; "*" matches anything
+//       fault: rate-limit                     # see FAULT_TYPES
+//       retryAfter: 2
+//       times: 1                              # inject this many times, then pass through
+//     - { route: "* */files*", fault: server-error, status: 503, after: 2, times: 3 }
+//     - { route: "*", fault: connection-reset, probability: 0.1 }
+//
+// slow-body and truncated-json fetch the real response first unless the rule has a `body`.
+
+export const FAULT_TYPES = ['rate-limit', 'server-error', 'connection-reset', 'slow-body', 'truncated-json', 'html-error'];
+
+const httpAdapter = axios.getAdapter('http');
+
+// ============ RULES ============
+
+function globToRegExp(glob) {
+  const pattern = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+// "GET */symbols" -> { method: 'GET', pattern }; without a method any method matches.
+// Patterns are matched against the URL without its query string.
+export function parseRoute(route = '*') {
+  const parts = String(route).trim().split(/\s+/);
+  const [method, glob] = parts.length > 1 ? parts : ['*', parts[0]];
+  return { method: method.toUpperCase(), pattern: globToRegExp(glob) };
+}
+
+function compileRule(rule, index, source) {
+  const where = `${source}: fault #${index + 1}`;
+  if (!FAULT_TYPES.includes(rule?.fault)) {
+    throw new Error(`${where} has unknown fault "${rule?.fault}" (expected ${FAULT_TYPES.join(', ')})`);
+  }
+  if (rule.probability !== undefined && !(rule.probability >= 0 && rule.probability <= 1)) {
+    throw new Error(`${where} probability must be between 0 and 1`);
+  }
+  if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 400 && rule.status <= 599)) {
+    throw new Error(`${where} status must be an HTTP error status`);
+  }
+  return {
+    ...rule,
+    route: rule.route || '*',
+    ...parseRoute(rule.route),
+    after: rule.after || 0,
+    times: rule.times ?? Infinity,
+    probability: rule.probability ?? 1,
+    seen: 0,
+    injected: 0
+  };
+}
+
+// A YAML/JSON file with a top-level list or a `faults:` list
+export function loadFaultRules(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Fault file not found: ${file}`);
+  }
+  const document = yaml.load(fs.readFileSync(file, 'utf8'));
+  const rules = Array.isArray(document) ? document : document?.faults;
+  if (!Array.isArray(rules)) {
+    throw new Error(`${file}: expected a list of faults`);
+  }
+  rules.forEach((rule, index) => compileRule(rule, index, file));
+  return rules;
+}
+
+// ============ FAULT SERVER ============
+
+const STATUS_TEXT = http.STATUS_CODES;
+
+function jsonError(status, message) {
+  return JSON.stringify({ error: { code: status, message: `${message} (injected fault)` } });
+}
+
+function htmlPage(status) {
+  const title = `${status} ${STATUS_TEXT[status] || 'Error'}`;
+  return `<!DOCTYPE html>\n<html><head><title>${title}</title></head>\n<body><center><h1>${title}</h1></center><hr><center>nginx</center></body></html>\n`;
+}
+
+// Upstream headers that no longer describe the body we send
+const DROPPED_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive'];
+
+function payloadHeaders(payload, contentType) {
+  const headers = Object.fromEntries(Object.entries(payload.headers || {})
+    .filter(([name]) => !DROPPED_HEADERS.includes(name.toLowerCase())));
+  return { ...headers, 'content-type': headers['content-type'] || contentType };
+}
+
+function respond(res, rule, payload) {
+  switch (rule.fault) {
+    case 'rate-limit':
+      res.writeHead(429, { 'content-type': 'application/json', 'retry-after': String(rule.retryAfter ?? 1) });
+      return res.end(jsonError(429, 'Too Many Requests'));
+    case 'server-error': {
+      const status = rule.status || 503;
+      res.writeHead(status, { 'content-type': 'application/json' });
+      return res.end(jsonError(status, STATUS_TEXT[status] || 'Server Error'));
+    }
+    case 'html-error': {
+      const status = rule.status || 502;
+      res.writeHead(status, { 'content-type': 'text/html; charset=utf-8' });
+      return res.end(htmlPage(status));
+    }
+    case 'connection-reset':
+      return res.socket.destroy();
+    case 'truncated-json': {
+      const body = payload.body.subarray(0, Math.floor(payload.body.length * (rule.ratio ?? 0.5)));
+      res.writeHead(payload.status, { ...payloadHeaders(payload, 'application/json'), 'content-length': body.length });
+      return res.end(body);
+    }
+    case 'slow-body':
+      return trickle(res, rule, payload);
+  }
+}
+
+// Headers go out at once; the body follows in `chunks` pieces spread over `delay` ms
+function trickle(res, rule, payload) {
+  const chunks = Math.max(1, rule.chunks || 10);
+  const size = Math.ceil(payload.body.length / chunks) || 1;
+  const interval = (rule.delay ?? 5000) / chunks;
+  let offset = 0;
+  res.writeHead(payload.status, { ...payloadHeaders(payload, 'application/json'), 'content-length': payload.body.length });
+  res.flushHeaders();
+
+  const timer = setInterval(() => {
+    res.write(payload.body.subarray(offset, offset + size));
+    offset += size;
+    if (offset >= payload.body.length) {
+      clearInterval(timer);
+      res.end();
+    }
+  }, interval);
+  res.on('close', () => clearInterval(timer));
+}
+
+// ============ INJECTOR ============
+
+class FaultInjector {
+  constructor(rules = [], source = 'faults') {
+    this.rules = [];
+    this.pending = new Map();
+    this.nextId = 1;
+    this.server = null;
+    this.add(rules, source);
+  }
+
+  get injectedCount() {
+    return this.rules.reduce((sum, rule) => sum + rule.injected, 0);
+  }
+
+  // Returns the compiled rules so they can be removed again
+  add(rules, source = 'faults') {
+    const compiled = rules.map((rule, index) => compileRule(rule, index, source));
+    this.rules.push(...compiled);
+    return compiled;
+  }
+
+  remove(compiled) {
+    this.rules = this.rules.filter(rule => !compiled.includes(rule));
+  }
+
+  // The first rule matching the request that is due to fire, counted as injected
+  match(method, url) {
+    const target = url.split('?')[0];
+    for (const rule of this.rules) {
+      if ((rule.method !== '*' && rule.method !== method) || !rule.pattern.test(target)) {
+        continue;
+      }
+      rule.seen += 1;
+      if (rule.seen > rule.after && rule.injected < rule.times && Math.random() < rule.probability) {
+        rule.injected += 1;
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  // An axios adapter that sends the request to the fault server instead
+  adapterFor(rule) {
+    return async config => {
+      const payload = await this.payloadFor(rule, config);
+      const url = await this.listen();
+      const id = this.nextId++;
+      this.pending.set(id, { rule, payload });
+      try {
+        return await httpAdapter({ ...config, url: `${url}/${id}`, baseURL: undefined, params: undefined });
+      } finally {
+        this.pending.delete(id);
+      }
+    };
+  }
+
+  // The body slow-body and truncated-json replay: the rule's own, or the real response
+  async payloadFor(rule, config) {
+    if (!['slow-body', 'truncated-json'].includes(rule.fault)) {
+      return null;
+    }
+    if (rule.body !== undefined) {
+      const body = typeof rule.body === 'string' ? rule.body : JSON.stringify(rule.body);
+      return { status: 200, headers: {}, body: Buffer.from(body) };
+    }
+    const upstream = await httpAdapter({ ...config, responseType: 'arraybuffer', validateStatus: () => true });
+    return { status: upstream.status, headers: { ...upstream.headers }, body: Buffer.from(upstream.data) };
+  }
+
+  listen() {
+    if (!this.server) {
+      this.server = new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => {
+          const entry = this.pending.get(Number(req.url.slice(1)));
+          if (!entry) {
+            res.writeHead(500, { 'content-type': 'application/json' });
+            return res.end(jsonError(500, 'Unknown fault'));
+          }
+          req.resume();
+          req.on('end', () => respond(res, entry.rule, entry.payload));
+        });
+        server.unref();
+        server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+        server.on('error', reject);
+      });
+    }
+    return this.server.then(({ url }) => url);
+  }
+
+  async close() {
+    if (!this.server) {
+      return;
+    }
+    const { server } = await this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise(done => server.close(done));
+  }
+
+  summary() {
+    return this.rules.map(rule => ({ route: rule.route, fault: rule.fault, matched: rule.seen, injected: rule.injected }));
+  }
+}
+
+export default FaultInjector;
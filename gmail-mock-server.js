@@ -0,0 +1,821 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+import express from 'express';
+
+import {
+  GoogleApiError, apiHandler, sendGoogleError, requireBearerToken, addFallbackHandlers,
+  encodePageToken, decodePageToken, listenMockServer
+} from './mock-server-utils.js';
+import { parseMessage, getHeader, walkParts, attachments, textContent } from './mime-parser.js';
+
+// Stateful in-memory Gmail v1 emulator for mock mode. Stores raw RFC 822 messages (parsed
+// with mime-parser.js into realistic payload headers and parts), threads and labels, and
+// implements messages.send/insert/modify/trash, threads, labels, attachments and a subset
+// of the search operators (is:, in:, label:, from:, to:, subject:, has:attachment, ...).
+//
+//   node gmail-mock-server.js --port=4011
+//   node advanced-gmail-tester.js --mode=mock   (starts its own instance on a free port)
+
+export const MOCK_TOKEN = 'mock-gmail-access-token';
+export const MOCK_EMAIL = 'mock.user@example.com';
+
+const BASE_PATH = '/gmail/v1';
+const DAY = 24 * 60 * 60 * 1000;
+
+const SYSTEM_LABELS = [
+  'INBOX', 'SENT', 'DRAFT', 'SPAM', 'TRASH', 'UNREAD', 'STARRED', 'IMPORTANT', 'CHAT',
+  'CATEGORY_PERSONAL', 'CATEGORY_SOCIAL', 'CATEGORY_PROMOTIONS', 'CATEGORY_UPDATES', 'CATEGORY_FORUMS'
+];
+const MESSAGE_LIST_VISIBILITY = ['show', 'hide'];
+const LABEL_LIST_VISIBILITY = ['labelShow', 'labelShowIfUnread', 'labelHide'];
+const FORMATS = ['full', 'metadata', 'minimal', 'raw'];
+
+// ============ ERRORS ============
+
+const notFound = () => new GoogleApiError(404, 'notFound', 'Requested entity was not found.');
+const invalid = message => new GoogleApiError(400, 'invalidArgument', message);
+
+// ============ SEARCH OPERATORS ============
+
+// https://support.google.com/mail/answer/7190 — terms are ANDed, OR binds tighter, "-" negates
+const QUERY_TOKEN = /\s*(?:([()])|(-)(?=\S)|([^\s()"-][^\s()"]*"[^"]*"|"[^"]*"|[^\s()"-][^\s()"]*|\S+))/y;
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 * 1024 };
+const AGE_UNITS = { d: DAY, m: 30 * DAY, y: 365 * DAY };
+
+function tokenizeQuery(query) {
+  const tokens = [];
+  QUERY_TOKEN.lastIndex = 0;
+  let match;
+  while (QUERY_TOKEN.lastIndex < query.length && (match = QUERY_TOKEN.exec(query)) !== null) {
+    if (match[1]) {
+      tokens.push({ type: match[1] });
+    } else if (match[2]) {
+      tokens.push({ type: 'not' });
+    } else if (match[3] === 'OR') {
+      tokens.push({ type: 'or' });
+    } else if (match[3]) {
+      tokens.push({ type: 'word', text: match[3] });
+    }
+  }
+  return tokens;
+}
+
+const includes = (haystack, needle) => (haystack || '').toLowerCase().includes(needle.toLowerCase());
+
+function parseDate(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const parts = value.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  if (!parts) {
+    throw invalid(`Invalid date in query: ${value}`);
+  }
+  return Date.UTC(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3]));
+}
+
+function parseSize(value) {
+  const parts = value.match(/^(\d+)([kKmM]?)$/);
+  if (!parts) {
+    throw invalid(`Invalid size in query: ${value}`);
+  }
+  return Number(parts[1]) * SIZE_UNITS[parts[2].toLowerCase()];
+}
+
+function parseAge(value) {
+  const parts = value.match(/^(\d+)([dmy])$/);
+  if (!parts) {
+    throw invalid(`Invalid age in query: ${value}`);
+  }
+  return Number(parts[1]) * AGE_UNITS[parts[2]];
+}
+
+function freeText(text) {
+  return message => [
+    getHeader(message.mime.headers, 'Subject'),
+    getHeader(message.mime.headers, 'From'),
+    getHeader(message.mime.headers, 'To'),
+    message.text
+  ].some(value => includes(value, text));
+}
+
+function operatorTerm(operator, value, labelIdFor) {
+  const header = name => message => includes(getHeader(message.mime.headers, name), value);
+  const hasLabel = labelId => message => message.labelIds.includes(labelId);
+
+  switch (operator) {
+    case 'from':
+    case 'subject':
+    case 'cc':
+    case 'bcc':
+      return header(operator);
+    case 'to':
+      return message => ['To', 'Cc', 'Bcc'].some(name => includes(getHeader(message.mime.headers, name), value));
+    case 'is':
+      return {
+        unread: hasLabel('UNREAD'),
+        read: message => !message.labelIds.includes('UNREAD'),
+        starred: hasLabel('STARRED'),
+        important: hasLabel('IMPORTANT')
+      }[value.toLowerCase()] || (() => false);
+    case 'in':
+      return value.toLowerCase() === 'anywhere' ? () => true : hasLabel(labelIdFor(value));
+    case 'label':
+      return hasLabel(labelIdFor(value));
+    case 'category':
+      return hasLabel(`CATEGORY_${value.toUpperCase()}`);
+    case 'has':
+      return value.toLowerCase() === 'attachment' ? message => message.attachments.length > 0 : () => false;
+    case 'filename':
+      return message => message.attachments.some(file => includes(file.filename, value));
+    case 'after':
+      return message => message.internalDate >= parseDate(value);
+    case 'before':
+      return message => message.internalDate < parseDate(value);
+    case 'newer_than':
+      return message => message.internalDate > Date.now() - parseAge(value);
+    case 'older_than':
+      return message => message.internalDate < Date.now() - parseAge(value);
+    case 'larger':
+      return message => message.sizeEstimate > parseSize(value);
+    case 'smaller':
+      return message => message.sizeEstimate < parseSize(value);
+    default:
+      return null;
+  }
+}
+
+function parseWord(text, labelIdFor) {
+  const operator = text.match(/^([a-z_]+):(.+)$/i);
+  if (operator) {
+    const value = operator[2].replace(/^"(.*)"$/, '$1');
+    const term = operatorTerm(operator[1].toLowerCase(), value, labelIdFor);
+    if (term) {
+      return term;
+    }
+  }
+  // Unknown operators are searched for as plain text, like Gmail does
+  return freeText(text.replace(/^"(.*)"$/, '$1'));
+}
+
+// Returns a predicate over stored messages; Gmail never rejects unbalanced parentheses
+export function parseGmailQuery(query = '', labelIdFor = name => name.toUpperCase()) {
+  const tokens = tokenizeQuery(query);
+  let position = 0;
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (token.type === 'not') {
+      const operand = position < tokens.length ? parseUnary() : () => true;
+      return message => !operand(message);
+    }
+    if (token.type === '(') {
+      const group = parseAnd();
+      if (tokens[position]?.type === ')') {
+        position++;
+      }
+      return group;
+    }
+    return token.type === 'word' ? parseWord(token.text, labelIdFor) : () => true;
+  };
+
+  const parseOr = () => {
+    const terms = [parseUnary()];
+    while (tokens[position]?.type === 'or' && position + 1 < tokens.length) {
+      position++;
+      terms.push(parseUnary());
+    }
+    return message => terms.some(term => term(message));
+  };
+
+  const parseAnd = () => {
+    const terms = [];
+    while (position < tokens.length && tokens[position].type !== ')') {
+      terms.push(parseOr());
+    }
+    return message => terms.every(term => term(message));
+  };
+
+  const terms = [];
+  while (position < tokens.length) {
+    terms.push(parseAnd());
+    position++; // stray ")"
+  }
+  return message => terms.every(term => term(message));
+}
+
+// ============ STATE ============
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function addresses(headers) {
+  return ['To', 'Cc', 'Bcc'].map(name => getHeader(headers, name) || '').join(',').toLowerCase();
+}
+
+export class GmailState {
+  constructor(options = {}) {
+    this.emailAddress = options.emailAddress || MOCK_EMAIL;
+    this.messages = new Map();
+    this.labels = new Map(SYSTEM_LABELS.map(id => [id, { id, name: id, type: 'system' }]));
+    this.nextLabel = 1;
+    this.historyId = 1000;
+    (options.seed || defaultSeed(this.emailAddress)).forEach(({ raw, labelIds, daysAgo }) => {
+      this.insertMessage(raw, labelIds, { internalDate: Date.now() - daysAgo * DAY });
+    });
+  }
+
+  bumpHistory() {
+    this.historyId += 1;
+    return String(this.historyId);
+  }
+
+  // ============ LABELS ============
+
+  getLabel(labelId) {
+    const label = this.labels.get(labelId);
+    if (!label) {
+      throw notFound();
+    }
+    return label;
+  }
+
+  // label:name and in:name accept a label id or name, with "-" for spaces
+  labelIdFor(name) {
+    const wanted = name.toLowerCase();
+    const label = [...this.labels.values()].find(entry =>
+      entry.id.toLowerCase() === wanted || entry.name.toLowerCase().replace(/\s+/g, '-') === wanted.replace(/\s+/g, '-'));
+    return label ? label.id : null;
+  }
+
+  validateLabel(body, existingId = null) {
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || body.name.trim() === '') {
+        throw invalid('Invalid label name');
+      }
+      const taken = [...this.labels.values()].some(label =>
+        label.id !== existingId && label.name.toLowerCase() === body.name.trim().toLowerCase());
+      if (taken) {
+        throw new GoogleApiError(409, 'duplicate', 'Label name exists or conflicts');
+      }
+    }
+    if (body.messageListVisibility !== undefined && !MESSAGE_LIST_VISIBILITY.includes(body.messageListVisibility)) {
+      throw invalid(`Invalid value at 'label.message_list_visibility' (${body.messageListVisibility})`);
+    }
+    if (body.labelListVisibility !== undefined && !LABEL_LIST_VISIBILITY.includes(body.labelListVisibility)) {
+      throw invalid(`Invalid value at 'label.label_list_visibility' (${body.labelListVisibility})`);
+    }
+  }
+
+  createLabel(body) {
+    if (body.name === undefined) {
+      throw invalid('Invalid label name');
+    }
+    this.validateLabel(body);
+    const label = {
+      id: `Label_${this.nextLabel++}`,
+      name: body.name.trim(),
+      type: 'user',
+      messageListVisibility: body.messageListVisibility || 'show',
+      labelListVisibility: body.labelListVisibility || 'labelShow',
+      ...(body.color && { color: body.color })
+    };
+    this.labels.set(label.id, label);
+    return label;
+  }
+
+  updateLabel(labelId, body, replace = false) {
+    const label = this.getLabel(labelId);
+    if (label.type === 'system') {
+      throw invalid('Invalid update request');
+    }
+    if (replace && body.name === undefined) {
+      throw invalid('Invalid label name');
+    }
+    this.validateLabel(body, labelId);
+    ['name', 'messageListVisibility', 'labelListVisibility', 'color'].forEach(field => {
+      if (body[field] !== undefined) {
+        label[field] = field === 'name' ? body.name.trim() : body[field];
+      }
+    });
+    return label;
+  }
+
+  deleteLabel(labelId) {
+    const label = this.getLabel(labelId);
+    if (label.type === 'system') {
+      throw invalid('Invalid delete request');
+    }
+    this.labels.delete(labelId);
+    this.messages.forEach(message => {
+      message.labelIds = message.labelIds.filter(id => id !== labelId);
+    });
+  }
+
+  labelResource(label) {
+    const messages = [...this.messages.values()].filter(message => message.labelIds.includes(label.id));
+    const unread = messages.filter(message => message.labelIds.includes('UNREAD'));
+    return {
+      ...label,
+      messagesTotal: messages.length,
+      messagesUnread: unread.length,
+      threadsTotal: new Set(messages.map(message => message.threadId)).size,
+      threadsUnread: new Set(unread.map(message => message.threadId)).size
+    };
+  }
+
+  // ============ MESSAGES ============
+
+  getMessage(messageId) {
+    const message = this.messages.get(messageId);
+    if (!message) {
+      throw notFound();
+    }
+    return message;
+  }
+
+  requireLabels(labelIds = []) {
+    labelIds.forEach(labelId => {
+      if (!this.labels.has(labelId)) {
+        throw invalid(`Invalid label: ${labelId}`);
+      }
+    });
+  }
+
+  // Replies join the thread of the message they reference (In-Reply-To / References)
+  threadFor(mime, threadId) {
+    if (threadId) {
+      if (![...this.messages.values()].some(message => message.threadId === threadId)) {
+        throw notFound();
+      }
+      return threadId;
+    }
+    const referenced = `${getHeader(mime.headers, 'In-Reply-To') || ''} ${getHeader(mime.headers, 'References') || ''}`
+      .match(/<[^>]+>/g) || [];
+    const parent = [...this.messages.values()].find(message =>
+      referenced.includes(getHeader(message.mime.headers, 'Message-ID')));
+    return parent ? parent.threadId : null;
+  }
+
+  insertMessage(raw, labelIds = [], options = {}) {
+    this.requireLabels(labelIds);
+    const mime = parseMessage(raw);
+    const id = newId();
+    const message = {
+      id,
+      threadId: this.threadFor(mime, options.threadId) || id,
+      labelIds: [...new Set(labelIds)],
+      raw: Buffer.isBuffer(raw) ? raw : Buffer.from(raw, 'utf8'),
+      mime,
+      text: textContent(mime),
+      attachments: attachments(mime),
+      internalDate: Math.round(options.internalDate ?? Date.now()),
+      historyId: this.bumpHistory()
+    };
+    message.sizeEstimate = message.raw.length;
+    message.snippet = message.text.replace(/\s+/g, ' ').trim().slice(0, 200);
+    this.messages.set(id, message);
+    return message;
+  }
+
+  // Gmail fills in From, Date and Message-ID, and delivers to the sender's inbox too
+  sendMessage(body) {
+    const raw = decodeRaw(body.raw);
+    const mime = parseMessage(raw);
+    const recipients = addresses(mime.headers);
+    if (!recipients.replace(/,/g, '').trim()) {
+      throw invalid('Recipient address required');
+    }
+
+    const missing = [
+      !getHeader(mime.headers, 'From') && `From: ${this.emailAddress}`,
+      !getHeader(mime.headers, 'Date') && `Date: ${new Date().toUTCString()}`,
+      !getHeader(mime.headers, 'Message-ID') && `Message-ID: <${newId()}@mock.gmail>`
+    ].filter(Boolean);
+    const full = missing.length > 0 ? Buffer.concat([Buffer.from(`${missing.join('\r\n')}\r\n`), raw]) : raw;
+
+    const toSelf = recipients.includes(this.emailAddress.toLowerCase());
+    return this.insertMessage(full, toSelf ? ['SENT', 'INBOX', 'UNREAD'] : ['SENT'], { threadId: body.threadId });
+  }
+
+  modifyMessage(messageId, { addLabelIds = [], removeLabelIds = [] } = {}) {
+    const message = this.getMessage(messageId);
+    this.requireLabels([...addLabelIds, ...removeLabelIds]);
+    message.labelIds = [...new Set([...message.labelIds, ...addLabelIds])].filter(id => !removeLabelIds.includes(id));
+    message.historyId = this.bumpHistory();
+    return message;
+  }
+
+  threadMessages(threadId) {
+    const messages = [...this.messages.values()]
+      .filter(message => message.threadId === threadId)
+      .sort((a, b) => a.internalDate - b.internalDate);
+    if (messages.length === 0) {
+      throw notFound();
+    }
+    return messages;
+  }
+
+  // Newest first, optionally filtered by a search query and label ids
+  search({ q = '', labelIds = [], includeSpamTrash = false } = {}) {
+    const matches = parseGmailQuery(q, name => this.labelIdFor(name));
+    const spamTrashAllowed = includeSpamTrash || /\b(?:in|label):(?:spam|trash|anywhere)\b/i.test(q);
+    return [...this.messages.values()]
+      .filter(message => spamTrashAllowed || !message.labelIds.some(id => id === 'SPAM' || id === 'TRASH'))
+      .filter(message => labelIds.every(id => message.labelIds.includes(id)))
+      .filter(matches)
+      .sort((a, b) => b.internalDate - a.internalDate);
+  }
+
+  profile() {
+    return {
+      emailAddress: this.emailAddress,
+      messagesTotal: this.messages.size,
+      threadsTotal: new Set([...this.messages.values()].map(message => message.threadId)).size,
+      historyId: String(this.historyId)
+    };
+  }
+}
+
+function decodeRaw(raw) {
+  if (!raw) {
+    throw invalid("'raw' RFC822 payload message string or uploading message via /upload/* URL required");
+  }
+  if (typeof raw !== 'string' || !/^[A-Za-z0-9+/_=\s-]*$/.test(raw)) {
+    throw invalid("Invalid value at 'message.raw' (TYPE_BYTES), Base64 decoding failed");
+  }
+  return Buffer.from(raw, 'base64url');
+}
+
+// ============ RESOURCES ============
+
+function attachmentId(messageId, partId) {
+  return Buffer.from(`${messageId}:${partId}`).toString('base64url');
+}
+
+function partResource(part, messageId, partId) {
+  const resource = {
+    partId,
+    mimeType: part.mimeType,
+    filename: part.filename,
+    headers: part.headers,
+    body: { size: part.parts.length > 0 ? 0 : part.body.length }
+  };
+  if (part.parts.length > 0) {
+    resource.parts = part.parts.map((child, index) =>
+      partResource(child, messageId, partId === '' ? `${index}` : `${partId}.${index}`));
+  } else if (part.filename) {
+    resource.body.attachmentId = attachmentId(messageId, partId);
+  } else if (part.body.length > 0) {
+    resource.body.data = part.body.toString('base64url');
+  }
+  return resource;
+}
+
+function messageResource(message, format = 'full', metadataHeaders = []) {
+  const resource = {
+    id: message.id,
+    threadId: message.threadId,
+    labelIds: message.labelIds,
+    snippet: message.snippet,
+    sizeEstimate: message.sizeEstimate,
+    historyId: message.historyId,
+    internalDate: String(message.internalDate)
+  };
+  if (format === 'full') {
+    resource.payload = partResource(message.mime, message.id, '');
+  } else if (format === 'metadata') {
+    const wanted = metadataHeaders.map(name => name.toLowerCase());
+    resource.payload = {
+      mimeType: message.mime.mimeType,
+      headers: message.mime.headers.filter(header => wanted.length === 0 || wanted.includes(header.name.toLowerCase()))
+    };
+  } else if (format === 'raw') {
+    resource.raw = message.raw.toString('base64url');
+  }
+  return resource;
+}
+
+function findAttachment(message, id) {
+  let found = null;
+  walkParts(message.mime, (part, partId) => {
+    if (part.filename && attachmentId(message.id, partId) === id) {
+      found = part;
+    }
+  });
+  if (!found) {
+    throw new GoogleApiError(400, 'invalidArgument', 'Invalid attachment token');
+  }
+  return found;
+}
+
+// ============ SEED DATA ============
+
+function rawMessage(headers, body) {
+  return `${Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\r\n')}\r\n\r\n${body}`;
+}
+
+function defaultSeed(emailAddress) {
+  const me = `Mock User <${emailAddress}>`;
+  const report = Buffer.from('suite,passed,failed\r\nnightly,42,0\r\n').toString('base64');
+  return [
+    {
+      daysAgo: 6,
+      labelIds: ['INBOX', 'CATEGORY_UPDATES'],
+      raw: rawMessage({
+        From: 'Google <no-reply@accounts.google.com>',
+        To: me,
+        Subject: 'Security alert',
+        'Message-ID': '<seed-1@accounts.google.com>',
+        'Content-Type': 'text/plain; charset=utf-8'
+      }, 'A new sign-in was detected on your account.\r\nIf this was you, you can ignore this message.')
+    },
+    {
+      daysAgo: 3,
+      labelIds: ['INBOX', 'UNREAD', 'CATEGORY_PERSONAL', 'IMPORTANT'],
+      raw: rawMessage({
+        From: 'Alex Doe <alex.doe@gmail.com>',
+        To: me,
+        Subject: 'Lunch on Friday?',
+        'Message-ID': '<seed-2@mail.gmail.com>',
+        'MIME-Version': '1.0',
+        'Content-Type': 'multipart/alternative; boundary="seed-alt"'
+      }, [
+        '--seed-alt',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        'Are you free for lunch on Friday? The new place on 5th opens this week.',
+        '--seed-alt',
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        '<p>Are you free for lunch on Friday? The new place on 5th opens this week.</p>',
+        '--seed-alt--'
+      ].join('\r\n'))
+    },
+    {
+      daysAgo: 2,
+      labelIds: ['SENT'],
+      raw: rawMessage({
+        From: me,
+        To: 'Alex Doe <alex.doe@gmail.com>',
+        Subject: 'Re: Lunch on Friday?',
+        'Message-ID': '<seed-3@mock.gmail>',
+        'In-Reply-To': '<seed-2@mail.gmail.com>',
+        References: '<seed-2@mail.gmail.com>',
+        'Content-Type': 'text/plain; charset=utf-8'
+      }, 'Sounds good, see you at noon.')
+    },
+    {
+      daysAgo: 1,
+      labelIds: ['INBOX', 'UNREAD', 'CATEGORY_UPDATES'],
+      raw: rawMessage({
+        From: 'Build Bot <builds@ci.example.com>',
+        To: me,
+        Subject: 'Test report for nightly build',
+        'Message-ID': '<seed-4@ci.example.com>',
+        'MIME-Version': '1.0',
+        'Content-Type': 'multipart/mixed; boundary="seed-mixed"'
+      }, [
+        '--seed-mixed',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'All 42 tests passed =E2=9C=85. The full report is attached.',
+        '--seed-mixed',
+        'Content-Type: text/csv; name="report.csv"',
+        'Content-Disposition: attachment; filename="report.csv"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        report,
+        '--seed-mixed--'
+      ].join('\r\n'))
+    },
+    {
+      daysAgo: 1,
+      labelIds: ['SPAM', 'UNREAD'],
+      raw: rawMessage({
+        From: 'Prize Team <winner@prizes.example>',
+        To: me,
+        Subject: 'You won a test prize!',
+        'Message-ID': '<seed-5@prizes.example>',
+        'Content-Type': 'text/plain; charset=utf-8'
+      }, 'Claim your prize today.')
+    }
+  ];
+}
+
+// ============ HTTP APP ============
+
+function queryList(value) {
+  return value === undefined ? [] : [].concat(value);
+}
+
+function pageSize(value, fallback) {
+  const size = value === undefined ? fallback : Number(value);
+  if (!Number.isInteger(size) || size < 1) {
+    throw invalid(`Invalid maxResults: ${value}`);
+  }
+  return Math.min(size, 500);
+}
+
+function paginate(items, req) {
+  const key = JSON.stringify([req.query.q || '', queryList(req.query.labelIds)]);
+  const size = pageSize(req.query.maxResults, 100);
+  const offset = req.query.pageToken ? decodePageToken(req.query.pageToken, key) : 0;
+  return {
+    page: items.slice(offset, offset + size),
+    ...(offset + size < items.length && { nextPageToken: encodePageToken(offset + size, key) })
+  };
+}
+
+export function createGmailMockApp(options = {}) {
+  const state = options.state || new GmailState(options);
+  const token = options.token || MOCK_TOKEN;
+  const app = express();
+  const router = express.Router();
+
+  app.use(express.json({ limit: '35mb' }));
+  app.use(requireBearerToken(token));
+
+  // "me" or the mailbox's own address; anything else would need domain-wide delegation
+  router.param('userId', (req, res, next, userId) => {
+    if (userId !== 'me' && userId.toLowerCase() !== state.emailAddress.toLowerCase()) {
+      return sendGoogleError(res, new GoogleApiError(403, 'forbidden', `Delegation denied for ${state.emailAddress}`));
+    }
+    next();
+  });
+
+  const format = req => {
+    const value = req.query.format || 'full';
+    if (!FORMATS.includes(value)) {
+      throw invalid(`Invalid value at 'format' (${value})`);
+    }
+    return value;
+  };
+
+  router.get('/users/:userId/profile', apiHandler((req, res) => {
+    res.json(state.profile());
+  }));
+
+  // ============ LABELS ============
+
+  router.get('/users/:userId/labels', apiHandler((req, res) => {
+    res.json({ labels: [...state.labels.values()] });
+  }));
+
+  router.post('/users/:userId/labels', apiHandler((req, res) => {
+    res.json(state.createLabel(req.body || {}));
+  }));
+
+  router.get('/users/:userId/labels/:labelId', apiHandler((req, res) => {
+    res.json(state.labelResource(state.getLabel(req.params.labelId)));
+  }));
+
+  router.patch('/users/:userId/labels/:labelId', apiHandler((req, res) => {
+    res.json(state.updateLabel(req.params.labelId, req.body || {}));
+  }));
+
+  router.put('/users/:userId/labels/:labelId', apiHandler((req, res) => {
+    res.json(state.updateLabel(req.params.labelId, req.body || {}, true));
+  }));
+
+  router.delete('/users/:userId/labels/:labelId', apiHandler((req, res) => {
+    state.deleteLabel(req.params.labelId);
+    res.status(204).end();
+  }));
+
+  // ============ MESSAGES ============
+
+  router.get('/users/:userId/messages', apiHandler((req, res) => {
+    const matches = state.search({
+      q: req.query.q,
+      labelIds: queryList(req.query.labelIds),
+      includeSpamTrash: req.query.includeSpamTrash === 'true'
+    });
+    const { page, nextPageToken } = paginate(matches, req);
+    res.json({
+      ...(page.length > 0 && { messages: page.map(message => ({ id: message.id, threadId: message.threadId })) }),
+      ...(nextPageToken && { nextPageToken }),
+      resultSizeEstimate: matches.length
+    });
+  }));
+
+  router.post('/users/:userId/messages', apiHandler((req, res) => {
+    const body = req.body || {};
+    const message = state.insertMessage(decodeRaw(body.raw), body.labelIds || [], { threadId: body.threadId });
+    res.json({ id: message.id, threadId: message.threadId, labelIds: message.labelIds });
+  }));
+
+  router.post('/users/:userId/messages/send', apiHandler((req, res) => {
+    const message = state.sendMessage(req.body || {});
+    res.json({ id: message.id, threadId: message.threadId, labelIds: message.labelIds });
+  }));
+
+  router.post('/users/:userId/messages/batchModify', apiHandler((req, res) => {
+    const { ids = [], ...changes } = req.body || {};
+    ids.forEach(id => state.getMessage(id));
+    ids.forEach(id => state.modifyMessage(id, changes));
+    res.status(204).end();
+  }));
+
+  router.get('/users/:userId/messages/:messageId', apiHandler((req, res) => {
+    res.json(messageResource(state.getMessage(req.params.messageId), format(req), queryList(req.query.metadataHeaders)));
+  }));
+
+  router.delete('/users/:userId/messages/:messageId', apiHandler((req, res) => {
+    state.getMessage(req.params.messageId);
+    state.messages.delete(req.params.messageId);
+    res.status(204).end();
+  }));
+
+  router.post('/users/:userId/messages/:messageId/modify', apiHandler((req, res) => {
+    res.json(messageResource(state.modifyMessage(req.params.messageId, req.body || {}), 'minimal'));
+  }));
+
+  router.post('/users/:userId/messages/:messageId/trash', apiHandler((req, res) => {
+    res.json(messageResource(state.modifyMessage(req.params.messageId, { addLabelIds: ['TRASH'] }), 'minimal'));
+  }));
+
+  router.post('/users/:userId/messages/:messageId/untrash', apiHandler((req, res) => {
+    res.json(messageResource(state.modifyMessage(req.params.messageId, { removeLabelIds: ['TRASH'] }), 'minimal'));
+  }));
+
+  router.get('/users/:userId/messages/:messageId/attachments/:attachmentId', apiHandler((req, res) => {
+    const part = findAttachment(state.getMessage(req.params.messageId), req.params.attachmentId);
+    res.json({ attachmentId: req.params.attachmentId, size: part.body.length, data: part.body.toString('base64url') });
+  }));
+
+  // ============ THREADS ============
+
+  router.get('/users/:userId/threads', apiHandler((req, res) => {
+    const matches = state.search({
+      q: req.query.q,
+      labelIds: queryList(req.query.labelIds),
+      includeSpamTrash: req.query.includeSpamTrash === 'true'
+    });
+    // Messages are newest first, so the first one seen is each thread's latest
+    const latest = new Map();
+    matches.forEach(message => {
+      if (!latest.has(message.threadId)) {
+        latest.set(message.threadId, message);
+      }
+    });
+    const { page, nextPageToken } = paginate([...latest.values()], req);
+    res.json({
+      ...(page.length > 0 && {
+        threads: page.map(message => ({ id: message.threadId, snippet: message.snippet, historyId: message.historyId }))
+      }),
+      ...(nextPageToken && { nextPageToken }),
+      resultSizeEstimate: latest.size
+    });
+  }));
+
+  router.get('/users/:userId/threads/:threadId', apiHandler((req, res) => {
+    const messages = state.threadMessages(req.params.threadId);
+    res.json({
+      id: req.params.threadId,
+      historyId: messages[messages.length - 1].historyId,
+      messages: messages.map(message => messageResource(message, format(req), queryList(req.query.metadataHeaders)))
+    });
+  }));
+
+  router.post('/users/:userId/threads/:threadId/modify', apiHandler((req, res) => {
+    const messages = state.threadMessages(req.params.threadId)
+      .map(message => state.modifyMessage(message.id, req.body || {}));
+    res.json({ id: req.params.threadId, messages: messages.map(message => messageResource(message, 'minimal')) });
+  }));
+
+  router.delete('/users/:userId/threads/:threadId', apiHandler((req, res) => {
+    state.threadMessages(req.params.threadId).forEach(message => state.messages.delete(message.id));
+    res.status(204).end();
+  }));
+
+  app.use(BASE_PATH, router);
+  addFallbackHandlers(app);
+
+  return { app, state };
+}
+
+export function startGmailMockServer(options = {}) {
+  const { app, state } = createGmailMockApp(options);
+  return listenMockServer(app, { ...options, basePath: BASE_PATH, token: options.token || MOCK_TOKEN, state });
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const portArg = process.argv.slice(2).find(arg => arg.startsWith('--port='));
+  const port = portArg ? Number(portArg.split('=')[1]) : 4011;
+
+  startGmailMockServer({ port }).then(({ url, state }) => {
+    console.log(chalk.green(`✅ Gmail mock server listening at ${url}`));
+    console.log(chalk.gray(`   Mailbox: ${state.emailAddress} (${state.messages.size} seeded messages)`));
+    console.log(chalk.gray(`   Authorization: Bearer ${MOCK_TOKEN}`));
+    console.log(chalk.gray('   Press Ctrl+C to stop'));
+  }).catch(error => {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,342 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+import { TEST_CONFIG } from './config.js';
+
+// Run history from the *-results-*.json files every run leaves in logs/. `cli.js history` indexes
+// them into logs/history.json, which keeps runs after their log files are cleaned up, and reports
+// per API and per test: pass rate over time, request latency, first and last failures, and the
+// regressions between the last two runs, plus a flakiness score per test (see quarantine.js).
+//
+// Results files written before per-test results were saved (no "tests" list) only name the tests
+// that failed, so in those runs a test that isn't listed counts as unknown rather than passed.
+
+export const HISTORY_VERSION = 1;
+
+// <api>-results-<timestamp>.json, where <api> can itself contain dashes (flipkart-mock, 1forge-openapi)
+const RESULTS_FILE = /^(.+)-results-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+// "... - Status: 200 - Duration: 412ms" lines in the matching *-api-calls-*.log, retried attempts
+// included ("... - Duration: 412ms - Attempt 1 (retrying in 1000ms: ...)")
+const CALL_DURATION = / - Duration: (\d+)ms\b/g;
+
+// The latest run is a latency regression when its mean request latency is this much higher
+// than the previous run's, and by at least LATENCY_FLOOR_MS (mock runs jitter by a few ms)
+const LATENCY_RATIO = 1.5;
+const LATENCY_FLOOR_MS = 100;
+
+const SPARKS = '▁▂▃▄▅▆▇█';
+
+export function historyPathFor(dir = path.join(process.cwd(), 'logs')) {
+  return path.join(dir, 'history.json');
+}
+
+// ============ INDEXING ============
+
+function stampToIso(stamp) {
+  return stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+}
+
+export function percentile(sorted, p) {
+  return sorted.length === 0 ? null : sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function callLatency(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const durations = [...fs.readFileSync(file, 'utf8').matchAll(CALL_DURATION)]
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+  if (durations.length === 0) {
+    return null;
+  }
+  return {
+    requests: durations.length,
+    meanMs: Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length),
+    p90Ms: percentile(durations, 90),
+    maxMs: durations[durations.length - 1]
+  };
+}
+
+export function parseResultsFile(file) {
+  const [, name, stamp] = path.basename(file).match(RESULTS_FILE);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const summary = data.summary || {};
+  // flipkart-mock-tester.js keeps its errors inside the summary
+  const errors = data.errors || summary.errors || [];
+  const complete = Array.isArray(data.tests);
+
+  return {
+    file: path.basename(file),
+    api: data.testRun?.api || name,
+    mode: data.testRun?.mode || null,
+    startTime: data.testRun?.startTime || stampToIso(stamp),
+    durationMs: data.testRun?.durationMs ?? null,
+    passed: summary.passed ?? 0,
+    failed: summary.failed ?? 0,
+    skipped: summary.skipped ?? 0,
+    complete,
+    tests: complete
+      ? data.tests.map(test => ({ name: test.name, status: test.status, durationMs: test.durationMs ?? null, error: test.error || null }))
+      : errors.map(error => ({ name: error.test, status: 'failed', durationMs: null, error: error.error || error.details || null })),
+    latency: callLatency(path.join(path.dirname(file), `${name}-api-calls-${stamp}.log`))
+  };
+}
+
+// Testers put per-run details in a trailing parenthetical ("Create File (ID: 1LUC...)",
+// "List Files (2 files found)"), which would make every run a different test
+export const testKey = name => String(name).replace(/\s*\([^()]*\)\s*$/, '');
+
+// How often a test flips between passing and failing over its last TEST_CONFIG.flaky.window
+// runs: 0 for a test that always passes or always fails, 1 for one that alternates. null
+// until it has TEST_CONFIG.flaky.minRuns runs
+export function flakinessScore(statuses) {
+  if (statuses.length < TEST_CONFIG.flaky.minRuns) {
+    return null;
+  }
+  const flips = statuses.slice(1).filter((status, index) => status !== statuses[index]).length;
+  return Math.round((flips / (statuses.length - 1)) * 100) / 100;
+}
+
+const passRate = (passed, failed) => passed + failed > 0 ? passed / (passed + failed) : null;
+const percent = rate => rate === null ? '-' : `${Math.round(rate * 100)}%`;
+const ms = value => value === null || value === undefined ? '-' : `${Math.round(value)}ms`;
+const day = iso => iso ? iso.replace('T', ' ').replace(/\.\d+Z$/, '') : '-';
+
+function sparkline(values) {
+  const known = values.filter(value => value !== null);
+  const min = Math.min(...known);
+  const span = Math.max(...known) - min;
+  return values.map(value => {
+    if (value === null) {
+      return ' ';
+    }
+    return SPARKS[span === 0 ? SPARKS.length - 1 : Math.round(((value - min) / span) * (SPARKS.length - 1))];
+  }).join('');
+}
+
+// ============ HISTORY ============
+
+class RunHistory {
+  constructor(file = historyPathFor()) {
+    this.file = file;
+    const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    // An index from another version is rebuilt from the results files still on disk
+    this.runs = stored?.version === HISTORY_VERSION ? stored.runs : {};
+  }
+
+  // Adds the results files not indexed yet. Files that don't parse are reported, not fatal
+  index(dir = path.dirname(this.file)) {
+    const added = [];
+    const failed = [];
+    if (!fs.existsSync(dir)) {
+      return { added, failed };
+    }
+
+    fs.readdirSync(dir)
+      .filter(name => RESULTS_FILE.test(name) && !this.runs[name])
+      .forEach(name => {
+        try {
+          this.runs[name] = parseResultsFile(path.join(dir, name));
+          added.push(name);
+        } catch (error) {
+          failed.push({ file: name, error: error.message });
+        }
+      });
+    return { added, failed };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ version: HISTORY_VERSION, indexedAt: new Date().toISOString(), runs: this.runs }, null, 2));
+    return this.file;
+  }
+
+  // Oldest first. options: { api, mode, since } (since: anything Date parses)
+  list(options = {}) {
+    const since = options.since ? new Date(options.since) : null;
+    return Object.values(this.runs)
+      .filter(run => !options.api || run.api === options.api)
+      .filter(run => !options.mode || run.mode === options.mode)
+      .filter(run => !since || new Date(run.startTime) >= since)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+  }
+
+  apis(options = {}) {
+    return [...new Set(this.list(options).map(run => run.api))].sort();
+  }
+
+  // ============ ANALYSIS ============
+
+  trend(runs) {
+    return runs.map(run => ({
+      startTime: run.startTime,
+      mode: run.mode,
+      passed: run.passed,
+      failed: run.failed,
+      skipped: run.skipped,
+      passRate: passRate(run.passed, run.failed),
+      latency: run.latency
+    }));
+  }
+
+  // partial: some of the test's runs come from results files that only list failures
+  testStats(runs) {
+    const stats = new Map();
+    const latest = runs[runs.length - 1];
+    runs.forEach(run => {
+      run.tests.forEach(test => {
+        const name = testKey(test.name);
+        if (!stats.has(name)) {
+          stats.set(name, {
+            name, runs: 0, passed: 0, failed: 0, skipped: 0, durations: [], statuses: [],
+            firstFailure: null, lastFailure: null, lastStatus: null, lastError: null, failingNow: false, partial: false
+          });
+        }
+        const entry = stats.get(name);
+        entry.runs++;
+        entry.partial = entry.partial || !run.complete;
+        entry[test.status === 'error' ? 'failed' : test.status]++;
+        entry.lastStatus = test.status;
+        // Failures-only runs would read as failing every time, so they don't count towards flakiness
+        if (run.complete && test.status !== 'skipped') {
+          entry.statuses.push(test.status === 'passed' ? 'passed' : 'failed');
+        }
+        if (test.durationMs !== null) {
+          entry.durations.push(test.durationMs);
+        }
+        if (test.status === 'failed' || test.status === 'error') {
+          entry.firstFailure = entry.firstFailure || run.startTime;
+          entry.lastFailure = run.startTime;
+          entry.lastError = test.error;
+          entry.failingNow = run === latest;
+        }
+      });
+    });
+
+    return [...stats.values()].map(({ durations, statuses, ...entry }) => ({
+      ...entry,
+      recent: statuses.slice(-TEST_CONFIG.flaky.window),
+      flakiness: flakinessScore(statuses.slice(-TEST_CONFIG.flaky.window)),
+      passRate: passRate(entry.passed, entry.failed),
+      meanDurationMs: durations.length > 0 ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length) : null,
+      lastDurationMs: durations.length > 0 ? durations[durations.length - 1] : null
+    }));
+  }
+
+  // Latest run against the run before it in the same mode; null with fewer than two such runs
+  regressions(runs) {
+    const latest = runs[runs.length - 1];
+    const previous = latest && runs.slice(0, -1).reverse().find(run => run.mode === latest.mode);
+    if (!previous) {
+      return null;
+    }
+
+    const before = new Map(previous.tests.map(test => [testKey(test.name), test.status]));
+    const failing = status => status === 'failed' || status === 'error';
+    const newlyFailing = latest.tests
+      .filter(test => failing(test.status) && !failing(before.get(testKey(test.name))))
+      .map(test => ({ name: test.name, error: test.error, previousStatus: before.get(testKey(test.name)) || null }));
+
+    const latencyBefore = previous.latency?.meanMs;
+    const latencyAfter = latest.latency?.meanMs;
+    const slower = latencyBefore !== undefined && latencyAfter !== undefined &&
+      latencyAfter >= latencyBefore * LATENCY_RATIO && latencyAfter - latencyBefore >= LATENCY_FLOOR_MS;
+
+    const rateBefore = passRate(previous.passed, previous.failed);
+    const rateAfter = passRate(latest.passed, latest.failed);
+    const dropped = rateBefore !== null && rateAfter !== null && rateAfter < rateBefore;
+
+    return {
+      previous: previous.startTime,
+      latest: latest.startTime,
+      newlyFailing,
+      passRate: { previous: rateBefore, latest: rateAfter, dropped },
+      latency: slower ? { previousMeanMs: latencyBefore, latestMeanMs: latencyAfter } : null,
+      regressed: newlyFailing.length > 0 || slower || dropped
+    };
+  }
+
+  // Everything `cli.js history` shows, per API. options: { api, mode, since, grep, runs }
+  getReport(options = {}) {
+    const grep = options.grep ? new RegExp(options.grep, 'i') : null;
+    const apis = options.api ? [].concat(options.api) : this.apis(options);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      apis: apis.map(api => {
+        const runs = this.list({ ...options, api });
+        return {
+          api,
+          runs: runs.length,
+          firstRun: runs[0]?.startTime || null,
+          lastRun: runs[runs.length - 1]?.startTime || null,
+          trend: this.trend(options.runs ? runs.slice(-options.runs) : runs),
+          tests: this.testStats(runs).filter(test => !grep || grep.test(test.name)),
+          regressions: this.regressions(runs)
+        };
+      }).filter(entry => entry.runs > 0)
+    };
+  }
+
+  // ============ OUTPUT ============
+
+  printReport(report) {
+    console.log(chalk.cyan.bold('📈 RUN HISTORY'));
+    console.log(chalk.cyan('==========================================='));
+    if (report.apis.length === 0) {
+      console.log(chalk.yellow('No runs indexed yet (run some tests first, results are read from logs/)'));
+      return;
+    }
+
+    report.apis.forEach(entry => {
+      console.log('');
+      console.log(chalk.bold(`${entry.api}: ${entry.runs} runs, ${day(entry.firstRun)} → ${day(entry.lastRun)}`));
+      console.log(chalk.gray(`  pass rate ${sparkline(entry.trend.map(run => run.passRate))}   latency ${sparkline(entry.trend.map(run => run.latency?.meanMs ?? null))}`));
+      console.log(chalk.gray(`  ${'RUN'.padEnd(21)}${'MODE'.padEnd(8)}${'PASS'.padEnd(6)}${'FAIL'.padEnd(6)}${'RATE'.padEnd(7)}${'REQS'.padEnd(6)}${'MEAN'.padEnd(9)}${'P90'.padEnd(9)}MAX`));
+      entry.trend.forEach(run => {
+        const row = `  ${day(run.startTime).padEnd(21)}${(run.mode || '-').padEnd(8)}${String(run.passed).padEnd(6)}${String(run.failed).padEnd(6)}` +
+          `${percent(run.passRate).padEnd(7)}${String(run.latency?.requests ?? '-').padEnd(6)}${ms(run.latency?.meanMs).padEnd(9)}` +
+          `${ms(run.latency?.p90Ms).padEnd(9)}${ms(run.latency?.maxMs)}`;
+        console.log(run.failed > 0 ? chalk.red(row) : row);
+      });
+
+      if (entry.tests.length > 0) {
+        const nameWidth = Math.max(4, ...entry.tests.map(test => test.name.length)) + 3;
+        console.log('');
+        console.log(chalk.gray(`  ${'TEST'.padEnd(nameWidth)}${'RUNS'.padEnd(6)}${'FAILS'.padEnd(7)}${'RATE'.padEnd(7)}${'FLAKY'.padEnd(7)}${'MEAN'.padEnd(9)}${'LAST'.padEnd(9)}${'FIRST FAILURE'.padEnd(21)}LAST FAILURE`));
+        entry.tests.forEach(test => {
+          const row = `  ${`${test.name}${test.partial ? '*' : ''}`.padEnd(nameWidth)}${String(test.runs).padEnd(6)}${String(test.failed).padEnd(7)}${percent(test.passRate).padEnd(7)}` +
+            `${(test.flakiness === null ? '-' : test.flakiness.toFixed(2)).padEnd(7)}${ms(test.meanDurationMs).padEnd(9)}${ms(test.lastDurationMs).padEnd(9)}${day(test.firstFailure).padEnd(21)}${day(test.lastFailure)}`;
+          console.log(test.failingNow ? chalk.red(row) : test.failed > 0 ? chalk.yellow(row) : row);
+        });
+        if (entry.tests.some(test => test.partial)) {
+          console.log(chalk.gray('  * older results files list only failures, so runs where the test passed are not counted'));
+        }
+      }
+
+      const regressions = entry.regressions;
+      if (!regressions) {
+        return;
+      }
+      console.log('');
+      if (!regressions.regressed) {
+        console.log(chalk.green(`  ✅ No regressions since ${day(regressions.previous)}`));
+        return;
+      }
+      console.log(chalk.red(`  ⚠️  Regressions since ${day(regressions.previous)}:`));
+      if (regressions.passRate.dropped) {
+        console.log(chalk.red(`    └─ pass rate ${percent(regressions.passRate.previous)} → ${percent(regressions.passRate.latest)}`));
+      }
+      regressions.newlyFailing.forEach(test => {
+        console.log(chalk.red(`    └─ 🆕 ${test.name} ${test.previousStatus ? `(was ${test.previousStatus})` : '(not reported before)'}${test.error ? `: ${test.error}` : ''}`));
+      });
+      if (regressions.latency) {
+        console.log(chalk.red(`    └─ mean latency ${ms(regressions.latency.previousMeanMs)} → ${ms(regressions.latency.latestMeanMs)}`));
+      }
+    });
+  }
+}
+
+export default RunHistory;
@@ -0,0 +1,258 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { redactText } from './redact.js';
+
+// Single-file HTML report of a run recorded by JUnitReporter (junit-reporter.js): a pass/fail
+// matrix per API, then every test with the requests made for it. Request and response bodies
+// are collapsible and pretty-printed (captured already redacted), and Zod issues are listed
+// with the failing path highlighted in the response body. Styles and the little script are
+// inline, so the file works offline and can be attached to a CI run as it is.
+
+export function htmlReportPathFor(name, startTime = new Date(), dir = path.join(process.cwd(), 'logs')) {
+  return path.join(dir, `${name}-report-${startTime.toISOString().replace(/[:.]/g, '-')}.html`);
+}
+
+const STATUS_LABELS = {
+  passed: '✅ passed',
+  failed: '❌ failed',
+  error: '💥 error',
+  skipped: '⏭️ skipped'
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) {
+    return '';
+  }
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+function countCases(cases) {
+  const counts = { total: cases.length, passed: 0, failed: 0, error: 0, skipped: 0, durationMs: 0 };
+  cases.forEach(testCase => {
+    counts[testCase.status] += 1;
+    counts.durationMs += testCase.durationMs || 0;
+  });
+  return counts;
+}
+
+// ============ JSON WITH HIGHLIGHTS ============
+
+const pathKey = segments => JSON.stringify(segments.map(String));
+
+// A required property that is missing has no node of its own, so its issue marks the nearest
+// ancestor that exists
+function existingPrefix(body, segments) {
+  const found = [];
+  let node = body;
+  for (const segment of segments) {
+    if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, segment)) {
+      break;
+    }
+    node = node[segment];
+    found.push(segment);
+  }
+  return found;
+}
+
+function issueMarks(body, issues) {
+  const marks = new Map();
+  issues.forEach(issue => {
+    const key = pathKey(existingPrefix(body, issue.path));
+    const label = `${issue.path.join('.') || '(root)'}: ${issue.message}`;
+    marks.set(key, marks.has(key) ? `${marks.get(key)}\n${label}` : label);
+  });
+  return marks;
+}
+
+function jsonHtml(value, marks, segments = [], depth = 0) {
+  const pad = '  '.repeat(depth);
+  let html;
+  if (Array.isArray(value)) {
+    html = value.length === 0
+      ? '[]'
+      : `[\n${value.map((item, index) => `${pad}  ${jsonHtml(item, marks, [...segments, index], depth + 1)}`).join(',\n')}\n${pad}]`;
+  } else if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    html = entries.length === 0
+      ? '{}'
+      : `{\n${entries.map(([key, item]) =>
+        `${pad}  <span class="key">${escapeHtml(JSON.stringify(key))}</span>: ${jsonHtml(item, marks, [...segments, key], depth + 1)}`
+      ).join(',\n')}\n${pad}}`;
+  } else {
+    html = `<span class="${value === null ? 'null' : typeof value}">${escapeHtml(JSON.stringify(value))}</span>`;
+  }
+
+  const mark = marks.get(pathKey(segments));
+  return mark ? `<mark title="${escapeHtml(mark)}">${html}</mark>` : html;
+}
+
+function bodyHtml(label, body, issues = []) {
+  if (body === null || body === undefined) {
+    return '';
+  }
+  const content = typeof body === 'string'
+    ? escapeHtml(redactText(body))
+    : jsonHtml(body, issueMarks(body, issues));
+  const flagged = issues.length > 0 ? ' <span class="flag">schema issues highlighted</span>' : '';
+  return `<details class="body"${issues.length > 0 ? ' open' : ''}><summary>${label}${flagged}</summary><pre>${content}</pre></details>`;
+}
+
+// ============ SECTIONS ============
+
+function issuesHtml(issues) {
+  if (issues.length === 0) {
+    return '';
+  }
+  const items = issues.map(issue => {
+    const segments = issue.path.map(String);
+    const trail = segments.length === 0
+      ? '<mark>(root)</mark>'
+      : segments.map((segment, index) => index === segments.length - 1 ? `<mark>${escapeHtml(segment)}</mark>` : escapeHtml(segment)).join(' › ');
+    return `<li><code>${trail}</code> ${escapeHtml(issue.message)}${issue.code ? ` <span class="muted">(${escapeHtml(issue.code)})</span>` : ''}</li>`;
+  });
+  return `<div class="issues"><strong>Schema validation</strong><ul>${items.join('')}</ul></div>`;
+}
+
+function callHtml(call, issues) {
+  const statusClass = call.status === null ? 'failed' : call.status < 400 ? 'passed' : 'failed';
+  return `<div class="call">
+  <div class="call-line"><span class="method">${escapeHtml(call.method)}</span> <span class="url">${escapeHtml(redactText(call.url))}</span>
+    <span class="badge ${statusClass}">${escapeHtml(call.status ?? 'no response')}</span> <span class="muted">${formatDuration(call.durationMs)}</span></div>
+  ${call.error ? `<div class="call-error">${escapeHtml(redactText(call.error))}</div>` : ''}
+  ${bodyHtml('Request body', call.requestData)}
+  ${bodyHtml('Response body', call.response, issues)}
+</div>`;
+}
+
+// Zod issues are shown against the last response the test received
+function caseHtml(testCase, id) {
+  const validated = testCase.calls.findLastIndex(call => call.response !== null);
+  const calls = testCase.calls
+    .map((call, index) => callHtml(call, index === validated ? testCase.issues : []))
+    .join('\n');
+  const message = testCase.message ? `<span class="message">${escapeHtml(redactText(testCase.message))}</span>` : '';
+  const open = testCase.status === 'failed' || testCase.status === 'error' ? ' open' : '';
+
+  return `<details class="case ${testCase.status}" id="${id}"${open}>
+  <summary><span class="badge ${testCase.status}">${STATUS_LABELS[testCase.status]}</span> ${escapeHtml(redactText(testCase.name))}
+    <span class="muted">${formatDuration(testCase.durationMs)} · ${testCase.calls.length} request${testCase.calls.length === 1 ? '' : 's'}</span> ${message}</summary>
+  ${issuesHtml(testCase.issues)}
+  ${calls || '<p class="muted">No requests recorded for this test.</p>'}
+</details>`;
+}
+
+function matrixHtml(suites) {
+  const rows = suites.map((suite, suiteIndex) => {
+    const counts = countCases(suite.cases);
+    const cells = suite.cases.map((testCase, caseIndex) =>
+      `<a class="cell ${testCase.status}" href="#case-${suiteIndex}-${caseIndex}" title="${escapeHtml(`${STATUS_LABELS[testCase.status]}: ${redactText(testCase.name)}`)}"></a>`
+    ).join('');
+    return `<tr class="${counts.failed + counts.error > 0 ? 'failed' : 'passed'}">
+  <th><a href="#suite-${suiteIndex}">${escapeHtml(suite.name)}</a></th>
+  <td class="passed">${counts.passed}</td><td class="failed">${counts.failed + counts.error}</td><td class="skipped">${counts.skipped}</td>
+  <td>${formatDuration(counts.durationMs)}</td><td class="cells">${cells}</td>
+</tr>`;
+  });
+  return `<table class="matrix">
+<thead><tr><th>API</th><th>Passed</th><th>Failed</th><th>Skipped</th><th>Duration</th><th>Tests</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+}
+
+function suiteHtml(suite, suiteIndex) {
+  const properties = Object.entries(suite.properties)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `<span><span class="muted">${escapeHtml(name)}</span> ${escapeHtml(redactText(String(value)))}</span>`)
+    .join(' ');
+  const cases = suite.cases.map((testCase, caseIndex) => caseHtml(testCase, `case-${suiteIndex}-${caseIndex}`)).join('\n');
+  return `<section id="suite-${suiteIndex}">
+<h2>${escapeHtml(suite.name)}</h2>
+<p class="properties">${properties}</p>
+${cases || '<p class="muted">No tests recorded.</p>'}
+</section>`;
+}
+
+// ============ PAGE ============
+
+const STYLE = `
+body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #1f2328; }
+h1 { margin: 0 0 4px; } h2 { margin-top: 32px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+a { color: inherit; } .muted { color: #656d76; font-size: 12px; }
+.totals span { margin-right: 16px; } .toolbar { margin: 16px 0; } .toolbar label { margin-right: 16px; }
+.matrix { border-collapse: collapse; width: 100%; } .matrix th, .matrix td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; }
+.matrix td.passed { color: #1a7f37; } .matrix td.failed { color: #cf222e; } .matrix td.skipped { color: #9a6700; }
+.cells { line-height: 0; } .cell { display: inline-block; width: 12px; height: 12px; margin: 1px; border-radius: 2px; }
+.cell.passed { background: #2da44e; } .cell.failed, .cell.error { background: #cf222e; } .cell.skipped { background: #d4a72c; }
+.badge { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 12px; background: #eaeef2; }
+.badge.passed { background: #dafbe1; } .badge.failed, .badge.error { background: #ffebe9; } .badge.skipped { background: #fff8c5; }
+.case { border: 1px solid #d0d7de; border-left-width: 4px; border-radius: 4px; margin: 6px 0; padding: 4px 8px; }
+.case.passed { border-left-color: #2da44e; } .case.failed, .case.error { border-left-color: #cf222e; } .case.skipped { border-left-color: #d4a72c; }
+.case > summary { cursor: pointer; } .message { color: #cf222e; margin-left: 8px; }
+.call { border-top: 1px dashed #d0d7de; margin-top: 6px; padding-top: 6px; }
+.method { font-weight: 600; } .url { font-family: ui-monospace, monospace; word-break: break-all; } .call-error { color: #cf222e; }
+.body summary { cursor: pointer; color: #0969da; font-size: 12px; }
+pre { background: #f6f8fa; padding: 8px; overflow: auto; max-height: 480px; font-size: 12px; }
+.key { color: #0550ae; } .string { color: #0a3069; } .number, .boolean { color: #953800; } .null { color: #6e7781; }
+mark { background: #ffd8d3; outline: 1px solid #cf222e; } .flag { color: #cf222e; }
+.issues { background: #fff5f5; border: 1px solid #ffcecb; padding: 6px 10px; margin: 6px 0; } .issues ul { margin: 4px 0; }
+body.only-failures .case.passed, body.only-failures .case.skipped { display: none; }
+`;
+
+const SCRIPT = `
+document.getElementById('only-failures').addEventListener('change', event => {
+  document.body.classList.toggle('only-failures', event.target.checked);
+});
+document.getElementById('expand-all').addEventListener('change', event => {
+  document.querySelectorAll('details.case').forEach(element => { element.open = event.target.checked; });
+});
+document.querySelectorAll('.cell').forEach(cell => cell.addEventListener('click', () => {
+  const target = document.querySelector(cell.getAttribute('href'));
+  if (target) { target.open = true; }
+}));
+`;
+
+export function renderHtmlReport(reporter, options = {}) {
+  const suites = [...reporter.suites.values()];
+  const counts = countCases(suites.flatMap(suite => suite.cases));
+  const title = options.title || 'API Test Report';
+  const generatedAt = options.generatedAt || new Date();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">Generated ${escapeHtml(generatedAt.toISOString())} on ${escapeHtml(os.hostname())}${options.mode ? ` · mode ${escapeHtml(options.mode)}` : ''}</p>
+<p class="totals"><span>🧪 ${counts.total} tests</span><span>✅ ${counts.passed} passed</span><span>❌ ${counts.failed + counts.error} failed</span><span>⏭️ ${counts.skipped} skipped</span><span>⏱️ ${formatDuration(counts.durationMs)}</span></p>
+${matrixHtml(suites)}
+<div class="toolbar"><label><input type="checkbox" id="only-failures"> Only failures</label><label><input type="checkbox" id="expand-all"> Expand all</label></div>
+${suites.map(suiteHtml).join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+export function saveHtmlReport(reporter, file, options = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, renderHtmlReport(reporter, options));
+  return file;
+}
@@ -0,0 +1,138 @@
+// Small JSONPath subset for declarative assertions, captures and log redaction:
+//   $                root
+//   .name ['name']   child (".length" works on arrays and strings)
+//   [0] [-1]         array index (negative counts from the end)
+//   [*] .*           every element / property value
+//   ..name           recursive descent
+//   [1:3]            array slice
+
+const IDENTIFIER = /^[A-Za-z_$][\w$-]*/;
+
+export function parsePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`JSONPath must start with "$": ${path}`);
+  }
+
+  const tokens = [];
+  let rest = path.slice(1);
+
+  while (rest.length > 0) {
+    if (rest.startsWith('..')) {
+      rest = rest.slice(2);
+      const name = rest.match(IDENTIFIER)?.[0];
+      if (!name) {
+        throw new Error(`Expected a property name after ".." in ${path}`);
+      }
+      tokens.push({ type: 'descendant', name });
+      rest = rest.slice(name.length);
+    } else if (rest.startsWith('.*')) {
+      tokens.push({ type: 'wildcard' });
+      rest = rest.slice(2);
+    } else if (rest.startsWith('.')) {
+      const name = rest.slice(1).match(IDENTIFIER)?.[0];
+      if (!name) {
+        throw new Error(`Expected a property name at "${rest}" in ${path}`);
+      }
+      tokens.push({ type: 'child', name });
+      rest = rest.slice(name.length + 1);
+    } else if (rest.startsWith('[')) {
+      const end = rest.indexOf(']');
+      if (end === -1) {
+        throw new Error(`Unclosed "[" in ${path}`);
+      }
+      tokens.push(parseBracket(rest.slice(1, end).trim(), path));
+      rest = rest.slice(end + 1);
+    } else {
+      throw new Error(`Unexpected "${rest[0]}" in ${path}`);
+    }
+  }
+
+  return tokens;
+}
+
+function parseBracket(inner, path) {
+  if (inner === '*') {
+    return { type: 'wildcard' };
+  }
+  if (/^-?\d+$/.test(inner)) {
+    return { type: 'index', index: Number(inner) };
+  }
+  if (/^-?\d*:-?\d*$/.test(inner)) {
+    const [start, end] = inner.split(':');
+    return { type: 'slice', start: start === '' ? null : Number(start), end: end === '' ? null : Number(end) };
+  }
+  const quoted = inner.match(/^(['"])(.*)\1$/);
+  if (quoted) {
+    return { type: 'child', name: quoted[2] };
+  }
+  throw new Error(`Unsupported bracket expression [${inner}] in ${path}`);
+}
+
+
+function hasChild(node, name) {
+  return node !== null && node !== undefined && Object.prototype.hasOwnProperty.call(Object(node), name);
+}
+
+// Matches are tracked as { value, parent, key } so locate() can report where they live
+function childRefs(node) {
+  if (Array.isArray(node)) {
+    return node.map((value, key) => ({ value, parent: node, key }));
+  }
+  return node !== null && typeof node === 'object'
+    ? Object.entries(node).map(([key, value]) => ({ value, parent: node, key }))
+    : [];
+}
+
+function descendants(node, name, found = []) {
+  if (node === null || typeof node !== 'object') {
+    return found;
+  }
+  if (!Array.isArray(node) && hasChild(node, name)) {
+    found.push({ value: node[name], parent: node, key: name });
+  }
+  childRefs(node).forEach(child => descendants(child.value, name, found));
+  return found;
+}
+
+function step(refs, token) {
+  return refs.flatMap(({ value: node }) => {
+    switch (token.type) {
+      case 'child':
+        return hasChild(node, token.name) ? [{ value: node[token.name], parent: node, key: token.name }] : [];
+      case 'index': {
+        if (!Array.isArray(node)) {
+          return [];
+        }
+        const index = token.index < 0 ? node.length + token.index : token.index;
+        return index >= 0 && index < node.length ? [{ value: node[index], parent: node, key: index }] : [];
+      }
+      case 'slice':
+        return Array.isArray(node) ? childRefs(node).slice(token.start ?? 0, token.end ?? node.length) : [];
+      case 'wildcard':
+        return childRefs(node);
+      case 'descendant':
+        return descendants(node, token.name);
+      default:
+        return [];
+    }
+  });
+}
+
+// Every match as { value, parent, key }; parent is null for the root
+export function locate(data, path) {
+  return parsePath(path).reduce((refs, token) => step(refs, token), [{ value: data, parent: null, key: null }]);
+}
+
+// Every value the path matches (empty when nothing matches)
+export function query(data, path) {
+  return locate(data, path).map(ref => ref.value);
+}
+
+// The first match, or undefined
+export function first(data, path) {
+  return query(data, path)[0];
+}
+
+export function exists(data, path) {
+  return query(data, path).length > 0;
+}
@@ -0,0 +1,268 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { redact, redactText } from './redact.js';
+
+// JUnit XML for CI dashboards. Every logTestResult call becomes a <testcase>, grouped into one
+// <testsuite> per API, and the HTTP calls made since the previous result become its <system-out>.
+//
+//   const junit = new JUnitReporter();
+//   junit.captureAxios(axios);                       // or captureCall() per request
+//   junit.record('drive', 'List files', 'passed');   // duration: time since the previous result
+//   junit.record('drive', 'Create file', 'failed', { message, details, issues });
+//   junit.save(junitPathFor('drive', startTime));
+//
+// The recorded run is also what html-report.js renders. Captured bodies are redacted copies,
+// and everything written goes through redact.js.
+
+export const JUNIT_STATUSES = ['passed', 'failed', 'error', 'skipped'];
+
+// Per body in a testcase's system-out, and per system-out
+const MAX_BODY = 2000;
+const MAX_OUTPUT = 64 * 1024;
+// Per body kept for the HTML report
+const MAX_KEPT_BODY = 256 * 1024;
+
+// logs/<api>-junit-<timestamp>.xml, next to the results file
+export function junitPathFor(name, startTime = new Date(), dir = path.join(process.cwd(), 'logs')) {
+  return path.join(dir, `${name}-junit-${startTime.toISOString().replace(/[:.]/g, '-')}.xml`);
+}
+
+// ============ XML ============
+
+// Characters XML 1.0 can't carry at all, even escaped
+const INVALID_XML = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// A "]]>" inside the text would end the section early, so it is split across two
+function cdata(value) {
+  return `<![CDATA[${String(value).replace(INVALID_XML, '').split(']]>').join(']]]]><![CDATA[>')}]]>`;
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+const seconds = ms => (Math.max(0, ms || 0) / 1000).toFixed(3);
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit)}… (${text.length - limit} more characters)` : text;
+}
+
+function bodyText(body) {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+  return truncate(typeof body === 'string' ? body : JSON.stringify(body, null, 2), MAX_BODY);
+}
+
+// A redacted copy, so later changes to the object don't show up in the report. Bodies too big
+// to be worth keeping whole are kept as the start of their text
+function snapshot(body) {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    return `(${body.byteLength} bytes of binary data)`;
+  }
+  const copy = redact(typeof body === 'string' ? body : JSON.parse(JSON.stringify(body)));
+  const text = typeof copy === 'string' ? copy : JSON.stringify(copy);
+  return text.length > MAX_KEPT_BODY ? truncate(text, MAX_KEPT_BODY) : copy;
+}
+
+// Zod issues ({ path, message }) as plain data
+function normalizeIssues(issues) {
+  return Array.isArray(issues)
+    ? issues.map(issue => ({ path: [...(issue.path || [])], message: redactText(String(issue.message)), code: issue.code || null }))
+    : [];
+}
+
+function callText(call) {
+  const lines = [`→ ${call.method} ${call.url}`];
+  const sent = bodyText(call.requestData);
+  if (sent) {
+    lines.push(sent);
+  }
+  lines.push(`← ${call.status ?? 'no response'}${call.durationMs !== undefined ? ` (${call.durationMs}ms)` : ''}${call.error ? ` ${call.error}` : ''}`);
+  const received = bodyText(call.response);
+  if (received) {
+    lines.push(received);
+  }
+  return lines.join('\n');
+}
+
+// ============ REPORTER ============
+
+class JUnitReporter {
+  constructor(options = {}) {
+    this.name = options.name || 'api-tests';
+    this.suites = new Map();
+    this.captured = [];
+    this.lastResultAt = Date.now();
+  }
+
+  // Suites appear in the report in the order they were first used
+  suite(name, properties = {}) {
+    if (!this.suites.has(name)) {
+      this.suites.set(name, { name, properties: {}, cases: [], startedAt: new Date() });
+    }
+    const suite = this.suites.get(name);
+    Object.assign(suite.properties, properties);
+    return suite;
+  }
+
+  // A request made for the next recorded testcase
+  captureCall({ method, url, requestData, status, durationMs, response, error }) {
+    this.captured.push({
+      method,
+      url: redactText(url),
+      requestData: snapshot(requestData),
+      status: status ?? null,
+      durationMs,
+      response: snapshot(response),
+      error: error ? redactText(error) : null
+    });
+  }
+
+  // For the standalone scripts, which call axios directly: every request and response through
+  // `instance` is captured. Returns a function that stops capturing
+  captureAxios(instance) {
+    const requests = instance.interceptors.request.use(config => ({ ...config, junitStartedAt: Date.now() }));
+    const call = (config, response, error) => this.captureCall({
+      method: (config?.method || 'get').toUpperCase(),
+      url: config ? instance.getUri(config) : 'unknown',
+      requestData: config?.data,
+      status: response?.status,
+      durationMs: config?.junitStartedAt ? Date.now() - config.junitStartedAt : undefined,
+      response: response?.data,
+      error: response ? null : error?.message
+    });
+    const responses = instance.interceptors.response.use(
+      response => {
+        call(response.config, response);
+        return response;
+      },
+      error => {
+        call(error.config, error.response, error);
+        return Promise.reject(error);
+      }
+    );
+    return () => {
+      instance.interceptors.request.eject(requests);
+      instance.interceptors.response.eject(responses);
+    };
+  }
+
+  // options: { message, details, issues, durationMs }; issues are Zod issues behind a failure.
+  // Without durationMs, the duration is the time since the previous result
+  record(suiteName, name, status, options = {}) {
+    if (!JUNIT_STATUSES.includes(status)) {
+      throw new Error(`Unknown JUnit status "${status}" (expected ${JUNIT_STATUSES.join(', ')})`);
+    }
+    const now = Date.now();
+    this.suite(suiteName).cases.push({
+      name,
+      status,
+      message: options.message || null,
+      details: snapshot(options.details),
+      issues: normalizeIssues(options.issues),
+      durationMs: options.durationMs ?? now - this.lastResultAt,
+      calls: this.captured
+    });
+    this.captured = [];
+    this.lastResultAt = now;
+  }
+
+  // Copies another reporter's suites in, e.g. one per tester into a single cli.js report
+  merge(other) {
+    other.suites.forEach(suite => {
+      const merged = this.suite(suite.name, suite.properties);
+      merged.cases.push(...suite.cases);
+    });
+    return this;
+  }
+
+  // ============ OUTPUT ============
+
+  counts(cases) {
+    return {
+      tests: cases.length,
+      failures: cases.filter(testCase => testCase.status === 'failed').length,
+      errors: cases.filter(testCase => testCase.status === 'error').length,
+      skipped: cases.filter(testCase => testCase.status === 'skipped').length,
+      time: seconds(cases.reduce((sum, testCase) => sum + testCase.durationMs, 0))
+    };
+  }
+
+  testcaseXml(testCase, classname) {
+    const open = `    <testcase${attributes({ name: testCase.name, classname, time: seconds(testCase.durationMs) })}`;
+    const message = redactText(testCase.message || '');
+    const issues = testCase.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    const details = [testCase.details === null ? message : bodyText(testCase.details), ...issues].join('\n');
+    const body = [];
+
+    if (testCase.status === 'failed' || testCase.status === 'error') {
+      const tag = testCase.status === 'failed' ? 'failure' : 'error';
+      body.push(`      <${tag}${attributes({ message })}>${escapeXml(redactText(details))}</${tag}>`);
+    } else if (testCase.status === 'skipped') {
+      body.push(`      <skipped${attributes({ message: message || null })}/>`);
+    }
+    if (testCase.calls.length > 0) {
+      const output = testCase.calls.map(callText).join('\n\n');
+      body.push(`      <system-out>${cdata(redactText(truncate(output, MAX_OUTPUT)))}</system-out>`);
+    }
+
+    return body.length === 0 ? `${open}/>` : `${open}>\n${body.join('\n')}\n    </testcase>`;
+  }
+
+  suiteXml(suite) {
+    const properties = Object.entries(suite.properties).filter(([, value]) => value !== undefined && value !== null);
+    const lines = [`  <testsuite${attributes({
+      name: suite.name,
+      ...this.counts(suite.cases),
+      timestamp: suite.startedAt.toISOString().replace(/\.\d+Z$/, ''),
+      hostname: os.hostname()
+    })}>`];
+    if (properties.length > 0) {
+      lines.push('    <properties>');
+      properties.forEach(([name, value]) => lines.push(`      <property${attributes({ name, value: redactText(String(value)) })}/>`));
+      lines.push('    </properties>');
+    }
+    suite.cases.forEach(testCase => lines.push(this.testcaseXml(testCase, suite.name)));
+    lines.push('  </testsuite>');
+    return lines.join('\n');
+  }
+
+  toXML() {
+    const suites = [...this.suites.values()];
+    const all = suites.flatMap(suite => suite.cases);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites${attributes({ name: this.name, ...this.counts(all) })}>`,
+      ...suites.map(suite => this.suiteXml(suite)),
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  save(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, this.toXML());
+    return file;
+  }
+}
+
+export default JUnitReporter;
@@ -4,6 +4,8 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import chalk from 'chalk';
 
+import { saveCredentials } from './credential-vault.js';
+
 class OnePasswordJWTGenerator {
   constructor() {
     this.issuer = '1password-events-api-tester';
@@ -45,7 +47,7 @@ class OnePasswordJWTGenerator {
         expiresIn: expiresIn
       });
 
-      this.log(`Generated JWT token with secret: ${jwtSecret}`, 'success');
+      this.log('Generated JWT token (HS256)', 'success');
       this.log(`Token payload: ${JSON.stringify(payload, null, 2)}`, 'test');
       
       return { token, secret: jwtSecret, payload };
@@ -69,12 +71,12 @@ class OnePasswordJWTGenerator {
   }
 
   // ============ ENVIRONMENT SETUP ============
-  setupEnvironment(token) {
+  setupEnvironment(token, secret) {
     try {
-      // Set environment variable for current session
-      process.env.ONEPASSWORD_JWT_TOKEN = token;
+      // Stored encrypted in the credential vault and set for the current session
+      const vault = saveCredentials('onepassword', { ONEPASSWORD_JWT_TOKEN: token, ONEPASSWORD_JWT_SECRET: secret });
       
-      this.log('✅ Environment variable ONEPASSWORD_JWT_TOKEN set', 'success');
+      this.log(`✅ ONEPASSWORD_JWT_TOKEN and ONEPASSWORD_JWT_SECRET saved to ${vault.file}`, 'success');
       this.log(`Token: ${token.substring(0, 20)}...`, 'test');
       
       return true;
@@ -144,7 +146,7 @@ class OnePasswordJWTGenerator {
 
     // Setup environment
     this.log('Setting up environment...', 'info');
-    const envSetup = this.setupEnvironment(token);
+    const envSetup = this.setupEnvironment(token, secret);
     
     if (!envSetup) {
       this.log('Failed to setup environment', 'error');
@@ -154,7 +156,7 @@ class OnePasswordJWTGenerator {
     console.log(chalk.green.bold('\n✅ JWT Token Generated Successfully!'));
     console.log(chalk.gray('='.repeat(50)));
     console.log(chalk.blue('🔑 Token: ') + chalk.yellow(token.substring(0, 50)) + '...');
-    console.log(chalk.blue('🔐 Secret: ') + chalk.yellow(secret.substring(0, 20)) + '...');
+    console.log(chalk.blue('🔐 Secret: ') + chalk.yellow('stored in the credential vault (node credential-vault.js get onepassword)'));
     console.log(chalk.blue('📅 Expires: ') + chalk.yellow(payload.exp ? new Date(payload.exp * 1000).toISOString() : 'N/A'));
     console.log(chalk.blue('🎯 Features: ') + chalk.yellow(payload.features.join(', ')));
     
@@ -2,7 +2,8 @@
 
 import axios from 'axios';
 import chalk from 'chalk';
-import fs from 'fs';
+
+import { credentialText } from './credential-vault.js';
 
 class ZendeskOAuthLister {
   constructor() {
@@ -11,7 +12,7 @@ class ZendeskOAuthLister {
 
   loadCredentials() {
     try {
-      const envContent = fs.readFileSync('env.ids', 'utf8');
+      const envContent = credentialText('zendesk', 'env.ids');
       
       const secretMatch = envContent.match(/ZENDESK_SECRET=([^\n]+)/);
       const apiTokenMatch = envContent.match(/ZENDESK_API_TOKEN=([^\n]+)/);
@@ -30,7 +31,7 @@ class ZendeskOAuthLister {
         console.log(chalk.gray(`   Client Secret: ${this.clientSecret.substring(0, 8)}...`));
         console.log(chalk.gray(`   API Token: ${this.apiToken.substring(0, 8)}...`));
       } else {
-        throw new Error('Missing required credentials in env.ids');
+        throw new Error('Missing required Zendesk credentials in the credential vault (or env.ids)');
       }
     } catch (error) {
       console.error(chalk.red('❌ Error loading Zendesk credentials:'), error.message);
@@ -142,7 +143,7 @@ class ZendeskOAuthLister {
     if (apps.length > 0) {
       console.log(chalk.green('✅ Found existing OAuth apps!'));
       console.log(chalk.yellow('📋 You can use one of these instead of creating a new one.'));
-      console.log(chalk.blue('💡 Update your env.ids with the correct Client ID.'));
+      console.log(chalk.blue('💡 Update the Client ID in the credential vault (node credential-vault.js set zendesk ZENDESK_CLIENT_ID=...)'));
     } else {
       console.log(chalk.red('❌ No OAuth apps found.'));
       console.log(chalk.yellow('📋 You need to create an OAuth app in Zendesk first.'));
@@ -0,0 +1,50 @@
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+
+import CredentialVault, { activeProfile, VaultError } from './credential-vault.js';
+
+// Drop-in for `import 'dotenv/config'`: loads .env, then the active profile of the credential
+// vault (credential-vault.js) on top of it. Variables set in the shell still win over both,
+// so CI can inject secrets without a vault.
+
+const dotenvValues = dotenv.config({ quiet: true }).parsed || {};
+const vaultKeys = new Set();
+
+// A shell variable is one neither .env nor the vault put there
+function setInShell(key) {
+  return process.env[key] !== undefined && !vaultKeys.has(key) && process.env[key] !== dotenvValues[key];
+}
+
+// Also used by cli.js --profile to switch profiles; returns the names that were loaded
+export function loadVaultIntoEnv(profile = activeProfile()) {
+  const values = CredentialVault.exists() ? CredentialVault.open().environment(profile) : {};
+
+  // Whatever the previous profile set and this one lacks goes back to its .env value
+  for (const key of vaultKeys) {
+    if (!(key in values)) {
+      if (key in dotenvValues) {
+        process.env[key] = dotenvValues[key];
+      } else {
+        delete process.env[key];
+      }
+      vaultKeys.delete(key);
+    }
+  }
+
+  const loaded = Object.keys(values).filter(key => !setInShell(key));
+  loaded.forEach(key => {
+    process.env[key] = values[key];
+    vaultKeys.add(key);
+  });
+  return loaded;
+}
+
+try {
+  loadVaultIntoEnv();
+} catch (error) {
+  if (!(error instanceof VaultError)) {
+    throw error;
+  }
+  // Testers still run on .env and shell credentials; `node credential-vault.js list` shows the details
+  console.error(chalk.yellow(`⚠️  Credential vault not loaded: ${error.message}`));
+}
@@ -0,0 +1,283 @@
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+import { TEST_CONFIG } from './config.js';
+import { percentile } from './history.js';
+import { buildOperationUrl, loadSpec } from './openapi-loader.js';
+import { redactText } from './redact.js';
+
+// Load mode for any registered tester: one operation, sent by `concurrency` workers for a fixed
+// duration, optionally paced to `rate` requests per second across all of them. Requests go
+// through the tester's sendRequest, so auth, mock servers, replay and --faults apply, but not
+// retries: every attempt is measured as it happened.
+//
+//   node cli.js load --api=drive --operation=files.list --concurrency=10 --rate=50 --duration=30s \
+//     --threshold=p99<800,errors<1%
+//
+// Latency is measured from when a request is sent. When the workers can't keep up with the
+// rate, requests start late and that wait is not counted, so compare throughput with the rate.
+
+export const THRESHOLD_METRICS = ['min', 'mean', 'p50', 'p90', 'p99', 'max', 'errors', 'rps'];
+
+const THRESHOLD = /^(\w+)\s*(<=|>=|<|>)\s*([\d.]+)\s*(ms|s|%)?$/;
+// Histogram bucket edges in ms: 1, 2, 5, 10, 20, 50, ...
+const BUCKET_STEPS = [1, 2, 5];
+const BAR_WIDTH = 40;
+const PROGRESS_INTERVAL_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+export function loadReportPathFor(name, startTime = new Date(), dir = path.join(process.cwd(), 'logs')) {
+  return path.join(dir, `${name}-load-${startTime.toISOString().replace(/[:.]/g, '-')}.json`);
+}
+
+// ============ OPTIONS ============
+
+// "30s", "2m", "500ms"; a bare number is seconds
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^([\d.]+)\s*(ms|s|m)?$/);
+  const ms = match ? Number(match[1]) * { ms: 1, s: 1000, m: 60000 }[match[2] || 's'] : NaN;
+  if (!(ms > 0)) {
+    throw new Error(`Invalid duration "${value}" (e.g. 30s, 2m, 500ms)`);
+  }
+  return ms;
+}
+
+// "p99<800,errors<1%,rps>=20": latencies in ms (or s), errors as a rate, rps in requests per second
+export function parseThresholds(text) {
+  return String(text).split(',').map(part => part.trim()).filter(Boolean).map(expression => {
+    const match = expression.match(THRESHOLD);
+    if (!match || !THRESHOLD_METRICS.includes(match[1])) {
+      throw new Error(`Invalid threshold "${expression}" (e.g. p99<800, errors<1%, rps>=20; metrics: ${THRESHOLD_METRICS.join(', ')})`);
+    }
+    const [, metric, operator, number, unit] = match;
+    const scale = { s: 1000, '%': 0.01 }[unit] || 1;
+    return { expression, metric, operator, value: Number(number) * scale };
+  });
+}
+
+// The operation to load: a spec operation by id ("files.list") or method and path template
+// ("GET /files/{fileId}"), or without a spec any "METHOD /path" under the tester's base URL.
+// Path and query parameters come from `params`
+export function resolveOperation(specPath, name, params = {}) {
+  const spec = specPath ? loadSpec(specPath) : null;
+  const [method, target] = String(name).trim().split(/\s+/);
+  const operation = spec?.operations.find(candidate =>
+    candidate.id === name || (target && candidate.method === method.toUpperCase() && candidate.path === target));
+
+  if (operation) {
+    return {
+      label: operation.id,
+      method: operation.method,
+      url: baseUrl => buildOperationUrl(baseUrl, operation, params)
+    };
+  }
+  if (target?.startsWith('/')) {
+    const query = new URLSearchParams(params).toString();
+    return {
+      label: `${method.toUpperCase()} ${target}`,
+      method: method.toUpperCase(),
+      url: baseUrl => `${baseUrl}${target}${query ? `${target.includes('?') ? '&' : '?'}${query}` : ''}`
+    };
+  }
+
+  const known = spec ? `; operations in ${specPath}: ${spec.operations.map(candidate => candidate.id).join(', ')}` : '';
+  throw new Error(`Unknown operation "${name}" (use an operation id from the spec or "METHOD /path"${known})`);
+}
+
+// ============ STATISTICS ============
+
+export function latencyStats(latencies) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { min: null, mean: null, p50: null, p90: null, p99: null, max: null };
+  }
+  return {
+    min: sorted[0],
+    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Buckets on a 1-2-5 scale, from the one holding the fastest request to the one holding the slowest
+export function histogram(latencies) {
+  if (latencies.length === 0) {
+    return [];
+  }
+  const slowest = latencies.reduce((max, latency) => Math.max(max, latency), 0);
+  const edges = [0];
+  for (let magnitude = 1; edges[edges.length - 1] <= slowest; magnitude *= 10) {
+    edges.push(...BUCKET_STEPS.map(step => step * magnitude));
+  }
+  const buckets = edges.slice(0, -1).map((fromMs, index) => ({ fromMs, toMs: edges[index + 1], count: 0 }));
+  latencies.forEach(latency => {
+    buckets.find(bucket => latency < bucket.toMs).count++;
+  });
+
+  const first = buckets.findIndex(bucket => bucket.count > 0);
+  const last = buckets.findLastIndex(bucket => bucket.count > 0);
+  return buckets.slice(first, last + 1);
+}
+
+function checkThreshold(threshold, metrics) {
+  const actual = metrics[threshold.metric];
+  const compare = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+  }[threshold.operator];
+  return { ...threshold, actual, passed: actual !== null && compare(actual, threshold.value) };
+}
+
+const formatMetric = (metric, value) => {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  if (metric === 'errors') {
+    return `${(value * 100).toFixed(2)}%`;
+  }
+  return metric === 'rps' ? `${value.toFixed(1)} req/s` : `${Math.round(value)}ms`;
+};
+
+// ============ LOAD TESTER ============
+
+class LoadTester {
+  // tester: a BaseApiTester, already prepared for its mode (mock server started, cassette loaded)
+  constructor(tester, request, options = {}) {
+    this.tester = tester;
+    this.request = request;
+    this.concurrency = options.concurrency ?? TEST_CONFIG.load.concurrency;
+    this.rate = options.rate ?? TEST_CONFIG.load.rate;
+    this.durationMs = options.durationMs ?? TEST_CONFIG.load.durationMs;
+    this.thresholds = options.thresholds || [];
+    this.samples = [];
+  }
+
+  async run() {
+    const { method, url, data } = this.request;
+    this.startTime = new Date();
+    const startedAt = this.startTime.getTime();
+    const deadline = startedAt + this.durationMs;
+    const interval = this.rate ? 1000 / this.rate : 0;
+    let scheduled = 0;
+
+    // Workers take the next send slot, so the rate holds across all of them
+    const worker = async () => {
+      while (Date.now() < deadline) {
+        const slot = startedAt + scheduled * interval;
+        if (slot >= deadline) {
+          return;
+        }
+        scheduled++;
+        if (slot > Date.now()) {
+          await sleep(slot - Date.now());
+        }
+
+        const sentAt = Date.now();
+        const { result } = await this.tester.sendRequest(method, url, { data, quiet: true });
+        this.samples.push({ latencyMs: Date.now() - sentAt, status: result.status ?? null, success: result.success });
+        // Replayed responses resolve without any I/O, which would starve the timers
+        await yieldToEventLoop();
+      }
+    };
+
+    const progress = setInterval(() => {
+      const errors = this.samples.filter(sample => !sample.success).length;
+      console.log(chalk.gray(`   ⏱️  ${Math.round((Date.now() - startedAt) / 1000)}s: ${this.samples.length} requests, ${errors} errors`));
+    }, PROGRESS_INTERVAL_MS);
+    try {
+      await Promise.all(Array.from({ length: this.concurrency }, worker));
+    } finally {
+      clearInterval(progress);
+    }
+    this.elapsedMs = Date.now() - startedAt;
+    return this.getReport();
+  }
+
+  // ============ REPORT ============
+
+  getReport() {
+    const latencies = this.samples.map(sample => sample.latencyMs);
+    const errors = this.samples.filter(sample => !sample.success).length;
+    const statuses = {};
+    this.samples.forEach(sample => {
+      const key = sample.status === null ? 'no-response' : String(sample.status);
+      statuses[key] = (statuses[key] || 0) + 1;
+    });
+
+    const latency = latencyStats(latencies);
+    const metrics = {
+      ...latency,
+      errors: this.samples.length > 0 ? errors / this.samples.length : null,
+      rps: this.elapsedMs > 0 ? this.samples.length / (this.elapsedMs / 1000) : null
+    };
+    const thresholds = this.thresholds.map(threshold => checkThreshold(threshold, metrics));
+
+    return {
+      api: this.tester.name,
+      operation: this.request.label,
+      method: this.request.method,
+      url: redactText(this.request.url),
+      mode: this.tester.mode,
+      config: { concurrency: this.concurrency, rate: this.rate, durationMs: this.durationMs },
+      startTime: this.startTime.toISOString(),
+      elapsedMs: this.elapsedMs,
+      requests: this.samples.length,
+      errors,
+      errorRate: metrics.errors,
+      throughput: metrics.rps,
+      latency,
+      statuses,
+      histogram: histogram(latencies),
+      thresholds,
+      passed: thresholds.every(threshold => threshold.passed)
+    };
+  }
+
+  printReport(report) {
+    console.log('');
+    console.log(chalk.cyan.bold(`⚡ LOAD TEST: ${report.api} ${report.operation}`));
+    console.log(chalk.cyan('==========================================='));
+    console.log(`${report.method} ${report.url}`);
+    console.log(`Requests: ${report.requests} in ${(report.elapsedMs / 1000).toFixed(1)}s (${formatMetric('rps', report.throughput)}), ` +
+      `concurrency ${report.config.concurrency}, rate ${report.config.rate ? `${report.config.rate} req/s` : 'unlimited'}`);
+    const statuses = Object.entries(report.statuses).map(([status, count]) => `${status}×${count}`).join(', ');
+    const errorLine = `Errors: ${report.errors} (${formatMetric('errors', report.errorRate)})${statuses ? `, statuses ${statuses}` : ''}`;
+    console.log(report.errors > 0 ? chalk.red(errorLine) : errorLine);
+    console.log(`Latency: ${['min', 'mean', 'p50', 'p90', 'p99', 'max'].map(metric => `${metric} ${formatMetric(metric, report.latency[metric])}`).join('  ')}`);
+
+    if (report.histogram.length > 0) {
+      const most = Math.max(...report.histogram.map(bucket => bucket.count));
+      const labelWidth = Math.max(...report.histogram.map(bucket => `${bucket.fromMs}–${bucket.toMs}ms`.length)) + 2;
+      console.log('');
+      console.log(chalk.blue('📊 Latency histogram:'));
+      report.histogram.forEach(bucket => {
+        const bar = '█'.repeat(Math.max(bucket.count > 0 ? 1 : 0, Math.round((bucket.count / most) * BAR_WIDTH)));
+        console.log(`  ${`${bucket.fromMs}–${bucket.toMs}ms`.padEnd(labelWidth)}${chalk.cyan(bar.padEnd(BAR_WIDTH))} ${bucket.count}`);
+      });
+    }
+
+    if (report.thresholds.length > 0) {
+      console.log('');
+      console.log(chalk.blue('🎯 Thresholds:'));
+      report.thresholds.forEach(threshold => {
+        const line = `  ${threshold.passed ? '✅' : '❌'} ${threshold.expression} (${formatMetric(threshold.metric, threshold.actual)})`;
+        console.log(threshold.passed ? chalk.green(line) : chalk.red(line));
+      });
+    }
+  }
+
+  saveReport(file, report = this.getReport()) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return file;
+  }
+}
+
+export default LoadTester;
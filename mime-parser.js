@@ -0,0 +1,184 @@
+// Minimal RFC 822 / MIME parser for the Gmail mock: folded headers, encoded words
+// (=?utf-8?B?...?=), nested multipart bodies, base64 and quoted-printable transfer
+// encodings, and attachment filenames.
+//
+// The message is handled as a latin1 string so every byte survives until a part's body is
+// decoded; header values are converted back to UTF-8.
+//
+//   parseMessage(raw) -> { headers: [{ name, value }], mimeType, filename, body: Buffer, parts: [...] }
+
+// ============ HEADERS ============
+
+function utf8(latin1) {
+  return Buffer.from(latin1, 'latin1').toString('utf8');
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return bytes.toString('utf8');
+  }
+}
+
+// RFC 2047; whitespace between two adjacent encoded words is dropped
+export function decodeEncodedWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+export function parseHeaders(block) {
+  const headers = [];
+  block.split(/\r?\n/).forEach(line => {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      // Folded continuation of the previous header
+      headers[headers.length - 1].value += ` ${line.trim()}`;
+      return;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() });
+    }
+  });
+  return headers.map(({ name, value }) => ({ name, value: decodeEncodedWords(utf8(value)) }));
+}
+
+export function getHeader(headers, name) {
+  return headers.find(header => header.name.toLowerCase() === name.toLowerCase())?.value;
+}
+
+// "multipart/mixed; boundary=\"abc\"" -> { value: 'multipart/mixed', params: { boundary: 'abc' } }
+export function parseHeaderValue(value = '') {
+  const [main, ...rest] = value.split(';');
+  const params = {};
+  const pattern = /;\s*([\w!#$%&'*+.^`|~-]+)\*?\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match;
+  while ((match = pattern.exec(`;${rest.join(';')}`)) !== null) {
+    const raw = match[2].trim();
+    params[match[1].toLowerCase()] = raw.startsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw;
+  }
+  return { value: main.trim().toLowerCase(), params };
+}
+
+// ============ BODIES ============
+
+export function decodeQuotedPrintable(text) {
+  const source = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < source.length; i++) {
+    const hex = source.slice(i + 1, i + 3);
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeBody(text, encoding = '') {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(text.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(text);
+    default:
+      return Buffer.from(text, 'latin1');
+  }
+}
+
+// Sections between "--boundary" lines; the preamble and epilogue are dropped
+function splitMultipart(body, boundary) {
+  const sections = [];
+  let current = null;
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trimEnd();
+    if (trimmed === `--${boundary}--`) {
+      break;
+    }
+    if (trimmed === `--${boundary}`) {
+      current = [];
+      sections.push(current);
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  return sections.map(lines => lines.join('\r\n'));
+}
+
+// ============ PARSER ============
+
+function parsePart(text, defaultType = 'text/plain') {
+  // A part that starts with a blank line has no headers
+  const separator = /^\r?\n/.test(text) ? text.match(/^\r?\n/) : text.match(/\r?\n\r?\n/);
+  const headers = separator ? parseHeaders(text.slice(0, separator.index)) : parseHeaders(text);
+  const rawBody = separator ? text.slice(separator.index + separator[0].length) : '';
+
+  const contentType = parseHeaderValue(getHeader(headers, 'Content-Type') || defaultType);
+  const disposition = parseHeaderValue(getHeader(headers, 'Content-Disposition') || '');
+  const mimeType = contentType.value || defaultType;
+
+  if (mimeType.startsWith('multipart/') && contentType.params.boundary) {
+    const childType = mimeType === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+    return {
+      headers,
+      mimeType,
+      filename: '',
+      body: Buffer.alloc(0),
+      parts: splitMultipart(rawBody, contentType.params.boundary).map(section => parsePart(section, childType))
+    };
+  }
+
+  return {
+    headers,
+    mimeType,
+    charset: contentType.params.charset || null,
+    filename: disposition.params.filename || contentType.params.name || '',
+    body: decodeBody(rawBody, getHeader(headers, 'Content-Transfer-Encoding')),
+    parts: []
+  };
+}
+
+export function parseMessage(raw) {
+  const text = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+  return parsePart(text);
+}
+
+// ============ HELPERS ============
+
+// Every part, depth first, with Gmail-style part ids ("", "0", "0.1", ...)
+export function walkParts(part, visit, partId = '') {
+  visit(part, partId);
+  part.parts.forEach((child, index) => walkParts(child, visit, partId === '' ? `${index}` : `${partId}.${index}`));
+}
+
+export function attachments(message) {
+  const found = [];
+  walkParts(message, (part, partId) => {
+    if (part.filename) {
+      found.push({ partId, filename: part.filename, mimeType: part.mimeType, size: part.body.length });
+    }
+  });
+  return found;
+}
+
+// The plain text body, falling back to HTML with the tags stripped
+export function textContent(message) {
+  const bodies = { 'text/plain': null, 'text/html': null };
+  walkParts(message, part => {
+    if (!part.filename && part.mimeType in bodies && bodies[part.mimeType] === null) {
+      bodies[part.mimeType] = decodeCharset(part.body, part.charset);
+    }
+  });
+  if (bodies['text/plain'] !== null) {
+    return bodies['text/plain'];
+  }
+  return (bodies['text/html'] || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+}
@@ -0,0 +1,118 @@
+import { BearerAuth } from './auth-strategies.js';
+
+// Pieces shared by the in-memory Google API emulators (drive-, gmail-, calendar- and
+// contacts-mock-server.js): Google-style JSON errors, bearer token checks, opaque page
+// tokens and starting a server on a free port.
+
+const STATUS_NAMES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  409: 'ALREADY_EXISTS',
+  500: 'INTERNAL'
+};
+
+// ============ ERRORS ============
+
+export class GoogleApiError extends Error {
+  constructor(code, reason, message, location = null) {
+    super(message);
+    this.code = code;
+    this.reason = reason;
+    this.location = location;
+  }
+}
+
+export function sendGoogleError(res, error) {
+  res.status(error.code).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      errors: [{
+        domain: 'global',
+        reason: error.reason,
+        message: error.message,
+        ...(error.location && { locationType: 'parameter', location: error.location })
+      }],
+      ...(STATUS_NAMES[error.code] && { status: STATUS_NAMES[error.code] })
+    }
+  });
+}
+
+// Wraps a route so a thrown GoogleApiError becomes its JSON error response
+export function apiHandler(handler) {
+  return (req, res) => {
+    try {
+      handler(req, res);
+    } catch (error) {
+      sendGoogleError(res, error instanceof GoogleApiError ? error : new GoogleApiError(500, 'backendError', error.message));
+    }
+  };
+}
+
+// ============ MIDDLEWARE ============
+
+// Every request needs the bearer token, like the real APIs
+export function requireBearerToken(token) {
+  return (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({
+        error: {
+          code: 401,
+          message: 'Request is missing required authentication credential. Expected OAuth 2 access token.',
+          errors: [{ domain: 'global', reason: 'required', message: 'Login Required', locationType: 'header', location: 'Authorization' }],
+          status: 'UNAUTHENTICATED'
+        }
+      });
+    }
+    next();
+  };
+}
+
+// Unknown routes and malformed JSON bodies; register after the API router
+export function addFallbackHandlers(app) {
+  app.use((req, res) => {
+    sendGoogleError(res, new GoogleApiError(404, 'notFound', `Method not found: ${req.method} ${req.path}`));
+  });
+
+  app.use((error, req, res, next) => {
+    sendGoogleError(res, new GoogleApiError(400, 'invalid', `Invalid JSON payload received. ${error.message}`));
+  });
+}
+
+// ============ PAGINATION ============
+
+// Tokens are bound to the query they came from, like the real APIs
+export function encodePageToken(offset, query) {
+  return Buffer.from(JSON.stringify({ offset, query })).toString('base64url');
+}
+
+export function decodePageToken(token, query) {
+  try {
+    const decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (Number.isInteger(decoded.offset) && decoded.query === query) {
+      return decoded.offset;
+    }
+  } catch {
+    // fall through to the API's error
+  }
+  throw new GoogleApiError(400, 'invalid', 'Invalid Value', 'pageToken');
+}
+
+// ============ SERVER ============
+
+// Resolves once listening; port 0 picks a free port
+export function listenMockServer(app, { basePath, token, state, host = '127.0.0.1', port = 0 }) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      resolve({
+        url: `http://${host}:${server.address().port}${basePath}`,
+        state,
+        auth: new BearerAuth(token, { label: 'Mock Token' }),
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
@@ -3,13 +3,10 @@
 import express from 'express';
 import axios from 'axios';
 import chalk from 'chalk';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import 'dotenv/config';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import './load-credentials.js';
+import { saveCredentials } from './credential-vault.js';
+import { updateEnvFile } from './env-file.js';
 
 const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
@@ -98,35 +95,15 @@ class GoogleOAuthHelper {
     }
   }
 
+  // Tokens go to the encrypted credential vault; .env only gets the non-secret TEST_MODE
   async saveTokensToEnv(tokens) {
-    const envPath = path.join(__dirname, '.env');
-    let envContent = '';
-
-    // Read existing .env file
-    if (fs.existsSync(envPath)) {
-      envContent = fs.readFileSync(envPath, 'utf8');
-    }
-
-    // Update or add token values
-    const updateEnvValue = (key, value) => {
-      const regex = new RegExp(`^${key}=.*$`, 'm');
-      if (envContent.match(regex)) {
-        envContent = envContent.replace(regex, `${key}=${value}`);
-      } else {
-        envContent += `\n${key}=${value}`;
-      }
-    };
-
-    updateEnvValue('GOOGLE_ACCESS_TOKEN', tokens.access_token);
-    if (tokens.refresh_token) {
-      updateEnvValue('GOOGLE_REFRESH_TOKEN', tokens.refresh_token);
-    }
-    updateEnvValue('TEST_MODE', 'live');
-
-    // Write back to .env file
-    fs.writeFileSync(envPath, envContent.trim() + '\n');
+    const vault = saveCredentials('google', {
+      GOOGLE_ACCESS_TOKEN: tokens.access_token,
+      GOOGLE_REFRESH_TOKEN: tokens.refresh_token
+    });
+    updateEnvFile({ TEST_MODE: 'live' });
     
-    this.log('✅ Tokens saved to .env file successfully!', 'success');
+    this.log(`✅ Tokens saved to the credential vault (${vault.file})`, 'success');
   }
 
   async testTokenScopes(accessToken) {
@@ -245,7 +222,7 @@ class GoogleOAuthHelper {
         this.log('📝 Exchanging authorization code for tokens...', 'info');
         const tokens = await this.exchangeCodeForTokens(code);
         
-        this.log('💾 Saving tokens to .env file...', 'info');
+        this.log('💾 Saving tokens to the credential vault...', 'info');
         await this.saveTokensToEnv(tokens);
         
         this.log('🧪 Testing token scopes...', 'info');
@@ -269,7 +246,7 @@ class GoogleOAuthHelper {
             <h1>🎉 Authentication Successful!</h1>
             
             <div class="success">
-              <strong>✅ Access token obtained and saved to .env file</strong><br>
+              <strong>✅ Access token obtained and saved to the encrypted credential vault</strong><br>
               📊 API Scope Tests: ${successCount}/4 passed
             </div>
             
@@ -313,7 +290,7 @@ class GoogleOAuthHelper {
 
   async start() {
     if (!CLIENT_ID || !CLIENT_SECRET) {
-      this.log('❌ Missing Google OAuth credentials in .env file', 'error');
+      this.log('❌ Missing Google OAuth credentials (credential vault or .env file)', 'error');
       this.log('Make sure GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET are set', 'warning');
       process.exit(1);
     }
@@ -349,18 +326,17 @@ class GoogleOAuthHelper {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n');
-  process.exit(0);
-});
-
-// Main execution
-const isMainModule = import.meta.url === `file://${process.argv[1]}` || 
-                     import.meta.url.endsWith('/oauth-helper.js') ||
-                     process.argv[1].endsWith('oauth-helper.js');
+// Main execution (the tester's token refresh imports this module, so nothing runs on import)
+const isMainModule = import.meta.url === `file://${process.argv[1]}` ||
+                     process.argv[1]?.endsWith('oauth-helper.js');
 
 if (isMainModule) {
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('\n');
+    process.exit(0);
+  });
+
   const oauthHelper = new GoogleOAuthHelper();
   oauthHelper.start().catch(error => {
     console.error(chalk.red('Failed to start OAuth server:'), error);
@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+
+import yaml from 'js-yaml';
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class OpenAPISpecLoader {
+  constructor() {
+    // Parsed documents keyed by absolute file path (for external $refs)
+    this.documents = new Map();
+    // Resolved $ref targets keyed by "file#pointer" so shared refs keep one identity
+    this.resolved = new Map();
+    // Objects already walked; resolved refs make the graph cyclic for recursive schemas
+    this.visited = new WeakSet();
+  }
+
+  // ============ LOADING ============
+
+  load(specPath) {
+    const absolutePath = path.resolve(specPath);
+    const document = this.readDocument(absolutePath);
+
+    const version = this.detectVersion(document);
+    const dereferenced = this.dereference(document, absolutePath);
+
+    return {
+      file: absolutePath,
+      version,
+      title: dereferenced.info?.title || path.basename(absolutePath),
+      apiVersion: dereferenced.info?.version,
+      baseUrl: this.getBaseUrl(dereferenced, version),
+      document: dereferenced,
+      schemas: this.getComponentSchemas(dereferenced, version),
+      operations: this.extractOperations(dereferenced, version)
+    };
+  }
+
+  readDocument(absolutePath) {
+    if (this.documents.has(absolutePath)) {
+      return this.documents.get(absolutePath);
+    }
+
+    if (!fs.existsSync(absolutePath)) {
+      throw new Error(`Spec file not found: ${absolutePath}`);
+    }
+
+    const content = fs.readFileSync(absolutePath, 'utf8');
+    let document;
+    try {
+      document = /\.json$/i.test(absolutePath) ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      throw new Error(`Failed to parse ${path.basename(absolutePath)}: ${error.message}`);
+    }
+
+    if (!document || typeof document !== 'object') {
+      throw new Error(`Spec file is empty or not an object: ${absolutePath}`);
+    }
+
+    this.documents.set(absolutePath, document);
+    return document;
+  }
+
+  detectVersion(document) {
+    if (typeof document.openapi === 'string' && document.openapi.startsWith('3.')) {
+      return 'openapi3';
+    }
+    if (document.swagger === '2.0') {
+      return 'swagger2';
+    }
+    throw new Error('Unsupported spec: expected "openapi: 3.x" or "swagger: 2.0"');
+  }
+
+  // ============ $REF RESOLUTION ============
+
+  dereference(node, currentFile) {
+    if (!node || typeof node !== 'object' || this.visited.has(node)) {
+      return node;
+    }
+
+    if (Array.isArray(node)) {
+      this.visited.add(node);
+      for (let i = 0; i < node.length; i++) {
+        node[i] = this.dereference(node[i], currentFile);
+      }
+      return node;
+    }
+
+    if (typeof node.$ref === 'string') {
+      const { $ref, ...siblings } = node;
+      const target = this.resolveRef($ref, currentFile);
+      // OpenAPI 3.1 allows siblings (description, summary) next to $ref
+      return Object.keys(siblings).length > 0 ? { ...target, ...siblings } : target;
+    }
+
+    this.visited.add(node);
+    for (const key of Object.keys(node)) {
+      node[key] = this.dereference(node[key], currentFile);
+    }
+    return node;
+  }
+
+  resolveRef(ref, currentFile) {
+    const [filePart, pointer = ''] = ref.split('#');
+    const targetFile = filePart ? path.resolve(path.dirname(currentFile), filePart) : currentFile;
+    const key = `${targetFile}#${pointer}`;
+
+    if (this.resolved.has(key)) {
+      return this.resolved.get(key);
+    }
+
+    const document = this.readDocument(targetFile);
+    const target = this.getByPointer(document, pointer, ref);
+
+    // Register before descending so circular schemas resolve to the same object
+    this.resolved.set(key, target);
+    const result = this.dereference(target, targetFile);
+    this.resolved.set(key, result);
+    return result;
+  }
+
+  getByPointer(document, pointer, ref) {
+    if (!pointer || pointer === '/') {
+      return document;
+    }
+
+    const segments = pointer.replace(/^\//, '').split('/')
+      .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let current = document;
+    for (const segment of segments) {
+      if (current === undefined || current === null || !(segment in current)) {
+        throw new Error(`Unable to resolve $ref "${ref}"`);
+      }
+      current = current[segment];
+    }
+    return current;
+  }
+
+  // ============ NORMALIZATION ============
+
+  getBaseUrl(document, version) {
+    if (version === 'swagger2') {
+      if (!document.host) {
+        return document.basePath || '';
+      }
+      const scheme = document.schemes?.includes('https') ? 'https' : (document.schemes?.[0] || 'https');
+      return `${scheme}://${document.host}${document.basePath || ''}`.replace(/\/$/, '');
+    }
+
+    const server = document.servers?.[0];
+    if (!server) {
+      return '';
+    }
+
+    // Substitute server variables with their defaults
+    return server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+      return server.variables?.[name]?.default ?? match;
+    }).replace(/\/$/, '');
+  }
+
+  getComponentSchemas(document, version) {
+    return (version === 'swagger2' ? document.definitions : document.components?.schemas) || {};
+  }
+
+  extractOperations(document, version) {
+    const operations = [];
+
+    for (const [pathTemplate, pathItem] of Object.entries(document.paths || {})) {
+      if (!pathItem || typeof pathItem !== 'object') continue;
+
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        const parameters = this.mergeParameters(pathItem.parameters, operation.parameters);
+        const normalized = version === 'swagger2'
+          ? this.normalizeSwagger2Operation(document, operation, parameters)
+          : this.normalizeOpenAPI3Operation(operation, parameters);
+
+        operations.push({
+          id: operation.operationId || `${method.toUpperCase()} ${pathTemplate}`,
+          operationId: operation.operationId,
+          method: method.toUpperCase(),
+          path: pathTemplate,
+          summary: operation.summary || '',
+          description: operation.description || '',
+          tags: operation.tags || [],
+          deprecated: !!operation.deprecated,
+          security: operation.security || document.security || [],
+          ...normalized
+        });
+      }
+    }
+
+    return operations;
+  }
+
+  mergeParameters(pathParameters = [], operationParameters = []) {
+    // Operation-level parameters override path-level ones with the same name + location
+    const merged = new Map();
+    [...pathParameters, ...operationParameters].forEach(parameter => {
+      merged.set(`${parameter.in}:${parameter.name}`, parameter);
+    });
+    return [...merged.values()];
+  }
+
+  normalizeOpenAPI3Operation(operation, parameters) {
+    const responses = {};
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+      responses[status] = {
+        description: response?.description || '',
+        headers: response?.headers || {},
+        content: this.normalizeContent(response?.content)
+      };
+    }
+
+    return {
+      parameters: parameters.map(parameter => ({
+        name: parameter.name,
+        in: parameter.in,
+        required: parameter.in === 'path' ? true : !!parameter.required,
+        description: parameter.description || '',
+        schema: parameter.schema || {},
+        example: parameter.example ?? this.firstExample(parameter.examples)
+      })),
+      requestBody: operation.requestBody ? {
+        required: !!operation.requestBody.required,
+        content: this.normalizeContent(operation.requestBody.content)
+      } : null,
+      responses
+    };
+  }
+
+  normalizeSwagger2Operation(document, operation, parameters) {
+    const consumes = operation.consumes || document.consumes || ['application/json'];
+    const produces = operation.produces || document.produces || ['application/json'];
+
+    const bodyParameter = parameters.find(parameter => parameter.in === 'body');
+    const formParameters = parameters.filter(parameter => parameter.in === 'formData');
+
+    let requestBody = null;
+    if (bodyParameter) {
+      requestBody = {
+        required: !!bodyParameter.required,
+        content: Object.fromEntries(consumes.map(type => [type, { schema: bodyParameter.schema || {} }]))
+      };
+    } else if (formParameters.length > 0) {
+      const formSchema = {
+        type: 'object',
+        properties: Object.fromEntries(formParameters.map(parameter => [parameter.name, this.swagger2ParameterSchema(parameter)])),
+        required: formParameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+      };
+      const formTypes = consumes.filter(type => type.includes('form'));
+      requestBody = {
+        required: formSchema.required.length > 0,
+        content: Object.fromEntries((formTypes.length > 0 ? formTypes : ['application/x-www-form-urlencoded'])
+          .map(type => [type, { schema: formSchema }]))
+      };
+    }
+
+    const responses = {};
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+      responses[status] = {
+        description: response?.description || '',
+        headers: response?.headers || {},
+        content: response?.schema
+          ? Object.fromEntries(produces.map(type => [type, { schema: response.schema, example: response.examples?.[type] }]))
+          : {}
+      };
+    }
+
+    return {
+      parameters: parameters
+        .filter(parameter => parameter.in !== 'body' && parameter.in !== 'formData')
+        .map(parameter => ({
+          name: parameter.name,
+          in: parameter.in,
+          required: parameter.in === 'path' ? true : !!parameter.required,
+          description: parameter.description || '',
+          schema: this.swagger2ParameterSchema(parameter),
+          example: parameter['x-example']
+        })),
+      requestBody,
+      responses
+    };
+  }
+
+  swagger2ParameterSchema(parameter) {
+    // Swagger 2 puts the schema keywords directly on non-body parameters
+    const { name, in: location, required, description, collectionFormat, ...schema } = parameter;
+    return schema;
+  }
+
+  normalizeContent(content = {}) {
+    const normalized = {};
+    for (const [type, media] of Object.entries(content || {})) {
+      normalized[type] = {
+        schema: media?.schema || {},
+        example: media?.example ?? this.firstExample(media?.examples)
+      };
+    }
+    return normalized;
+  }
+
+  firstExample(examples) {
+    if (!examples || typeof examples !== 'object') {
+      return undefined;
+    }
+    const first = Object.values(examples)[0];
+    return first && typeof first === 'object' && 'value' in first ? first.value : first;
+  }
+}
+
+// ============ OPERATION MATCHING ============
+
+// Maps a concrete request (method + URL) back to the spec operation it exercises
+export class OperationMatcher {
+  constructor(operations, baseUrl = '') {
+    this.baseUrl = baseUrl;
+
+    // Literal segments sort first so /files/copy wins over /files/{fileId}
+    this.matchers = operations
+      .map(operation => ({
+        operation,
+        regex: new RegExp(`^${operation.path
+          .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+          .replace(/\{[^}]+\}/g, '[^/]+')}/?$`),
+        params: (operation.path.match(/\{[^}]+\}/g) || []).length
+      }))
+      .sort((a, b) => a.params - b.params);
+  }
+
+  find(method, url) {
+    const pathname = this.relativePath(url);
+    const match = this.matchers.find(({ operation, regex }) =>
+      operation.method === method.toUpperCase() && regex.test(pathname)
+    );
+    return match ? match.operation : null;
+  }
+
+  relativePath(url) {
+    const pathname = decodeURI(new URL(url, 'http://localhost').pathname);
+    const basePath = this.baseUrl ? new URL(this.baseUrl, 'http://localhost').pathname.replace(/\/$/, '') : '';
+    return basePath && pathname.startsWith(basePath) ? pathname.slice(basePath.length) || '/' : pathname;
+  }
+}
+
+// ============ HELPERS ============
+
+export function loadSpec(specPath) {
+  return new OpenAPISpecLoader().load(specPath);
+}
+
+// Build a concrete URL for an operation from a map of parameter values
+export function buildOperationUrl(baseUrl, operation, values = {}) {
+  const pathname = operation.path.replace(/\{([^}]+)\}/g, (match, name) => {
+    if (values[name] === undefined) {
+      throw new Error(`Missing value for path parameter "${name}"`);
+    }
+    return encodeURIComponent(values[name]);
+  });
+
+  const query = new URLSearchParams();
+  operation.parameters
+    .filter(parameter => parameter.in === 'query' && values[parameter.name] !== undefined)
+    .forEach(parameter => {
+      const value = values[parameter.name];
+      (Array.isArray(value) ? value : [value]).forEach(item => query.append(parameter.name, item));
+    });
+
+  const queryString = query.toString();
+  return `${baseUrl}${pathname}${queryString ? `?${queryString}` : ''}`;
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+function main() {
+  const specPath = process.argv[2];
+  if (!specPath) {
+    console.log(chalk.yellow('Usage: bun run openapi-loader.js <spec.yaml|spec.json>'));
+    process.exit(1);
+  }
+
+  const spec = loadSpec(specPath);
+  const apiVersion = spec.apiVersion ? String(spec.apiVersion).replace(/^(?!v)/, 'v') : '';
+  console.log(chalk.cyan.bold(`📘 ${spec.title} ${apiVersion}`));
+  console.log(chalk.gray(`   Format: ${spec.version === 'swagger2' ? 'Swagger 2.0' : 'OpenAPI 3.x'}`));
+  console.log(chalk.gray(`   Base URL: ${spec.baseUrl || '(none)'}`));
+  console.log(chalk.gray(`   Schemas: ${Object.keys(spec.schemas).length}`));
+  console.log('');
+  console.log(chalk.blue(`🔧 Operations (${spec.operations.length}):`));
+  spec.operations.forEach(operation => {
+    const statuses = Object.keys(operation.responses).join(', ');
+    console.log(`  ${operation.method.padEnd(7)} ${operation.path} ${chalk.gray(`[${operation.id}] → ${statuses}`)}`);
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    main();
+  } catch (error) {
+    console.error(chalk.red('Fatal error:'), error.message);
+    process.exit(1);
+  }
+}
+
+export default OpenAPISpecLoader;
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import path from 'path';
+
+import './load-credentials.js';
+import BaseApiTester, { runStandalone, standaloneOptions } from './base-api-tester.js';
+import { loadSpec, buildOperationUrl } from './openapi-loader.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Runs every operation of an OpenAPI 3 / Swagger 2 spec through BaseApiTester, so retries,
+// record/replay, --faults, --grep and --bail work as for the hand-written testers. A response
+// passes when it conforms to what the spec declares for its operation and status code.
+class OpenAPISpecTester extends BaseApiTester {
+  constructor(options = {}) {
+    const spec = typeof options.spec === 'string' ? loadSpec(options.spec) : options.spec;
+    const slug = path.basename(spec.file).replace(/\.(ya?ml|json)$/i, '').toLowerCase();
+    super({
+      ...options,
+      name: `${slug}-openapi`,
+      title: spec.title,
+      banner: `🚀 OPENAPI SPEC TESTER: ${spec.title.toUpperCase()}`,
+      summaryTitle: '📊 OPENAPI TESTS SUMMARY',
+      baseUrl: (options.baseUrl || spec.baseUrl).replace(/\/$/, ''),
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'OpenAPI-Check/1.0',
+        ...options.headers
+      },
+      spec,
+      contract: true
+    });
+    this.spec = spec;
+    this.params = options.params || {};
+    this.includeUnsafe = !!options.includeUnsafe;
+  }
+
+  headerLines() {
+    return [
+      chalk.yellow(`📘 Spec: ${this.spec.file} (${this.spec.version === 'swagger2' ? 'Swagger 2.0' : 'OpenAPI 3.x'})`),
+      chalk.yellow(`🌐 Base URL: ${this.baseUrl}`),
+      chalk.yellow(`🔧 Operations: ${this.spec.operations.length}`)
+    ];
+  }
+
+  // Every violation decides the operation's outcome, so they are handed to testOperation
+  // instead of only failing content-type mismatches
+  checkResponseContract(result, { method, url, response }) {
+    if (!response) {
+      return result;
+    }
+    const { violations } = this.contractChecker.check({
+      method,
+      url,
+      status: response.status,
+      contentType: response.headers['content-type'] || '',
+      data: response.data
+    });
+    return { ...result, violations };
+  }
+
+  // ============ REQUEST BUILDING ============
+
+  resolveParameterValues(operation) {
+    const values = {};
+    const missing = [];
+
+    for (const parameter of operation.parameters) {
+      const value = this.params[parameter.name]
+        ?? parameter.example
+        ?? parameter.schema?.example
+        ?? parameter.schema?.default
+        ?? parameter.schema?.enum?.[0];
+
+      if (value !== undefined) {
+        values[parameter.name] = value;
+      } else if (parameter.required) {
+        missing.push(`${parameter.in}:${parameter.name}`);
+      }
+    }
+
+    return { values, missing };
+  }
+
+  buildRequestBody(operation) {
+    if (!operation.requestBody) {
+      return { data: undefined, contentType: undefined };
+    }
+
+    const [contentType, media] = Object.entries(operation.requestBody.content)[0] || [];
+    const example = media?.example ?? media?.schema?.example;
+    return { data: example, contentType };
+  }
+
+  // ============ OPERATION EXECUTION ============
+
+  async testOperation(operation) {
+    const name = operationName(operation);
+
+    if (!SAFE_METHODS.includes(operation.method) && !this.includeUnsafe) {
+      this.logSkipped(name, 'unsafe method, pass --include-unsafe to run');
+      return;
+    }
+
+    const { values, missing } = this.resolveParameterValues(operation);
+    if (missing.length > 0) {
+      this.logSkipped(name, `no value for required ${missing.join(', ')}`);
+      return;
+    }
+
+    const body = this.buildRequestBody(operation);
+    if (operation.requestBody?.required && body.data === undefined) {
+      this.logSkipped(name, 'required request body has no example');
+      return;
+    }
+
+    const headers = {};
+    operation.parameters
+      .filter(parameter => parameter.in === 'header' && values[parameter.name] !== undefined)
+      .forEach(parameter => { headers[parameter.name] = String(values[parameter.name]); });
+    if (body.contentType) {
+      headers['Content-Type'] = body.contentType;
+    }
+
+    const url = buildOperationUrl(this.baseUrl, operation, values);
+    const result = await this.makeRequest(url, {
+      method: operation.method,
+      headers,
+      data: body.data
+    });
+
+    // No response (network failure, timeout) means nothing to check against the spec
+    if (!result.violations) {
+      this.logTestResult(name, false, new Error(result.message));
+      return;
+    }
+
+    // Status code, content-type and body must all match the spec's declared response
+    if (result.violations.length === 0) {
+      this.logTestResult(`${name} → ${result.status}`, true);
+    } else {
+      const messages = result.violations.map(violation => `[${violation.type}] ${violation.message}`);
+      this.logTestResult(`${name} → ${result.status}`, false, new Error(messages.join('; ')));
+    }
+  }
+
+  testCases() {
+    return this.spec.operations.map(operation => ({
+      name: operationName(operation),
+      run: () => this.testOperation(operation)
+    }));
+  }
+
+  getTestData() {
+    return {
+      spec: {
+        file: this.spec.file,
+        title: this.spec.title,
+        version: this.spec.version,
+        operations: this.spec.operations.length
+      }
+    };
+  }
+}
+
+function operationName(operation) {
+  return `${operation.method} ${operation.path}${operation.operationId ? ` (${operation.operationId})` : ''}`;
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+// --mode, --cassette, --faults, --retries, --bail etc. come from standaloneOptions()
+function parseArgs(args) {
+  const options = { ...standaloneOptions(args), params: {}, headers: {}, includeUnsafe: false };
+
+  for (const arg of args) {
+    const [flag, ...rest] = arg.split('=');
+    const value = rest.join('=');
+
+    switch (flag) {
+      case '--spec':
+        options.spec = value;
+        break;
+      case '--base-url':
+        options.baseUrl = value;
+        break;
+      case '--grep':
+        options.grep = value;
+        break;
+      case '--param': {
+        const [name, ...paramValue] = value.split(':');
+        options.params[name] = paramValue.join(':');
+        break;
+      }
+      case '--header': {
+        const [name, ...headerValue] = value.split(':');
+        options.headers[name.trim()] = headerValue.join(':').trim();
+        break;
+      }
+      case '--include-unsafe':
+        options.includeUnsafe = true;
+        break;
+      default:
+        if (!options.spec && !arg.startsWith('--')) {
+          options.spec = arg;
+        }
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.spec) {
+    console.log(chalk.yellow('Usage: bun run openapi-tester.js --spec=<file> [--base-url=<url>] [--grep=<pattern>]'));
+    console.log(chalk.yellow('       [--param=<name>:<value>] [--header=<Name>:<value>] [--include-unsafe] [--no-redact]'));
+    console.log(chalk.yellow('       [--mode=live|record|replay] [--cassette=<file>] [--faults=<file>] [--retries=<n>] [--bail]'));
+    process.exit(1);
+  }
+
+  const results = await runStandalone(new OpenAPISpecTester(options));
+  process.exit(results.summary.failed > 0 ? 1 : 0);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(chalk.red('Fatal error:'), error);
+    process.exit(1);
+  });
+}
+
+export default OpenAPISpecTester;
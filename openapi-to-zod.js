@@ -0,0 +1,447 @@
+#!/usr/bin/env node
+
+import { z } from 'zod';
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+import { loadSpec } from './openapi-loader.js';
+
+// Formats that map onto a built-in Zod string check
+const STRING_FORMATS = {
+  'date-time': '.datetime({ offset: true })',
+  'date': '.regex(/^\\d{4}-\\d{2}-\\d{2}$/)',
+  'uuid': '.uuid()',
+  'uri': '.url()',
+  'url': '.url()',
+  'email': '.email()'
+};
+
+class OpenAPIZodConverter {
+  constructor(componentSchemas = {}, options = {}) {
+    this.prefix = options.prefix || '';
+    this.components = componentSchemas;
+
+    // Component schemas are shared objects after $ref resolution, so identity maps them to export names
+    this.names = new Map();
+    this.aliases = [];
+    // Component name -> export name, unique even when two components map to the same identifier
+    // ("foo-bar" and "FooBar" become FooBarSchema and FooBar2Schema)
+    this.exports = {};
+    const taken = new Set();
+    for (const [name, schema] of Object.entries(componentSchemas)) {
+      if (!schema || typeof schema !== 'object') continue;
+
+      const stem = this.exportName(name).replace(/Schema$/, '');
+      let exportName = `${stem}Schema`;
+      for (let suffix = 2; taken.has(exportName); suffix++) {
+        exportName = `${stem}${suffix}Schema`;
+      }
+      taken.add(exportName);
+      this.exports[name] = exportName;
+
+      if (this.names.has(schema)) {
+        // A component that is only a $ref to another one becomes an alias export
+        this.aliases.push({ name: exportName, target: schema });
+      } else {
+        this.names.set(schema, exportName);
+      }
+    }
+  }
+
+  exportName(componentName) {
+    const pascal = componentName
+      .replace(/[^A-Za-z0-9]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''))
+      .replace(/^[a-z]/, char => char.toUpperCase());
+    const base = /^[0-9]/.test(pascal) ? `_${pascal}` : pascal;
+    return `${this.prefix}${base}${base.endsWith('Schema') ? '' : 'Schema'}`;
+  }
+
+  // Numeric keywords go into generated source, so anything but a finite number is ignored
+  numeric(schema, keyword) {
+    return Number.isFinite(schema[keyword]) ? schema[keyword] : undefined;
+  }
+
+  // ============ MODULE GENERATION ============
+
+  generateDeclarations() {
+    this.declared = new Set();
+    this.visiting = new Set();
+    this.declarations = [];
+
+    for (const schema of this.names.keys()) {
+      this.declare(schema);
+    }
+    this.aliases.forEach(({ name, target }) => {
+      this.declarations.push({ name, expression: this.names.get(target) });
+    });
+
+    return this.declarations;
+  }
+
+  declare(schema) {
+    const name = this.names.get(schema);
+    if (this.declared.has(name) || this.visiting.has(name)) {
+      return;
+    }
+
+    this.visiting.add(name);
+    const expression = this.toExpression(schema, { root: true });
+    this.visiting.delete(name);
+
+    this.declared.add(name);
+    this.declarations.push({ name, expression });
+  }
+
+  generateModule({ title = 'Generated', source } = {}) {
+    const declarations = this.generateDeclarations();
+    const lines = [
+      `import { z } from 'zod';`,
+      '',
+      `// ============ ${title.toUpperCase()} SCHEMAS ============`
+    ];
+    if (source) {
+      lines.push(`// Generated from ${source} by openapi-to-zod.js - regenerate instead of editing by hand`);
+    }
+
+    declarations.forEach(({ name, expression }) => {
+      lines.push(`export const ${name} = ${expression};`, '');
+    });
+
+    return `${lines.join('\n').trim()}\n`;
+  }
+
+  // ============ RUNTIME SCHEMAS ============
+
+  // Evaluates the same source the module generator emits, so runtime and generated schemas never drift
+  buildSchemas() {
+    if (this.compiled) {
+      return this.compiled;
+    }
+
+    const declarations = this.generateDeclarations();
+    const body = [
+      ...declarations.map(({ name, expression }) => `const ${name} = ${expression};`),
+      `return { ${declarations.map(({ name }) => name).join(', ')} };`
+    ].join('\n');
+
+    this.compiled = new Function('z', body)(z);
+    return this.compiled;
+  }
+
+  toZod(schema) {
+    const schemas = this.buildSchemas();
+    const name = this.names.get(schema);
+    if (name) {
+      return schemas[name];
+    }
+
+    const expression = this.toExpression(schema, { referencesOnly: true });
+    return new Function('z', 'schemas', `const { ${Object.keys(schemas).join(', ') || '_'} } = schemas; return ${expression};`)(z, schemas);
+  }
+
+  // ============ SCHEMA → ZOD SOURCE ============
+
+  toExpression(schema, context = {}) {
+    if (schema === true || schema === undefined || schema === null) {
+      return 'z.any()';
+    }
+    if (schema === false) {
+      return 'z.never()';
+    }
+
+    // Named components are referenced by export name instead of being inlined
+    const name = this.names.get(schema);
+    if (name && !context.root) {
+      if (context.referencesOnly || this.declared?.has(name)) {
+        return name;
+      }
+      if (this.visiting?.has(name)) {
+        return `z.lazy(() => ${name})`;
+      }
+      this.declare(schema);
+      return name;
+    }
+
+    const childContext = { referencesOnly: context.referencesOnly, depth: context.depth || 0 };
+    let expression = this.baseExpression(schema, childContext);
+
+    if (this.isNullable(schema) && expression !== 'z.null()') {
+      expression += '.nullable()';
+    }
+
+    return expression;
+  }
+
+  baseExpression(schema, context) {
+    if (schema.allOf) {
+      return this.allOfExpression(schema, context);
+    }
+
+    const variants = schema.oneOf || schema.anyOf;
+    if (variants) {
+      const members = variants.map(variant => this.toExpression(variant, context));
+      return members.length === 1 ? members[0] : `z.union([${members.join(', ')}])`;
+    }
+
+    if (schema.const !== undefined) {
+      return `z.literal(${JSON.stringify(schema.const)})`;
+    }
+
+    if (Array.isArray(schema.enum)) {
+      return this.enumExpression(schema.enum.filter(value => value !== null));
+    }
+
+    const types = this.getTypes(schema);
+    if (types.length > 1) {
+      return `z.union([${types.map(type => this.typeExpression({ ...schema, type }, type, context)).join(', ')}])`;
+    }
+
+    return this.typeExpression(schema, types[0], context);
+  }
+
+  typeExpression(schema, type, context) {
+    switch (type) {
+      case 'string':
+        return this.stringExpression(schema);
+      case 'number':
+      case 'integer':
+        return this.numberExpression(schema, type);
+      case 'boolean':
+        return 'z.boolean()';
+      case 'null':
+        return 'z.null()';
+      case 'array':
+        return this.arrayExpression(schema, context);
+      case 'object':
+        return this.objectExpression(schema, context);
+      default:
+        return 'z.any()';
+    }
+  }
+
+  getTypes(schema) {
+    if (Array.isArray(schema.type)) {
+      // "null" in a type array is handled as .nullable()
+      const types = schema.type.filter(type => type !== 'null');
+      return types.length > 0 ? types : ['null'];
+    }
+    if (schema.type) {
+      return [schema.type];
+    }
+    if (schema.properties || schema.additionalProperties !== undefined) {
+      return ['object'];
+    }
+    if (schema.items) {
+      return ['array'];
+    }
+    return [];
+  }
+
+  isNullable(schema) {
+    return schema.nullable === true ||
+      schema['x-nullable'] === true ||
+      (Array.isArray(schema.type) && schema.type.includes('null') && schema.type.length > 1) ||
+      (Array.isArray(schema.enum) && schema.enum.includes(null));
+  }
+
+  enumExpression(values) {
+    if (values.length === 0) {
+      return 'z.never()';
+    }
+    if (values.length === 1) {
+      return `z.literal(${JSON.stringify(values[0])})`;
+    }
+    if (values.every(value => typeof value === 'string')) {
+      return `z.enum([${values.map(value => JSON.stringify(value)).join(', ')}])`;
+    }
+    return `z.union([${values.map(value => `z.literal(${JSON.stringify(value)})`).join(', ')}])`;
+  }
+
+  stringExpression(schema) {
+    let expression = 'z.string()';
+
+    if (Object.hasOwn(STRING_FORMATS, schema.format ?? '')) {
+      expression += STRING_FORMATS[schema.format];
+    }
+    if (schema.pattern) {
+      expression += `.regex(new RegExp(${JSON.stringify(schema.pattern)}))`;
+    }
+    const minLength = this.numeric(schema, 'minLength');
+    const maxLength = this.numeric(schema, 'maxLength');
+    if (minLength !== undefined) {
+      expression += `.min(${minLength})`;
+    }
+    if (maxLength !== undefined) {
+      expression += `.max(${maxLength})`;
+    }
+
+    return expression;
+  }
+
+  numberExpression(schema, type) {
+    let expression = type === 'integer' || ['int32', 'int64'].includes(schema.format)
+      ? 'z.number().int()'
+      : 'z.number()';
+
+    // exclusiveMinimum/Maximum are booleans in OpenAPI 3.0 / Swagger 2 and numbers in OpenAPI 3.1
+    const exclusiveMinimum = this.numeric(schema, 'exclusiveMinimum');
+    const minimum = this.numeric(schema, 'minimum');
+    if (exclusiveMinimum !== undefined) {
+      expression += `.gt(${exclusiveMinimum})`;
+    } else if (minimum !== undefined) {
+      expression += schema.exclusiveMinimum === true ? `.gt(${minimum})` : `.min(${minimum})`;
+    }
+
+    const exclusiveMaximum = this.numeric(schema, 'exclusiveMaximum');
+    const maximum = this.numeric(schema, 'maximum');
+    if (exclusiveMaximum !== undefined) {
+      expression += `.lt(${exclusiveMaximum})`;
+    } else if (maximum !== undefined) {
+      expression += schema.exclusiveMaximum === true ? `.lt(${maximum})` : `.max(${maximum})`;
+    }
+
+    const multipleOf = this.numeric(schema, 'multipleOf');
+    if (multipleOf !== undefined) {
+      expression += `.multipleOf(${multipleOf})`;
+    }
+
+    return expression;
+  }
+
+  arrayExpression(schema, context) {
+    let expression = `z.array(${this.toExpression(schema.items, context)})`;
+
+    const minItems = this.numeric(schema, 'minItems');
+    const maxItems = this.numeric(schema, 'maxItems');
+    if (minItems !== undefined) {
+      expression += `.min(${minItems})`;
+    }
+    if (maxItems !== undefined) {
+      expression += `.max(${maxItems})`;
+    }
+
+    return expression;
+  }
+
+  objectExpression(schema, context) {
+    const properties = Object.entries(schema.properties || {});
+    const required = new Set(schema.required || []);
+    const additional = schema.additionalProperties;
+
+    // A property-less object with typed additionalProperties is a map
+    if (properties.length === 0) {
+      if (additional && typeof additional === 'object') {
+        return `z.record(${this.toExpression(additional, context)})`;
+      }
+      return additional === false ? 'z.object({}).strict()' : 'z.record(z.any())';
+    }
+
+    // Nested objects are indented like the hand-written schemas in schemas.js
+    const depth = context.depth || 0;
+    const propertyContext = { ...context, depth: depth + 1 };
+    const indent = '  '.repeat(depth + 1);
+
+    const shape = properties.map(([key, propertySchema]) => {
+      const value = this.toExpression(propertySchema, propertyContext);
+      const safeKey = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key);
+      return `${indent}${safeKey}: ${value}${required.has(key) ? '' : '.optional()'}`;
+    });
+
+    let expression = `z.object({\n${shape.join(',\n')}\n${'  '.repeat(depth)}})`;
+
+    if (additional === false) {
+      expression += '.strict()';
+    } else if (additional && typeof additional === 'object') {
+      expression += `.catchall(${this.toExpression(additional, context)})`;
+    }
+
+    return expression;
+  }
+
+  allOfExpression(schema, context) {
+    const members = this.flattenAllOf(schema);
+
+    // Object members are merged into one shape; anything else becomes an intersection
+    if (members.every(member => this.getTypes(member)[0] === 'object' && !member.oneOf && !member.anyOf)) {
+      const merged = {
+        type: 'object',
+        properties: {},
+        required: [],
+        nullable: this.isNullable(schema)
+      };
+      members.forEach(member => {
+        Object.assign(merged.properties, member.properties || {});
+        merged.required.push(...(member.required || []));
+        if (member.additionalProperties !== undefined) {
+          merged.additionalProperties = member.additionalProperties;
+        }
+      });
+      return this.objectExpression(merged, context);
+    }
+
+    return members
+      .map(member => this.toExpression(member, context))
+      .reduce((left, right) => `z.intersection(${left}, ${right})`);
+  }
+
+  flattenAllOf(schema) {
+    const { allOf, ...rest } = schema;
+    const members = allOf.flatMap(member => (member?.allOf ? this.flattenAllOf(member) : [member]));
+    // Keywords next to allOf (e.g. extra properties) count as one more member
+    if (rest.properties || rest.type) {
+      members.push(rest);
+    }
+    return members;
+  }
+}
+
+// ============ HELPERS ============
+
+export function createConverter(spec, options = {}) {
+  return new OpenAPIZodConverter(spec.schemas, options);
+}
+
+export function convertSpecToZod(spec, options = {}) {
+  return createConverter(spec, options).buildSchemas();
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+function main() {
+  const args = process.argv.slice(2);
+  const specPath = args.find(arg => !arg.startsWith('--'));
+  const prefixFlag = args.find(arg => arg.startsWith('--prefix='));
+  const outFlag = args.find(arg => arg.startsWith('--out='));
+
+  if (!specPath) {
+    console.log(chalk.yellow('Usage: bun run openapi-to-zod.js <spec.yaml|spec.json> [--prefix=Forge] [--out=generated-schemas.js]'));
+    process.exit(1);
+  }
+
+  const spec = loadSpec(specPath);
+  const converter = createConverter(spec, { prefix: prefixFlag ? prefixFlag.split('=')[1] : '' });
+  const source = converter.generateModule({
+    title: spec.title,
+    source: path.relative(process.cwd(), spec.file)
+  });
+
+  if (outFlag) {
+    const outPath = outFlag.split('=')[1];
+    fs.writeFileSync(outPath, source);
+    console.log(chalk.green(`✅ Wrote ${converter.declarations.length} schemas to ${outPath}`));
+  } else {
+    process.stdout.write(source);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    main();
+  } catch (error) {
+    console.error(chalk.red('Fatal error:'), error.message);
+    process.exit(1);
+  }
+}
+
+export default OpenAPIZodConverter;
@@ -0,0 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+import { NoAuth } from './auth-strategies.js';
+import BaseApiTester from './base-api-tester.js';
+import { DEFAULT_MODES, registerTester } from './tester-registry.js';
+
+// A plugin is a module whose default export describes a vendor suite:
+//
+//   export default definePlugin({
+//     name: 'zendesk',                     // tester id (logs/zendesk-*.log)
+//     title: 'Zendesk Support API',
+//     baseUrl: () => 'https://acme.zendesk.com/api/v2',
+//     auth: () => new BasicAuth(...),      // any auth-strategies.js strategy
+//     env: ['ZENDESK_API_TOKEN'],          // shown by `cli.js list`
+//     schemas: { User: UserSchema },
+//     testCases: [
+//       { name: 'Get Current User', path: '/users/me.json', schema: 'User' },
+//       { name: 'Create Ticket', method: 'POST', path: '/tickets.json', captures: 'ticketId',
+//         save: (data, state) => { state.ticketId = data.ticket.id; } },
+//       { name: 'Get Ticket', path: state => `/tickets/${state.ticketId}.json`, requires: 'ticketId' },
+//       { name: 'Custom', run: async tester => { ... } }
+//     ]
+//   });
+//
+// Plugins are discovered from plugins/*.js, plugins/<name>/index.js, the "apiTesterPlugins"
+// list in package.json and the comma-separated API_TESTER_PLUGINS variable (npm package names).
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const PLUGIN_DIR = path.join(ROOT_DIR, 'plugins');
+
+const PLUGIN_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+// ============ PLUGIN CONTRACT ============
+
+export function definePlugin(plugin) {
+  const problems = [];
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('A plugin must be an object');
+  }
+  if (!PLUGIN_NAME.test(plugin.name || '')) {
+    problems.push('name must be lowercase letters, digits and dashes');
+  }
+  if (!plugin.title) {
+    problems.push('title is required');
+  }
+  if (!plugin.baseUrl) {
+    problems.push('baseUrl is required');
+  }
+  if (!Array.isArray(plugin.testCases) && typeof plugin.testCases !== 'function') {
+    problems.push('testCases must be an array or a function returning one');
+  } else if (Array.isArray(plugin.testCases)) {
+    // Cases built by a testCases() function are checked when they run (see runRequestCase)
+    plugin.testCases
+      .filter(testCase => typeof testCase?.schema === 'string' && !plugin.schemas?.[testCase.schema])
+      .forEach(testCase => problems.push(`test case "${testCase.name}" uses unknown schema "${testCase.schema}"`));
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid plugin "${plugin.name || '(unnamed)'}": ${problems.join('; ')}`);
+  }
+  return plugin;
+}
+
+// baseUrl/auth/testCases may be values or functions, so credentials are read when the tester is built
+function resolve(value, ...args) {
+  return typeof value === 'function' ? value(...args) : value;
+}
+
+function statusMatches(expected, status) {
+  if (expected === undefined) {
+    return status >= 200 && status < 300;
+  }
+  return [].concat(expected).includes(status);
+}
+
+// ============ PLUGIN TESTER ============
+
+export function createPluginTester(plugin) {
+  return class PluginApiTester extends BaseApiTester {
+    constructor(options = {}) {
+      super({
+        name: plugin.name,
+        title: plugin.title,
+        banner: plugin.banner,
+        summaryTitle: `📊 ${plugin.title.toUpperCase()} TESTS SUMMARY`,
+        baseUrl: resolve(plugin.baseUrl),
+        auth: resolve(plugin.auth) || new NoAuth(),
+        headers: plugin.headers,
+        timeout: plugin.timeout,
+        operationsTested: plugin.operationsTested,
+        defaultSpec: plugin.spec,
+        expectJson: plugin.expectJson,
+        ...options
+      });
+      this.plugin = plugin;
+      this.schemas = plugin.schemas || {};
+      // Shared between test cases, e.g. ids of created resources (the step context's values)
+      this.state = this.context.values;
+    }
+
+    testCases() {
+      return resolve(this.plugin.testCases, this).map(testCase => ({
+        name: testCase.name,
+        requires: testCase.requires,
+        captures: testCase.captures,
+        run: testCase.run
+          ? () => testCase.run(this)
+          : () => this.runRequestCase(testCase)
+      }));
+    }
+
+    schemaFor(schema) {
+      if (!schema || typeof schema !== 'string') {
+        return schema || null;
+      }
+      if (!this.schemas[schema]) {
+        throw new Error(`Plugin ${this.plugin.name} has no schema named "${schema}"`);
+      }
+      return this.schemas[schema];
+    }
+
+    // Declarative case: { name, method, path, params, data, expectStatus, schema, requires, captures, save(data, state) }
+    // (cases whose `requires` are missing are skipped by the runner before getting here)
+    async runRequestCase(testCase) {
+      this.log(`🧪 Testing ${testCase.name}...`, 'info');
+
+      // A misspelt schema fails this case only, not the whole suite
+      let schema;
+      try {
+        schema = this.schemaFor(testCase.schema);
+      } catch (error) {
+        this.logTestResult(testCase.name, false, error);
+        return;
+      }
+
+      const requestPath = resolve(testCase.path, this.state);
+      const result = await this.makeRequest(`${this.baseUrl}${requestPath}`, {
+        method: testCase.method || 'GET',
+        params: resolve(testCase.params, this.state),
+        data: resolve(testCase.data, this.state)
+      });
+
+      if (!statusMatches(testCase.expectStatus, result.status)) {
+        this.logTestResult(testCase.name, false, new Error(`${result.status}: ${result.message || 'Unexpected status'}`));
+        return;
+      }
+
+      if (schema) {
+        const validation = schema.safeParse(result.success ? result.data : result.details);
+        if (!validation.success) {
+          const issue = validation.error.issues[0];
+          this.logTestResult(testCase.name, false,
+            new Error(`Schema validation failed at ${issue.path.join('.') || '(root)'}: ${issue.message}`));
+          return;
+        }
+      }
+
+      testCase.save?.(result.data, this.state);
+      this.logTestResult(testCase.name, true);
+    }
+
+    async cleanup() {
+      await this.plugin.cleanup?.(this);
+    }
+
+    getTestData() {
+      return { plugin: this.plugin.name, source: this.plugin.source, state: this.state };
+    }
+  };
+}
+
+// ============ DISCOVERY ============
+
+function discoverLocalPlugins(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .map(entry => {
+      if (entry.isFile() && /\.m?js$/.test(entry.name)) {
+        return path.join(dir, entry.name);
+      }
+      if (entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, 'index.js'))) {
+        return path.join(dir, entry.name, 'index.js');
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort();
+}
+
+function configuredPackages() {
+  const fromEnv = (process.env.API_TESTER_PLUGINS || '').split(',').map(name => name.trim()).filter(Boolean);
+  let fromPackageJson = [];
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'package.json'), 'utf8'));
+    fromPackageJson = packageJson.apiTesterPlugins || [];
+  } catch (error) {
+    // No package.json next to the tester: only the environment list applies
+  }
+  return [...new Set([...fromPackageJson, ...fromEnv])];
+}
+
+export function registerPlugin(plugin, source = null) {
+  definePlugin(plugin);
+  plugin.source = source;
+  registerTester({
+    id: plugin.name,
+    title: plugin.title,
+    description: plugin.description || '',
+    modes: plugin.modes || DEFAULT_MODES,
+    env: plugin.env || [],
+    source,
+    load: async () => ({ default: createPluginTester(plugin) })
+  });
+  return plugin;
+}
+
+// Imports and registers every discoverable plugin; a broken plugin is reported, not fatal
+export async function loadPlugins(options = {}) {
+  const sources = [
+    ...discoverLocalPlugins(options.dir || PLUGIN_DIR).map(file => ({
+      source: path.relative(ROOT_DIR, file),
+      specifier: pathToFileURL(file).href
+    })),
+    ...(options.packages || configuredPackages()).map(name => ({ source: name, specifier: name }))
+  ];
+
+  const loaded = [];
+  const failed = [];
+  for (const { source, specifier } of sources) {
+    try {
+      const module = await import(specifier);
+      const plugins = [].concat(module.default || []);
+      if (plugins.length === 0) {
+        throw new Error('module has no default export');
+      }
+      plugins.forEach(plugin => loaded.push(registerPlugin(plugin, source)));
+    } catch (error) {
+      failed.push({ source, error: error.message });
+    }
+  }
+
+  return { loaded, failed };
+}
@@ -0,0 +1,144 @@
+import { z } from 'zod';
+
+import '../load-credentials.js';
+import { BasicAuth, OAuthBearerAuth } from '../auth-strategies.js';
+import { definePlugin } from '../plugin-registry.js';
+import { saveZendeskTokens, zendeskTokenRefresher } from '../token-refresh.js';
+
+// Zendesk Support API suite. Credentials come from .env:
+//   ZENDESK_SUBDOMAIN=acme (or https://acme.zendesk.com)
+//   ZENDESK_EMAIL + ZENDESK_API_TOKEN for API token auth, or ZENDESK_ACCESS_TOKEN for OAuth
+//   (with ZENDESK_REFRESH_TOKEN, ZENDESK_CLIENT_ID and ZENDESK_SECRET an expired token is refreshed)
+
+// ============ ZENDESK SCHEMAS ============
+
+const ZendeskUserSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  email: z.string().nullable().optional(),
+  role: z.string(),
+  active: z.boolean().optional()
+});
+
+const ZendeskTicketSchema = z.object({
+  id: z.number(),
+  subject: z.string().nullable(),
+  status: z.enum(['new', 'open', 'pending', 'hold', 'solved', 'closed']),
+  priority: z.enum(['urgent', 'high', 'normal', 'low']).nullable().optional(),
+  requester_id: z.number().nullable().optional(),
+  tags: z.array(z.string()).optional(),
+  created_at: z.string(),
+  updated_at: z.string()
+});
+
+const paginated = (key, itemSchema) => z.object({
+  [key]: z.array(itemSchema),
+  count: z.number().optional(),
+  next_page: z.string().nullable().optional(),
+  previous_page: z.string().nullable().optional()
+});
+
+export const ZendeskSchemas = {
+  CurrentUser: z.object({ user: ZendeskUserSchema }),
+  UserList: paginated('users', ZendeskUserSchema),
+  Ticket: z.object({ ticket: ZendeskTicketSchema }),
+  TicketList: paginated('tickets', ZendeskTicketSchema),
+  OrganizationList: paginated('organizations', z.object({ id: z.number(), name: z.string() })),
+  GroupList: paginated('groups', z.object({ id: z.number(), name: z.string() })),
+  TicketFieldList: paginated('ticket_fields', z.object({ id: z.number(), type: z.string(), title: z.string() })),
+  Error: z.object({ error: z.union([z.string(), z.object({ title: z.string(), message: z.string() })]) })
+};
+
+// ============ PLUGIN ============
+
+function zendeskOrigin() {
+  const subdomain = (process.env.ZENDESK_SUBDOMAIN || '').trim().replace(/\/+$/, '');
+  if (!subdomain) {
+    return 'https://your-subdomain.zendesk.com';
+  }
+  return subdomain.startsWith('http') ? subdomain : `https://${subdomain}.zendesk.com`;
+}
+
+function zendeskBaseUrl() {
+  return `${zendeskOrigin()}/api/v2`;
+}
+
+function zendeskAuth() {
+  if (process.env.ZENDESK_ACCESS_TOKEN) {
+    return new OAuthBearerAuth(process.env.ZENDESK_ACCESS_TOKEN, {
+      label: 'OAuth Token',
+      refreshToken: process.env.ZENDESK_REFRESH_TOKEN,
+      refresh: zendeskTokenRefresher(zendeskOrigin()),
+      save: saveZendeskTokens
+    });
+  }
+  return new BasicAuth(
+    process.env.ZENDESK_EMAIL ? `${process.env.ZENDESK_EMAIL}/token` : null,
+    process.env.ZENDESK_API_TOKEN,
+    {
+      label: 'Zendesk API Token',
+      hints: ['ZENDESK_SUBDOMAIN=your_subdomain', 'ZENDESK_EMAIL=agent@example.com', 'ZENDESK_API_TOKEN=your_api_token']
+    }
+  );
+}
+
+export default definePlugin({
+  name: 'zendesk',
+  title: 'Zendesk Support API',
+  description: 'Users, tickets, organizations, groups and ticket fields',
+  baseUrl: zendeskBaseUrl,
+  auth: zendeskAuth,
+  env: ['ZENDESK_SUBDOMAIN', 'ZENDESK_API_TOKEN'],
+  headers: {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json'
+  },
+  schemas: ZendeskSchemas,
+  operationsTested: [
+    'Users: Current user, List',
+    'Tickets: Create, Get, Update, List, Delete',
+    'Organizations, Groups, Ticket Fields: List'
+  ],
+  testCases: [
+    { name: 'Get Current User', path: '/users/me.json', schema: 'CurrentUser' },
+    { name: 'List Users', path: '/users.json', params: { per_page: 10 }, schema: 'UserList' },
+    {
+      name: 'Create Ticket',
+      method: 'POST',
+      path: '/tickets.json',
+      expectStatus: 201,
+      data: () => ({
+        ticket: {
+          subject: `API tester ticket ${Date.now()}`,
+          comment: { body: 'Created by the API tester and deleted during cleanup' },
+          tags: ['api-tester']
+        }
+      }),
+      schema: 'Ticket',
+      captures: 'ticketId',
+      save: (data, state) => { state.ticketId = data.ticket.id; }
+    },
+    { name: 'Get Ticket', path: state => `/tickets/${state.ticketId}.json`, requires: 'ticketId', schema: 'Ticket' },
+    {
+      name: 'Update Ticket',
+      method: 'PUT',
+      path: state => `/tickets/${state.ticketId}.json`,
+      requires: 'ticketId',
+      data: { ticket: { priority: 'low', status: 'pending' } },
+      schema: 'Ticket'
+    },
+    { name: 'List Tickets', path: '/tickets.json', params: { per_page: 10 }, schema: 'TicketList' },
+    { name: 'List Organizations', path: '/organizations.json', schema: 'OrganizationList' },
+    { name: 'List Groups', path: '/groups.json', schema: 'GroupList' },
+    { name: 'List Ticket Fields', path: '/ticket_fields.json', schema: 'TicketFieldList' }
+  ],
+
+  async cleanup(tester) {
+    if (!tester.state.ticketId) {
+      return;
+    }
+    tester.log('🧹 Cleaning up test ticket...', 'info');
+    const result = await tester.makeRequest(`${tester.baseUrl}/tickets/${tester.state.ticketId}.json`, { method: 'DELETE' });
+    tester.log(`   ${result.success ? 'Deleted' : 'Failed to delete'} ticket: ${tester.state.ticketId}`, result.success ? 'test' : 'warning');
+  }
+});
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+
+import { TEST_CONFIG } from './config.js';
+import { testKey } from './history.js';
+
+// Flaky tests, kept in quarantine.json so the list is reviewed and committed like any other file.
+// `cli.js run` still runs and reports quarantined tests, but their failures don't fail the run.
+// After each run the list is updated from the run history (history.js): a test whose flakiness
+// score reaches TEST_CONFIG.flaky.threshold goes in, and one that has passed its last
+// TEST_CONFIG.flaky.stableRuns runs comes out.
+//
+//   { "drive": { "Create File": { "score": 0.35, "mode": "live", "since": "2025-07-30T11:54:47.953Z" } } }
+
+export function quarantinePath() {
+  return process.env.QUARANTINE_FILE || path.join(process.cwd(), 'quarantine.json');
+}
+
+class Quarantine {
+  constructor(file = quarantinePath()) {
+    this.file = file;
+    this.tests = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+
+  // Test names as logged ("Create File (ID: 1LUC...)") or as keyed in the history
+  has(api, test) {
+    return !!this.tests[api]?.[testKey(test)];
+  }
+
+  list() {
+    return Object.entries(this.tests).flatMap(([api, tests]) =>
+      Object.entries(tests).map(([test, entry]) => ({ api, test, ...entry })));
+  }
+
+  // report: RunHistory#getReport() for the APIs and mode that just ran
+  update(report, mode = null) {
+    const { threshold, stableRuns } = TEST_CONFIG.flaky;
+    const added = [];
+    const released = [];
+
+    report.apis.forEach(({ api, tests }) => {
+      tests.forEach(test => {
+        const quarantined = this.has(api, test.name);
+        // A released test keeps its score until the flips leave the window, so stability wins
+        const stable = test.recent.length >= stableRuns && test.recent.slice(-stableRuns).every(status => status === 'passed');
+        if (!quarantined && !stable && test.flakiness !== null && test.flakiness >= threshold) {
+          this.tests[api] = { ...this.tests[api], [test.name]: { score: test.flakiness, mode, since: new Date().toISOString() } };
+          added.push({ api, test: test.name, score: test.flakiness });
+        } else if (quarantined && stable) {
+          delete this.tests[api][test.name];
+          if (Object.keys(this.tests[api]).length === 0) {
+            delete this.tests[api];
+          }
+          released.push({ api, test: test.name, score: test.flakiness });
+        } else if (quarantined) {
+          this.tests[api][test.name].score = test.flakiness;
+        }
+      });
+    });
+    return { added, released };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, `${JSON.stringify(this.tests, null, 2)}\n`);
+    return this.file;
+  }
+}
+
+export default Quarantine;
@@ -0,0 +1,147 @@
+import { TEST_CONFIG } from './config.js';
+import { locate, parsePath } from './jsonpath.js';
+
+// Masks credentials in everything the testers print or write: console output, logs/*.log,
+// results files and saved responses. Redaction happens on the way out, so code that logs a
+// URL or a response doesn't have to know what is secret in it. Masked are
+//   - values under secret-looking keys (access_token, X-Api-Key, clientSecret, Authorization)
+//   - Bearer/Basic credentials and secret query or form parameters inside strings
+//   - the values of credential environment variables (*_TOKEN, *_SECRET, *_API_KEY, ...) and
+//     of registered secrets (auth.secrets()) wherever they appear
+//   - the JSONPaths in TEST_CONFIG.redaction.paths and REDACT_PATHS (comma-separated),
+//     matched against each logged object, e.g. REDACT_PATHS='$..emailAddress,$..phoneNumbers'
+// --no-redact turns it off for local debugging. Cassettes are always scrubbed (see scrub()).
+
+export const REDACTED = '[REDACTED]';
+
+// Compared case-insensitively with dashes and underscores removed, so access_token, X-Api-Key
+// and clientSecret are masked but nextPageToken is not
+const SECRET_KEYS = new Set([
+  'token', 'accesstoken', 'refreshtoken', 'idtoken', 'authtoken', 'sessiontoken',
+  'key', 'apikey', 'xapikey', 'secret', 'clientsecret', 'password', 'passwd', 'authorization', 'signature',
+  'cookie', 'setcookie'
+]);
+const SECRET_ENV_NAME = /(TOKEN|SECRET|PASSWORD|PASSPHRASE|API_KEY)$/;
+// Shorter environment values ("true", "3000") would mask unrelated text
+const MIN_ENV_SECRET_LENGTH = 8;
+
+// "Bearer ya29.a0..." and "Basic dXNlcjpwYXNz"; the length floor spares prose like "Bearer token"
+const AUTH_SCHEME = /\b(Bearer|Basic)(\s+)[\w\-.~+/]{8,}=*/gi;
+// access_token=... in URLs and form bodies
+const PARAMETER = /(^|[?&;\s])([\w.-]+)=([^&#\s"']+)/g;
+// "client_secret": "..." in JSON that was already stringified into a message
+const JSON_PROPERTY = /"([\w.-]+)"(\s*:\s*)"(?:[^"\\]|\\.)*"/g;
+
+const enabled = !process.argv.includes('--no-redact');
+const registered = new Set();
+
+export function isSecretKey(key) {
+  return SECRET_KEYS.has(String(key).toLowerCase().replace(/[-_]/g, ''));
+}
+
+export function redactionEnabled() {
+  return enabled;
+}
+
+// Credentials that don't come from an environment variable, e.g. a refreshed access token
+export function registerSecrets(secrets) {
+  secrets
+    .filter(secret => typeof secret === 'string' && secret.length >= 4)
+    .forEach(secret => registered.add(secret));
+}
+
+// Longest first, so a secret containing another is masked whole
+function knownSecrets() {
+  const fromEnv = Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV_NAME.test(name) && value?.length >= MIN_ENV_SECRET_LENGTH && !/^your_/.test(value))
+    .map(([, value]) => value);
+  return [...new Set([...registered, ...fromEnv])].sort((a, b) => b.length - a.length);
+}
+
+// Throws on a malformed path, so cli.js can reject it before anything runs
+export function redactionPaths() {
+  const paths = [...(TEST_CONFIG.redaction?.paths || []), ...(process.env.REDACT_PATHS || '').split(',')]
+    .map(path => path.trim())
+    .filter(Boolean);
+  paths.forEach(path => {
+    try {
+      parsePath(path);
+    } catch (error) {
+      throw new Error(`Invalid redaction path: ${error.message}`);
+    }
+  });
+  return paths;
+}
+
+// ============ SCRUBBING ============
+
+// Key- and value-based masking only; used for cassettes, which are scrubbed even with --no-redact
+export function scrub(value, secrets = []) {
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => scrub(item, secrets));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isSecretKey(key) && item !== null && typeof item !== 'object' ? REDACTED : scrub(item, secrets)
+    ]));
+  }
+  return value;
+}
+
+function maskText(text, secrets) {
+  const masked = text
+    .replace(AUTH_SCHEME, (match, scheme, space) => `${scheme}${space}${REDACTED}`)
+    .replace(PARAMETER, (match, lead, name) => isSecretKey(name) ? `${lead}${name}=${REDACTED}` : match)
+    .replace(JSON_PROPERTY, (match, name, separator) => isSecretKey(name) ? `"${name}"${separator}"${REDACTED}"` : match);
+  return scrub(masked, secrets);
+}
+
+// Scalars, or a list of them such as set-cookie headers
+function isMaskable(value) {
+  return Array.isArray(value) ? value.every(isMaskable) : value !== null && typeof value !== 'object';
+}
+
+function maskValue(value, secrets) {
+  if (typeof value === 'string') {
+    return maskText(value, secrets);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => maskValue(item, secrets));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isSecretKey(key) && isMaskable(item) ? REDACTED : maskValue(item, secrets)
+    ]));
+  }
+  return value;
+}
+
+// ============ REDACTION ============
+
+// For log lines and console messages
+export function redactText(text) {
+  return enabled && typeof text === 'string' ? maskText(text, knownSecrets()) : text;
+}
+
+// For anything that is about to be serialized; returns a masked copy. Values go through
+// JSON first (axios headers, Dates), as they would when written
+export function redact(value) {
+  if (!enabled || value === undefined) {
+    return value;
+  }
+  const masked = maskValue(JSON.parse(JSON.stringify(value)), knownSecrets());
+  if (masked === null || typeof masked !== 'object') {
+    return masked;
+  }
+  redactionPaths().forEach(path => {
+    locate(masked, path)
+      .filter(({ parent }) => parent !== null && typeof parent === 'object')
+      .forEach(({ parent, key }) => { parent[key] = REDACTED; });
+  });
+  return masked;
+}
@@ -0,0 +1,108 @@
+import { ERROR_CODES, TEST_CONFIG } from './config.js';
+
+// When BaseApiTester.makeRequest retries a failed attempt, and how long it waits first.
+//   - rate limiting (429, or Google's rateLimitExceeded / userRateLimitExceeded reasons, which
+//     Drive and Gmail send as 403) is retried for every method: the request was never processed
+//   - 408, 5xx and dropped connections are retried only for idempotent methods
+//   - quota exhaustion (dailyLimitExceeded, quotaExceeded) is never retried
+// The wait is Retry-After when the server sends one, otherwise exponential backoff with jitter.
+
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+export const RETRYABLE_STATUSES = [408, ERROR_CODES.SERVER_ERROR, 502, 503, 504];
+export const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+export const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+export const QUOTA_REASONS = ['dailyLimitExceeded', 'quotaExceeded'];
+
+const normalize = reason => String(reason).toLowerCase().replace(/_/g, '');
+
+// Reasons from a Google error body, in either the v1 (`errors[].reason`) or the
+// google.rpc.ErrorInfo (`details[].reason`, e.g. RATE_LIMIT_EXCEEDED) shape
+export function googleErrorReasons(body) {
+  const error = body?.error;
+  if (!error || typeof error !== 'object') {
+    return [];
+  }
+  return [...(error.errors || []), ...(error.details || [])].map(entry => entry?.reason).filter(Boolean);
+}
+
+function hasReason(reasons, wanted) {
+  const normalized = reasons.map(normalize);
+  return wanted.some(reason => normalized.includes(normalize(reason)));
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns milliseconds or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\s*\d+(\.\d+)?\s*$/.test(String(value))) {
+    return Math.round(Number(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class RetryPolicy {
+  constructor(options = {}) {
+    this.retries = options.retries ?? TEST_CONFIG.maxRetries;
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 30000;
+    // A longer Retry-After gives up instead of stalling the suite
+    this.maxRetryAfter = options.maxRetryAfter ?? 60000;
+    this.random = options.random || Math.random;
+    if (!Number.isInteger(this.retries) || this.retries < 0) {
+      throw new Error(`retries must be a non-negative integer (got ${options.retries})`);
+    }
+  }
+
+  // `retry: false` or `retry: { retries, baseDelay, ... }` on a single request
+  forRequest(retry) {
+    if (retry === false) {
+      return new RetryPolicy({ ...this, retries: 0 });
+    }
+    return retry ? new RetryPolicy({ ...this, ...retry }) : this;
+  }
+
+  // Why the attempt is worth repeating, or null
+  retryReason({ method, response, failure, idempotent }) {
+    const safe = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    if (!response) {
+      const code = failure?.code;
+      return safe && RETRYABLE_ERROR_CODES.includes(code) ? `${code}: ${failure.message}` : null;
+    }
+
+    const reasons = googleErrorReasons(response.data);
+    if (hasReason(reasons, QUOTA_REASONS)) {
+      return null;
+    }
+    if (response.status === ERROR_CODES.RATE_LIMITED || hasReason(reasons, RATE_LIMIT_REASONS)) {
+      return `${response.status} ${reasons[0] || 'rate limited'}`;
+    }
+    return safe && RETRYABLE_STATUSES.includes(response.status) ? `${response.status}` : null;
+  }
+
+  // Equal jitter: half the exponential step, plus a random share of the other half
+  backoff(attempt) {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + this.random() * ceiling / 2);
+  }
+
+  // { reason, delay } when attempt number `attempt` should be followed by another one
+  nextRetry({ attempt, ...outcome }) {
+    if (attempt > this.retries) {
+      return null;
+    }
+    const reason = this.retryReason(outcome);
+    if (!reason) {
+      return null;
+    }
+
+    const retryAfter = parseRetryAfter(outcome.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxRetryAfter ? { reason: `${reason}, Retry-After`, delay: retryAfter } : null;
+    }
+    return { reason, delay: this.backoff(attempt) };
+  }
+}
+
+export default RetryPolicy;
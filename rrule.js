@@ -0,0 +1,371 @@
+// RFC 5545 recurrence expansion for the Calendar mock: RRULE (FREQ=DAILY/WEEKLY/MONTHLY/
+// YEARLY with INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, WKST), RDATE and
+// EXDATE, plus the time zone arithmetic to keep instances at the same wall-clock time across
+// DST changes.
+//
+// Local date-times are "wall" milliseconds: Date.UTC(year, month - 1, day, hour, minute,
+// second) read in the event's time zone, so calendar arithmetic never sees an offset.
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// An impossible rule (BYMONTH=2;BYMONTHDAY=30) must not loop forever
+const MAX_PERIODS = 50000;
+
+export class RecurrenceError extends Error {}
+
+// ============ TIME ZONES ============
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock time in `timeZone` for an instant
+export function toWall(instant, timeZone) {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(new Date(instant))
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+    + (instant % 1000 + 1000) % 1000;
+}
+
+// Instant for a wall-clock time. Repeated times (DST ends) resolve to the first one; times
+// skipped when DST starts use the earlier offset, which lands just after the gap
+export function fromWall(wall, timeZone) {
+  const offsetAt = instant => toWall(instant, timeZone) - instant;
+  const first = wall - offsetAt(wall);
+  const candidate = wall - offsetAt(first);
+  if (toWall(candidate, timeZone) === wall) {
+    return candidate;
+  }
+  return wall - Math.min(offsetAt(first), offsetAt(candidate));
+}
+
+// RFC 3339 with the zone's offset at that instant, e.g. 2024-03-10T09:30:00-04:00
+export function formatDateTime(instant, timeZone) {
+  const offsetMinutes = Math.round((toWall(instant, timeZone) - instant) / 60000);
+  const wall = new Date(instant + offsetMinutes * 60000).toISOString().slice(0, 19);
+  if (offsetMinutes === 0) {
+    return `${wall}Z`;
+  }
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  return `${wall}${sign}${hours}:${String(Math.abs(offsetMinutes) % 60).padStart(2, '0')}`;
+}
+
+export function formatDate(wall) {
+  return new Date(wall).toISOString().slice(0, 10);
+}
+
+// ============ PARSING ============
+
+// 20240115, 20240115T093000 or 20240115T093000Z
+function parseBasicDateTime(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    throw new RecurrenceError(`Invalid date-time: ${value}`);
+  }
+  const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+  return {
+    wall: Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)),
+    dateOnly: match[4] === undefined,
+    utc: !!utc
+  };
+}
+
+function integers(value, name, min, max) {
+  return value.split(',').map(item => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || number < min || number > max || number === 0) {
+      throw new RecurrenceError(`Invalid ${name}: ${item}`);
+    }
+    return number;
+  });
+}
+
+export function parseRRule(text) {
+  const rule = { interval: 1, byDay: null, byMonthDay: null, byMonth: null, bySetPos: null, wkst: 1 };
+  text.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!value) {
+      throw new RecurrenceError(`Invalid RRULE part: ${part}`);
+    }
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new RecurrenceError(`Unsupported FREQ: ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        [rule.interval] = integers(value, 'INTERVAL', 1, Infinity);
+        break;
+      case 'COUNT':
+        [rule.count] = integers(value, 'COUNT', 1, Infinity);
+        break;
+      case 'UNTIL':
+        rule.until = parseBasicDateTime(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(item => {
+          const match = item.toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match || Number(match[1]) === 0) {
+            throw new RecurrenceError(`Invalid BYDAY: ${item}`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? Number(match[1]) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = integers(value, 'BYMONTHDAY', -31, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = integers(value, 'BYMONTH', 1, 12);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = integers(value, 'BYSETPOS', -366, 366);
+        break;
+      case 'WKST':
+        rule.wkst = WEEKDAYS.indexOf(value.toUpperCase());
+        if (rule.wkst === -1) {
+          throw new RecurrenceError(`Invalid WKST: ${value}`);
+        }
+        break;
+      default:
+        throw new RecurrenceError(`Unsupported RRULE part: ${key}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new RecurrenceError('RRULE needs a FREQ');
+  }
+  if (rule.count !== undefined && rule.until !== undefined) {
+    throw new RecurrenceError('RRULE cannot have both COUNT and UNTIL');
+  }
+  return rule;
+}
+
+// EXDATE;TZID=America/New_York:20240115T093000,20240122T093000 -> instants (or dates)
+function parseDateList(line, timeZone) {
+  const colon = line.indexOf(':');
+  const params = Object.fromEntries(line.slice(0, colon).split(';').slice(1).map(param => {
+    const [key, value] = param.split('=');
+    return [key.toUpperCase(), value];
+  }));
+  const zone = params.TZID || timeZone;
+  if (!isValidTimeZone(zone)) {
+    throw new RecurrenceError(`Invalid TZID: ${zone}`);
+  }
+  return line.slice(colon + 1).split(',').map(value => {
+    const parsed = parseBasicDateTime(value.trim());
+    if (parsed.dateOnly) {
+      return { date: formatDate(parsed.wall) };
+    }
+    return { instant: parsed.utc ? parsed.wall : fromWall(parsed.wall, zone) };
+  });
+}
+
+// ============ EXPANSION ============
+
+const weekday = wall => new Date(wall).getUTCDay();
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Days of one month matching BYMONTHDAY/BYDAY (ordinals count within the month)
+function monthDays(year, month, rule, defaultDay) {
+  const count = daysInMonth(year, month);
+  const all = Array.from({ length: count }, (_, index) => Date.UTC(year, month - 1, index + 1));
+  const byMonthDay = rule.byMonthDay
+    ? all.filter((day, index) => rule.byMonthDay.some(n => (n > 0 ? n : count + 1 + n) === index + 1))
+    : null;
+  const byDay = rule.byDay ? matchWeekdays(all, rule.byDay) : null;
+
+  if (byMonthDay && byDay) {
+    return byMonthDay.filter(day => byDay.includes(day));
+  }
+  return byMonthDay || byDay || (defaultDay <= count ? [Date.UTC(year, month - 1, defaultDay)] : []);
+}
+
+function matchWeekdays(days, byDay) {
+  const found = new Set();
+  byDay.forEach(({ weekday: wanted, ordinal }) => {
+    const matching = days.filter(day => weekday(day) === wanted);
+    if (ordinal === null) {
+      matching.forEach(day => found.add(day));
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day !== undefined) {
+        found.add(day);
+      }
+    }
+  });
+  return [...found].sort((a, b) => a - b);
+}
+
+// Candidate days (wall ms at midnight) of the n-th period after DTSTART
+function periodDays(rule, startDay, period) {
+  const start = new Date(startDay);
+  const inMonths = day => !rule.byMonth || rule.byMonth.includes(new Date(day).getUTCMonth() + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + period * rule.interval * DAY;
+      const date = new Date(day);
+      const matches = inMonths(day)
+        && (!rule.byMonthDay || monthDays(date.getUTCFullYear(), date.getUTCMonth() + 1, { byMonthDay: rule.byMonthDay }).includes(day))
+        && (!rule.byDay || rule.byDay.some(spec => spec.weekday === weekday(day)));
+      return matches ? [day] : [];
+    }
+    case 'WEEKLY': {
+      const weekStart = startDay - ((weekday(startDay) - rule.wkst + 7) % 7) * DAY + period * rule.interval * 7 * DAY;
+      const weekdays = rule.byDay ? rule.byDay.map(spec => spec.weekday) : [weekday(startDay)];
+      return Array.from({ length: 7 }, (_, index) => weekStart + index * DAY)
+        .filter(day => weekdays.includes(weekday(day)) && inMonths(day));
+    }
+    case 'MONTHLY': {
+      const monthIndex = start.getUTCFullYear() * 12 + start.getUTCMonth() + period * rule.interval;
+      const year = Math.floor(monthIndex / 12);
+      const month = monthIndex % 12 + 1;
+      return rule.byMonth && !rule.byMonth.includes(month) ? [] : monthDays(year, month, rule, start.getUTCDate());
+    }
+    default: {
+      const year = start.getUTCFullYear() + period * rule.interval;
+      if (rule.byMonth) {
+        return rule.byMonth.slice().sort((a, b) => a - b).flatMap(month => monthDays(year, month, rule, start.getUTCDate()));
+      }
+      if (rule.byDay) {
+        // Without BYMONTH, BYDAY ordinals count within the year
+        const days = Array.from({ length: (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / DAY },
+          (_, index) => Date.UTC(year, 0, 1) + index * DAY);
+        const matching = matchWeekdays(days, rule.byDay);
+        return rule.byMonthDay
+          ? matching.filter(day => monthDays(year, new Date(day).getUTCMonth() + 1, { byMonthDay: rule.byMonthDay }).includes(day))
+          : matching;
+      }
+      if (rule.byMonthDay) {
+        return Array.from({ length: 12 }, (_, index) => monthDays(year, index + 1, rule, 0)).flat();
+      }
+      return monthDays(year, start.getUTCMonth() + 1, rule, start.getUTCDate());
+    }
+  }
+}
+
+function setPositions(days, positions) {
+  if (!positions) {
+    return days;
+  }
+  return [...new Set(positions.map(n => (n > 0 ? days[n - 1] : days[days.length + n])).filter(day => day !== undefined))]
+    .sort((a, b) => a - b);
+}
+
+function pastUntil(wall, instant, until) {
+  if (!until) {
+    return false;
+  }
+  if (until.dateOnly) {
+    return wall >= until.wall + DAY;
+  }
+  return until.utc ? instant > until.wall : wall > until.wall;
+}
+
+// Occurrences of one RRULE as { wall, instant }, DTSTART first (it always counts, RFC 5545)
+function expandRule(rule, startWall, { timeZone, allDay, rangeEnd, limit }) {
+  const toInstant = wall => (allDay ? wall : fromWall(wall, timeZone));
+  const startDay = startWall - (startWall % DAY + DAY) % DAY;
+  const timeOfDay = startWall - startDay;
+  const found = [];
+
+  const add = wall => {
+    const instant = toInstant(wall);
+    if (pastUntil(wall, instant, rule.until) || (rangeEnd !== undefined && instant >= rangeEnd)) {
+      return false;
+    }
+    found.push({ wall, instant });
+    return (rule.count === undefined || found.length < rule.count) && found.length < limit;
+  };
+
+  if (!add(startWall)) {
+    return found;
+  }
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const day of setPositions(periodDays(rule, startDay, period), rule.bySetPos)) {
+      const wall = day + timeOfDay;
+      if (wall > startWall && !add(wall)) {
+        return found;
+      }
+    }
+  }
+  return found;
+}
+
+// Every occurrence of an event's `recurrence` lines, in order, without EXDATEs.
+//   start:    wall ms of DTSTART in `timeZone` (midnight for all-day events)
+//   rangeEnd: stop at the first occurrence starting at or after this instant
+export function expandRecurrence(lines, start, { timeZone = 'UTC', allDay = false, rangeEnd, limit = 2500 } = {}) {
+  if (!allDay && !isValidTimeZone(timeZone)) {
+    throw new RecurrenceError(`Invalid time zone: ${timeZone}`);
+  }
+  const options = { timeZone, allDay, rangeEnd, limit };
+  const toInstant = wall => (allDay ? wall : fromWall(wall, timeZone));
+  const inRange = instant => rangeEnd === undefined || instant < rangeEnd;
+  const occurrences = new Map();
+  const excluded = [];
+  let hasRule = false;
+
+  // DTSTART is always an occurrence, even when only RDATEs follow
+  if (inRange(toInstant(start))) {
+    occurrences.set(toInstant(start), { wall: start, instant: toInstant(start) });
+  }
+
+  lines.forEach(line => {
+    const name = line.split(/[:;]/)[0].toUpperCase();
+    if (name === 'RRULE') {
+      hasRule = true;
+      expandRule(parseRRule(line), start, options).forEach(occurrence => occurrences.set(occurrence.instant, occurrence));
+    } else if (name === 'RDATE') {
+      hasRule = true;
+      parseDateList(line, timeZone).forEach(({ date, instant }) => {
+        const wall = date ? Date.parse(date) + (start % DAY + DAY) % DAY : toWall(instant, timeZone);
+        const at = instant ?? toInstant(wall);
+        if (inRange(at)) {
+          occurrences.set(at, { wall, instant: at });
+        }
+      });
+    } else if (name === 'EXDATE') {
+      excluded.push(...parseDateList(line, timeZone));
+    } else {
+      throw new RecurrenceError(`Unsupported recurrence line: ${line}`);
+    }
+  });
+  if (!hasRule) {
+    throw new RecurrenceError('Recurrence needs an RRULE or RDATE');
+  }
+
+  const isExcluded = ({ wall, instant }) => excluded.some(entry =>
+    entry.date ? entry.date === formatDate(wall) : entry.instant === instant);
+  return [...occurrences.values()]
+    .filter(occurrence => !isExcluded(occurrence))
+    .sort((a, b) => a.instant - b.instant)
+    .slice(0, limit);
+}
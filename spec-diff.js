@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+
+import { install, fake, seed } from 'zod-schema-faker';
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+
+import { loadSpec } from './openapi-loader.js';
+import { createConverter } from './openapi-to-zod.js';
+
+// Install zod-schema-faker
+install();
+seed(42);
+
+export const SEVERITY = {
+  BREAKING: 'breaking',
+  NON_BREAKING: 'non-breaking'
+};
+
+// ============ SCHEMA HELPERS ============
+
+function schemaType(schema) {
+  if (!schema || typeof schema !== 'object') return undefined;
+  if (Array.isArray(schema.type)) return schema.type.filter(type => type !== 'null').join('|');
+  if (schema.type) return schema.type;
+  if (schema.properties || schema.allOf) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
+
+function isNullable(schema) {
+  return schema?.nullable === true || schema?.['x-nullable'] === true ||
+    (Array.isArray(schema?.type) && schema.type.includes('null'));
+}
+
+// allOf members are merged so a schema split into allOf parts compares equal to its flat form
+function normalizeSchema(schema) {
+  if (!schema?.allOf) return schema;
+
+  const merged = { type: 'object', properties: {}, required: [] };
+  const members = [...schema.allOf, { ...schema, allOf: undefined }];
+  members.map(normalizeSchema).forEach(member => {
+    Object.assign(merged.properties, member?.properties || {});
+    merged.required.push(...(member?.required || []));
+  });
+  return merged;
+}
+
+function normalizePath(pathTemplate) {
+  // /files/{fileId} and /files/{id} are the same endpoint
+  return pathTemplate.replace(/\{[^}]+\}/g, '{}');
+}
+
+// ============ SPEC DIFF ============
+
+class SpecDiff {
+  constructor(oldSpec, newSpec) {
+    this.oldSpec = oldSpec;
+    this.newSpec = newSpec;
+    this.changes = [];
+  }
+
+  add(severity, type, location, message) {
+    this.changes.push({ severity, type, location, message });
+  }
+
+  run() {
+    const oldOperations = new Map(this.oldSpec.operations.map(operation => [`${operation.method} ${normalizePath(operation.path)}`, operation]));
+    const newOperations = new Map(this.newSpec.operations.map(operation => [`${operation.method} ${normalizePath(operation.path)}`, operation]));
+
+    for (const [key, oldOperation] of oldOperations) {
+      const location = `${oldOperation.method} ${oldOperation.path}`;
+      const newOperation = newOperations.get(key);
+
+      if (!newOperation) {
+        this.add(SEVERITY.BREAKING, 'endpoint-removed', location, 'Endpoint removed');
+        continue;
+      }
+
+      if (!oldOperation.deprecated && newOperation.deprecated) {
+        this.add(SEVERITY.NON_BREAKING, 'endpoint-deprecated', location, 'Endpoint marked as deprecated');
+      }
+
+      this.diffParameters(oldOperation, newOperation, location);
+      this.diffRequestBody(oldOperation, newOperation, location);
+      this.diffResponses(oldOperation, newOperation, location);
+    }
+
+    for (const [key, newOperation] of newOperations) {
+      if (!oldOperations.has(key)) {
+        this.add(SEVERITY.NON_BREAKING, 'endpoint-added', `${newOperation.method} ${newOperation.path}`, 'Endpoint added');
+      }
+    }
+
+    return this.changes;
+  }
+
+  // ============ PARAMETERS ============
+
+  diffParameters(oldOperation, newOperation, location) {
+    const key = parameter => `${parameter.in}:${parameter.name}`;
+    const oldParameters = new Map(oldOperation.parameters.map(parameter => [key(parameter), parameter]));
+    const newParameters = new Map(newOperation.parameters.map(parameter => [key(parameter), parameter]));
+
+    for (const [name, newParameter] of newParameters) {
+      const oldParameter = oldParameters.get(name);
+      const parameterLocation = `${location} ${newParameter.in} parameter "${newParameter.name}"`;
+
+      if (!oldParameter) {
+        if (newParameter.required && newParameter.in !== 'path') {
+          this.add(SEVERITY.BREAKING, 'required-parameter-added', parameterLocation, 'New required parameter');
+        } else if (newParameter.in !== 'path') {
+          this.add(SEVERITY.NON_BREAKING, 'optional-parameter-added', parameterLocation, 'New optional parameter');
+        }
+        continue;
+      }
+
+      if (!oldParameter.required && newParameter.required) {
+        this.add(SEVERITY.BREAKING, 'parameter-now-required', parameterLocation, 'Parameter became required');
+      }
+
+      this.diffSchema(oldParameter.schema, newParameter.schema, parameterLocation, 'request');
+    }
+
+    for (const [name, oldParameter] of oldParameters) {
+      if (!newParameters.has(name) && oldParameter.in !== 'path') {
+        this.add(SEVERITY.NON_BREAKING, 'parameter-removed', `${location} ${oldParameter.in} parameter "${oldParameter.name}"`, 'Parameter removed (now ignored)');
+      }
+    }
+  }
+
+  // ============ REQUEST BODY ============
+
+  diffRequestBody(oldOperation, newOperation, location) {
+    const oldBody = oldOperation.requestBody;
+    const newBody = newOperation.requestBody;
+
+    if (!oldBody && newBody?.required) {
+      this.add(SEVERITY.BREAKING, 'request-body-required', `${location} request body`, 'Request body added and required');
+      return;
+    }
+    if (!oldBody || !newBody) return;
+
+    if (!oldBody.required && newBody.required) {
+      this.add(SEVERITY.BREAKING, 'request-body-required', `${location} request body`, 'Request body became required');
+    }
+
+    for (const [type, media] of Object.entries(oldBody.content)) {
+      if (!newBody.content[type]) {
+        this.add(SEVERITY.BREAKING, 'request-content-type-removed', `${location} request body`, `Content type ${type} no longer accepted`);
+        continue;
+      }
+      this.diffSchema(media.schema, newBody.content[type].schema, `${location} request body`, 'request');
+    }
+  }
+
+  // ============ RESPONSES ============
+
+  diffResponses(oldOperation, newOperation, location) {
+    for (const [status, oldResponse] of Object.entries(oldOperation.responses)) {
+      const newResponse = newOperation.responses[status];
+      const responseLocation = `${location} → ${status}`;
+
+      if (!newResponse) {
+        // Dropping a success response breaks clients; dropping an error one only changes docs
+        const severity = /^[23]/.test(status) ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING;
+        this.add(severity, 'response-removed', responseLocation, `Response ${status} removed`);
+        continue;
+      }
+
+      for (const [type, media] of Object.entries(oldResponse.content)) {
+        if (!newResponse.content[type]) {
+          this.add(SEVERITY.BREAKING, 'response-content-type-removed', responseLocation, `Content type ${type} no longer returned`);
+          continue;
+        }
+        this.diffSchema(media.schema, newResponse.content[type].schema, `${responseLocation} body`, 'response');
+      }
+    }
+
+    for (const status of Object.keys(newOperation.responses)) {
+      if (!oldOperation.responses[status]) {
+        this.add(SEVERITY.NON_BREAKING, 'response-added', `${location} → ${status}`, `Response ${status} added`);
+      }
+    }
+  }
+
+  // ============ SCHEMAS ============
+
+  // direction is "request" (client → server) or "response" (server → client); the same change breaks in one direction only
+  diffSchema(oldRaw, newRaw, location, direction, seen = new Map()) {
+    if (!oldRaw || !newRaw) return;
+
+    // Recursive schemas: compare each (old, new) pair once
+    if (!seen.has(oldRaw)) seen.set(oldRaw, new Set());
+    if (seen.get(oldRaw).has(newRaw)) return;
+    seen.get(oldRaw).add(newRaw);
+
+    const oldSchema = normalizeSchema(oldRaw);
+    const newSchema = normalizeSchema(newRaw);
+    const isRequest = direction === 'request';
+
+    const oldType = schemaType(oldSchema);
+    const newType = schemaType(newSchema);
+    if (oldType && newType && oldType !== newType) {
+      this.add(SEVERITY.BREAKING, 'type-changed', location, `Type changed from ${oldType} to ${newType}`);
+      return;
+    }
+
+    if (oldSchema.format !== newSchema.format && (oldSchema.format || newSchema.format)) {
+      this.add(SEVERITY.BREAKING, 'format-changed', location, `Format changed from ${oldSchema.format || 'none'} to ${newSchema.format || 'none'}`);
+    }
+
+    if (isNullable(oldSchema) !== isNullable(newSchema)) {
+      const nowNullable = isNullable(newSchema);
+      const breaking = isRequest ? !nowNullable : nowNullable;
+      this.add(breaking ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING, 'nullable-changed', location,
+        nowNullable ? 'Value can now be null' : 'Value can no longer be null');
+    }
+
+    this.diffEnum(oldSchema, newSchema, location, isRequest);
+
+    if (oldSchema.properties || newSchema.properties) {
+      this.diffProperties(oldSchema, newSchema, location, direction, seen);
+    }
+
+    if (oldSchema.items && newSchema.items) {
+      this.diffSchema(oldSchema.items, newSchema.items, `${location}[]`, direction, seen);
+    }
+
+    const oldVariants = oldSchema.oneOf || oldSchema.anyOf;
+    const newVariants = newSchema.oneOf || newSchema.anyOf;
+    if (oldVariants && newVariants && oldVariants.length !== newVariants.length) {
+      const fewer = newVariants.length < oldVariants.length;
+      this.add(isRequest === fewer ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING, 'variants-changed', location,
+        `Alternatives changed from ${oldVariants.length} to ${newVariants.length}`);
+    }
+  }
+
+  diffEnum(oldSchema, newSchema, location, isRequest) {
+    if (!Array.isArray(oldSchema.enum) && !Array.isArray(newSchema.enum)) return;
+
+    if (!Array.isArray(newSchema.enum)) {
+      this.add(isRequest ? SEVERITY.NON_BREAKING : SEVERITY.BREAKING, 'enum-removed', location, 'Enum constraint removed');
+      return;
+    }
+    if (!Array.isArray(oldSchema.enum)) {
+      this.add(isRequest ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING, 'enum-added', location, `Restricted to ${newSchema.enum.join(', ')}`);
+      return;
+    }
+
+    const removed = oldSchema.enum.filter(value => !newSchema.enum.includes(value));
+    const added = newSchema.enum.filter(value => !oldSchema.enum.includes(value));
+
+    // Narrowed request enums reject values clients send; widened response enums surprise clients
+    if (removed.length > 0) {
+      this.add(isRequest ? SEVERITY.BREAKING : SEVERITY.NON_BREAKING, 'enum-narrowed', location, `Enum values removed: ${removed.join(', ')}`);
+    }
+    if (added.length > 0) {
+      this.add(isRequest ? SEVERITY.NON_BREAKING : SEVERITY.BREAKING, 'enum-widened', location, `Enum values added: ${added.join(', ')}`);
+    }
+  }
+
+  diffProperties(oldSchema, newSchema, location, direction, seen) {
+    const isRequest = direction === 'request';
+    const oldProperties = oldSchema.properties || {};
+    const newProperties = newSchema.properties || {};
+    const oldRequired = new Set(oldSchema.required || []);
+    const newRequired = new Set(newSchema.required || []);
+
+    for (const [name, oldProperty] of Object.entries(oldProperties)) {
+      const propertyLocation = `${location}.${name}`;
+
+      if (!(name in newProperties)) {
+        this.add(isRequest ? SEVERITY.NON_BREAKING : SEVERITY.BREAKING, 'property-removed', propertyLocation,
+          isRequest ? 'Request field removed' : 'Response field removed');
+        continue;
+      }
+
+      if (isRequest && !oldRequired.has(name) && newRequired.has(name)) {
+        this.add(SEVERITY.BREAKING, 'property-now-required', propertyLocation, 'Request field became required');
+      }
+      if (!isRequest && oldRequired.has(name) && !newRequired.has(name)) {
+        this.add(SEVERITY.BREAKING, 'property-now-optional', propertyLocation, 'Response field is no longer guaranteed');
+      }
+
+      this.diffSchema(oldProperty, newProperties[name], propertyLocation, direction, seen);
+    }
+
+    for (const name of Object.keys(newProperties)) {
+      if (name in oldProperties) continue;
+
+      const propertyLocation = `${location}.${name}`;
+      if (isRequest && newRequired.has(name)) {
+        this.add(SEVERITY.BREAKING, 'required-property-added', propertyLocation, 'New required request field');
+      } else {
+        this.add(SEVERITY.NON_BREAKING, 'property-added', propertyLocation, isRequest ? 'New optional request field' : 'New response field');
+      }
+    }
+  }
+}
+
+// ============ ZOD IMPACT ============
+
+function unwrapZod(schema) {
+  let current = schema;
+  while (current?._def) {
+    if (current._def.innerType) current = current._def.innerType;
+    else if (current._def.schema) current = current._def.schema;
+    else if (current._def.getter) current = current._def.getter();
+    else break;
+  }
+  return current;
+}
+
+function zodObjectKeys(schema) {
+  const unwrapped = unwrapZod(schema);
+  const element = unwrapped?._def?.typeName === 'ZodArray' ? unwrapZod(unwrapped.element) : unwrapped;
+  return element?.shape ? Object.keys(element.shape) : [];
+}
+
+// Re-runs the Zod conversion on both versions and maps changed components to exports of an existing schema module
+export async function analyzeZodImpact(oldSpec, newSpec, schemasFile, options = {}) {
+  const oldConverter = createConverter(oldSpec, options);
+  const newConverter = createConverter(newSpec, options);
+  const oldSource = new Map(oldConverter.generateDeclarations().map(({ name, expression }) => [name, expression]));
+  const newSource = new Map(newConverter.generateDeclarations().map(({ name, expression }) => [name, expression]));
+  const newSchemas = newConverter.buildSchemas();
+
+  const changedComponents = [...oldSource.keys()]
+    .filter(name => newSource.get(name) !== oldSource.get(name))
+    .map(name => ({ name, status: newSource.has(name) ? 'changed' : 'removed' }));
+
+  const existing = await import(path.resolve(schemasFile).replace(/^(?!file:)/, 'file://'));
+  const exportNames = Object.keys(existing).filter(name => existing[name]?._def);
+
+  return changedComponents.map(component => {
+    const baseName = component.name.replace(/Schema$/, '');
+    const componentKeys = Object.keys(oldConverter.components[
+      Object.keys(oldConverter.components).find(key => oldConverter.exports[key] === component.name)
+    ]?.properties || {});
+
+    const candidates = exportNames.filter(exportName => {
+      if (exportName === component.name || exportName.endsWith(`${baseName}Schema`)) return true;
+      // Fall back to shape similarity for hand-written schemas with unrelated names
+      const keys = zodObjectKeys(existing[exportName]);
+      if (componentKeys.length === 0 || keys.length === 0) return false;
+      const shared = keys.filter(key => componentKeys.includes(key)).length;
+      return shared / new Set([...keys, ...componentKeys]).size >= 0.6;
+    });
+
+    const affected = candidates.map(exportName => {
+      const impact = { export: exportName, reasons: [] };
+
+      if (component.status === 'removed') {
+        impact.reasons.push('Component removed from the new spec');
+        return impact;
+      }
+
+      const newKeys = zodObjectKeys(newSchemas[component.name]);
+      const missing = zodObjectKeys(existing[exportName]).filter(key => newKeys.length > 0 && !newKeys.includes(key));
+      if (missing.length > 0) {
+        impact.reasons.push(`Fields not in new spec: ${missing.join(', ')}`);
+      }
+
+      // A response shaped like the new spec must still pass the hand-written schema
+      try {
+        // List exports matched by shape get a one-element list of the component
+        const isList = unwrapZod(existing[exportName])?._def?.typeName === 'ZodArray' &&
+          unwrapZod(newSchemas[component.name])?._def?.typeName !== 'ZodArray';
+        const item = fake(newSchemas[component.name]);
+        const sample = isList ? [item] : item;
+        const result = existing[exportName].safeParse(sample);
+        if (!result.success) {
+          impact.reasons.push(`Rejects data from new spec: ${result.error.issues.slice(0, 3)
+            .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ')}`);
+        }
+      } catch (error) {
+        impact.reasons.push(`Could not generate sample: ${error.message}`);
+      }
+
+      return impact;
+    }).filter(impact => impact.reasons.length > 0);
+
+    return { component: component.name, status: component.status, affected };
+  });
+}
+
+// ============ COMMAND LINE INTERFACE ============
+
+function printChanges(changes) {
+  const breaking = changes.filter(change => change.severity === SEVERITY.BREAKING);
+  const nonBreaking = changes.filter(change => change.severity === SEVERITY.NON_BREAKING);
+
+  console.log(chalk.red.bold(`💥 Breaking changes (${breaking.length}):`));
+  breaking.forEach(change => {
+    console.log(chalk.red(`  └─ [${change.type}] ${change.location}: ${change.message}`));
+  });
+
+  console.log('');
+  console.log(chalk.green.bold(`✅ Non-breaking changes (${nonBreaking.length}):`));
+  nonBreaking.forEach(change => {
+    console.log(chalk.green(`  └─ [${change.type}] ${change.location}: ${change.message}`));
+  });
+}
+
+function printZodImpact(impact, schemasFile) {
+  console.log('');
+  console.log(chalk.cyan.bold(`🧬 Zod impact on ${schemasFile}:`));
+
+  if (impact.length === 0) {
+    console.log(chalk.gray('  No generated schema changed'));
+    return;
+  }
+
+  impact.forEach(entry => {
+    console.log(`  ${entry.component} (${entry.status})`);
+    if (entry.affected.length === 0) {
+      console.log(chalk.gray(`    └─ no affected exports`));
+    }
+    entry.affected.forEach(affected => {
+      console.log(chalk.yellow(`    └─ ${affected.export}: ${affected.reasons.join(' | ')}`));
+    });
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [oldPath, newPath] = args.filter(arg => !arg.startsWith('--'));
+  const schemasFlag = args.find(arg => arg.startsWith('--schemas='));
+  const prefixFlag = args.find(arg => arg.startsWith('--prefix='));
+  const jsonFlag = args.find(arg => arg.startsWith('--json='));
+
+  if (!oldPath || !newPath) {
+    console.log(chalk.yellow('Usage: bun run spec-diff.js <old-spec> <new-spec> [--schemas=schemas.js] [--prefix=Forge] [--json=diff.json]'));
+    process.exit(1);
+  }
+
+  const oldSpec = loadSpec(oldPath);
+  const newSpec = loadSpec(newPath);
+  const schemasFile = schemasFlag ? schemasFlag.split('=')[1] : 'schemas.js';
+
+  console.log(chalk.cyan.bold('🔀 SPEC DIFF'));
+  console.log(chalk.cyan('==========================================='));
+  console.log(chalk.gray(`Old: ${oldSpec.file} (${oldSpec.apiVersion || 'unversioned'})`));
+  console.log(chalk.gray(`New: ${newSpec.file} (${newSpec.apiVersion || 'unversioned'})`));
+  console.log('');
+
+  const changes = new SpecDiff(oldSpec, newSpec).run();
+  printChanges(changes);
+
+  const zodImpact = await analyzeZodImpact(oldSpec, newSpec, schemasFile, {
+    prefix: prefixFlag ? prefixFlag.split('=')[1] : ''
+  });
+  printZodImpact(zodImpact, schemasFile);
+
+  if (jsonFlag) {
+    fs.writeFileSync(jsonFlag.split('=')[1], JSON.stringify({ old: oldSpec.file, new: newSpec.file, changes, zodImpact }, null, 2));
+  }
+
+  // Breaking changes fail the command so it can gate a deploy
+  const breakingCount = changes.filter(change => change.severity === SEVERITY.BREAKING).length;
+  process.exit(breakingCount > 0 ? 1 : 0);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(chalk.red('Fatal error:'), error.message);
+    process.exit(1);
+  });
+}
+
+export default SpecDiff;
@@ -0,0 +1,87 @@
+import { query } from './jsonpath.js';
+
+// Values captured by earlier test steps (created ids, tokens, ...) for later steps to use.
+// Test cases declare what they `captures` and what they `requires`; when a required value is
+// missing the runner skips the step as "dependency failed" instead of calling the API with
+// `undefined` in the URL.
+
+function names(list) {
+  return [].concat(list || []);
+}
+
+export default class StepContext {
+  constructor(initial = {}) {
+    // Plain object so it can be handed out as shared state (plugins get it as tester.state)
+    this.values = { ...initial };
+    this.producers = new Map();
+    this.ranSteps = new Set();
+    this.currentStep = null;
+  }
+
+  // Remember which step is expected to produce each value, for skip messages
+  declare(testCases) {
+    testCases.forEach(testCase => {
+      names(testCase.captures).forEach(name => {
+        if (!this.producers.has(name)) {
+          this.producers.set(name, testCase.name);
+        }
+      });
+    });
+  }
+
+  begin(step) {
+    this.currentStep = step;
+    this.ranSteps.add(step);
+  }
+
+  capture(name, value) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    this.values[name] = value;
+    if (this.currentStep && !this.producers.has(name)) {
+      this.producers.set(name, this.currentStep);
+    }
+    return value;
+  }
+
+  // Capture several values from a response body: { fileId: '$.id', ... }
+  captureFrom(data, paths) {
+    return Object.fromEntries(Object.entries(paths).map(([name, path]) => [name, this.capture(name, query(data, path)[0])]));
+  }
+
+  // For values that accumulate, e.g. every event id created during the run
+  append(name, value) {
+    if (value === undefined || value === null) {
+      return;
+    }
+    this.values[name] = [...(this.values[name] || []), value];
+  }
+
+  get(name) {
+    return this.values[name];
+  }
+
+  has(name) {
+    return this.values[name] !== undefined && this.values[name] !== null;
+  }
+
+  list(name) {
+    return this.values[name] || [];
+  }
+
+  unmet(requires) {
+    return names(requires).filter(name => !this.has(name));
+  }
+
+  // Why a step can't run: "dependency failed" when the producing step ran without capturing
+  // the value, "dependency not run" when it was filtered out (--grep) or never reached (--bail)
+  explain(missing) {
+    const producers = [...new Set(missing.map(name => this.producers.get(name)).filter(Boolean))];
+    const notRun = producers.filter(step => !this.ranSteps.has(step));
+    return {
+      reason: producers.length > 0 && notRun.length === producers.length ? 'dependency not run' : 'dependency failed',
+      detail: `needs ${missing.join(', ')}${producers.length > 0 ? ` from ${producers.join(', ')}` : ''}`
+    };
+  }
+}
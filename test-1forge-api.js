@@ -13,6 +13,9 @@ import {
   ForgeConvertResponseSchema,
   ForgeErrorResponseSchema
 } from './schemas.js';
+import { htmlReportPathFor, saveHtmlReport } from './html-report.js';
+import JUnitReporter, { junitPathFor } from './junit-reporter.js';
+import { redactText } from './redact.js';
 
 // Install zod-schema-faker
 import { install, seed } from 'zod-schema-faker';
@@ -28,6 +31,10 @@ class ForgeAPITester {
       symbols: { passed: 0, failed: 0, errors: [] },
       convert: { passed: 0, failed: 0, errors: [] }
     };
+    // Every logTestResult call is also a JUnit testcase, with the requests made for it as output
+    this.junit = new JUnitReporter();
+    this.junit.captureAxios(axios);
+    this.startTime = new Date();
   }
 
   // ============ LOGGING UTILITIES ============
@@ -40,16 +47,18 @@ class ForgeAPITester {
       warning: chalk.yellow,
       test: chalk.cyan
     };
-    console.log(`${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${message}`);
+    console.log(`${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${redactText(message)}`);
   }
 
   logTestResult(test, success, error = null) {
     if (success) {
       this.results[test].passed++;
+      this.junit.record('1forge', test, 'passed');
       this.log(`✅ ${test.toUpperCase()}: Test passed`, 'success');
     } else {
       this.results[test].failed++;
       this.results[test].errors.push({ test, error: error?.message || 'Unknown error' });
+      this.junit.record('1forge', test, 'failed', { message: error?.message || 'Unknown error', issues: error?.issues });
       this.log(`❌ ${test.toUpperCase()}: Test failed - ${error?.message || 'Failed'}`, 'error');
     }
   }
@@ -257,6 +266,8 @@ class ForgeAPITester {
     await this.testConvert();
     
     this.printSummary();
+    console.log(chalk.gray(`📄 JUnit report: ${this.junit.save(junitPathFor('1forge', this.startTime))}`));
+    console.log(chalk.gray(`📄 HTML report: ${saveHtmlReport(this.junit, htmlReportPathFor('1forge', this.startTime), { title: '1Forge API Test Report' })}`));
   }
 
   // ============ PRINT SUMMARY ============
@@ -272,7 +283,7 @@ class ForgeAPITester {
       console.log(`${chalk.blue(test.toUpperCase())}: ${status} (${result.passed}/${result.passed + result.failed})`);
       
       if (result.errors.length > 0) {
-        console.log(chalk.yellow(`   Errors: ${result.errors.map(e => e.error).join(', ')}`));
+        console.log(chalk.yellow(`   Errors: ${redactText(result.errors.map(e => e.error).join(', '))}`));
       }
       
       totalPassed += result.passed;
@@ -19,6 +19,9 @@ import {
   OnePasswordClientSchema,
   OnePasswordLocationSchema
 } from './schemas.js';
+import { htmlReportPathFor, saveHtmlReport } from './html-report.js';
+import JUnitReporter, { junitPathFor } from './junit-reporter.js';
+import './load-credentials.js';
 
 // Install zod-schema-faker
 import { install, seed } from 'zod-schema-faker';
@@ -35,6 +38,10 @@ class OnePasswordEventsAPITester {
       itemusages: { passed: 0, failed: 0, errors: [] },
       signinattempts: { passed: 0, failed: 0, errors: [] }
     };
+    // Every logTestResult call is also a JUnit testcase, with the requests made for it as output
+    this.junit = new JUnitReporter();
+    this.junit.captureAxios(axios);
+    this.startTime = new Date();
   }
 
   // ============ LOGGING UTILITIES ============
@@ -53,10 +60,12 @@ class OnePasswordEventsAPITester {
   logTestResult(test, success, error = null) {
     if (success) {
       this.results[test].passed++;
+      this.junit.record('1password-events', test, 'passed');
       this.log(`✅ ${test.toUpperCase()}: Test passed`, 'success');
     } else {
       this.results[test].failed++;
       this.results[test].errors.push({ test, error: error?.message || 'Unknown error' });
+      this.junit.record('1password-events', test, 'failed', { message: error?.message || 'Unknown error', issues: error?.issues });
       this.log(`❌ ${test.toUpperCase()}: Test failed - ${error?.message || 'Failed'}`, 'error');
     }
   }
@@ -451,6 +460,8 @@ class OnePasswordEventsAPITester {
     await this.testSignInAttempts();
     
     this.printSummary();
+    console.log(chalk.gray(`📄 JUnit report: ${this.junit.save(junitPathFor('1password-events', this.startTime))}`));
+    console.log(chalk.gray(`📄 HTML report: ${saveHtmlReport(this.junit, htmlReportPathFor('1password-events', this.startTime), { title: '1Password Events API Test Report' })}`));
   }
 
   // ============ PRINT SUMMARY ============
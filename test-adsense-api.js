@@ -28,6 +28,9 @@ import {
   AdSenseMetadataSchema,
   ApiErrorSchema
 } from './schemas.js';
+import { htmlReportPathFor, saveHtmlReport } from './html-report.js';
+import JUnitReporter, { junitPathFor } from './junit-reporter.js';
+import { redactText } from './redact.js';
 
 // Install zod-schema-faker
 import { install, seed } from 'zod-schema-faker';
@@ -49,6 +52,10 @@ class AdSenseAPITester {
       reports: { passed: 0, failed: 0, errors: [] },
       savedreports: { passed: 0, failed: 0, errors: [] }
     };
+    // Every logTestResult call is also a JUnit testcase, with the requests made for it as output
+    this.junit = new JUnitReporter();
+    this.junit.captureAxios(axios);
+    this.startTime = new Date();
     this.testAccountId = null;
     this.testAdClientId = null;
   }
@@ -63,16 +70,18 @@ class AdSenseAPITester {
       warning: chalk.yellow,
       test: chalk.cyan
     };
-    console.log(`${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${message}`);
+    console.log(`${chalk.gray(timestamp)} ${colors[type](`[${type.toUpperCase()}]`)} ${redactText(message)}`);
   }
 
   logTestResult(test, success, error = null) {
     if (success) {
       this.results[test].passed++;
+      this.junit.record('adsense', test, 'passed');
       this.log(`✅ ${test.toUpperCase()}: Test passed`, 'success');
     } else {
       this.results[test].failed++;
       this.results[test].errors.push({ test, error: error?.message || 'Unknown error' });
+      this.junit.record('adsense', test, 'failed', { message: error?.message || 'Unknown error', issues: error?.issues });
       this.log(`❌ ${test.toUpperCase()}: Test failed - ${error?.message || 'Failed'}`, 'error');
     }
   }
@@ -645,6 +654,8 @@ class AdSenseAPITester {
     await this.testSavedReports();
     
     this.printSummary();
+    console.log(chalk.gray(`📄 JUnit report: ${this.junit.save(junitPathFor('adsense', this.startTime))}`));
+    console.log(chalk.gray(`📄 HTML report: ${saveHtmlReport(this.junit, htmlReportPathFor('adsense', this.startTime), { title: 'AdSense API Test Report' })}`));
   }
 
   // ============ PRINT SUMMARY ============
@@ -660,7 +671,7 @@ class AdSenseAPITester {
       console.log(`${chalk.blue(test.toUpperCase())}: ${status} (${result.passed}/${result.passed + result.failed})`);
       
       if (result.errors.length > 0) {
-        console.log(chalk.yellow(`   Errors: ${result.errors.map(e => e.error).join(', ')}`));
+        console.log(chalk.yellow(`   Errors: ${redactText(result.errors.map(e => e.error).join(', '))}`));
       }
       
       totalPassed += result.passed;
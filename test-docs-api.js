@@ -4,6 +4,8 @@ const {
     GoogleDocsBatchUpdateRequestSchema,
     GoogleDocsBatchUpdateResponseSchema
 } = require('./schemas');
+const { htmlReportPathFor, saveHtmlReport } = require('./html-report');
+const { default: JUnitReporter, junitPathFor } = require('./junit-reporter');
 
 class GoogleDocsAPITester {
     constructor() {
@@ -15,6 +17,10 @@ class GoogleDocsAPITester {
             BATCHUPDATE: { status: 'PENDING', details: '' },
             MOCKDATA: { status: 'PENDING', details: '' }
         };
+        // Every logTestResult call is also a JUnit testcase, with the requests made for it as output
+        this.junit = new JUnitReporter();
+        this.junit.captureAxios(axios);
+        this.startTime = new Date();
     }
 
     log(message) {
@@ -23,6 +29,7 @@ class GoogleDocsAPITester {
 
     logTestResult(testName, status, details = '') {
         this.results[testName] = { status, details };
+        this.junit.record('docs', testName, status.toLowerCase(), { message: details || null });
         const emoji = status === 'PASSED' ? '✅' : status === 'FAILED' ? '❌' : '⚠️';
         this.log(`${emoji} ${testName}: ${status}${details ? ` - ${details}` : ''}`);
     }
@@ -407,6 +414,8 @@ class GoogleDocsAPITester {
         const successRate = Math.round((passedTests / totalTests) * 100);
 
         this.log(`\n🎯 Overall Success Rate: ${passedTests}/${totalTests} (${successRate}%)`);
+        this.log(`📄 JUnit report: ${this.junit.save(junitPathFor('docs', this.startTime))}`);
+        this.log(`📄 HTML report: ${saveHtmlReport(this.junit, htmlReportPathFor('docs', this.startTime), { title: 'Google Docs API Test Report' })}`);
         
         if (successRate === 100) {
             this.log('🎉 All tests passed! Google Docs API v1 is working perfectly!');
@@ -22,6 +22,8 @@ import {
   ERROR_CODES, 
   TEST_CONFIG 
 } from './config.js';
+import { htmlReportPathFor, saveHtmlReport } from './html-report.js';
+import JUnitReporter, { junitPathFor } from './junit-reporter.js';
 
 // Install zod-schema-faker
 install();
@@ -39,6 +41,10 @@ class GoogleAPITester {
     this.accessToken = (ENV.ACCESS_TOKEN && 
                        ENV.ACCESS_TOKEN !== 'your_access_token_here' && 
                        ENV.ACCESS_TOKEN.length > 10) ? ENV.ACCESS_TOKEN : null;
+    // Every logTestResult call is also a JUnit testcase in its API's testsuite
+    this.junit = new JUnitReporter();
+    this.junit.captureAxios(axios);
+    this.startTime = new Date();
   }
 
   // ============ LOGGING UTILITIES ============
@@ -57,10 +63,12 @@ class GoogleAPITester {
   logTestResult(api, test, success, error = null) {
     if (success) {
       this.results[api].passed++;
+      this.junit.record(api, test, 'passed');
       this.log(`✅ ${api.toUpperCase()}: ${test}`, 'success');
     } else {
       this.results[api].failed++;
       this.results[api].errors.push({ test, error: error?.message || 'Unknown error' });
+      this.junit.record(api, test, 'failed', { message: error?.message || 'Unknown error', issues: error?.issues });
       this.log(`❌ ${api.toUpperCase()}: ${test} - ${error?.message || 'Failed'}`, 'error');
     }
   }
@@ -406,6 +414,8 @@ class GoogleAPITester {
     }
 
     this.printSummary();
+    console.log(chalk.gray(`📄 JUnit report: ${this.junit.save(junitPathFor('google-apis', this.startTime))}`));
+    console.log(chalk.gray(`📄 HTML report: ${saveHtmlReport(this.junit, htmlReportPathFor('google-apis', this.startTime), { title: 'Google APIs Test Report' })}`));
   }
 
   // ============ RESULTS SUMMARY ============
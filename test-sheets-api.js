@@ -7,6 +7,8 @@ const {
     SheetSchema,
     SpreadsheetPropertiesSchema
 } = require('./schemas');
+const { htmlReportPathFor, saveHtmlReport } = require('./html-report');
+const { default: JUnitReporter, junitPathFor } = require('./junit-reporter');
 
 class GoogleSheetsAPITester {
     constructor() {
@@ -20,6 +22,10 @@ class GoogleSheetsAPITester {
             SHEETS: { status: 'PENDING', details: '' },
             MOCKDATA: { status: 'PENDING', details: '' }
         };
+        // Every logTestResult call is also a JUnit testcase, with the requests made for it as output
+        this.junit = new JUnitReporter();
+        this.junit.captureAxios(axios);
+        this.startTime = new Date();
     }
 
     log(message) {
@@ -28,6 +34,7 @@ class GoogleSheetsAPITester {
 
     logTestResult(testName, status, details = '') {
         this.results[testName] = { status, details };
+        this.junit.record('sheets', testName, status.toLowerCase(), { message: details || null });
         const emoji = status === 'PASSED' ? '✅' : status === 'FAILED' ? '❌' : '⚠️';
         this.log(`${emoji} ${testName}: ${status}${details ? ` - ${details}` : ''}`);
     }
@@ -358,6 +365,8 @@ class GoogleSheetsAPITester {
         const successRate = Math.round((passedTests / totalTests) * 100);
 
         this.log(`\n🎯 Overall Success Rate: ${passedTests}/${totalTests} (${successRate}%)`);
+        this.log(`📄 JUnit report: ${this.junit.save(junitPathFor('sheets', this.startTime))}`);
+        this.log(`📄 HTML report: ${saveHtmlReport(this.junit, htmlReportPathFor('sheets', this.startTime), { title: 'Google Sheets API Test Report' })}`);
         
         if (successRate === 100) {
             this.log('🎉 All tests passed! Google Sheets API v4 is working perfectly!');
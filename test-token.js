@@ -2,18 +2,58 @@
 
 import axios from 'axios';
 import chalk from 'chalk';
-import 'dotenv/config';
 
-const TOKEN = process.env.GOOGLE_ACCESS_TOKEN;
+import './load-credentials.js';
+import { refreshGoogleToken, saveGoogleTokens } from './token-refresh.js';
+
+const REFRESH_TOKEN = process.env.GOOGLE_REFRESH_TOKEN;
+let TOKEN = process.env.GOOGLE_ACCESS_TOKEN;
+let refreshed = false;
+
+// An expired token is refreshed once with GOOGLE_REFRESH_TOKEN and saved to the credential vault
+async function refreshExpiredToken() {
+  if (refreshed || !REFRESH_TOKEN || REFRESH_TOKEN === 'your_refresh_token_here') {
+    return false;
+  }
+  refreshed = true;
+  try {
+    console.log(chalk.yellow('🔄 Token rejected, refreshing it with GOOGLE_REFRESH_TOKEN...'));
+    const tokens = await refreshGoogleToken(REFRESH_TOKEN);
+    TOKEN = tokens.access_token;
+    const saved = saveGoogleTokens(tokens);
+    console.log(chalk.green(`✅ New token${saved ? ' saved to the credential vault' : ''}: ${TOKEN.substring(0, 20)}...`));
+    return true;
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    return false;
+  }
+}
+
+async function getWithToken(url) {
+  try {
+    return await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${TOKEN}`,
+        'Accept': 'application/json'
+      },
+      timeout: 10000
+    });
+  } catch (error) {
+    if (error.response?.status === 401 && await refreshExpiredToken()) {
+      return getWithToken(url);
+    }
+    throw error;
+  }
+}
 
 async function testToken() {
   console.log(chalk.cyan.bold('🔍 GOOGLE TOKEN TESTER'));
   console.log(chalk.cyan('========================'));
   
-  if (!TOKEN || TOKEN === 'your_access_token_here') {
-    console.log(chalk.red('❌ No valid access token found in .env file'));
-    console.log(chalk.yellow('📋 Please add your token to .env file:'));
-    console.log(chalk.gray('GOOGLE_ACCESS_TOKEN=ya29.a0AWY7Ckn...'));
+  if ((!TOKEN || TOKEN === 'your_access_token_here') && !(await refreshExpiredToken())) {
+    console.log(chalk.red('❌ No valid access token found'));
+    console.log(chalk.yellow('📋 Run `bun run auth`, or store your token in the credential vault:'));
+    console.log(chalk.gray('node credential-vault.js set google GOOGLE_ACCESS_TOKEN=ya29.a0AWY7Ckn...'));
     process.exit(1);
   }
   
@@ -49,13 +89,7 @@ async function testToken() {
     try {
       console.log(chalk.blue(`${test.icon} Testing ${test.name}...`));
       
-      const response = await axios.get(test.url, {
-        headers: {
-          'Authorization': `Bearer ${TOKEN}`,
-          'Accept': 'application/json'
-        },
-        timeout: 10000
-      });
+      const response = await getWithToken(test.url);
       
       console.log(chalk.green(`✅ ${test.name}: Working! (Status: ${response.status})`));
       passedTests++;
@@ -89,7 +123,7 @@ async function testToken() {
     console.log(chalk.yellow(`⚠️  ${passedTests}/${tests.length} tests passed`));
     console.log('');
     console.log(chalk.yellow('Common issues:'));
-    console.log('• Token expired (get new one from OAuth Playground)');
+    console.log('• Token expired (store GOOGLE_REFRESH_TOKEN in the credential vault, or run: bun run auth)');
     console.log('• Missing scopes (check OAuth consent screen)');  
     console.log('• APIs not enabled (check Google Cloud Console)');
   }
@@ -9,6 +9,9 @@ const {
     YouTubeAnalyticsQueryResponseSchema,
     YouTubeAnalyticsEmptyResponseSchema
 } = require('./schemas');
+const { htmlReportPathFor, saveHtmlReport } = require('./html-report');
+const { default: JUnitReporter, junitPathFor } = require('./junit-reporter');
+const { redact, redactText } = require('./redact');
 
 class YouTubeAnalyticsAPITester {
     constructor() {
@@ -23,6 +26,10 @@ class YouTubeAnalyticsAPITester {
             REPORTS: { status: 'PENDING', details: '' },
             MOCKDATA: { status: 'PENDING', details: '' }
         };
+        // Every logTestResult call is also a JUnit testcase, with the requests made for it as output
+        this.junit = new JUnitReporter();
+        this.junit.captureAxios(axios);
+        this.startTime = new Date();
         
         // Create logs directory if it doesn't exist
         this.logsDir = path.join(__dirname, 'logs');
@@ -36,11 +43,12 @@ class YouTubeAnalyticsAPITester {
     }
 
     log(message) {
-        console.log(`[${new Date().toISOString()}] ${message}`);
+        console.log(`[${new Date().toISOString()}] ${redactText(message)}`);
     }
 
     logTestResult(testName, status, details = '') {
         this.results[testName] = { status, details };
+        this.junit.record('youtube-analytics', testName, status.toLowerCase(), { message: details || null });
         const emoji = status === 'PASSED' ? '✅' : status === 'FAILED' ? '❌' : '⚠️';
         this.log(`${emoji} ${testName}: ${status}${details ? ` - ${details}` : ''}`);
     }
@@ -63,7 +71,7 @@ class YouTubeAnalyticsAPITester {
         };
 
         const logFile = path.join(this.logsDir, `youtube-analytics-api-${testName.toLowerCase()}-${this.timestamp}.json`);
-        fs.writeFileSync(logFile, JSON.stringify(logData, null, 2));
+        fs.writeFileSync(logFile, JSON.stringify(redact(logData), null, 2));
         this.log(`📄 Response saved to: ${logFile}`);
     }
 
@@ -353,6 +361,8 @@ class YouTubeAnalyticsAPITester {
         const successRate = Math.round((passedTests / totalTests) * 100);
 
         this.log(`\n🎯 Overall Success Rate: ${passedTests}/${totalTests} (${successRate}%)`);
+        this.log(`📄 JUnit report: ${this.junit.save(junitPathFor('youtube-analytics', this.startTime))}`);
+        this.log(`📄 HTML report: ${saveHtmlReport(this.junit, htmlReportPathFor('youtube-analytics', this.startTime), { title: 'YouTube Analytics API Test Report' })}`);
         
         if (successRate === 100) {
             this.log('🎉 All tests passed! YouTube Analytics API v2 is working perfectly!');
@@ -8,6 +8,9 @@ const {
     YouTubeChannelListResponseSchema,
     YouTubeSearchListResponseSchema
 } = require('./schemas');
+const { htmlReportPathFor, saveHtmlReport } = require('./html-report');
+const { default: JUnitReporter, junitPathFor } = require('./junit-reporter');
+const { redact, redactText } = require('./redact');
 
 class YouTubeAPITester {
     constructor() {
@@ -22,6 +25,10 @@ class YouTubeAPITester {
             SEARCH: { status: 'PENDING', details: '' },
             MOCKDATA: { status: 'PENDING', details: '' }
         };
+        // Every logTestResult call is also a JUnit testcase, with the requests made for it as output
+        this.junit = new JUnitReporter();
+        this.junit.captureAxios(axios);
+        this.startTime = new Date();
         
         // Create logs directory if it doesn't exist
         this.logsDir = path.join(__dirname, 'logs');
@@ -35,11 +42,12 @@ class YouTubeAPITester {
     }
 
     log(message) {
-        console.log(`[${new Date().toISOString()}] ${message}`);
+        console.log(`[${new Date().toISOString()}] ${redactText(message)}`);
     }
 
     logTestResult(testName, status, details = '') {
         this.results[testName] = { status, details };
+        this.junit.record('youtube', testName, status.toLowerCase(), { message: details || null });
         const emoji = status === 'PASSED' ? '✅' : status === 'FAILED' ? '❌' : '⚠️';
         this.log(`${emoji} ${testName}: ${status}${details ? ` - ${details}` : ''}`);
     }
@@ -62,7 +70,7 @@ class YouTubeAPITester {
         };
 
         const logFile = path.join(this.logsDir, `youtube-api-${testName.toLowerCase()}-${this.timestamp}.json`);
-        fs.writeFileSync(logFile, JSON.stringify(logData, null, 2));
+        fs.writeFileSync(logFile, JSON.stringify(redact(logData), null, 2));
         this.log(`📄 Response saved to: ${logFile}`);
     }
 
@@ -389,6 +397,8 @@ class YouTubeAPITester {
         const successRate = Math.round((passedTests / totalTests) * 100);
 
         this.log(`\n🎯 Overall Success Rate: ${passedTests}/${totalTests} (${successRate}%)`);
+        this.log(`📄 JUnit report: ${this.junit.save(junitPathFor('youtube', this.startTime))}`);
+        this.log(`📄 HTML report: ${saveHtmlReport(this.junit, htmlReportPathFor('youtube', this.startTime), { title: 'YouTube Data API Test Report' })}`);
         
         if (successRate === 100) {
             this.log('🎉 All tests passed! YouTube Data API v3 is working perfectly!');
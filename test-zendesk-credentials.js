@@ -2,7 +2,8 @@
 
 import axios from 'axios';
 import chalk from 'chalk';
-import fs from 'fs';
+
+import { credentialText } from './credential-vault.js';
 
 class ZendeskCredentialTester {
   constructor() {
@@ -11,7 +12,7 @@ class ZendeskCredentialTester {
 
   loadCredentials() {
     try {
-      const envContent = fs.readFileSync('env.ids', 'utf8');
+      const envContent = credentialText('zendesk', 'env.ids');
       
       const secretMatch = envContent.match(/ZENDESK_SECRET=([^\n]+)/);
       const apiTokenMatch = envContent.match(/ZENDESK_API_TOKEN=([^\n]+)/);
@@ -30,7 +31,7 @@ class ZendeskCredentialTester {
         console.log(chalk.gray(`   Client Secret: ${this.clientSecret.substring(0, 8)}...`));
         console.log(chalk.gray(`   API Token: ${this.apiToken.substring(0, 8)}...`));
       } else {
-        throw new Error('Missing required credentials in env.ids');
+        throw new Error('Missing required Zendesk credentials in the credential vault (or env.ids)');
       }
     } catch (error) {
       console.error(chalk.red('❌ Error loading Zendesk credentials:'), error.message);
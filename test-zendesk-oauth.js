@@ -2,10 +2,11 @@
 
 import axios from 'axios';
 import chalk from 'chalk';
-import fs from 'fs';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 
+import { credentialText, saveCredentials } from './credential-vault.js';
+
 const execAsync = promisify(exec);
 
 class ZendeskOAuthTester {
@@ -15,12 +16,12 @@ class ZendeskOAuthTester {
     this.refreshToken = null;
   }
 
-  // Load credentials from env.ids
+  // Load credentials from the credential vault (env.ids until it is imported)
   loadCredentials() {
     try {
-      const envContent = fs.readFileSync('env.ids', 'utf8');
+      const envContent = credentialText('zendesk', 'env.ids');
       
-      // Parse the env.ids file manually to extract values
+      // Parse the KEY=value lines manually to extract values
       const secretMatch = envContent.match(/ZENDESK_SECRET=([^\n]+)/);
       const apiTokenMatch = envContent.match(/ZENDESK_API_TOKEN=([^\n]+)/);
       const clientIdMatch = envContent.match(/ZENDESK_CLIENT_ID=([^\n]+)/);
@@ -50,7 +51,7 @@ class ZendeskOAuthTester {
         console.log(chalk.gray(`   API_TOKEN: ${apiTokenMatch ? '✅' : '❌'}`));
         console.log(chalk.gray(`   CLIENT_ID: ${clientIdMatch ? '✅' : '❌'}`));
         console.log(chalk.gray(`   ZENDESK_SUBDOMAIN: ${subdomainMatch ? '✅' : '❌'}`));
-        throw new Error('Missing required credentials in env.ids');
+        throw new Error('Missing required Zendesk credentials in the credential vault (or env.ids)');
       }
     } catch (error) {
       console.error(chalk.red('❌ Error loading Zendesk credentials:'), error.message);
@@ -223,24 +224,19 @@ class ZendeskOAuthTester {
     }
   }
 
-  // Save tokens to file
+  // Save tokens to the credential vault
   saveTokens() {
     if (!this.accessToken) {
       console.log(chalk.yellow('⚠️  No tokens to save'));
       return;
     }
 
-    const tokenData = {
-      timestamp: new Date().toISOString(),
-      subdomain: this.subdomain,
-      accessToken: this.accessToken,
-      refreshToken: this.refreshToken,
-      tokenType: 'Bearer'
-    };
-
     try {
-      fs.writeFileSync('zendesk-oauth-tokens.json', JSON.stringify(tokenData, null, 2));
-      console.log(chalk.green('💾 Tokens saved to: zendesk-oauth-tokens.json'));
+      const vault = saveCredentials('zendesk', {
+        ZENDESK_ACCESS_TOKEN: this.accessToken,
+        ZENDESK_REFRESH_TOKEN: this.refreshToken
+      });
+      console.log(chalk.green(`💾 Tokens saved to the credential vault: ${vault.file}`));
     } catch (error) {
       console.error(chalk.red('❌ Error saving tokens:'), error.message);
     }
@@ -0,0 +1,105 @@
+// Testers the unified CLI (cli.js) can discover. Each entry lazily imports a module whose
+// default export is a BaseApiTester subclass, so listing never loads tester code.
+// Vendor suites under plugins/ register here through plugin-registry.js.
+
+export const MODES = ['mock', 'live', 'record', 'replay'];
+
+// Every BaseApiTester can record and replay cassettes; mock needs a tester-specific mock server.
+// A specDriven tester has no API of its own: it runs against --spec (and --base-url), so it only
+// runs when asked for by id
+export const DEFAULT_MODES = ['live', 'record', 'replay'];
+
+const testers = new Map();
+
+export function registerTester(definition) {
+  const { id, title, load } = definition;
+  if (!id || !title || typeof load !== 'function') {
+    throw new Error('Tester definitions need an id, a title and a load() function');
+  }
+  if (testers.has(id)) {
+    throw new Error(`Tester "${id}" is already registered`);
+  }
+
+  const unknownModes = (definition.modes || []).filter(mode => !MODES.includes(mode));
+  if (unknownModes.length > 0) {
+    throw new Error(`Tester "${id}" declares unknown modes: ${unknownModes.join(', ')}`);
+  }
+
+  testers.set(id, {
+    description: '',
+    modes: DEFAULT_MODES,
+    env: [],
+    options: {},
+    source: null,
+    ...definition
+  });
+}
+
+export function getTester(id) {
+  return testers.get(id) || null;
+}
+
+export function listTesters() {
+  return [...testers.values()];
+}
+
+// ============ BUILT-IN TESTERS ============
+
+registerTester({
+  id: 'drive',
+  title: 'Google Drive',
+  description: 'Files, permissions, search and folders',
+  modes: ['mock', ...DEFAULT_MODES],
+  env: ['GOOGLE_ACCESS_TOKEN'],
+  load: () => import('./advanced-drive-tester.js')
+});
+
+registerTester({
+  id: 'calendar',
+  title: 'Google Calendar',
+  description: 'Calendars, events, recurring events and settings',
+  modes: ['mock', ...DEFAULT_MODES],
+  env: ['GOOGLE_ACCESS_TOKEN'],
+  load: () => import('./advanced-calendar-tester.js')
+});
+
+registerTester({
+  id: 'gmail',
+  title: 'Gmail',
+  description: 'Profile, labels, messages, search and threads',
+  modes: ['mock', ...DEFAULT_MODES],
+  env: ['GOOGLE_ACCESS_TOKEN'],
+  load: () => import('./advanced-gmail-tester.js')
+});
+
+registerTester({
+  id: 'contacts',
+  title: 'Google Contacts (People API)',
+  description: 'Contacts, contact groups and batch operations',
+  modes: ['mock', ...DEFAULT_MODES],
+  env: ['GOOGLE_ACCESS_TOKEN'],
+  load: () => import('./advanced-contacts-tester.js')
+});
+
+registerTester({
+  id: 'flipkart',
+  title: 'Flipkart Affiliate',
+  description: 'Product feeds, search, offers and reports',
+  env: ['FLIPKART_AFFILIATE_ID', 'FLIPKART_AFFILIATE_TOKEN'],
+  load: () => import('./advanced-flipkart-tester.js')
+});
+
+registerTester({
+  id: 'openapi',
+  title: 'OpenAPI / Swagger spec',
+  description: 'Every operation of --spec=<file>, checked against the spec',
+  specDriven: true,
+  load: () => import('./openapi-tester.js')
+});
+
+registerTester({
+  id: '1forge',
+  title: '1Forge Finance',
+  description: 'Forex symbols and quotes (no auth)',
+  load: () => import('./advanced-1forge-tester.js')
+});
@@ -0,0 +1,78 @@
+import axios from 'axios';
+import chalk from 'chalk';
+
+import './load-credentials.js';
+import { OAuthBearerAuth } from './auth-strategies.js';
+import { saveCredentials } from './credential-vault.js';
+import GoogleOAuthHelper from './oauth-helper.js';
+
+// Refreshable OAuth credentials for the testers. When an API answers 401, BaseApiTester.makeRequest
+// asks the auth strategy for a new access token and sends the request again; the new tokens are
+// saved to the credential vault (like `bun run auth` does) so the next run starts with a valid one.
+// The refreshers only fetch tokens: the auth applies them first and saves them afterwards, so a
+// missing or locked vault costs the next run a refresh rather than failing this one.
+
+// True when saved; a vault that can't be written is only a warning, like in load-credentials.js
+function persistTokens(provider, values) {
+  try {
+    saveCredentials(provider, values);
+    return true;
+  } catch (error) {
+    console.error(chalk.yellow(`⚠️  Refreshed ${provider} token not saved to the credential vault: ${error.message}`));
+    // Testers created later in this run still start with the new token
+    Object.entries(values).filter(([, value]) => value !== undefined && value !== null).forEach(([key, value]) => {
+      process.env[key] = String(value);
+    });
+    return false;
+  }
+}
+
+// ============ GOOGLE ============
+
+export async function refreshGoogleToken(refreshToken) {
+  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
+    throw new Error('Token refresh needs GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET (node credential-vault.js set google ...)');
+  }
+  return new GoogleOAuthHelper().refreshAccessToken(refreshToken);
+}
+
+export function saveGoogleTokens(tokens) {
+  return persistTokens('google', { GOOGLE_ACCESS_TOKEN: tokens.access_token, GOOGLE_REFRESH_TOKEN: tokens.refresh_token });
+}
+
+// GOOGLE_ACCESS_TOKEN, renewed with GOOGLE_REFRESH_TOKEN when it expires
+export function googleOAuthAuth(options = {}) {
+  return new OAuthBearerAuth(process.env.GOOGLE_ACCESS_TOKEN, {
+    refreshToken: process.env.GOOGLE_REFRESH_TOKEN,
+    refresh: refreshGoogleToken,
+    save: saveGoogleTokens,
+    hints: ['GOOGLE_ACCESS_TOKEN=ya29.a0AWY7Ckn...', 'GOOGLE_REFRESH_TOKEN=1//0g... (run `bun run auth` to get both)'],
+    ...options
+  });
+}
+
+// ============ ZENDESK ============
+
+// origin: https://acme.zendesk.com. The OAuth client is the one zendesk-oauth-callback-server.js uses
+export function zendeskTokenRefresher(origin) {
+  return async refreshToken => {
+    if (!process.env.ZENDESK_CLIENT_ID || !process.env.ZENDESK_SECRET) {
+      throw new Error('Token refresh needs ZENDESK_CLIENT_ID and ZENDESK_SECRET (node credential-vault.js set zendesk ...)');
+    }
+    try {
+      const response = await axios.post(`${origin}/oauth/tokens`, {
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: process.env.ZENDESK_CLIENT_ID,
+        client_secret: process.env.ZENDESK_SECRET
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Token refresh failed: ${error.response?.data?.error_description || error.message}`);
+    }
+  };
+}
+
+export function saveZendeskTokens(tokens) {
+  return persistTokens('zendesk', { ZENDESK_ACCESS_TOKEN: tokens.access_token, ZENDESK_REFRESH_TOKEN: tokens.refresh_token });
+}
@@ -2,9 +2,10 @@
 
 import express from 'express';
 import axios from 'axios';
-import fs from 'fs';
 import chalk from 'chalk';
 
+import { credentialText, saveCredentials } from './credential-vault.js';
+
 class ZendeskOAuthCallbackServer {
   constructor() {
     this.port = 3000;
@@ -12,10 +13,10 @@ class ZendeskOAuthCallbackServer {
     this.loadCredentials();
   }
 
-  // Load credentials from env.ids
+  // Load credentials from the credential vault (env.ids until it is imported)
   loadCredentials() {
     try {
-      const envContent = fs.readFileSync('env.ids', 'utf8');
+      const envContent = credentialText('zendesk', 'env.ids');
       
       const secretMatch = envContent.match(/ZENDESK_SECRET=([^\n]+)/);
       const clientIdMatch = envContent.match(/ZENDESK_CLIENT_ID=([^\n]+)/);
@@ -37,7 +38,7 @@ class ZendeskOAuthCallbackServer {
         console.log(chalk.gray(`   Client ID: ${this.clientId}`));
         console.log(chalk.gray(`   Client Secret: ${this.clientSecret.substring(0, 8)}...`));
       } else {
-        throw new Error('Missing required credentials in env.ids');
+        throw new Error('Missing required Zendesk credentials in the credential vault (or env.ids)');
       }
     } catch (error) {
       console.error(chalk.red('❌ Error loading Zendesk credentials:'), error.message);
@@ -129,20 +130,14 @@ class ZendeskOAuthCallbackServer {
     }
   }
 
-  // Save tokens to file
+  // Save tokens to the credential vault
   saveTokens(tokenData) {
-    const saveData = {
-      timestamp: new Date().toISOString(),
-      subdomain: this.subdomain,
-      accessToken: tokenData.access_token,
-      refreshToken: tokenData.refresh_token,
-      tokenType: tokenData.token_type,
-      expiresIn: tokenData.expires_in
-    };
-
     try {
-      fs.writeFileSync('zendesk-oauth-tokens.json', JSON.stringify(saveData, null, 2));
-      console.log(chalk.green('💾 Tokens saved to: zendesk-oauth-tokens.json'));
+      const vault = saveCredentials('zendesk', {
+        ZENDESK_ACCESS_TOKEN: tokenData.access_token,
+        ZENDESK_REFRESH_TOKEN: tokenData.refresh_token
+      });
+      console.log(chalk.green(`💾 Tokens saved to the credential vault: ${vault.file}`));
     } catch (error) {
       console.error(chalk.red('❌ Error saving tokens:'), error.message);
     }
@@ -221,7 +216,7 @@ class ZendeskOAuthCallbackServer {
                   <p><strong>User:</strong> ${tokenData.user_name || 'Unknown'}</p>
                   <p><strong>Token Type:</strong> ${tokenData.token_type}</p>
                   <p><strong>Expires In:</strong> ${tokenData.expires_in} seconds</p>
-                  <p style="color: #666; font-size: 14px;">Tokens have been saved to zendesk-oauth-tokens.json</p>
+                  <p style="color: #666; font-size: 14px;">Tokens have been saved to the encrypted credential vault</p>
                   <button onclick="window.close()" style="background: #4caf50; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer;">Close Window</button>
                 </div>
               </body>